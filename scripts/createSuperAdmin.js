@@ -0,0 +1,46 @@
+// Bootstrap the first super-admin (staff invitations need one).
+// usage: node scripts/createSuperAdmin.js <email> [name] [password]
+// An existing account is promoted; otherwise one is created.
+require("dotenv").config();
+const bcrypt = require("bcryptjs");
+const mongoose = require("mongoose");
+const User = require("../src/models/User");
+
+async function run() {
+  const [email, name = "Admin", password] = process.argv.slice(2);
+  if (!email) {
+    console.error("usage: node scripts/createSuperAdmin.js <email> [name] [password]");
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const existing = await User.findOne({ email: email.toLowerCase() });
+    if (existing) {
+      existing.role = "admin";
+      await existing.save();
+      console.log(`Promoted ${existing.email} to admin ✅`);
+    } else {
+      if (!password || password.length < 8) {
+        throw new Error("password (8+ chars) required for a new account");
+      }
+      const user = await User.create({
+        name,
+        email,
+        passwordHash: await bcrypt.hash(password, 10),
+        role: "admin",
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      });
+      console.log(`Created admin ${user.email} ✅`);
+    }
+
+    process.exit(0);
+  } catch (err) {
+    console.error(err);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,43 @@
+// Starter shipping zone so checkout works right after deploy
+// (createOrder rejects PIN codes that match no active zone).
+// usage: node scripts/seedShippingZones.js   (no-op when zones already exist)
+require("dotenv").config();
+const mongoose = require("mongoose");
+const ShippingZone = require("../src/models/ShippingZone");
+
+async function run() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const count = await ShippingZone.countDocuments({});
+    if (count) {
+      console.log(`${count} shipping zone(s) already exist, nothing to do`);
+      process.exit(0);
+    }
+
+    await ShippingZone.create({
+      name: "All India",
+      pincodePrefixes: ["1", "2", "3", "4", "5", "6", "7", "8"],
+      codAvailable: true,
+      codMaxOrderValue: 50000,
+      codFee: 49,
+      slaDays: { min: 3, max: 7 },
+      fees: {
+        weightSlabs: [
+          { maxGrams: 1000, fee: 49 },
+          { maxGrams: 5000, fee: 99 },
+        ],
+        extraPerKg: 20,
+        freeAbove: 2999
+      }
+    });
+    console.log("Created shipping zone: All India ✅");
+
+    process.exit(0);
+  } catch (err) {
+    console.error(err);
+    process.exit(1);
+  }
+}
+
+run();
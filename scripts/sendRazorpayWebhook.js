@@ -0,0 +1,102 @@
+// Local webhook tester: builds a Razorpay-like payload, signs it with
+// RAZORPAY_WEBHOOK_SECRET and POSTs it to the running API.
+//
+// node scripts/sendRazorpayWebhook.js payment.captured order_XXXX [pay_XXXX] [amountPaise]
+// node scripts/sendRazorpayWebhook.js payment.failed   order_XXXX [pay_XXXX]
+// node scripts/sendRazorpayWebhook.js refund.processed pay_XXXX   [rfnd_XXXX] [amountPaise]
+// node scripts/sendRazorpayWebhook.js refund.failed    pay_XXXX   rfnd_XXXX   [amountPaise]
+//
+// WEBHOOK_URL overrides the target (default http://localhost:$PORT/api/payments/webhook)
+require("dotenv").config();
+const crypto = require("crypto");
+const { signWebhookBody } = require("../src/utils/razorpayWebhook");
+
+const rand = (prefix) => `${prefix}_${crypto.randomBytes(7).toString("hex")}`;
+
+function buildPayload(event, [a, b, c]) {
+  const created_at = Math.floor(Date.now() / 1000);
+
+  if (event.startsWith("refund.")) {
+    const paymentId = a;
+    return {
+      entity: "event",
+      event,
+      contains: ["refund", "payment"],
+      created_at,
+      payload: {
+        refund: {
+          entity: {
+            id: b || rand("rfnd"),
+            entity: "refund",
+            payment_id: paymentId,
+            amount: Number(c || 100),
+            currency: "INR",
+            status: event === "refund.failed" ? "failed" : "processed",
+          },
+        },
+        payment: { entity: { id: paymentId, entity: "payment" } },
+      },
+    };
+  }
+
+  return {
+    entity: "event",
+    event,
+    contains: ["payment"],
+    created_at,
+    payload: {
+      payment: {
+        entity: {
+          id: b || rand("pay"),
+          entity: "payment",
+          order_id: a,
+          amount: Number(c || 100),
+          currency: "INR",
+          status: event === "payment.failed" ? "failed" : "captured",
+          error_description:
+            event === "payment.failed" ? "Payment failed (local test)" : null,
+          notes: {},
+        },
+      },
+    },
+  };
+}
+
+async function run() {
+  const [event, ...args] = process.argv.slice(2);
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+  if (!event || !args[0]) {
+    console.error(
+      "Usage: node scripts/sendRazorpayWebhook.js <event> <orderId|paymentId> [id] [amountPaise]",
+    );
+    process.exit(1);
+  }
+  if (!secret) {
+    console.error("RAZORPAY_WEBHOOK_SECRET is not set");
+    process.exit(1);
+  }
+
+  const raw = JSON.stringify(buildPayload(event, args));
+  const url =
+    process.env.WEBHOOK_URL ||
+    `http://localhost:${process.env.PORT || 4500}/api/payments/webhook`;
+
+  const res = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Razorpay-Signature": signWebhookBody(raw, secret),
+      "X-Razorpay-Event-Id": rand("evt"),
+    },
+    body: raw,
+  });
+
+  console.log(res.status, await res.text());
+  process.exit(res.ok ? 0 : 1);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
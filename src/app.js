@@ -7,6 +7,12 @@ const {
   notFound,
   globalErrorHandler,
 } = require("./middleware/error.middleware");
+const { rateLimit } = require("./middleware/rateLimit.middleware");
+const { requestId } = require("./middleware/requestId.middleware");
+const { getRateLimit } = require("./config/rateLimit");
+const { registerNotificationListeners } = require("./utils/notify");
+const { registerStockAlertListeners } = require("./utils/stockAlerts");
+const { registerPriceAlertListeners } = require("./utils/priceAlerts");
 
 const authRoutes = require("./routes/auth.routes");
 const adminRoutes = require("./routes/admin.routes");
@@ -19,12 +25,49 @@ const reviewRoutes = require("./routes/review.routes");
 const supportRoutes = require("./routes/support.routes");
 const uploadRoutes = require("./routes/upload.routes");
 const wishlistRoutes = require("./routes/wishlist.routes");
+const cartRoutes = require("./routes/cart.routes");
+const couponRoutes = require("./routes/coupon.routes");
+const buildRoutes = require("./routes/build.routes");
 const userRoutes = require("./routes/user.routes");
+const shippingRoutes = require("./routes/shipping.routes");
+const notificationRoutes = require("./routes/notification.routes");
+const inventoryRoutes = require("./routes/inventory.routes");
+const campaignRoutes = require("./routes/campaign.routes");
 
 const app = express();
 
+// ✅ domain events -> customer emails + in-app inbox (utils/notify.js)
+registerNotificationListeners();
+registerStockAlertListeners();
+registerPriceAlertListeners();
+
+// ✅ req.ip = real client (rate limits, login throttle) only when told how
+// many proxies sit in front (TRUST_PROXY=1 on Render); off by default so
+// X-Forwarded-For can't be spoofed when the app is reached directly
+const trustProxy = String(process.env.TRUST_PROXY || "").trim();
+app.set(
+  "trust proxy",
+  !trustProxy || trustProxy === "false"
+    ? false
+    : /^\d+$/.test(trustProxy)
+      ? Number(trustProxy)
+      : trustProxy,
+);
+
+// ✅ X-Request-Id on every response (audit log rows carry the same id)
+app.use(requestId);
 app.use(helmet());
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // ✅ keep raw bytes for Razorpay webhook signature check
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payments/webhook")) {
+        req.rawBody = buf;
+      }
+    },
+  }),
+);
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan("dev"));
 
@@ -44,7 +87,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id"],
+  exposedHeaders: ["X-Request-Id", "Content-Disposition"],
 };
 
 app.use(cors(corsOptions));
@@ -54,17 +98,36 @@ app.options("*", cors(corsOptions));
 
 app.get("/", (req, res) => res.json({ ok: true, message: "API running" }));
 
+// ✅ rate limits per route group (see config/rateLimit.js)
+app.use("/api/auth", rateLimit(getRateLimit("auth")));
+app.use(
+  "/api/payments",
+  rateLimit({
+    ...getRateLimit("payments"),
+    skip: (req) => req.path.startsWith("/webhook"), // Razorpay retries
+  }),
+);
+app.use("/api/reviews", rateLimit(getRateLimit("reviews")));
+app.use("/api/support", rateLimit(getRateLimit("support")));
+
 app.use("/api/auth", authRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/categories", categoryRoutes);
 app.use("/api/brands", brandRoutes);
 app.use("/api/products", productRoutes);
+app.use("/api/inventory", inventoryRoutes);
 app.use("/api/wishlist", wishlistRoutes);
+app.use("/api/cart", cartRoutes);
+app.use("/api/coupons", couponRoutes);
+app.use("/api/campaigns", campaignRoutes);
+app.use("/api/shipping", shippingRoutes);
+app.use("/api/builds", buildRoutes);
 app.use("/api/payments", paymentRoutes);
 app.use("/api/orders", orderRoutes);
 app.use("/api/reviews", reviewRoutes);
 app.use("/api/support", supportRoutes);
+app.use("/api/notifications", notificationRoutes);
 app.use("/api/uploads", uploadRoutes);
 
 app.use(notFound);
@@ -0,0 +1,10 @@
+// Token lifetimes. Access tokens are short (JWT, stateless check + session
+// lookup); refresh tokens are opaque, rotated on use and revocable.
+const getAccessTokenTtl = () => process.env.JWT_EXPIRES_IN || "15m";
+
+const getRefreshTokenTtlDays = () => {
+  const n = Number(process.env.REFRESH_TOKEN_TTL_DAYS);
+  return Number.isFinite(n) && n > 0 ? n : 30;
+};
+
+module.exports = { getAccessTokenTtl, getRefreshTokenTtlDays };
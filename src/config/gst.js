@@ -0,0 +1,24 @@
+// Seller (supplier) details printed on GST invoices / credit notes.
+// SELLER_STATE decides CGST+SGST (same state) vs IGST (other state).
+const getSellerInfo = () => ({
+  name: process.env.SELLER_NAME || "PC Parts Shop",
+  gstin: process.env.SELLER_GSTIN || "",
+  address: process.env.SELLER_ADDRESS || "",
+  state: process.env.SELLER_STATE || "",
+});
+
+// fallback when neither product nor category has a rate
+const getDefaultGstRate = () => {
+  const n = Number(process.env.GST_DEFAULT_RATE);
+  return Number.isFinite(n) && n >= 0 ? n : 18;
+};
+
+// Without SELLER_STATE every sale would silently be taxed as intra-state.
+// Called from server.js so the app refuses to start until it is set.
+const assertSellerState = () => {
+  if (!getSellerInfo().state.trim()) {
+    throw new Error("SELLER_STATE is required (decides CGST+SGST vs IGST)");
+  }
+};
+
+module.exports = { getSellerInfo, getDefaultGstRate, assertSellerState };
@@ -0,0 +1,40 @@
+// Mail transport selection.
+// MAIL_TRANSPORT=smtp | file | console (default: smtp; console only outside
+// production when SMTP_HOST is unset). "file" writes .eml files to MAIL_DIR
+// for offline testing; "console" logs recipient + subject, never the body.
+const defaultTransport = () =>
+  process.env.SMTP_HOST || process.env.NODE_ENV === "production"
+    ? "smtp"
+    : "console";
+
+const getMailConfig = () => {
+  const port = Number(process.env.SMTP_PORT) || 587;
+
+  return {
+    transport:
+      (process.env.MAIL_TRANSPORT || "").toLowerCase() || defaultTransport(),
+    from: process.env.MAIL_FROM || "PC Parts Shop <no-reply@localhost>",
+    dir: process.env.MAIL_DIR || "tmp/mail",
+    smtp: {
+      host: process.env.SMTP_HOST || "",
+      port,
+      // implicit TLS on 465, STARTTLS otherwise (required when authenticating)
+      secure: process.env.SMTP_SECURE
+        ? process.env.SMTP_SECURE === "true"
+        : port === 465,
+      user: process.env.SMTP_USER || "",
+      pass: process.env.SMTP_PASS || "",
+      timeoutMs: Number(process.env.SMTP_TIMEOUT_MS) || 15_000,
+    },
+  };
+};
+
+// links in emails point at the storefront
+const getClientUrl = () =>
+  (process.env.CLIENT_URL || "http://localhost:5173").replace(/\/+$/, "");
+
+// staff links (invitations) point at the admin panel
+const getAdminUrl = () =>
+  (process.env.ADMIN_URL || getClientUrl()).replace(/\/+$/, "");
+
+module.exports = { getMailConfig, getClientUrl, getAdminUrl };
@@ -0,0 +1,37 @@
+// Customer notifications: event type -> preference category.
+// Customers switch categories off per channel (email / inApp) on their
+// profile; account emails (verification, password reset) are not optional.
+const NOTIFICATION_CHANNELS = ["email", "inApp"];
+
+const NOTIFICATION_CATEGORIES = [
+  "orders",
+  "shipping",
+  "refunds",
+  "returns",
+  "support",
+  "stock",
+  "wishlist",
+];
+
+const NOTIFICATION_TYPES = {
+  "order.placed": "orders", // COD (online orders notify once paid)
+  "order.paid": "orders",
+  "order.cancelled": "orders",
+  "order.shipped": "shipping",
+  "order.delivered": "shipping",
+  "order.refunded": "refunds",
+  "return.approved": "returns",
+  "return.rejected": "returns",
+  "support.replied": "support",
+  "stock.available": "stock", // back-in-stock alert (utils/stockAlerts.js)
+  "wishlist.price_drop": "wishlist", // utils/priceAlerts.js
+};
+
+const categoryOf = (type) => NOTIFICATION_TYPES[type] || null;
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_TYPES,
+  categoryOf,
+};
@@ -0,0 +1,65 @@
+// Staff roles -> named permissions.
+// "admin" is the super-admin (everything, incl. staff management);
+// "customer" has none. Checked with requirePermission() / hasPermission().
+const PERMISSIONS = [
+  "dashboard.read",
+  "orders.read",
+  "orders.status", // shipping status, payment attempts, unpaid expiry
+  "orders.returns", // decide / complete return & replacement
+  "orders.refund",
+  "products.read", // admin listing (inactive, low stock)
+  "products.write", // products, bundles, product images
+  "inventory.write", // stock adjustments, purchase receipts
+  "catalog.write", // categories + brands
+  "coupons.write",
+  "campaigns.write", // scheduled sales / flash sales + price preview
+  "shipping.write", // shipping zones, fees, COD rules
+  "support.read",
+  "support.reply", // messages + ticket status
+  "builds.read", // popular builds, any customer's saved build
+  "builds.write", // edit / delete / share any customer's saved build
+  "staff.manage", // roles + invitations
+  "audit.read",
+  "finance.read", // purchase costs + margin report
+];
+
+const ROLE_PERMISSIONS = {
+  customer: [],
+  admin: PERMISSIONS,
+  warehouse: [
+    "dashboard.read",
+    "orders.read",
+    "orders.status",
+    "products.read",
+    "inventory.write",
+  ],
+  support: ["dashboard.read", "orders.read", "support.read", "support.reply"],
+  catalog_editor: [
+    "dashboard.read",
+    "products.read",
+    "products.write",
+    "catalog.write",
+    "campaigns.write",
+    "builds.read",
+  ],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+const STAFF_ROLES = ROLES.filter((r) => r !== "customer");
+
+const permissionsOf = (user) => ROLE_PERMISSIONS[user?.role] || [];
+
+const hasPermission = (user, permission) =>
+  permissionsOf(user).includes(permission);
+
+const isStaff = (user) => STAFF_ROLES.includes(user?.role);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  STAFF_ROLES,
+  permissionsOf,
+  hasPermission,
+  isStaff,
+};
@@ -0,0 +1,31 @@
+// Per route group limits (requests per client IP per window).
+// Override with RATE_LIMIT_<GROUP>_MAX / RATE_LIMIT_<GROUP>_WINDOW_MS.
+const WRITES = ["POST", "PUT", "PATCH", "DELETE"];
+
+const DEFAULTS = {
+  auth: { windowMs: 15 * 60_000, max: 100 },
+  payments: { windowMs: 15 * 60_000, max: 60 },
+  reviews: { windowMs: 60 * 60_000, max: 30, methods: WRITES },
+  support: { windowMs: 60 * 60_000, max: 20, methods: WRITES },
+  stockAlerts: { windowMs: 60 * 60_000, max: 20, methods: WRITES },
+};
+
+const envNumber = (name) => {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+const getRateLimit = (group) => {
+  const base = DEFAULTS[group];
+  if (!base) throw new Error(`Unknown rate limit group: ${group}`);
+
+  const prefix = `RATE_LIMIT_${group.toUpperCase()}`;
+  return {
+    name: group,
+    ...base,
+    windowMs: envNumber(`${prefix}_WINDOW_MS`) ?? base.windowMs,
+    max: envNumber(`${prefix}_MAX`) ?? base.max,
+  };
+};
+
+module.exports = { getRateLimit };
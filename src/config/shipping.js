@@ -0,0 +1,8 @@
+// Shipping defaults. Products without weightGrams ship as
+// SHIPPING_DEFAULT_WEIGHT_GRAMS (packed weight, per unit).
+const getDefaultWeightGrams = () => {
+  const n = Number(process.env.SHIPPING_DEFAULT_WEIGHT_GRAMS);
+  return Number.isFinite(n) && n > 0 ? n : 1000;
+};
+
+module.exports = { getDefaultWeightGrams };
@@ -0,0 +1,22 @@
+// Two-factor (TOTP) settings.
+// STAFF_2FA_REQUIRED=false turns off the "staff must use 2FA" policy
+// (e.g. local development); customers can always opt in.
+const crypto = require("crypto");
+
+const getTwoFactorIssuer = () => process.env.TOTP_ISSUER || "PC PartMart";
+
+const isStaffTwoFactorRequired = () =>
+  String(process.env.STAFF_2FA_REQUIRED ?? "true").toLowerCase() !== "false";
+
+// AES-256 key for TOTP secrets at rest (TOTP_ENCRYPTION_KEY, else JWT_SECRET)
+const getTwoFactorKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(String(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET))
+    .digest();
+
+module.exports = {
+  getTwoFactorIssuer,
+  isStaffTwoFactorRequired,
+  getTwoFactorKey,
+};
@@ -0,0 +1,119 @@
+// controllers/address.controller.js
+// Address book: /api/users/me/addresses (exactly one default when non-empty)
+const mongoose = require("mongoose");
+const asyncHandler = require("../utils/asyncHandler");
+const AppError = require("../utils/AppError");
+const User = require("../models/User");
+const { normalizeAddress } = require("../utils/address");
+
+const MAX_ADDRESSES = 20;
+const FIELDS = [
+  "label",
+  "name",
+  "phone",
+  "line1",
+  "line2",
+  "landmark",
+  "city",
+  "state",
+  "pincode",
+  "country",
+];
+
+// default first, then most recently edited
+const sortAddresses = (addresses) =>
+  [...addresses].sort(
+    (a, b) =>
+      Number(b.isDefault) - Number(a.isDefault) ||
+      new Date(b.updatedAt) - new Date(a.updatedAt),
+  );
+
+const setDefault = (user, addressId) => {
+  for (const a of user.addresses) {
+    a.isDefault = String(a._id) === String(addressId);
+  }
+};
+
+const loadUser = async (req) => {
+  const user = await User.findById(req.user._id).select("addresses");
+  if (!user) throw new AppError("User not found", 404);
+  return user;
+};
+
+const findAddress = (user, addressId) => {
+  const address = mongoose.Types.ObjectId.isValid(addressId)
+    ? user.addresses.id(addressId)
+    : null;
+  if (!address) throw new AppError("Address not found", 404);
+  return address;
+};
+
+exports.listAddresses = asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+  res.json({ addresses: sortAddresses(user.addresses) });
+});
+
+// body: { label, name, phone, line1, line2?, landmark?, city, state, pincode, isDefault? }
+exports.createAddress = asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+  if (user.addresses.length >= MAX_ADDRESSES) {
+    throw new AppError(`You can save up to ${MAX_ADDRESSES} addresses`, 400);
+  }
+
+  user.addresses.push(normalizeAddress(req.body || {}));
+  const address = user.addresses[user.addresses.length - 1];
+
+  // first address is the default one
+  if (req.body?.isDefault || user.addresses.length === 1) {
+    setDefault(user, address._id);
+  }
+
+  await user.save();
+  res.status(201).json({ address, addresses: sortAddresses(user.addresses) });
+});
+
+// partial update: missing fields keep their saved values
+exports.updateAddress = asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+  const address = findAddress(user, req.params.addressId);
+
+  const merged = {};
+  for (const k of FIELDS) {
+    merged[k] = req.body?.[k] !== undefined ? req.body[k] : address[k];
+  }
+  address.set(normalizeAddress(merged));
+
+  if (req.body?.isDefault) setDefault(user, address._id);
+
+  await user.save();
+  res.json({ address, addresses: sortAddresses(user.addresses) });
+});
+
+exports.deleteAddress = asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+  const address = findAddress(user, req.params.addressId);
+  const wasDefault = address.isDefault;
+
+  address.deleteOne();
+
+  // promote the most recently edited one
+  if (wasDefault && user.addresses.length) {
+    setDefault(user, sortAddresses(user.addresses)[0]._id);
+  }
+
+  await user.save();
+  res.json({
+    message: "Address deleted",
+    addresses: sortAddresses(user.addresses),
+  });
+});
+
+exports.setDefaultAddress = asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+  const address = findAddress(user, req.params.addressId);
+
+  setDefault(user, address._id);
+  await user.save();
+
+  res.json({ address, addresses: sortAddresses(user.addresses) });
+});
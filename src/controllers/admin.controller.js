@@ -1,7 +1,12 @@
+const mongoose = require("mongoose");
 const asyncHandler = require("../utils/asyncHandler");
+const AppError = require("../utils/AppError");
+const { toCsv } = require("../utils/csv");
+const AuditLog = require("../models/AuditLog");
 const Order = require("../models/Order");
 const Product = require("../models/Product");
 const SupportTicket = require("../models/SupportTicket");
+const User = require("../models/User");
 
 exports.getDashboardStats = asyncHandler(async (req, res) => {
   const LOW_STOCK_THRESHOLD = 5;
@@ -26,3 +31,129 @@ exports.getDashboardStats = asyncHandler(async (req, res) => {
     openTickets,
   });
 });
+
+// ===============================
+// ADMIN - Audit log
+// ?actor=<userId|email>&action=product.update|product.*&entityType=&entityId=
+// &from=&to=&page=&limit=   ?format=csv -> download (max 10k rows)
+// ===============================
+const AUDIT_CSV_MAX_ROWS = 10000;
+
+const formatChangeValue = (v) =>
+  v == null ? "∅" : typeof v === "object" ? JSON.stringify(v) : String(v);
+
+async function buildAuditFilter(q) {
+  const filter = {};
+
+  if (q.actor) {
+    const actor = String(q.actor).trim();
+    if (mongoose.Types.ObjectId.isValid(actor)) {
+      filter.actor = actor;
+    } else {
+      const user = await User.findOne({ email: actor.toLowerCase() }).select(
+        "_id",
+      );
+      filter.actor = user?._id || null;
+    }
+  }
+
+  if (q.action) {
+    const action = String(q.action).trim();
+    // "product.*" -> every product action
+    filter.action = action.endsWith(".*")
+      ? new RegExp(
+          `^${action.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`,
+        )
+      : action;
+  }
+
+  if (q.entityType) filter.entityType = String(q.entityType);
+  if (q.entityId) {
+    if (!mongoose.Types.ObjectId.isValid(String(q.entityId))) {
+      throw new AppError("Invalid entityId", 400);
+    }
+    filter.entityId = String(q.entityId);
+  }
+
+  const range = {};
+  for (const [key, op] of [
+    ["from", "$gte"],
+    ["to", "$lte"],
+  ]) {
+    if (!q[key]) continue;
+    const d = new Date(q[key]);
+    if (Number.isNaN(d.getTime())) throw new AppError(`Invalid ${key}`, 400);
+    range[op] = d;
+  }
+  if (Object.keys(range).length) filter.createdAt = range;
+
+  return filter;
+}
+
+exports.listAuditLogs = asyncHandler(async (req, res) => {
+  const filter = await buildAuditFilter(req.query);
+
+  if (req.query.format === "csv") {
+    const rows = await AuditLog.find(filter)
+      .populate("actor", "name email")
+      .sort("-createdAt")
+      .limit(AUDIT_CSV_MAX_ROWS)
+      .lean();
+
+    const csv = toCsv(rows, [
+      { header: "createdAt", value: (r) => r.createdAt },
+      { header: "actorName", value: (r) => r.actor?.name },
+      { header: "actorEmail", value: (r) => r.actor?.email },
+      { header: "action", value: (r) => r.action },
+      { header: "entityType", value: (r) => r.entityType },
+      { header: "entityId", value: (r) => r.entityId },
+      {
+        header: "changes",
+        value: (r) =>
+          (r.changes || [])
+            .map(
+              (c) =>
+                `${c.field}: ${formatChangeValue(c.before)} → ${formatChangeValue(c.after)}`,
+            )
+            .join(" | "),
+      },
+      { header: "method", value: (r) => r.method },
+      { header: "path", value: (r) => r.path },
+      { header: "ip", value: (r) => r.ip },
+      { header: "requestId", value: (r) => r.requestId },
+    ]);
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`,
+    );
+    return res.send(csv);
+  }
+
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(filter)
+      .populate("actor", "name email role")
+      .sort("-createdAt")
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AuditLog.countDocuments(filter),
+  ]);
+
+  const pages = Math.max(Math.ceil(total / limit), 1);
+  res.json({
+    logs,
+    meta: {
+      total,
+      page,
+      limit,
+      pages,
+      hasPrev: page > 1,
+      hasNext: page < pages,
+    },
+  });
+});
@@ -1,81 +1,481 @@
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
 const asyncHandler = require("../utils/asyncHandler");
 const AppError = require("../utils/AppError");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const StaffInvitation = require("../models/StaffInvitation");
+const { permissionsOf } = require("../config/permissions");
+const { createOneTimeToken, hashToken } = require("../utils/oneTimeToken");
+const { sendMailSafe, isValidEmail } = require("../utils/mailer");
+const {
+  verificationEmail,
+  passwordResetEmail,
+  passwordChangedEmail,
+  accountLockedEmail
+} = require("../utils/authEmails");
+const { recordAudit } = require("../utils/audit");
+const {
+  LIMITS,
+  ACCOUNT_LOCK_THRESHOLD,
+  ACCOUNT_LOCK_MS,
+  keys,
+  assertNotThrottled,
+  recordFailure,
+  clearFailures
+} = require("../utils/loginThrottle");
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+} = require("../utils/session");
+const { isTwoFactorRequired, verifySecondFactor } = require("../utils/twoFactor");
 
-const signToken = (id) =>
-  jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRES_IN || "7d" });
+const MIN_PASSWORD_LEN = 8;
+const VERIFY_TTL_MS = 24 * 60 * 60 * 1000;
+const RESET_TTL_MIN = 30;
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+
+const publicUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  permissions: permissionsOf(user),
+  emailVerified: Boolean(user.emailVerified),
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+  twoFactorSetupRequired: isTwoFactorRequired(user) && !user.twoFactor?.enabled
+});
+
+const assertNewPassword = (password) => {
+  if (!password || String(password).length < MIN_PASSWORD_LEN) {
+    throw new AppError(`Password must be at least ${MIN_PASSWORD_LEN} characters`, 400);
+  }
+};
+
+// new token replaces any earlier link; mail failures don't fail the request
+const sendVerification = async (user) => {
+  const { token, tokenHash, expiresAt } = createOneTimeToken(VERIFY_TTL_MS);
+  await User.updateOne({ _id: user._id }, { $set: { emailVerification: { tokenHash, expiresAt } } });
+  await sendMailSafe(verificationEmail(user, token));
+};
+
+// ✅ short-lived access token + rotating refresh token (one session per login)
+const issueTokens = async (user, req) => {
+  const { token, refreshToken } = await createSession(user._id, req);
+  return { token, refreshToken };
+};
 
 exports.register = asyncHandler(async (req, res) => {
-  const { name, email, password } = req.body;
+  const { name, password } = req.body;
+  const email = String(req.body.email || "").trim().toLowerCase();
 
   if (!name || !email || !password) throw new AppError("Name, email, password required", 400);
+  if (!isValidEmail(email)) throw new AppError("Invalid email address", 400);
+  assertNewPassword(password);
 
   const exists = await User.findOne({ email });
   if (exists) throw new AppError("Email already registered", 409);
 
   const passwordHash = await bcrypt.hash(password, 10);
   const user = await User.create({ name, email, passwordHash, role: "customer" });
+  await sendVerification(user);
 
-  const token = signToken(user._id);
+  const tokens = await issueTokens(user, req);
   res.status(201).json({
-    token,
-    user: { id: user._id, name: user.name, email: user.email, role: user.role }
+    ...tokens,
+    user: publicUser(user)
   });
 });
 
+// locks for ACCOUNT_LOCK_MS and emails a link that unlocks right away
+const lockAccount = async (user, req) => {
+  const { token, tokenHash, expiresAt } = createOneTimeToken(ACCOUNT_LOCK_MS);
+  user.lockedUntil = expiresAt;
+  user.accountUnlock = { tokenHash, expiresAt };
+  await user.save();
+
+  await clearFailures(keys.account(user.email)); // next cycle starts after unlock
+  await recordAudit(req, {
+    action: "auth.account_locked",
+    entityType: "User",
+    entityId: user._id,
+    actor: null
+  });
+  await sendMailSafe(accountLockedEmail(user, token, ACCOUNT_LOCK_MS / 60000));
+};
+
 exports.login = asyncHandler(async (req, res) => {
-  const { email, password } = req.body;
+  const { password } = req.body;
+  const email = String(req.body.email || "").trim().toLowerCase();
   if (!email || !password) throw new AppError("Email & password required", 400);
 
+  // ✅ brute-force protection: per-IP + per-account backoff
+  const ipKey = keys.ip(req.ip);
+  const accountKey = keys.account(email);
+  await assertNotThrottled([ipKey, accountKey]);
+
   const user = await User.findOne({ email });
-  if (!user) throw new AppError("Invalid credentials", 401);
+  const locked = Boolean(user?.lockedUntil && user.lockedUntil > new Date());
+
+  // ✅ the lock is only revealed to the right password (no account probing)
+  const ok = user ? await bcrypt.compare(password, user.passwordHash) : false;
+  if (!ok) {
+    const [, accountFailures] = await Promise.all([
+      recordFailure(ipKey, LIMITS.ip),
+      recordFailure(accountKey, LIMITS.account)
+    ]);
+
+    await recordAudit(req, {
+      action: "auth.login_failed",
+      entityType: user ? "User" : null,
+      entityId: user?._id || null,
+      actor: null,
+      meta: { email, reason: user ? "BAD_PASSWORD" : "UNKNOWN_EMAIL", failures: accountFailures }
+    });
+
+    if (user && !locked && accountFailures >= ACCOUNT_LOCK_THRESHOLD) await lockAccount(user, req);
+    throw new AppError("Invalid credentials", 401);
+  }
+
+  if (locked) {
+    throw new AppError("Account temporarily locked. Check your email to unlock it.", 423);
+  }
+
+  await clearFailures(accountKey);
+  if (user.lockedUntil) {
+    user.lockedUntil = null;
+    await user.save();
+  }
+
+  // ✅ 2FA: password alone only earns a short challenge token (no session yet)
+  if (user.twoFactor?.enabled) {
+    const challengeToken = jwt.sign({ id: user._id, purpose: "2fa" }, process.env.JWT_SECRET, {
+      expiresIn: TWO_FACTOR_CHALLENGE_TTL
+    });
+    return res.json({ twoFactorRequired: true, challengeToken });
+  }
+
+  const tokens = await issueTokens(user, req);
+  res.json({
+    ...tokens,
+    user: publicUser(user)
+  });
+});
+
+// second login step: body { challengeToken, code } or { challengeToken, recoveryCode }
+exports.loginTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body || {};
+  if (!challengeToken) throw new AppError("challengeToken required", 400);
+  if (!code && !recoveryCode) throw new AppError("code or recoveryCode required", 400);
+
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (err) {
+    throw new AppError("Login expired. Please log in again.", 401);
+  }
+  if (decoded.purpose !== "2fa") throw new AppError("Invalid challenge token", 401);
+
+  const throttleKey = keys.twoFactor(decoded.id);
+  await assertNotThrottled([keys.ip(req.ip), throttleKey]);
+
+  const method = await verifySecondFactor(decoded.id, { code, recoveryCode });
+  if (!method) {
+    const failures = await recordFailure(throttleKey, LIMITS.twoFactor);
+    await recordAudit(req, {
+      action: "auth.2fa_failed",
+      entityType: "User",
+      entityId: decoded.id,
+      actor: null,
+      meta: { method: recoveryCode ? "recovery" : "totp", failures }
+    });
+    throw new AppError("Invalid authentication code", 401);
+  }
+
+  await clearFailures(throttleKey);
+
+  const user = await User.findById(decoded.id).select("+twoFactor.recoveryCodes");
+  if (!user) throw new AppError("User not found", 401);
 
-  const ok = await bcrypt.compare(password, user.passwordHash);
-  if (!ok) throw new AppError("Invalid credentials", 401);
+  if (method === "recovery") {
+    await recordAudit(req, {
+      action: "auth.2fa_recovery_code_used",
+      entityType: "User",
+      entityId: user._id,
+      actor: user._id,
+      meta: { remaining: user.twoFactor.recoveryCodes.length }
+    });
+  }
 
-  const token = signToken(user._id);
+  const tokens = await issueTokens(user, req);
   res.json({
-    token,
-    user: { id: user._id, name: user.name, email: user.email, role: user.role }
+    ...tokens,
+    user: publicUser(user),
+    ...(method === "recovery" && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length })
   });
 });
 
 exports.me = asyncHandler(async (req, res) => {
-  res.json({ user: req.user });
+  res.json({ user: req.user, permissions: permissionsOf(req.user) });
 });
 
-exports.registerAdmin = asyncHandler(async (req, res) => {
-  const { name, email, password, adminSecret } = req.body;
+// staff accounts come from invitations (see staff.controller.js)
+// body: { token, name?, password, code? } — existing accounts confirm their password (+ 2FA code)
+exports.acceptInvitation = asyncHandler(async (req, res) => {
+  const { token, name, password, code } = req.body || {};
+  if (!token) throw new AppError("token required", 400);
 
-  // 1) basic checks
-  if (!name || !email || !password) throw new AppError("Name, email, password required", 400);
+  const tokenHash = hashToken(token);
+  const invitation = await StaffInvitation.findOne({
+    tokenHash,
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!invitation) throw new AppError("Invalid or expired invitation", 400);
 
-  // 2) check secret (this protects admin registration)
-  if (!adminSecret || adminSecret !== process.env.ADMIN_REGISTER_SECRET) {
-    throw new AppError("Invalid admin secret", 403);
+  let user = await User.findOne({ email: invitation.email });
+  // became admin after the invite was sent: never demote through a link
+  if (user?.role === "admin" && invitation.role !== "admin") {
+    throw new AppError("This invitation would remove admin access; ask an admin to change your role", 409);
+  }
+  if (user) {
+    const ok = password ? await bcrypt.compare(password, user.passwordHash) : false;
+    if (!ok) throw new AppError("Enter the password of your existing account", 401);
+    if (user.twoFactor?.enabled && !(await verifySecondFactor(user._id, { code }))) {
+      throw new AppError("Enter the authentication code of your existing account", 401);
+    }
+  } else {
+    const displayName = String(name || invitation.name || "").trim();
+    if (!displayName) throw new AppError("Name required", 400);
+    assertNewPassword(password);
   }
 
-  // 3) check if email exists
-  const exists = await User.findOne({ email });
-  if (exists) throw new AppError("Email already registered", 409);
+  // single use: only one request can claim the invitation
+  const claimed = await StaffInvitation.findOneAndUpdate(
+    { _id: invitation._id, acceptedAt: null, revokedAt: null },
+    { $set: { acceptedAt: new Date() } }
+  );
+  if (!claimed) throw new AppError("Invalid or expired invitation", 400);
 
-  // 4) hash password & create admin
-  const passwordHash = await bcrypt.hash(password, 10);
+  if (user) {
+    user.role = invitation.role;
+    if (!user.emailVerified) {
+      user.emailVerified = true; // the link proved mailbox ownership
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+  } else {
+    user = await User.create({
+      name: String(name || invitation.name).trim(),
+      email: invitation.email,
+      passwordHash: await bcrypt.hash(password, 10),
+      role: invitation.role,
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+  }
 
-  const user = await User.create({
-    name,
-    email,
-    passwordHash,
-    role: "admin"
+  await StaffInvitation.updateOne({ _id: invitation._id }, { $set: { acceptedUser: user._id } });
+  await recordAudit(req, {
+    action: "staff.invitation_accepted",
+    entityType: "StaffInvitation",
+    entityId: invitation._id,
+    actor: user._id,
+    meta: { role: invitation.role }
   });
 
-  // 5) return token
-  const token = signToken(user._id);
+  const tokens = await issueTokens(user, req);
   res.status(201).json({
-    token,
-    user: { id: user._id, name: user.name, email: user.email, role: user.role }
+    ...tokens,
+    user: publicUser(user)
+  });
+});
+
+// ===============================
+// Sessions: refresh / logout / my sessions
+// ===============================
+
+// body: { refreshToken } -> new { token, refreshToken } (old one is burned)
+exports.refresh = asyncHandler(async (req, res) => {
+  const { token, refreshToken, session } = await rotateSession(req.body?.refreshToken, req);
+
+  const user = await User.findById(session.user).select("_id");
+  if (!user) {
+    await revokeSession(session._id, session.user, "REVOKED");
+    throw new AppError("User not found", 401);
+  }
+
+  res.json({ token, refreshToken });
+});
+
+exports.logout = asyncHandler(async (req, res) => {
+  await revokeSession(req.sessionId, req.user._id, "LOGOUT");
+  res.json({ message: "Logged out" });
+});
+
+exports.logoutAll = asyncHandler(async (req, res) => {
+  const count = await revokeAllSessions(req.user._id, "LOGOUT_ALL");
+  res.json({ message: "Logged out from all devices", sessions: count });
+});
+
+exports.mySessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select("device ip userAgent lastUsedAt createdAt expiresAt")
+    .sort("-lastUsedAt")
+    .lean();
+
+  res.json({
+    sessions: sessions.map((s) => ({
+      ...s,
+      current: String(s._id) === String(req.sessionId)
+    }))
   });
 });
 
+exports.revokeMySession = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError("Session not found", 404);
+  }
+  const ok = await revokeSession(req.params.id, req.user._id, "REVOKED");
+  if (!ok) throw new AppError("Session not found", 404);
+  res.json({ message: "Session revoked" });
+});
+
+// ===============================
+// Email verification
+// ===============================
+
+// body: { token } (from the emailed link)
+exports.verifyEmail = asyncHandler(async (req, res) => {
+  const token = String(req.body?.token || "");
+  if (!token) throw new AppError("token required", 400);
+
+  const user = await User.findOneAndUpdate(
+    {
+      "emailVerification.tokenHash": hashToken(token),
+      "emailVerification.expiresAt": { $gt: new Date() }
+    },
+    {
+      $set: { emailVerified: true, emailVerifiedAt: new Date() },
+      $unset: { emailVerification: 1 }
+    },
+    { new: true }
+  );
+  if (!user) throw new AppError("Invalid or expired verification link", 400);
+
+  res.json({ message: "Email verified", user: publicUser(user) });
+});
+
+exports.resendVerification = asyncHandler(async (req, res) => {
+  if (req.user.emailVerified) throw new AppError("Email already verified", 400);
+  await sendVerification(req.user);
+  res.json({ message: "Verification email sent" });
+});
+
+// ===============================
+// Password: forgot / reset / change
+// ===============================
+
+// same answer whether or not the email exists (no account probing)
+exports.forgotPassword = asyncHandler(async (req, res) => {
+  const email = String(req.body?.email || "").trim().toLowerCase();
+  if (!email) throw new AppError("Email required", 400);
+  if (!isValidEmail(email)) throw new AppError("Invalid email address", 400);
+
+  const user = await User.findOne({ email });
+  if (user) {
+    const { token, tokenHash, expiresAt } = createOneTimeToken(RESET_TTL_MIN * 60 * 1000);
+    user.passwordReset = { tokenHash, expiresAt };
+    await user.save();
+    await sendMailSafe(passwordResetEmail(user, token, RESET_TTL_MIN));
+  }
+
+  res.json({ message: "If that email is registered, a reset link has been sent" });
+});
+
+// body: { token, password } -> every session is signed out
+exports.resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body || {};
+  if (!token) throw new AppError("token required", 400);
+  assertNewPassword(password);
+
+  const passwordHash = await bcrypt.hash(password, 10);
+
+  // single use: the token is cleared in the same update that matched it
+  const user = await User.findOneAndUpdate(
+    {
+      "passwordReset.tokenHash": hashToken(token),
+      "passwordReset.expiresAt": { $gt: new Date() }
+    },
+    {
+      $set: { passwordHash, passwordChangedAt: new Date() },
+      $unset: { passwordReset: 1 }
+    },
+    { new: true }
+  );
+  if (!user) throw new AppError("Invalid or expired reset link", 400);
+
+  await revokeAllSessions(user._id, "PASSWORD_CHANGED");
+  await sendMailSafe(passwordChangedEmail(user));
+
+  res.json({ message: "Password reset. Please log in." });
+});
+
+// body: { currentPassword, newPassword } -> other devices are signed out
+exports.changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  if (!currentPassword) throw new AppError("currentPassword required", 400);
+  assertNewPassword(newPassword);
+
+  const user = await User.findById(req.user._id);
+  if (!user) throw new AppError("User not found", 404);
+
+  const ok = await bcrypt.compare(currentPassword, user.passwordHash);
+  if (!ok) throw new AppError("Current password is incorrect", 400);
+  if (await bcrypt.compare(newPassword, user.passwordHash)) {
+    throw new AppError("New password must be different", 400);
+  }
+
+  user.passwordHash = await bcrypt.hash(newPassword, 10);
+  user.passwordChangedAt = new Date();
+  await user.save();
+
+  const revoked = await revokeAllSessions(user._id, "PASSWORD_CHANGED", req.sessionId);
+  await sendMailSafe(passwordChangedEmail(user));
+
+  res.json({ message: "Password changed", revokedSessions: revoked });
+});
+
+// body: { token } (from the lockout email)
+exports.unlockAccount = asyncHandler(async (req, res) => {
+  const token = String(req.body?.token || "");
+  if (!token) throw new AppError("token required", 400);
+
+  const user = await User.findOneAndUpdate(
+    {
+      "accountUnlock.tokenHash": hashToken(token),
+      "accountUnlock.expiresAt": { $gt: new Date() }
+    },
+    { $set: { lockedUntil: null }, $unset: { accountUnlock: 1 } },
+    { new: true }
+  );
+  if (!user) throw new AppError("Invalid or expired unlock link", 400);
+
+  await clearFailures(keys.account(user.email));
+  await recordAudit(req, {
+    action: "auth.account_unlocked",
+    entityType: "User",
+    entityId: user._id,
+    actor: null
+  });
+
+  res.json({ message: "Account unlocked. You can log in now." });
+});
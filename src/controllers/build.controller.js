@@ -0,0 +1,393 @@
+// controllers/build.controller.js
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const asyncHandler = require("../utils/asyncHandler");
+const AppError = require("../utils/AppError");
+const { staffCan } = require("../utils/twoFactor");
+const Build = require("../models/Build");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const { loadBuildParts, checkCompatibility } = require("../utils/buildCompat");
+const { revalidateCartItems, summarizeCartLines } = require("../utils/cart");
+const {
+  computeBundleTotals,
+  computeBundleTags,
+  getBundlesCategoryId,
+  getMixedBrandId,
+} = require("../utils/bundleProduct");
+const { sanitizeSlug, makeUniqueSlug } = require("../utils/productSlug");
+
+const MAX_PARTS = 30;
+const MAX_LINE_QTY = 20;
+const SINGLE_SLOTS = ["CPU", "MOTHERBOARD", "PSU", "CASE", "COOLER"];
+
+// body: { productIds: [...] } (repeat an id for qty) or { items: [{ productId, qty }] }
+const toBuildItems = (body = {}) => {
+  if (Array.isArray(body.items)) return body.items;
+  if (Array.isArray(body.productIds)) {
+    return body.productIds.map((productId) => ({ productId, qty: 1 }));
+  }
+  return [];
+};
+
+const slotsToItems = (build) =>
+  build.slots.map((s) => ({ productId: s.product, qty: s.qty }));
+
+// [{ productId, qty, slot?, note? }] -> build.slots
+// slot comes from the product's category (Category.buildSlot), else OTHER
+async function normalizeSlots(items) {
+  if (!Array.isArray(items)) throw new AppError("items[] required", 400);
+  if (items.length > MAX_PARTS) {
+    throw new AppError("Too many parts in build", 400);
+  }
+
+  for (const it of items) {
+    const qty = Number(it?.qty ?? 1);
+    if (!mongoose.Types.ObjectId.isValid(it?.productId)) {
+      throw new AppError("Invalid productId", 400);
+    }
+    if (!Number.isInteger(qty) || qty < 1 || qty > MAX_LINE_QTY) {
+      throw new AppError(`qty must be between 1 and ${MAX_LINE_QTY}`, 400);
+    }
+  }
+
+  const products = await Product.find({
+    _id: { $in: items.map((it) => it.productId) },
+  })
+    .select("_id title type category")
+    .populate("category", "buildSlot");
+  const map = new Map(products.map((p) => [String(p._id), p]));
+
+  const slots = items.map((it) => {
+    const product = map.get(String(it.productId));
+    if (!product) throw new AppError("Product not found", 404);
+
+    const categorySlot =
+      product.type === "BUNDLE" ? null : product.category?.buildSlot || null;
+    const slot = it.slot ? String(it.slot).toUpperCase() : categorySlot;
+
+    if (categorySlot && slot !== categorySlot) {
+      throw new AppError(
+        `${product.title} belongs in slot ${categorySlot}`,
+        400,
+      );
+    }
+
+    return {
+      slot: slot || "OTHER",
+      product: product._id,
+      qty: Number(it.qty ?? 1),
+      note: String(it.note || "").trim(),
+    };
+  });
+
+  for (const s of SINGLE_SLOTS) {
+    const n = slots.filter((x) => x.slot === s).length;
+    if (n > 1) throw new AppError(`Build can have only one ${s}`, 400);
+  }
+
+  return slots;
+}
+
+// live prices / stock (same rules as cart + product page) + compatibility
+async function priceBuild(build) {
+  const lines = await revalidateCartItems(
+    build.slots.map((s) => ({ product: s.product, qty: s.qty })),
+  );
+
+  const items = build.slots.map((s, i) => ({
+    slot: s.slot,
+    note: s.note,
+    ...lines[i],
+  }));
+
+  const compatibility = build.slots.length
+    ? checkCompatibility(await loadBuildParts(slotsToItems(build)))
+    : null;
+
+  return {
+    items,
+    summary: {
+      ...summarizeCartLines(lines),
+      strikeTotal: lines.reduce(
+        (sum, l) => sum + Number(l.strikePrice || 0) * Number(l.qty || 0),
+        0,
+      ),
+    },
+    compatibility,
+  };
+}
+
+// owner, or staff with `permission` (null => owner only)
+const loadOwnBuild = async (req, permission = "builds.write") => {
+  const build = await Build.findById(req.params.id);
+  if (!build) throw new AppError("Build not found", 404);
+
+  const isOwner = String(build.owner) === String(req.user._id);
+  const isStaff = Boolean(permission) && staffCan(req.user, permission);
+  if (!isOwner && !isStaff) throw new AppError("Forbidden", 403);
+
+  return build;
+};
+
+const newShareSlug = () => crypto.randomBytes(6).toString("base64url");
+
+// ===============================
+// PUBLIC - Compatibility check
+// ===============================
+exports.checkBuild = asyncHandler(async (req, res) => {
+  const items = toBuildItems(req.body);
+  if (!items.length) throw new AppError("productIds[] required", 400);
+  if (items.length > MAX_PARTS) {
+    throw new AppError("Too many parts in build", 400);
+  }
+
+  const parts = await loadBuildParts(items);
+  res.json(checkCompatibility(parts));
+});
+
+// ===============================
+// CUSTOMER - Saved builds
+// ===============================
+exports.myBuilds = asyncHandler(async (req, res) => {
+  const builds = await Build.find({ owner: req.user._id })
+    .populate("slots.product", "title slug images type")
+    .sort("-updatedAt");
+  res.json({ builds });
+});
+
+exports.createBuild = asyncHandler(async (req, res) => {
+  const { name, notes, items, isPublic } = req.body || {};
+  if (!name || !String(name).trim()) {
+    throw new AppError("Build name required", 400);
+  }
+
+  const build = await Build.create({
+    owner: req.user._id,
+    name,
+    notes: notes || "",
+    slots: await normalizeSlots(items || []),
+    isPublic: Boolean(isPublic),
+    shareSlug: isPublic ? newShareSlug() : undefined,
+  });
+
+  res.status(201).json({ build, ...(await priceBuild(build)) });
+});
+
+exports.getBuild = asyncHandler(async (req, res) => {
+  const build = await loadOwnBuild(req, "builds.read");
+  res.json({ build, ...(await priceBuild(build)) });
+});
+
+exports.updateBuild = asyncHandler(async (req, res) => {
+  const build = await loadOwnBuild(req);
+  const { name, notes, items } = req.body || {};
+
+  if (name !== undefined) {
+    if (!String(name).trim()) throw new AppError("Build name required", 400);
+    build.name = name;
+  }
+  if (notes !== undefined) build.notes = notes;
+  if (items !== undefined) build.slots = await normalizeSlots(items);
+
+  await build.save();
+  res.json({ build, ...(await priceBuild(build)) });
+});
+
+exports.deleteBuild = asyncHandler(async (req, res) => {
+  const build = await loadOwnBuild(req);
+  await build.deleteOne();
+  res.json({ message: "Build deleted" });
+});
+
+// body: { isPublic } — the slug survives turning sharing off and on again
+exports.setSharing = asyncHandler(async (req, res) => {
+  const build = await loadOwnBuild(req);
+
+  build.isPublic = Boolean(req.body?.isPublic);
+  if (build.isPublic && !build.shareSlug) build.shareSlug = newShareSlug();
+
+  await build.save();
+  res.json({ build });
+});
+
+// ===============================
+// PUBLIC - Shared build (read-only, owner hidden)
+// ===============================
+exports.getSharedBuild = asyncHandler(async (req, res) => {
+  const build = await Build.findOne({
+    shareSlug: req.params.slug,
+    isPublic: true,
+  });
+  if (!build) throw new AppError("Build not found", 404);
+
+  const { owner, ...shared } = build.toObject();
+  res.json({ build: shared, ...(await priceBuild(build)) });
+});
+
+// copy someone's shared build into my builds
+exports.copySharedBuild = asyncHandler(async (req, res) => {
+  const src = await Build.findOne({
+    shareSlug: req.params.slug,
+    isPublic: true,
+  });
+  if (!src) throw new AppError("Build not found", 404);
+
+  const build = await Build.create({
+    owner: req.user._id,
+    name: req.body?.name || `${src.name} (copy)`,
+    notes: src.notes,
+    slots: src.slots.map((s) => s.toObject()),
+  });
+
+  res.status(201).json({ build, ...(await priceBuild(build)) });
+});
+
+// ===============================
+// CUSTOMER - Checkout this build
+// Runs before orderController.createOrder (same route): swaps the body for
+// the build's parts so pricing / stock / coupon logic stays in one place.
+// ===============================
+exports.prepareCheckout = asyncHandler(async (req, res, next) => {
+  const build = await loadOwnBuild(req, null);
+  if (!build.slots.length) throw new AppError("Build is empty", 400);
+
+  const {
+    addressId,
+    shippingAddress,
+    paymentMethod,
+    couponCode,
+    ignoreCompatibility,
+  } = req.body || {};
+
+  if (!ignoreCompatibility) {
+    const report = checkCompatibility(
+      await loadBuildParts(slotsToItems(build)),
+    );
+    if (!report.compatible) {
+      throw new AppError(
+        `Build has incompatible parts: ${report.incompatibilities
+          .map((x) => x.message)
+          .join("; ")}`,
+        409,
+      );
+    }
+  }
+
+  req.build = build;
+  req.body = {
+    addressId,
+    shippingAddress,
+    paymentMethod,
+    couponCode,
+    items: slotsToItems(build),
+  };
+  next();
+});
+
+// ===============================
+// ADMIN - Popular builds (by orders placed from them)
+// ===============================
+exports.adminPopularBuilds = asyncHandler(async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+  const rows = await Order.aggregate([
+    { $match: { buildId: { $ne: null }, status: { $ne: "CANCELLED" } } },
+    {
+      $group: {
+        _id: "$buildId",
+        orders: { $sum: 1 },
+        revenue: { $sum: "$totalAmount" },
+        lastOrderAt: { $max: "$createdAt" },
+      },
+    },
+    { $sort: { orders: -1, lastOrderAt: -1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: "builds",
+        localField: "_id",
+        foreignField: "_id",
+        as: "build",
+      },
+    },
+    { $unwind: "$build" },
+  ]);
+
+  res.json({ builds: rows });
+});
+
+// ===============================
+// ADMIN - Turn a build into a BUNDLE product
+// body: { title, price, discountPrice, images?, isActive? }
+// ===============================
+exports.adminConvertToBundle = asyncHandler(async (req, res) => {
+  const { title, price, discountPrice, images, isActive } = req.body || {};
+
+  const build = await Build.findById(req.params.id);
+  if (!build) throw new AppError("Build not found", 404);
+  if (build.bundleProduct) {
+    throw new AppError("Build already converted to a bundle", 400);
+  }
+
+  // same product in two slots => one bundle line
+  const qtyById = new Map();
+  for (const s of build.slots) {
+    const id = String(s.product);
+    qtyById.set(id, (qtyById.get(id) || 0) + Number(s.qty || 1));
+  }
+  const bundleItems = [...qtyById].map(([product, qty]) => ({ product, qty }));
+
+  if (bundleItems.length < 2) {
+    throw new AppError("Bundle must include at least 2 products", 400);
+  }
+
+  // validates children (active, SINGLE, valid discountPrice)
+  const { sumChildIndividual } = await computeBundleTotals(bundleItems);
+
+  const mrp = Number(price);
+  const dp = Number(discountPrice);
+  const bundleTitle = String(title || build.name).trim();
+
+  if (!Number.isFinite(mrp) || mrp <= 0) {
+    throw new AppError("Bundle price (MRP) is required", 400);
+  }
+  if (!Number.isFinite(dp) || dp <= 0) {
+    throw new AppError("Bundle discountPrice is required", 400);
+  }
+  if (!(mrp < sumChildIndividual)) {
+    throw new AppError(
+      `Bundle price must be less than sum of child prices (${sumChildIndividual})`,
+      400,
+    );
+  }
+  if (!(dp < mrp)) {
+    throw new AppError(
+      "Bundle discountPrice must be less than bundle price",
+      400,
+    );
+  }
+
+  const { slug: baseSlug } = sanitizeSlug(bundleTitle);
+
+  const product = await Product.create({
+    title: bundleTitle,
+    slug: await makeUniqueSlug(baseSlug),
+    description: "",
+    price: mrp,
+    discountPrice: dp,
+    category: await getBundlesCategoryId(),
+    brand: await getMixedBrandId(),
+    type: "BUNDLE",
+    bundleItems,
+    tags: await computeBundleTags(bundleItems),
+    images: Array.isArray(images) ? images : [],
+    stock: 0,
+    isActive: isActive ?? false, // review images/copy before going live
+  });
+
+  build.bundleProduct = product._id;
+  await build.save();
+
+  res.status(201).json({ product, build });
+});
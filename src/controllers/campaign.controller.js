@@ -0,0 +1,332 @@
+// controllers/campaign.controller.js
+// Scheduled sales / flash sales: /api/campaigns
+const mongoose = require("mongoose");
+const asyncHandler = require("../utils/asyncHandler");
+const AppError = require("../utils/AppError");
+const Campaign = require("../models/Campaign");
+const Product = require("../models/Product");
+const {
+  getFinalUnitPrice,
+  getTimedOfferPriceIfActive,
+  getOfferUnitPrice,
+} = require("../utils/pricing");
+const {
+  refreshCampaignCache,
+  getLiveCampaigns,
+  campaignUnitPrice,
+  campaignProductFilter,
+  resolveCategoryScope,
+} = require("../utils/campaigns");
+const { round2 } = require("../utils/coupon");
+const { emitEvent } = require("../utils/events");
+
+const STATUSES = ["SCHEDULED", "ACTIVE", "ENDED", "CANCELLED"];
+const PRICING_TYPES = ["PERCENT", "FIXED_PRICE"];
+const MAX_SELECTOR_IDS = 500;
+
+const parseDate = (v, label) => {
+  const d = new Date(v);
+  if (v == null || v === "" || Number.isNaN(d.getTime())) {
+    throw new AppError(`${label} must be a valid date`, 400);
+  }
+  return d;
+};
+
+// null / "" => unlimited
+const parseCap = (v, label) => {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1) {
+    throw new AppError(`${label} must be a whole number (1 or more)`, 400);
+  }
+  return n;
+};
+
+const parseIds = (v, label) => {
+  const list = v == null ? [] : Array.isArray(v) ? v : [v];
+  if (list.length > MAX_SELECTOR_IDS) {
+    throw new AppError(`Up to ${MAX_SELECTOR_IDS} ${label}`, 400);
+  }
+  const ids = [...new Set(list.map((x) => String(x?._id ?? x)))];
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new AppError(`Invalid id in ${label}`, 400);
+  }
+  return ids.map((id) => new mongoose.Types.ObjectId(id));
+};
+
+// body -> campaign fields; partial for updates (existing fills the gaps)
+async function normalizeCampaignInput(body = {}, existing = null) {
+  const has = (k) => body[k] !== undefined;
+  const out = {};
+
+  if (!existing || has("name")) {
+    out.name = String(body.name || "").trim();
+    if (!out.name) throw new AppError("name is required", 400);
+    if (out.name.length > 120) throw new AppError("name is too long", 400);
+  }
+  if (has("description")) {
+    out.description = String(body.description || "")
+      .trim()
+      .slice(0, 1000);
+  }
+
+  if (!existing || has("startAt")) {
+    out.startAt = parseDate(body.startAt, "startAt");
+  }
+  if (!existing || has("endAt")) {
+    out.endAt = parseDate(body.endAt, "endAt");
+  }
+  const startAt = out.startAt || existing.startAt;
+  const endAt = out.endAt || existing.endAt;
+  if (!(endAt > startAt)) {
+    throw new AppError("endAt must be after startAt", 400);
+  }
+
+  if (!existing || has("selectors")) {
+    const s = body.selectors || {};
+    out.selectors = {
+      products: parseIds(s.products, "products"),
+      categories: parseIds(s.categories, "categories"),
+      brands: parseIds(s.brands, "brands"),
+    };
+    const { products, categories, brands } = out.selectors;
+    if (!products.length && !categories.length && !brands.length) {
+      throw new AppError("Select at least one product, category or brand", 400);
+    }
+    out.categoryScope = await resolveCategoryScope(categories);
+  }
+
+  if (!existing || has("pricing")) {
+    const type = String(body.pricing?.type || "").toUpperCase();
+    const value = Number(body.pricing?.value);
+    if (!PRICING_TYPES.includes(type)) {
+      throw new AppError("pricing.type must be PERCENT or FIXED_PRICE", 400);
+    }
+    if (type === "PERCENT" && !(value > 0 && value < 100)) {
+      throw new AppError("PERCENT value must be between 1 and 99", 400);
+    }
+    if (type === "FIXED_PRICE" && !(value > 0)) {
+      throw new AppError("FIXED_PRICE value must be greater than 0", 400);
+    }
+    out.pricing = { type, value: round2(value) };
+  }
+
+  if (has("totalUnits")) {
+    out.totalUnits = parseCap(body.totalUnits, "totalUnits");
+  }
+  if (has("perCustomerLimit")) {
+    out.perCustomerLimit = parseCap(body.perCustomerLimit, "perCustomerLimit");
+  }
+  if (
+    existing &&
+    out.totalUnits != null &&
+    out.totalUnits < Number(existing.soldUnits || 0)
+  ) {
+    throw new AppError(
+      `totalUnits can't be below units already sold (${existing.soldUnits})`,
+      400,
+    );
+  }
+
+  return out;
+}
+
+const loadCampaign = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError("Campaign not found", 404);
+  }
+  const campaign = await Campaign.findById(id);
+  if (!campaign) throw new AppError("Campaign not found", 404);
+  return campaign;
+};
+
+// pricing reads the in-memory list; reload it and re-run wishlist alerts
+const afterCampaignChange = async (campaign) => {
+  await refreshCampaignCache();
+  const productIds = await Product.distinct("_id", {
+    isActive: true,
+    ...campaignProductFilter(campaign),
+  });
+  if (productIds.length) emitEvent("price.changed", { productIds });
+};
+
+// ===============================
+// PUBLIC
+// ===============================
+// GET /api/campaigns/live (storefront banners / countdowns)
+exports.listLiveCampaigns = asyncHandler(async (req, res) => {
+  const campaigns = getLiveCampaigns().map((c) => ({
+    _id: c._id,
+    name: c.name,
+    startAt: c.startAt,
+    endAt: c.endAt,
+    pricing: c.pricing,
+  }));
+  res.json({ campaigns });
+});
+
+// ===============================
+// ADMIN
+// ===============================
+// ?status=ACTIVE&search=&page=&limit=
+exports.adminListCampaigns = asyncHandler(async (req, res) => {
+  const filter = {};
+  const status = String(req.query.status || "").toUpperCase();
+  if (status) {
+    if (!STATUSES.includes(status)) throw new AppError("Invalid status", 400);
+    filter.status = status;
+  }
+  const search = String(req.query.search || "").trim();
+  if (search) {
+    filter.name = {
+      $regex: search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+      $options: "i",
+    };
+  }
+
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+  const [campaigns, total] = await Promise.all([
+    Campaign.find(filter)
+      .select("-categoryScope")
+      .sort("-startAt")
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Campaign.countDocuments(filter),
+  ]);
+
+  const pages = Math.max(Math.ceil(total / limit), 1);
+  res.json({
+    campaigns,
+    meta: {
+      total,
+      page,
+      limit,
+      pages,
+      hasPrev: page > 1,
+      hasNext: page < pages,
+    },
+  });
+});
+
+exports.adminGetCampaign = asyncHandler(async (req, res) => {
+  const campaign = await loadCampaign(req.params.id);
+  await campaign.populate([
+    { path: "selectors.products", select: "title slug type" },
+    { path: "selectors.categories", select: "name slug" },
+    { path: "selectors.brands", select: "name slug" },
+    { path: "createdBy", select: "name email" },
+  ]);
+  res.json({ campaign });
+});
+
+exports.adminCreateCampaign = asyncHandler(async (req, res) => {
+  const data = await normalizeCampaignInput(req.body);
+  const campaign = await Campaign.create({ ...data, createdBy: req.user._id });
+
+  await afterCampaignChange(campaign);
+  res.status(201).json({ campaign });
+});
+
+// ENDED / CANCELLED campaigns are history (orders reference them)
+exports.adminUpdateCampaign = asyncHandler(async (req, res) => {
+  const campaign = await loadCampaign(req.params.id);
+  if (["ENDED", "CANCELLED"].includes(campaign.status)) {
+    throw new AppError(`Cannot edit a ${campaign.status} campaign`, 400);
+  }
+
+  campaign.set(await normalizeCampaignInput(req.body, campaign));
+  await campaign.save();
+
+  await afterCampaignChange(campaign);
+  res.json({ campaign });
+});
+
+exports.adminCancelCampaign = asyncHandler(async (req, res) => {
+  const campaign = await loadCampaign(req.params.id);
+  if (["ENDED", "CANCELLED"].includes(campaign.status)) {
+    throw new AppError(`Campaign is already ${campaign.status}`, 400);
+  }
+
+  campaign.status = "CANCELLED";
+  campaign.cancelledAt = new Date();
+  await campaign.save();
+
+  await refreshCampaignCache();
+  res.json({ campaign });
+});
+
+// ===============================
+// PREVIEW: affected products + resulting prices
+// GET /:id/preview (saved) | POST /preview (unsaved body)  ?page=&limit=
+// ===============================
+async function previewCampaign(campaign, req) {
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  const filter = { isActive: true, ...campaignProductFilter(campaign) };
+
+  const [products, total] = await Promise.all([
+    Product.find(filter)
+      .select(
+        "_id title slug type price discountPrice timedOffer category brand",
+      )
+      .sort("title")
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Product.countDocuments(filter),
+  ]);
+
+  const rows = products.map((p) => {
+    const regularPrice = getFinalUnitPrice(p);
+    const ownPrice = getTimedOfferPriceIfActive(p) ?? regularPrice;
+    const campaignPrice = campaignUnitPrice(campaign, regularPrice);
+    const current = getOfferUnitPrice(p);
+
+    return {
+      _id: p._id,
+      title: p.title,
+      slug: p.slug,
+      type: p.type || "SINGLE",
+      price: Number(p.price || 0),
+      regularPrice,
+      ownPrice, // incl. a live timed offer
+      currentPrice: current.unitPrice, // incl. other live campaigns
+      campaignPrice,
+      discountPercent:
+        p.price > 0 ? Math.round((1 - campaignPrice / p.price) * 100) : 0,
+      // false: the product's own offer is already cheaper
+      applies: campaignPrice < ownPrice,
+      overriddenBy:
+        current.campaign &&
+        String(current.campaign._id) !== String(campaign._id)
+          ? { _id: current.campaign._id, name: current.campaign.name }
+          : null,
+    };
+  });
+
+  const pages = Math.max(Math.ceil(total / limit), 1);
+  return {
+    products: rows,
+    meta: {
+      total,
+      page,
+      limit,
+      pages,
+      hasPrev: page > 1,
+      hasNext: page < pages,
+    },
+  };
+}
+
+exports.adminPreviewCampaign = asyncHandler(async (req, res) => {
+  const campaign = await loadCampaign(req.params.id);
+  res.json(await previewCampaign(campaign, req));
+});
+
+exports.adminPreviewDraft = asyncHandler(async (req, res) => {
+  const draft = await normalizeCampaignInput(req.body);
+  res.json(await previewCampaign(draft, req));
+});
@@ -0,0 +1,219 @@
+const mongoose = require("mongoose");
+const asyncHandler = require("../utils/asyncHandler");
+const AppError = require("../utils/AppError");
+const Cart = require("../models/Cart");
+const { loadProductForOrder, getAvailableStock } = require("../utils/stock");
+const {
+  getCurrentUnitPrice,
+  revalidateCartItems,
+  summarizeCartLines,
+} = require("../utils/cart");
+
+const MAX_LINE_QTY = 20;
+
+const getOrCreateCart = async (userId) => {
+  let cart = await Cart.findOne({ user: userId });
+  if (!cart) cart = await Cart.create({ user: userId, items: [] });
+  return cart;
+};
+
+const buildCartResponse = async (cart) => {
+  const lines = await revalidateCartItems(cart.items);
+  return { cart, items: lines, summary: summarizeCartLines(lines) };
+};
+
+// loads an active product and checks the requested qty against live stock
+const loadSellableProduct = async (productId, qty) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw new AppError("Invalid productId", 400);
+  }
+  if (!Number.isInteger(qty) || qty < 1 || qty > MAX_LINE_QTY) {
+    throw new AppError(`qty must be between 1 and ${MAX_LINE_QTY}`, 400);
+  }
+
+  const product = await loadProductForOrder(productId);
+  if (!product) throw new AppError("Product not found", 404);
+  if (!product.isActive) {
+    throw new AppError(`Product unavailable: ${product.title}`, 400);
+  }
+
+  const available = getAvailableStock(product);
+  if (qty > available) {
+    throw new AppError(
+      available > 0
+        ? `Only ${available} left in stock for ${product.title}`
+        : `Out of stock: ${product.title}`,
+      400,
+    );
+  }
+
+  return product;
+};
+
+const setLine = (cart, product, qty) => {
+  const { unitPrice, offer } = getCurrentUnitPrice(product);
+  const line = cart.items.find((x) => String(x.product) === String(product._id));
+
+  if (line) {
+    line.qty = qty;
+    line.priceSnapshot = unitPrice;
+    line.offerSnapshot = offer;
+  } else {
+    cart.items.push({
+      product: product._id,
+      qty,
+      priceSnapshot: unitPrice,
+      offerSnapshot: offer,
+    });
+  }
+};
+
+// GET /api/cart
+exports.getMyCart = asyncHandler(async (req, res) => {
+  const cart = await getOrCreateCart(req.user._id);
+  res.json(await buildCartResponse(cart));
+});
+
+// POST /api/cart/items  { productId, qty }
+exports.addItem = asyncHandler(async (req, res) => {
+  const { productId } = req.body;
+  const addQty = Number(req.body.qty ?? 1);
+  if (!Number.isInteger(addQty) || addQty < 1) {
+    throw new AppError("Invalid quantity", 400);
+  }
+
+  const cart = await getOrCreateCart(req.user._id);
+  const existing = cart.items.find(
+    (x) => String(x.product) === String(productId),
+  );
+
+  const nextQty = Number(existing?.qty || 0) + addQty;
+  const product = await loadSellableProduct(productId, nextQty);
+
+  setLine(cart, product, nextQty);
+  await cart.save();
+
+  res.status(200).json(await buildCartResponse(cart));
+});
+
+// PATCH /api/cart/items/:productId  { qty }  (qty 0 => remove)
+exports.updateItem = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const qty = Number(req.body.qty);
+
+  const cart = await getOrCreateCart(req.user._id);
+  const idx = cart.items.findIndex(
+    (x) => String(x.product) === String(productId),
+  );
+  if (idx < 0) throw new AppError("Item not found in cart", 404);
+
+  if (qty === 0) {
+    cart.items.splice(idx, 1);
+  } else {
+    const product = await loadSellableProduct(productId, qty);
+    setLine(cart, product, qty);
+  }
+
+  await cart.save();
+  res.json(await buildCartResponse(cart));
+});
+
+// DELETE /api/cart/items/:productId
+exports.removeItem = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const cart = await getOrCreateCart(req.user._id);
+
+  const before = cart.items.length;
+  cart.items = cart.items.filter(
+    (x) => String(x.product) !== String(productId),
+  );
+
+  if (cart.items.length === before) {
+    throw new AppError("Item not found in cart", 404);
+  }
+
+  await cart.save();
+  res.json(await buildCartResponse(cart));
+});
+
+// DELETE /api/cart
+exports.clearCart = asyncHandler(async (req, res) => {
+  const cart = await getOrCreateCart(req.user._id);
+  cart.items = [];
+  await cart.save();
+
+  res.json(await buildCartResponse(cart));
+});
+
+// POST /api/cart/merge  { items: [{ productId, qty }] }
+// Called right after login with the guest (localStorage) cart.
+// For products present in both carts the larger qty wins; qty is capped to stock.
+exports.mergeGuestCart = asyncHandler(async (req, res) => {
+  const { items } = req.body || {};
+  if (!Array.isArray(items)) throw new AppError("items[] required", 400);
+
+  const cart = await getOrCreateCart(req.user._id);
+  const skipped = [];
+
+  for (const x of items) {
+    const pid = String(x?.productId || "");
+    const qty = Math.floor(Number(x?.qty || 0));
+    if (!mongoose.Types.ObjectId.isValid(pid) || qty <= 0) continue;
+
+    const product = await loadProductForOrder(pid);
+    if (!product || !product.isActive) {
+      skipped.push({ productId: pid, reason: "UNAVAILABLE" });
+      continue;
+    }
+
+    const existing = cart.items.find((l) => String(l.product) === pid);
+    const wanted = Math.min(
+      Math.max(qty, Number(existing?.qty || 0)),
+      MAX_LINE_QTY,
+    );
+    const finalQty = Math.min(wanted, getAvailableStock(product));
+
+    if (finalQty <= 0) {
+      skipped.push({ productId: pid, reason: "OUT_OF_STOCK" });
+      continue;
+    }
+
+    setLine(cart, product, finalQty);
+  }
+
+  await cart.save();
+  res.json({ ...(await buildCartResponse(cart)), skipped });
+});
+
+// POST /api/cart/refresh
+// Customer acknowledged the flagged changes: take current prices,
+// cap qty to what is in stock and drop lines that can no longer be bought.
+exports.refreshCart = asyncHandler(async (req, res) => {
+  const cart = await getOrCreateCart(req.user._id);
+  const lines = await revalidateCartItems(cart.items);
+
+  const next = [];
+  for (const l of lines) {
+    const unavailable = l.issues.some((i) =>
+      ["UNAVAILABLE", "OUT_OF_STOCK"].includes(i.code),
+    );
+    if (unavailable) continue;
+
+    const prev = cart.items.find(
+      (x) => String(x.product) === String(l.productId),
+    );
+
+    next.push({
+      product: l.productId,
+      qty: Math.min(l.qty, l.availableStock),
+      priceSnapshot: l.unitPrice,
+      offerSnapshot: l.offer,
+      addedAt: prev?.addedAt || new Date(),
+    });
+  }
+
+  cart.items = next;
+  await cart.save();
+
+  res.json(await buildCartResponse(cart));
+});
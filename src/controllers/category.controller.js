@@ -1,6 +1,24 @@
+const mongoose = require("mongoose");
 const asyncHandler = require("../utils/asyncHandler");
 const AppError = require("../utils/AppError");
 const Category = require("../models/Category");
+const Product = require("../models/Product");
+const Brand = require("../models/Brands");
+const Coupon = require("../models/Coupon");
+const Campaign = require("../models/Campaign");
+const { cloudinary } = require("../config/cloudinary");
+const { normalizeAttributeDefinitions } = require("../utils/attributes");
+const {
+  buildCategoryTree,
+  resolveParent,
+  ancestorsUnder,
+  rewriteDescendantPaths,
+  getBreadcrumbs,
+} = require("../utils/categoryTree");
+const {
+  refreshCampaignCache,
+  refreshCategoryScopes,
+} = require("../utils/campaigns");
 
 const slugify = (s) =>
   s
@@ -10,9 +28,11 @@ const slugify = (s) =>
     .replace(/\s+/g, "-")
     .replace(/[^\w-]+/g, "");
 
+// ?flat=true keeps the old flat list (admin selects)
 exports.getAll = asyncHandler(async (req, res) => {
-  const categories = await Category.find().sort("name");
-  res.json({ categories });
+  const categories = await Category.find().sort("name").lean();
+  if (req.query.flat === "true") return res.json({ categories });
+  res.json({ categories: buildCategoryTree(categories) });
 });
 
 exports.getBySlug = asyncHandler(async (req, res) => {
@@ -21,41 +41,238 @@ exports.getBySlug = asyncHandler(async (req, res) => {
     .trim();
   const category = await Category.findOne({ slug });
   if (!category) throw new AppError("Category not found", 404);
-  res.json({ category });
+
+  const [breadcrumbs, children] = await Promise.all([
+    getBreadcrumbs(category),
+    Category.find({ parent: category._id })
+      .select("_id name slug image order")
+      .sort("order name"),
+  ]);
+
+  res.json({ category, breadcrumbs, children });
 });
 
 exports.create = asyncHandler(async (req, res) => {
-  const { name, description } = req.body;
+  const {
+    name,
+    description,
+    hsnCode,
+    gstRate,
+    buildSlot,
+    attributes,
+    parent,
+    order,
+    image,
+  } = req.body;
   if (!name) throw new AppError("Category name required", 400);
 
+  const parentDoc = await resolveParent(parent);
+
   const slug = slugify(name);
   const cat = await Category.create({
     name,
     slug,
     description: description || "",
+    parent: parentDoc?._id || null,
+    ancestors: ancestorsUnder(parentDoc),
+    order: Number(order) || 0,
+    image: image?.url ? image : undefined,
+    hsnCode: hsnCode || "",
+    gstRate: gstRate ?? null,
+    buildSlot: buildSlot || null,
+    attributes: normalizeAttributeDefinitions(attributes),
   });
+
+  // campaigns on a parent category now cover this one too
+  await refreshCategoryScopes(cat.ancestors);
+
   res.status(201).json({ category: cat });
 });
 
 exports.update = asyncHandler(async (req, res) => {
-  const { name, description } = req.body;
-  const update = {};
+  const {
+    name,
+    description,
+    hsnCode,
+    gstRate,
+    buildSlot,
+    attributes,
+    parent,
+    order,
+    image,
+  } = req.body;
+
+  const cat = await Category.findById(req.params.id);
+  if (!cat) throw new AppError("Category not found", 404);
+
+  const oldImageId = cat.image?.public_id || null;
+
   if (name) {
-    update.name = name;
-    update.slug = slugify(name);
+    cat.name = name;
+    cat.slug = slugify(name);
   }
-  if (description !== undefined) update.description = description;
+  if (description !== undefined) cat.description = description;
+  if (order !== undefined) cat.order = Number(order) || 0;
+  if (hsnCode !== undefined) cat.hsnCode = hsnCode;
+  if (gstRate !== undefined) cat.gstRate = gstRate;
+  if (buildSlot !== undefined) cat.buildSlot = buildSlot || null;
+  // existing product values are not rewritten; they re-validate on next edit
+  if (attributes !== undefined) {
+    cat.attributes = normalizeAttributeDefinitions(attributes);
+  }
+  if (image?.url) cat.image = image;
 
-  const cat = await Category.findByIdAndUpdate(req.params.id, update, {
-    new: true,
-  });
-  if (!cat) throw new AppError("Category not found", 404);
+  // ✅ move in the tree (not under itself / its own subtree)
+  let moved = false;
+  if (parent !== undefined) {
+    const parentDoc = await resolveParent(parent);
+    if (
+      parentDoc &&
+      (parentDoc._id.equals(cat._id) ||
+        parentDoc.ancestors.some((a) => a.equals(cat._id)))
+    ) {
+      throw new AppError("Category cannot be moved under itself", 400);
+    }
+
+    const nextParent = parentDoc?._id || null;
+    moved = String(nextParent) !== String(cat.parent || null);
+    cat.parent = nextParent;
+    cat.ancestors = ancestorsUnder(parentDoc);
+  }
+
+  await cat.save();
+  if (moved) {
+    await rewriteDescendantPaths(cat);
+    // old campaigns still list cat in their scope; new ones list a new ancestor
+    await refreshCategoryScopes([cat._id, ...cat.ancestors]);
+  }
+
+  // ✅ delete replaced image
+  if (oldImageId && image?.public_id && image.public_id !== oldImageId) {
+    await cloudinary.uploader.destroy(oldImageId, { resource_type: "image" });
+  }
 
   res.json({ category: cat });
 });
 
+// ?reassignTo=<id|slug> moves products + subcategories there first;
+// without it a non-empty category is refused (no orphaned products)
 exports.remove = asyncHandler(async (req, res) => {
-  const cat = await Category.findByIdAndDelete(req.params.id);
+  const cat = await Category.findById(req.params.id);
   if (!cat) throw new AppError("Category not found", 404);
-  res.json({ message: "Category deleted" });
+
+  const [childCount, productCount] = await Promise.all([
+    Category.countDocuments({ parent: cat._id }),
+    Product.countDocuments({ category: cat._id }),
+  ]);
+
+  const reassignTo = req.query.reassignTo || req.body?.reassignTo;
+  if ((childCount || productCount) && !reassignTo) {
+    throw new AppError(
+      `Category has ${childCount} subcategories and ${productCount} products; pass reassignTo to move them`,
+      409,
+    );
+  }
+
+  let target = null;
+  if (reassignTo) {
+    target = await resolveParent(reassignTo, "reassignTo category not found");
+    if (
+      target._id.equals(cat._id) ||
+      target.ancestors.some((a) => a.equals(cat._id))
+    ) {
+      throw new AppError("Cannot reassign into the deleted category", 400);
+    }
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let movedChildIds = [];
+  try {
+    if (target) {
+      await Product.updateMany(
+        { category: cat._id },
+        { $set: { category: target._id } },
+        { session },
+      );
+
+      const children = await Category.find({ parent: cat._id }).session(
+        session,
+      );
+      movedChildIds = children.map((c) => c._id);
+      for (const child of children) {
+        child.parent = target._id;
+        child.ancestors = ancestorsUnder(target);
+        await child.save({ session });
+        await rewriteDescendantPaths(child, session);
+      }
+
+      await Brand.updateMany(
+        { categories: cat._id },
+        { $addToSet: { categories: target._id } },
+        { session },
+      );
+    }
+
+    await Brand.updateMany(
+      { categories: cat._id },
+      { $pull: { categories: cat._id } },
+      { session },
+    );
+
+    // a coupon limited to just this category would become storewide
+    await Coupon.updateMany(
+      { "restrictions.categories": { $eq: [cat._id] } },
+      { $set: { isActive: false } },
+      { session },
+    );
+    await Coupon.updateMany(
+      { "restrictions.categories": cat._id },
+      { $pull: { "restrictions.categories": cat._id } },
+      { session },
+    );
+
+    await Campaign.updateMany(
+      {
+        $or: [{ "selectors.categories": cat._id }, { categoryScope: cat._id }],
+      },
+      {
+        $pull: { "selectors.categories": cat._id, categoryScope: cat._id },
+      },
+      { session },
+    );
+
+    await cat.deleteOne({ session });
+
+    await session.commitTransaction();
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+
+  // moved subcategories leave / join campaign scopes
+  if (target) {
+    await refreshCategoryScopes([
+      ...movedChildIds,
+      target._id,
+      ...target.ancestors,
+    ]);
+  }
+  await refreshCampaignCache();
+
+  if (cat.image?.public_id) {
+    await cloudinary.uploader.destroy(cat.image.public_id, {
+      resource_type: "image",
+    });
+  }
+
+  res.json({
+    message: "Category deleted",
+    moved: target
+      ? { products: productCount, subcategories: childCount }
+      : null,
+  });
 });
@@ -0,0 +1,158 @@
+const mongoose = require("mongoose");
+const asyncHandler = require("../utils/asyncHandler");
+const AppError = require("../utils/AppError");
+const Coupon = require("../models/Coupon");
+const Cart = require("../models/Cart");
+const Product = require("../models/Product");
+const { getCurrentUnitPrice } = require("../utils/cart");
+const { normalizeCouponCode, evaluateCoupon } = require("../utils/coupon");
+
+const ALLOWED_FIELDS = [
+  "code",
+  "description",
+  "type",
+  "value",
+  "minOrderValue",
+  "maxDiscount",
+  "usageLimit",
+  "perUserLimit",
+  "startAt",
+  "endAt",
+  "restrictions",
+  "isActive",
+];
+
+const pickCouponFields = (body = {}) => {
+  const out = {};
+  for (const k of ALLOWED_FIELDS) {
+    if (k in body) out[k] = body[k];
+  }
+  if ("code" in out) out.code = normalizeCouponCode(out.code);
+  return out;
+};
+
+// POST /api/coupons/validate  { code, items?: [{ productId, qty }], fromCart?: true }
+exports.validateCoupon = asyncHandler(async (req, res) => {
+  const { code, fromCart } = req.body || {};
+  if (!code) throw new AppError("code is required", 400);
+
+  let items = req.body.items;
+  if (fromCart) {
+    const cart = await Cart.findOne({ user: req.user._id });
+    items = (cart?.items || []).map((it) => ({
+      productId: it.product,
+      qty: it.qty,
+    }));
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError("Cart items required", 400);
+  }
+
+  const ids = items
+    .map((x) => String(x?.productId || ""))
+    .filter((x) => mongoose.Types.ObjectId.isValid(x));
+
+  const products = await Product.find({
+    _id: { $in: ids },
+    isActive: true,
+  }).select("_id title price discountPrice type category brand timedOffer");
+  const map = new Map(products.map((p) => [String(p._id), p]));
+
+  const lines = [];
+  for (const x of items) {
+    const product = map.get(String(x?.productId));
+    const qty = Number(x?.qty || 0);
+    if (!product || qty <= 0) continue;
+
+    lines.push({
+      productId: product._id,
+      categoryId: product.category,
+      brandId: product.brand,
+      type: product.type || "SINGLE",
+      priceSnapshot: getCurrentUnitPrice(product).unitPrice,
+      qty,
+    });
+  }
+
+  if (!lines.length) throw new AppError("No valid items", 400);
+
+  const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) });
+  const result = await evaluateCoupon(coupon, {
+    userId: req.user._id,
+    lines,
+  });
+
+  res.json({
+    valid: true,
+    coupon: {
+      code: coupon.code,
+      description: coupon.description,
+      type: coupon.type,
+      value: coupon.value,
+    },
+    subtotal: result.subtotal,
+    eligibleSubtotal: result.eligibleSubtotal,
+    discount: result.discount,
+    total: Math.max(result.subtotal - result.discount, 0),
+    lines: lines.map((l, i) => ({
+      productId: l.productId,
+      qty: l.qty,
+      unitPrice: l.priceSnapshot,
+      discount: result.lineDiscounts[i],
+    })),
+  });
+});
+
+// ===============================
+// ADMIN
+// ===============================
+exports.adminListCoupons = asyncHandler(async (req, res) => {
+  const search = String(req.query.search || "").trim();
+  const status = String(req.query.status || "").trim();
+
+  const filter = {};
+  if (search) filter.code = { $regex: search, $options: "i" };
+  if (status === "active") filter.isActive = true;
+  if (status === "inactive") filter.isActive = false;
+
+  const coupons = await Coupon.find(filter).sort("-createdAt");
+  res.json({ coupons });
+});
+
+exports.adminCreateCoupon = asyncHandler(async (req, res) => {
+  const data = pickCouponFields(req.body);
+  if (!data.code) throw new AppError("code is required", 400);
+  if (!data.type) throw new AppError("type is required", 400);
+
+  const exists = await Coupon.findOne({ code: data.code });
+  if (exists) throw new AppError("Coupon code already exists", 409);
+
+  const coupon = await Coupon.create(data);
+  res.status(201).json({ coupon });
+});
+
+exports.adminUpdateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) throw new AppError("Coupon not found", 404);
+
+  const data = pickCouponFields(req.body);
+  if (data.code && data.code !== coupon.code) {
+    const exists = await Coupon.findOne({ code: data.code });
+    if (exists) throw new AppError("Coupon code already exists", 409);
+  }
+
+  coupon.set(data);
+  await coupon.save();
+
+  res.json({ coupon });
+});
+
+exports.adminDeleteCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) throw new AppError("Coupon not found", 404);
+
+  // orders keep their own snapshot, so deleting is safe
+  await coupon.deleteOne();
+  res.json({ message: "Coupon deleted" });
+});
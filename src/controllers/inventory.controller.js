@@ -0,0 +1,121 @@
+// controllers/inventory.controller.js
+// Inventory ledger: manual stock adjustments + per-product movement history.
+const mongoose = require("mongoose");
+const asyncHandler = require("../utils/asyncHandler");
+const AppError = require("../utils/AppError");
+const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+const { adjustStock } = require("../utils/stock");
+
+const REASONS = ["SALE", "CANCEL", "RETURN", "ADJUSTMENT", "RECEIPT"];
+
+const parseDate = (v) => {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+// ===============================
+// ADMIN - Adjust stock (damage, stock-take, found units)
+// body: { delta } | { setTo }, reason (required)
+// ===============================
+exports.adjustProductStock = asyncHandler(async (req, res) => {
+  const { delta, setTo } = req.body || {};
+  const reason = String(req.body?.reason || "").trim();
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError("Product not found", 404);
+  }
+  if (!reason) throw new AppError("reason required", 400);
+  if (reason.length > 300) throw new AppError("reason too long", 400);
+  if ((delta === undefined) === (setTo === undefined)) {
+    throw new AppError("Send either delta or setTo", 400);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const result = await adjustStock(
+      req.params.id,
+      { delta, setTo },
+      { actor: req.user._id, note: reason },
+      session,
+    );
+    if (result.delta === 0) throw new AppError("Stock is unchanged", 400);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({ product: result.product, delta: result.delta });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+});
+
+// ===============================
+// ADMIN - Movement history of one product (newest first)
+// ?reason=SALE&orderId=&from=&to=&page=&limit=
+// ===============================
+exports.productStockMovements = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError("Product not found", 404);
+  }
+
+  const product = await Product.findById(req.params.id)
+    .select("_id title slug type stock")
+    .lean();
+  if (!product) throw new AppError("Product not found", 404);
+
+  const filter = { product: product._id };
+
+  const reason = String(req.query.reason || "").toUpperCase();
+  if (reason) {
+    if (!REASONS.includes(reason)) throw new AppError("Invalid reason", 400);
+    filter.reason = reason;
+  }
+  if (req.query.orderId) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.orderId)) {
+      throw new AppError("Invalid orderId", 400);
+    }
+    filter.orderId = req.query.orderId;
+  }
+
+  const from = parseDate(req.query.from);
+  const to = parseDate(req.query.to);
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+
+  const [movements, total] = await Promise.all([
+    StockMovement.find(filter)
+      .populate("actor", "name email role")
+      .populate("bundleId", "title slug")
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    StockMovement.countDocuments(filter),
+  ]);
+
+  const pages = Math.max(Math.ceil(total / limit), 1);
+  res.json({
+    product,
+    movements,
+    meta: {
+      total,
+      page,
+      limit,
+      pages,
+      hasPrev: page > 1,
+      hasNext: page < pages,
+    },
+  });
+});
@@ -0,0 +1,145 @@
+// controllers/notification.controller.js
+// In-app inbox + notification preferences: /api/notifications
+const mongoose = require("mongoose");
+const asyncHandler = require("../utils/asyncHandler");
+const AppError = require("../utils/AppError");
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_CATEGORIES,
+} = require("../config/notifications");
+
+// ?unread=true&category=orders&page=&limit=
+exports.listNotifications = asyncHandler(async (req, res) => {
+  const filter = { userId: req.user._id };
+  if (req.query.unread === "true") filter.readAt = null;
+  if (NOTIFICATION_CATEGORIES.includes(req.query.category)) {
+    filter.category = req.query.category;
+  }
+
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+  const [notifications, total, unread] = await Promise.all([
+    Notification.find(filter)
+      .sort("-createdAt")
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ userId: req.user._id, readAt: null }),
+  ]);
+
+  const pages = Math.max(Math.ceil(total / limit), 1);
+  res.json({
+    notifications,
+    unread,
+    meta: {
+      total,
+      page,
+      limit,
+      pages,
+      hasPrev: page > 1,
+      hasNext: page < pages,
+    },
+  });
+});
+
+exports.unreadCount = asyncHandler(async (req, res) => {
+  const unread = await Notification.countDocuments({
+    userId: req.user._id,
+    readAt: null,
+  });
+  res.json({ unread });
+});
+
+exports.markRead = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError("Notification not found", 404);
+  }
+
+  const notification = await Notification.findOne({
+    _id: req.params.id,
+    userId: req.user._id,
+  });
+  if (!notification) throw new AppError("Notification not found", 404);
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.json({ notification });
+});
+
+exports.markAllRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { userId: req.user._id, readAt: null },
+    { $set: { readAt: new Date() } },
+  );
+  res.json({ updated: result.modifiedCount });
+});
+
+// ===============================
+// Preferences: { email: { orders: true, ... }, inApp: { ... } }
+// ===============================
+const readPreferences = (user) =>
+  Object.fromEntries(
+    NOTIFICATION_CHANNELS.map((ch) => [
+      ch,
+      Object.fromEntries(
+        NOTIFICATION_CATEGORIES.map((c) => [
+          c,
+          user.notificationPreferences?.[ch]?.[c] !== false,
+        ]),
+      ),
+    ]),
+  );
+
+exports.getPreferences = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id)
+    .select("notificationPreferences")
+    .lean();
+  if (!user) throw new AppError("User not found", 404);
+
+  res.json({ preferences: readPreferences(user) });
+});
+
+// partial update: { email: { support: false } }
+exports.updatePreferences = asyncHandler(async (req, res) => {
+  const $set = {};
+  for (const [ch, values] of Object.entries(req.body || {})) {
+    if (!NOTIFICATION_CHANNELS.includes(ch)) {
+      throw new AppError(`Unknown channel: ${ch}`, 400);
+    }
+    if (!values || typeof values !== "object" || Array.isArray(values)) {
+      throw new AppError(`${ch} must be an object`, 400);
+    }
+
+    for (const [c, on] of Object.entries(values)) {
+      if (!NOTIFICATION_CATEGORIES.includes(c)) {
+        throw new AppError(`Unknown category: ${c}`, 400);
+      }
+      if (typeof on !== "boolean") {
+        throw new AppError(`${ch}.${c} must be true or false`, 400);
+      }
+      $set[`notificationPreferences.${ch}.${c}`] = on;
+    }
+  }
+
+  if (!Object.keys($set).length) {
+    throw new AppError("No preferences to update", 400);
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $set },
+    { new: true, runValidators: true },
+  )
+    .select("notificationPreferences")
+    .lean();
+  if (!user) throw new AppError("User not found", 404);
+
+  res.json({ preferences: readPreferences(user) });
+});
@@ -1,245 +1,67 @@
 // controllers/order.controller.js
 const asyncHandler = require("../utils/asyncHandler");
 const AppError = require("../utils/AppError");
+const { staffCan } = require("../utils/twoFactor");
 const Order = require("../models/Order");
 const Product = require("../models/Product");
+const Cart = require("../models/Cart");
+const Coupon = require("../models/Coupon");
 const mongoose = require("mongoose");
 const { deleteUserReviewsForProducts } = require("../utils/reviewCleanup");
-
-// ===== BUNDLE helpers =====
-async function loadProductForOrder(productId, session = null) {
-  let q = Product.findById(productId).select(
-    "_id title price discountPrice isActive type stock bundleItems images timedOffer",
-  );
-
-  if (session) q = q.session(session);
-  return q.populate(
-    "bundleItems.product",
-    "_id title stock isActive type price discountPrice timedOffer",
-  );
-}
-
-function getFinalUnitPrice(product) {
-  const price = Number(product?.price || 0);
-  const dp = product?.discountPrice;
-  const hasDiscount = dp != null && Number(dp) >= 0 && Number(dp) < price;
-  return hasDiscount ? Number(dp) : price;
-}
-
-function getStrikeUnitPrice(product) {
-  if (!product) return 0;
-
-  const type = product.type || "SINGLE";
-  const isBundle = type === "BUNDLE";
-
-  // SINGLE: strike is original MRP (price)
-  if (!isBundle) return Number(product.price || 0);
-
-  // BUNDLE: strike is sum of children (discountPrice if valid else price) * bundle qty
-  const items = Array.isArray(product.bundleItems) ? product.bundleItems : [];
-  if (items.length < 2) return Number(product.price || 0);
-
-  let sum = 0;
-  for (const bi of items) {
-    const q = Number(bi?.qty || 1);
-    const child = bi?.product;
-    if (!child) continue;
-
-    const childPrice = Number(child?.price || 0);
-    const childDp = Number(child?.discountPrice || 0);
-    const childUnit =
-      childDp > 0 && childDp < childPrice ? childDp : childPrice;
-
-    sum += childUnit * (Number.isFinite(q) ? q : 1);
-  }
-
-  return Number.isFinite(sum) ? sum : Number(product.price || 0);
-}
-
-function getTimedOfferPriceIfActive(product) {
-  const now = new Date();
-
-  const to = product?.timedOffer;
-
-  // ✅ match your schema: timedOffer.isActive
-  if (to && to.isActive === true) {
-    const start = to.startAt ? new Date(to.startAt) : null;
-    const end = to.endAt ? new Date(to.endAt) : null;
-
-    // require both dates (your schema validation already enforces it)
-    const within = !!start && !!end && now >= start && now <= end;
-
-    const p = Number(to.price ?? 0);
-
-    if (within && Number.isFinite(p) && p > 0) return p;
-  }
-
-  // (Optional) if you still want legacy flat fields support, keep this:
-  if (product?.timedOfferEnabled) {
-    const start = product?.timedOfferStart
-      ? new Date(product.timedOfferStart)
-      : null;
-    const end = product?.timedOfferEnd ? new Date(product.timedOfferEnd) : null;
-
-    const within = !!start && !!end && now >= start && now <= end;
-    const p = Number(product?.timedOfferPrice ?? 0);
-
-    if (within && Number.isFinite(p) && p > 0) return p;
-  }
-
-  return null;
-}
-
-function getPaidUnitPrice(product) {
-  if (!product) return 0;
-
-  const basePrice = Number(product?.price || 0);
-
-  // ✅ timed offer overrides discountPrice
-  const timed = getTimedOfferPriceIfActive(product);
-  if (timed != null && timed > 0 && timed < basePrice) {
-    return timed;
-  }
-
-  // fallback normal discount
-  return getFinalUnitPrice(product);
-}
-
-// For SINGLE: use product.stock
-// For BUNDLE: compute from children stocks
-function getAvailableStock(product) {
-  if (!product) return 0;
-  if ((product.type || "SINGLE") !== "BUNDLE") {
-    return Math.max(0, Number(product.stock ?? 0));
-  }
-
-  // bundleStock = min( floor(child.stock / childQty) )
-  const items = Array.isArray(product.bundleItems) ? product.bundleItems : [];
-  if (items.length < 2) return 0;
-
-  let min = Infinity;
-
-  for (const bi of items) {
-    const child = bi?.product;
-    const q = Number(bi?.qty || 0);
-
-    if (!child) return 0;
-    if (child.isActive === false) return 0;
-    if ((child.type || "SINGLE") === "BUNDLE") return 0; // prevent nested bundle
-    if (!Number.isFinite(q) || q <= 0) return 0;
-
-    const childStock = Math.max(0, Number(child.stock ?? 0));
-    min = Math.min(min, Math.floor(childStock / q));
-  }
-
-  return Number.isFinite(min) ? Math.max(0, min) : 0;
-}
-
-async function consumeStockOrThrow(product, orderQty, session = null) {
-  const qty = Number(orderQty || 0);
-  if (qty <= 0) throw new AppError("Invalid quantity", 400);
-
-  if ((product.type || "SINGLE") !== "BUNDLE") {
-    const updated = await Product.findOneAndUpdate(
-      { _id: product._id, stock: { $gte: qty }, isActive: true },
-      { $inc: { stock: -qty } },
-      { new: true, session },
-    );
-
-    if (!updated)
-      throw new AppError(`Not enough stock for ${product.title}`, 400);
-    return;
-  }
-
-  const items = Array.isArray(product.bundleItems) ? product.bundleItems : [];
-  if (items.length < 2) throw new AppError("Invalid bundle configuration", 400);
-
-  const bundleStock = getAvailableStock(product);
-  if (bundleStock < qty) {
-    throw new AppError(`Not enough stock for bundle ${product.title}`, 400);
-  }
-
-  const decremented = [];
-
-  try {
-    for (const bi of items) {
-      const child = bi.product;
-      const perBundle = Number(bi.qty || 0);
-      const need = perBundle * qty;
-
-      const ok = await Product.findOneAndUpdate(
-        { _id: child._id, stock: { $gte: need }, isActive: true },
-        { $inc: { stock: -need } },
-        { new: true, session },
-      );
-
-      if (!ok) {
-        throw new AppError(
-          `Not enough stock for bundle item ${child.title}`,
-          400,
-        );
-      }
-
-      decremented.push({ childId: child._id, need });
-    }
-  } catch (err) {
-    if (decremented.length) {
-      const rollbackOps = decremented.map((x) => ({
-        updateOne: {
-          filter: { _id: x.childId },
-          update: { $inc: { stock: x.need } }, // add back what we deducted
-        },
-      }));
-
-      await Product.bulkWrite(rollbackOps, session ? { session } : undefined);
-    }
-    throw err;
-  }
-}
-
-async function restockForOrderLine(productId, qtyToRestock, session = null) {
-  const qty = Number(qtyToRestock || 0);
-  if (qty <= 0) return;
-
-  let q = Product.findById(productId).select("_id type bundleItems");
-  if (session) q = q.session(session);
-  const product = await q.populate("bundleItems.product", "_id");
-
-  if (!product) return;
-
-  if ((product.type || "SINGLE") !== "BUNDLE") {
-    await Product.findByIdAndUpdate(
-      productId,
-      { $inc: { stock: qty } },
-      { session },
-    );
-    return;
-  }
-
-  const items = Array.isArray(product.bundleItems) ? product.bundleItems : [];
-  if (!items.length) return;
-
-  const ops = [];
-  for (const bi of items) {
-    const childId = bi?.product?._id;
-    const perBundle = Number(bi?.qty || 0);
-    if (!childId || perBundle <= 0) continue;
-
-    ops.push({
-      updateOne: {
-        filter: { _id: childId },
-        update: { $inc: { stock: perBundle * qty } },
-      },
-    });
-  }
-
-  if (ops.length) {
-    await Product.bulkWrite(ops, session ? { session } : undefined);
-  }
-}
-
-const calcTotal = (items) =>
-  items.reduce((sum, it) => sum + it.priceSnapshot * it.qty, 0);
+const { getStrikeUnitPrice, getOfferUnitPrice } = require("../utils/pricing");
+const {
+  loadProductForOrder,
+  getAvailableStock,
+  consumeStockOrThrow,
+  restockForOrderLine,
+} = require("../utils/stock");
+const { revalidateCartItems } = require("../utils/cart");
+const {
+  round2,
+  normalizeCouponCode,
+  evaluateCoupon,
+  getLineAmount,
+  reserveCouponUse,
+  releaseCouponUse,
+} = require("../utils/coupon");
+const {
+  calcTotal,
+  recomputeTotalAfterCancel,
+  cancelRefundAmount,
+} = require("../utils/orderTotals");
+const { expireUnpaidOrders } = require("../jobs/expireUnpaidOrders");
+const {
+  isPaidStatus,
+  markPaid,
+  getRefundTotals,
+  syncRefundStatus,
+  buildRefundItems,
+  addRefund,
+} = require("../utils/refunds");
+const {
+  resolveProductTax,
+  buildLineTaxSnapshot,
+  buildOrderTax,
+  isInterStateSupply,
+  ensureInvoiceNumber,
+  addCreditNote,
+} = require("../utils/gst");
+const { renderInvoicePdf, renderCreditNotePdf } = require("../utils/invoicePdf");
+const { resolveShippingAddress } = require("../utils/address");
+const { unitWeightGrams, buildShippingSnapshot } = require("../utils/shipping");
+const {
+  allocatedQtyByProduct,
+  hasLiveShipments,
+  normalizeShipmentItems,
+  assertShipmentTransition,
+  deriveOrderStatus,
+} = require("../utils/shipments");
+const { emitEvent } = require("../utils/events");
+const { unitCostOf } = require("../utils/purchasing");
+const {
+  reserveCampaignUnits,
+  releaseCampaignUnits,
+} = require("../utils/campaigns");
 
 const normId = (v) => String(v || "");
 
@@ -253,15 +75,6 @@ const getEligibleQtyForRR = (it) => {
   );
 };
 
-const recomputeTotalAfterCancel = (order) => {
-  // payable qty excludes cancelledQty (return/replacement does not reduce payable here)
-  const newTotal = order.items.reduce((sum, it) => {
-    const activeQty = Number(it.qty || 0) - Number(it.cancelledQty || 0);
-    return sum + Math.max(activeQty, 0) * Number(it.priceSnapshot || 0);
-  }, 0);
-  order.totalAmount = newTotal;
-};
-
 const isFullyCancelled = (order) =>
   order.items.every(
     (it) => Number(it.cancelledQty || 0) >= Number(it.qty || 0),
@@ -281,7 +94,7 @@ const incSoldCountOnceOnPaidDelivered = async (order) => {
 
   // only when PAID + DELIVERED
   if (order.status !== "DELIVERED") return false;
-  if (order.payment?.status !== "PAID") return false;
+  if (!isPaidStatus(order.payment?.status)) return false;
 
   const bulkOps = (order.items || [])
     .map((it) => {
@@ -344,11 +157,100 @@ const decSoldCount = async (lines = [], session = null) => {
   }
 };
 
+// ✅ replacement cancelled / fully returned => those units are owed back on the ORIGINAL order
+const addParentRefundForReplacement = async (
+  replacementOrder,
+  { source, reason },
+  session = null,
+) => {
+  if (!replacementOrder?.parentOrderId) return;
+
+  let q = Order.findById(replacementOrder.parentOrderId);
+  if (session) q = q.session(session);
+  const parent = await q;
+  if (!parent) return;
+
+  const items = buildRefundItems(
+    parent.items,
+    (replacementOrder.items || []).map((it) => ({
+      productId: it.productId,
+      qty: it.qty,
+    })),
+  );
+
+  if (addRefund(parent, { items, source, reason })) {
+    await parent.save(session ? { session } : undefined);
+  }
+};
+
+// COD collected, best-seller count, GST invoice number (manual status or shipments)
+const applyDeliveredEffects = async (order) => {
+  if (order.payment.method === "COD") markPaid(order);
+
+  // ✅ BEST SELLING COUNT (once, paid + delivered)
+  if (isPaidStatus(order.payment?.status)) {
+    await incSoldCountOnceOnPaidDelivered(order);
+  }
+
+  // ✅ GST invoice number (once, on first delivery)
+  if (!order.isReplacement) await ensureInvoiceNumber(order);
+};
+
+// order.status follows the shipments (SHIPPED / DELIVERED); no-op otherwise
+const syncStatusFromShipments = async (order, note) => {
+  const derived = deriveOrderStatus(order);
+  if (!derived || derived === order.status) return;
+  if (!["PLACED", "CONFIRMED", "SHIPPED"].includes(order.status)) return;
+
+  order.status = derived;
+  order.statusHistory.push({ status: derived, at: new Date(), note });
+  if (derived === "DELIVERED") await applyDeliveredEffects(order);
+};
+
+// ✅ customer notifications (utils/notify.js); emit after order.save()
+const emitOrderEvent = (type, order, extra = {}) =>
+  emitEvent(type, { userId: order.userId, order, ...extra });
+
+const STATUS_EVENTS = {
+  SHIPPED: "order.shipped",
+  DELIVERED: "order.delivered",
+  CANCELLED: "order.cancelled",
+};
+
+const emitStatusEvent = (order, prevStatus, extra) => {
+  const type = STATUS_EVENTS[order.status];
+  if (type && order.status !== prevStatus) emitOrderEvent(type, order, extra);
+};
+
 // ===============================
 // CREATE ORDER (Customer)
 // ===============================
 exports.createOrder = asyncHandler(async (req, res) => {
-  const { items, shippingAddress, paymentMethod } = req.body;
+  const { addressId, paymentMethod, fromCart, couponCode } = req.body;
+  let { items } = req.body;
+
+  // ✅ validated snapshot (saved address, inline address or default)
+  const shippingAddress = await resolveShippingAddress(req.user._id, {
+    addressId,
+    shippingAddress: req.body.shippingAddress,
+  });
+
+  // ✅ checkout straight from the stored server cart
+  let cart = null;
+  if (fromCart) {
+    cart = await Cart.findOne({ user: req.user._id });
+    if (!cart || !cart.items.length) throw new AppError("Cart is empty", 400);
+
+    const lines = await revalidateCartItems(cart.items);
+    if (lines.some((l) => l.issues.length > 0)) {
+      throw new AppError(
+        "Cart has changed (price/offer/stock). Please review your cart.",
+        409,
+      );
+    }
+
+    items = cart.items.map((it) => ({ productId: it.product, qty: it.qty }));
+  }
 
   if (!Array.isArray(items) || items.length === 0) {
     throw new AppError("Cart items required", 400);
@@ -358,7 +260,12 @@ exports.createOrder = asyncHandler(async (req, res) => {
   session.startTransaction();
 
   try {
+    const orderId = new mongoose.Types.ObjectId(); // ledger rows reference it
     const snapshotItems = [];
+    const campaignQty = new Map(); // campaignId -> units claimed in this order
+    const couponLines = []; // category/brand per line (coupon restrictions)
+    const taxInfo = []; // { hsnCode, gstRate } per line
+    let weightGrams = 0;
 
     for (const it of items) {
       const qty = Number(it.qty || 0);
@@ -368,12 +275,12 @@ exports.createOrder = asyncHandler(async (req, res) => {
       const product = await Product.findById(it.productId)
         .session(session)
         .select(
-          "_id title slug price discountPrice isActive type stock bundleItems images timedOffer",
+          "_id title slug price discountPrice isActive type stock bundleItems images timedOffer category brand hsnCode gstRate weightGrams cost",
         )
-
+        .populate("category", "hsnCode gstRate")
         .populate(
           "bundleItems.product",
-          "_id title stock isActive type price discountPrice",
+          "_id title stock isActive type price discountPrice weightGrams cost",
         );
 
       if (!product) throw new AppError("Product not found", 404);
@@ -385,8 +292,11 @@ exports.createOrder = asyncHandler(async (req, res) => {
         Array.isArray(product.images) && product.images[0]?.url
           ? product.images[0].url
           : "";
-      const timed = getTimedOfferPriceIfActive(product);
-      const paidUnit = timed != null ? timed : getFinalUnitPrice(product);
+      const {
+        unitPrice: paidUnit,
+        offer,
+        campaign,
+      } = getOfferUnitPrice(product);
       const strikeUnit = getStrikeUnitPrice(product); // context/original (32998 for bundle)
 
       snapshotItems.push({
@@ -396,17 +306,83 @@ exports.createOrder = asyncHandler(async (req, res) => {
         typeSnapshot: product.type || "SINGLE", // optional
         priceSnapshot: paidUnit,
         strikeSnapshot: strikeUnit,
-        offerSnapshot:
-          timed != null ? "TIMED" : product.discountPrice ? "DISCOUNT" : "NONE",
+        offerSnapshot: offer,
+        campaignId: campaign?._id || null,
         imageSnapshot,
+        costSnapshot: unitCostOf(product),
+        qty,
+      });
+
+      couponLines.push({
+        productId: product._id,
+        categoryId: product.category?._id || product.category,
+        brandId: product.brand,
+        type: product.type || "SINGLE",
+        priceSnapshot: paidUnit,
         qty,
       });
+      taxInfo.push(resolveProductTax(product));
+      weightGrams += unitWeightGrams(product) * qty;
+
+      // ✅ campaign price: re-check window + unit caps in the DB (cache may lag)
+      if (campaign) {
+        const key = String(campaign._id);
+        await reserveCampaignUnits(
+          campaign._id,
+          {
+            userId: req.user._id,
+            qty,
+            pendingQty: campaignQty.get(key) || 0,
+            title: product.title,
+          },
+          session,
+        );
+        campaignQty.set(key, (campaignQty.get(key) || 0) + qty);
+      }
 
       // ✅ consume stock WITH session
-      await consumeStockOrThrow(product, qty, session);
+      await consumeStockOrThrow(product, qty, session, {
+        orderId,
+        actor: req.user._id,
+      });
     }
 
-    const totalAmount = calcTotal(snapshotItems);
+    // ✅ coupon: validate, prorate across lines, reserve one global use
+    let couponSnapshot;
+    if (couponCode) {
+      const coupon = await Coupon.findOne({
+        code: normalizeCouponCode(couponCode),
+      }).session(session);
+
+      const { discount, lineDiscounts } = await evaluateCoupon(coupon, {
+        userId: req.user._id,
+        lines: couponLines,
+        session,
+      });
+
+      if (!(await reserveCouponUse(coupon._id, session))) {
+        throw new AppError("Coupon usage limit reached", 400);
+      }
+
+      snapshotItems.forEach((it, i) => {
+        it.discountSnapshot = lineDiscounts[i];
+      });
+
+      couponSnapshot = {
+        couponId: coupon._id,
+        code: coupon.code,
+        type: coupon.type,
+        value: coupon.value,
+        discountAmount: discount,
+      };
+    }
+
+    // ✅ GST breakup on the amount actually charged (after coupon)
+    const interState = isInterStateSupply(shippingAddress.state);
+    snapshotItems.forEach((it, i) => {
+      it.taxSnapshot = buildLineTaxSnapshot(it, taxInfo[i], interState);
+    });
+    const tax = buildOrderTax(snapshotItems, shippingAddress.state);
 
     const method = paymentMethod || "COD";
 
@@ -421,13 +397,30 @@ exports.createOrder = asyncHandler(async (req, res) => {
     const normalizedMethod =
       method === "UPI" || method === "CARD" ? "RAZORPAY" : method;
 
+    // ✅ serviceable PIN code, COD rules, shipping charge (own total component)
+    const shipping = await buildShippingSnapshot(
+      {
+        pincode: shippingAddress.pincode,
+        weightGrams,
+        orderValue: calcTotal(snapshotItems),
+        paymentMethod: normalizedMethod,
+      },
+      session,
+    );
+    const totalAmount = calcTotal(snapshotItems, shipping.amount);
+
     const created = await Order.create(
       [
         {
+          _id: orderId,
           userId: req.user._id,
           items: snapshotItems,
-          shippingAddress: shippingAddress || {},
+          shippingAddress,
+          shipping,
           totalAmount,
+          tax,
+          ...(couponSnapshot ? { coupon: couponSnapshot } : {}),
+          ...(req.build ? { buildId: req.build._id } : {}), // build checkout
           payment: { method: normalizedMethod, status: paymentStatus },
           status: "PLACED",
           statusHistory: [
@@ -438,9 +431,20 @@ exports.createOrder = asyncHandler(async (req, res) => {
       { session },
     );
 
+    if (cart) {
+      await Cart.updateOne(
+        { _id: cart._id },
+        { $set: { items: [] } },
+        { session },
+      );
+    }
+
     await session.commitTransaction();
     session.endSession();
 
+    // online orders are announced once paid (payment.controller)
+    if (normalizedMethod === "COD") emitOrderEvent("order.placed", created[0]);
+
     res.status(201).json({ order: created[0] });
   } catch (err) {
     await session.abortTransaction();
@@ -472,12 +476,75 @@ exports.getOrder = asyncHandler(async (req, res) => {
   if (!order) throw new AppError("Order not found", 404);
 
   const isOwner = String(order.userId) === String(req.user._id);
-  const isAdmin = req.user.role === "admin";
+  const isAdmin = staffCan(req.user, "orders.read");
   if (!isOwner && !isAdmin) throw new AppError("Forbidden", 403);
 
   res.json({ order });
 });
 
+// ===============================
+// CUSTOMER/ADMIN - GST Invoice / Credit Note (PDF)
+// ===============================
+const INVOICE_STATUSES = ["DELIVERED", "RETURNED", "REPLACED"];
+
+const sendPdf = (res, filename, buffer) => {
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `inline; filename="${filename}"`,
+    "Content-Length": buffer.length,
+  });
+  res.send(buffer);
+};
+
+exports.getInvoicePdf = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) throw new AppError("Order not found", 404);
+
+  const isOwner = String(order.userId) === String(req.user._id);
+  const isAdmin = staffCan(req.user, "orders.read");
+  if (!isOwner && !isAdmin) throw new AppError("Forbidden", 403);
+
+  if (order.isReplacement) {
+    throw new AppError(
+      "Replacement orders are covered by the original invoice",
+      400,
+    );
+  }
+
+  // orders delivered before invoicing existed get their number on first download
+  if (!order.invoice?.number) {
+    if (!INVOICE_STATUSES.includes(order.status)) {
+      throw new AppError("Invoice is available after delivery", 400);
+    }
+    await ensureInvoiceNumber(order);
+    await order.save();
+  }
+
+  sendPdf(
+    res,
+    `${order.invoice.number.replace(/\//g, "-")}.pdf`,
+    renderInvoicePdf(order),
+  );
+});
+
+exports.getCreditNotePdf = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) throw new AppError("Order not found", 404);
+
+  const isOwner = String(order.userId) === String(req.user._id);
+  const isAdmin = staffCan(req.user, "orders.read");
+  if (!isOwner && !isAdmin) throw new AppError("Forbidden", 403);
+
+  const note = order.creditNotes.id(req.params.noteId);
+  if (!note) throw new AppError("Credit note not found", 404);
+
+  sendPdf(
+    res,
+    `${note.number.replace(/\//g, "-")}.pdf`,
+    renderCreditNotePdf(order, note),
+  );
+});
+
 // ===============================
 // ADMIN - List Orders
 // ===============================
@@ -540,7 +607,11 @@ exports.adminUpdateStatus = asyncHandler(async (req, res) => {
       const remaining = Number(it.qty || 0) - Number(it.cancelledQty || 0);
       if (remaining > 0) {
         it.cancelledQty = Number(it.cancelledQty || 0) + remaining;
-        await restockForOrderLine(it.productId, remaining);
+        await restockForOrderLine(it.productId, remaining, null, {
+          orderId: order._id,
+          actor: req.user._id,
+          note: "Replacement order cancelled",
+        });
       }
     }
     recomputeTotalAfterCancel(order);
@@ -555,24 +626,13 @@ exports.adminUpdateStatus = asyncHandler(async (req, res) => {
 
     await order.save();
 
-    // Refund ORIGINAL order if paid
-    if (order.parentOrderId) {
-      const parent = await Order.findById(order.parentOrderId);
-      if (
-        parent &&
-        parent.payment?.status === "PAID" &&
-        parent.payment.status !== "REFUNDED"
-      ) {
-        parent.payment.status = "REFUNDED";
-        parent.statusHistory.push({
-          status: "REFUNDED",
-          at: new Date(),
-          note: "Refunded because replacement order was cancelled",
-        });
-        await parent.save();
-      }
-    }
+    // Refund ORIGINAL order if paid (ledger entry for the replaced units)
+    await addParentRefundForReplacement(order, {
+      source: "REPLACEMENT_CANCEL",
+      reason: "Replacement order was cancelled",
+    });
 
+    emitOrderEvent("order.cancelled", order, { reason: note });
     return res.json({ order });
   }
 
@@ -602,38 +662,95 @@ exports.adminUpdateStatus = asyncHandler(async (req, res) => {
     throw new AppError("Cancelled orders cannot be updated", 400);
   }
 
+  // ✅ shipped / delivered come from shipment events once parcels exist
+  if (hasLiveShipments(order)) {
+    if (["SHIPPED", "DELIVERED"].includes(status)) {
+      throw new AppError(
+        "Order has shipments: update them instead (status is derived)",
+        400,
+      );
+    }
+    if (status === "CANCELLED") {
+      throw new AppError("Cannot cancel an order with active shipments", 400);
+    }
+  }
+
   const prevStatus = order.status;
   order.status = status;
 
   // Restock only when moving into CANCELLED (avoid double restock)
-
   if (
     status === "CANCELLED" &&
     prevStatus !== "CANCELLED" &&
     !order.isReplacement
   ) {
-    for (const it of order.items) {
-      const remaining = Number(it.qty || 0) - Number(it.cancelledQty || 0);
-      if (remaining > 0) {
-        it.cancelledQty = Number(it.cancelledQty || 0) + remaining;
+    order.statusHistory.push({
+      status,
+      at: new Date(),
+      note: note || "",
+    });
 
-        await restockForOrderLine(it.productId, remaining);
+    // ✅ restock, coupon use and campaign units released together with the cancel
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const cancelledLines = [];
+      for (const it of order.items) {
+        const remaining = Number(it.qty || 0) - Number(it.cancelledQty || 0);
+        if (remaining > 0) {
+          it.cancelledQty = Number(it.cancelledQty || 0) + remaining;
+          cancelledLines.push({
+            productId: it.productId,
+            campaignId: it.campaignId,
+            qty: remaining,
+          });
+
+          await restockForOrderLine(it.productId, remaining, session, {
+            orderId: order._id,
+            actor: req.user._id,
+            note: "Cancelled by admin",
+          });
+        }
       }
+      await releaseCouponUse(order, session);
+      await releaseCampaignUnits(cancelledLines, session);
+
+      // optional but recommended so totalAmount becomes 0 when fully cancelled
+      recomputeTotalAfterCancel(order);
+
+      // ✅ already paid (Razorpay) => money owed for the cancelled units
+      const refundItems = buildRefundItems(order.items, cancelledLines);
+      addRefund(order, {
+        amount: cancelRefundAmount(order, refundItems),
+        items: refundItems,
+        source: "ORDER_CANCEL",
+        reason: note || "Cancelled by admin",
+        createdBy: req.user._id,
+      });
+
+      // COD payment
+      if (order.payment.method === "COD") order.payment.status = "FAILED";
+
+      await order.save({ session });
+
+      await session.commitTransaction();
+      session.endSession();
+    } catch (err) {
+      await session.abortTransaction();
+      session.endSession();
+      throw err;
     }
 
-    // optional but recommended so totalAmount becomes 0 when fully cancelled
-    recomputeTotalAfterCancel(order);
+    emitStatusEvent(order, prevStatus, { reason: note });
+    return res.json({ order });
   }
 
   // COD payment
-  if (order.payment.method === "COD") {
-    if (status === "DELIVERED") order.payment.status = "PAID";
-    if (status === "CANCELLED") order.payment.status = "FAILED";
-  }
-  // ✅ BEST SELLING COUNT (once, paid + delivered)
-  if (status === "DELIVERED" && order.payment?.status === "PAID") {
-    await incSoldCountOnceOnPaidDelivered(order);
+  if (order.payment.method === "COD" && status === "CANCELLED") {
+    order.payment.status = "FAILED";
   }
+  if (status === "DELIVERED") await applyDeliveredEffects(order);
 
   order.statusHistory.push({
     status,
@@ -642,43 +759,260 @@ exports.adminUpdateStatus = asyncHandler(async (req, res) => {
   });
 
   await order.save();
+  emitStatusEvent(order, prevStatus, { reason: note });
   res.json({ order });
 });
 
 // ===============================
-// ADMIN - Refund (Manual Action)
+// ADMIN - Shipments (AWB + courier timeline, split shipments)
 // ===============================
-exports.adminRefundOrder = asyncHandler(async (req, res) => {
+const cleanText = (v, max = 200) =>
+  String(v ?? "")
+    .trim()
+    .slice(0, max);
+
+const toPackages = (input) =>
+  (Array.isArray(input) ? input : []).slice(0, 20).map((p) => {
+    const num = (v) =>
+      v === undefined || v === null || v === "" ? null : Number(v);
+    const pkg = {
+      weightGrams: num(p?.weightGrams),
+      lengthCm: num(p?.lengthCm),
+      widthCm: num(p?.widthCm),
+      heightCm: num(p?.heightCm),
+    };
+    if (Object.values(pkg).some((v) => v != null && !(v >= 0))) {
+      throw new AppError("Invalid package dimensions", 400);
+    }
+    return pkg;
+  });
+
+// body: { courier, awb, trackingUrl?, packages?, items?: [{ productId, qty }],
+//         status?: "SHIPPED" (default) | "CREATED", note? }
+// items omitted => everything not shipped yet
+exports.adminCreateShipment = asyncHandler(async (req, res) => {
+  const courier = cleanText(req.body?.courier, 80);
+  const awb = cleanText(req.body?.awb, 80).toUpperCase();
+  const trackingUrl = cleanText(req.body?.trackingUrl, 500);
+  const initial = req.body?.status || "SHIPPED";
+
+  if (!courier || !awb) throw new AppError("courier and awb required", 400);
+  if (trackingUrl && !/^https?:\/\//i.test(trackingUrl)) {
+    throw new AppError("trackingUrl must be an http(s) URL", 400);
+  }
+  if (!["CREATED", "SHIPPED"].includes(initial)) {
+    throw new AppError("status must be CREATED or SHIPPED", 400);
+  }
+
   const order = await Order.findById(req.params.id);
   if (!order) throw new AppError("Order not found", 404);
 
-  if (!["CANCELLED", "RETURNED"].includes(order.status)) {
-    throw new AppError(
-      "Order must be CANCELLED or RETURNED before refund",
-      400,
-    );
+  if (!["PLACED", "CONFIRMED", "SHIPPED"].includes(order.status)) {
+    throw new AppError(`Cannot ship a ${order.status} order`, 400);
+  }
+  if (
+    order.payment?.method === "RAZORPAY" &&
+    !isPaidStatus(order.payment.status)
+  ) {
+    throw new AppError("Order is not paid yet", 400);
   }
 
+  const duplicate = await Order.exists({
+    shipments: { $elemMatch: { courier, awb } },
+  });
+  if (duplicate) throw new AppError(`AWB ${awb} already used`, 409);
+
+  const now = new Date();
+  order.shipments.push({
+    courier,
+    awb,
+    trackingUrl,
+    packages: toPackages(req.body?.packages),
+    items: normalizeShipmentItems(order, req.body?.items),
+    status: initial,
+    events: [
+      {
+        status: initial,
+        at: now,
+        note: cleanText(req.body?.note) || `${courier} AWB ${awb}`,
+        createdBy: req.user._id,
+      },
+    ],
+    shippedAt: initial === "SHIPPED" ? now : null,
+    createdBy: req.user._id,
+    createdAt: now,
+  });
+  const shipment = order.shipments[order.shipments.length - 1];
+
+  await syncStatusFromShipments(order, `Shipped via ${courier} (${awb})`);
+  await order.save();
+
+  // one notification per parcel (split shipments included)
+  if (initial === "SHIPPED") {
+    emitOrderEvent("order.shipped", order, { shipment });
+  }
+
+  res.status(201).json({ shipment, order });
+});
+
+// body: { status, location?, note?, at? } — courier scan / manual update
+exports.adminAddShipmentEvent = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) throw new AppError("Order not found", 404);
+
+  const shipment = mongoose.Types.ObjectId.isValid(req.params.shipmentId)
+    ? order.shipments.id(req.params.shipmentId)
+    : null;
+  if (!shipment) throw new AppError("Shipment not found", 404);
+
+  const status = String(req.body?.status || "").toUpperCase();
+  assertShipmentTransition(shipment, status);
+
+  const wasShipped = Boolean(shipment.shippedAt);
+  const prevStatus = order.status;
+
+  const at = req.body?.at ? new Date(req.body.at) : new Date();
+  if (Number.isNaN(at.getTime())) throw new AppError("Invalid event time", 400);
+
+  shipment.events.push({
+    status,
+    at,
+    location: cleanText(req.body?.location, 120),
+    note: cleanText(req.body?.note),
+    createdBy: req.user._id,
+  });
+  shipment.status = status;
+  if (status !== "CANCELLED" && !shipment.shippedAt) shipment.shippedAt = at;
+  if (status === "DELIVERED") shipment.deliveredAt = at;
+
+  await syncStatusFromShipments(
+    order,
+    `${shipment.courier} ${shipment.awb}: ${status}`,
+  );
+  await order.save();
+
+  if (!wasShipped && shipment.shippedAt) {
+    emitOrderEvent("order.shipped", order, { shipment });
+  }
+  if (order.status === "DELIVERED") emitStatusEvent(order, prevStatus);
+
+  res.json({ shipment, order });
+});
+
+// ===============================
+// ADMIN - Expire unpaid Razorpay orders (manual sweep)
+// ===============================
+exports.adminExpireUnpaidOrders = asyncHandler(async (req, res) => {
+  const ttl = Number(req.body?.ttlMinutes);
+  const result = await expireUnpaidOrders(
+    Number.isFinite(ttl) && ttl > 0 ? { ttlMinutes: ttl } : undefined,
+  );
+  res.json(result);
+});
+
+// ===============================
+// ADMIN - Refund (Manual Action)
+// ===============================
+// Settles PENDING ledger entries outside the gateway (cash / bank transfer).
+// Without pending entries: full refund of a CANCELLED / RETURNED order.
+exports.adminRefundOrder = asyncHandler(async (req, res) => {
+  const { note } = req.body || {};
+
+  const order = await Order.findById(req.params.id);
+  if (!order) throw new AppError("Order not found", 404);
+
   if (order.payment.status === "REFUNDED") {
     throw new AppError("Order already refunded", 400);
   }
 
-  if (order.payment.status !== "PAID") {
+  if (!isPaidStatus(order.payment.status)) {
     throw new AppError("Order is not eligible for refund", 400);
   }
 
-  order.payment.status = "REFUNDED";
+  let pending = (order.refunds || []).filter((r) => r.status === "PENDING");
+
+  if (!pending.length) {
+    if (!["CANCELLED", "RETURNED"].includes(order.status)) {
+      throw new AppError(
+        "Order must be CANCELLED or RETURNED before refund",
+        400,
+      );
+    }
+
+    const entry = addRefund(order, {
+      amount: getRefundTotals(order).refundable,
+      source: "MANUAL",
+      reason: "Full refund by admin",
+      createdBy: req.user._id,
+    });
+    if (!entry) throw new AppError("Nothing left to refund", 400);
+    pending = [entry];
+  }
+
+  const now = new Date();
+  let total = 0;
+  for (const r of pending) {
+    r.status = "PROCESSED";
+    r.method = "MANUAL";
+    r.processedAt = now;
+    total += Number(r.amount || 0);
+  }
+
+  syncRefundStatus(order);
 
   order.statusHistory.push({
-    status: "REFUNDED",
-    at: new Date(),
-    note: "Refund processed by admin",
+    status: order.payment.status, // REFUNDED | PARTIALLY_REFUNDED
+    at: now,
+    note: note || `Refund processed by admin (₹${round2(total)})`,
   });
 
   await order.save();
+  emitOrderEvent("order.refunded", order, { amount: total });
   res.json({ order });
 });
 
+// ===============================
+// ADMIN - Refund ledger (finance reconciliation)
+// ===============================
+exports.adminListRefunds = asyncHandler(async (req, res) => {
+  const { status, source, from, to } = req.query;
+
+  const match = {};
+  if (status) match["refunds.status"] = String(status).toUpperCase();
+  if (source) match["refunds.source"] = String(source).toUpperCase();
+  if (from || to) {
+    match["refunds.createdAt"] = {};
+    if (from) match["refunds.createdAt"].$gte = new Date(from);
+    if (to) match["refunds.createdAt"].$lte = new Date(to);
+  }
+
+  const refunds = await Order.aggregate([
+    { $match: { "refunds.0": { $exists: true } } },
+    { $unwind: "$refunds" },
+    { $match: match },
+    { $sort: { "refunds.createdAt": -1 } },
+    {
+      $project: {
+        _id: 0,
+        orderId: "$_id",
+        userId: 1,
+        paymentMethod: "$payment.method",
+        paymentStatus: "$payment.status",
+        amountPaid: "$payment.amountPaid",
+        refund: "$refunds",
+      },
+    },
+  ]);
+
+  const totals = refunds.reduce((acc, r) => {
+    const st = r.refund.status;
+    acc[st] = round2((acc[st] || 0) + Number(r.refund.amount || 0));
+    return acc;
+  }, {});
+
+  res.json({ refunds, totals });
+});
+
 // ===============================
 // CUSTOMER - Request Return/Replacement (PARTIAL)
 // ===============================
@@ -835,6 +1169,10 @@ exports.adminDecideReturnOrReplacement = asyncHandler(async (req, res) => {
   });
 
   await order.save();
+  emitOrderEvent(
+    action === "APPROVE" ? "return.approved" : "return.rejected",
+    order,
+  );
   res.json({ order });
 });
 
@@ -897,6 +1235,7 @@ exports.adminCompleteReturnOrReplacement = asyncHandler(async (req, res) => {
       if (!rrItemsFresh.length) throw new AppError("No RR items found", 400);
 
       const rollbackLines = [];
+      let refundableNow = 0; // ✅ net of coupon share
       const alreadyRolledBack = new Map(
         (freshOrder.salesRolledBack || []).map((x) => [
           String(x.productId),
@@ -922,9 +1261,14 @@ exports.adminCompleteReturnOrReplacement = asyncHandler(async (req, res) => {
         }
 
         line.returnedQty = Number(line.returnedQty || 0) + qty;
+        refundableNow += getLineAmount(line, qty);
 
         // ✅ restock inside same transaction
-        await restockForOrderLine(line.productId, qty, session);
+        await restockForOrderLine(line.productId, qty, session, {
+          reason: "RETURN",
+          orderId: freshOrder._id,
+          actor: req.user._id,
+        });
 
         if (freshOrder.salesCounted) {
           const key = String(line.productId);
@@ -941,53 +1285,63 @@ exports.adminCompleteReturnOrReplacement = asyncHandler(async (req, res) => {
 
       freshOrder.returnRequest.status = "COMPLETED";
       freshOrder.returnRequest.adminNote = adminNote || "Return completed";
+      const refundNote = freshOrder.isReplacement
+        ? ""
+        : ` | Refundable: ₹${round2(refundableNow)}`;
 
       if (isFullyReturned(freshOrder)) {
         freshOrder.status = "RETURNED";
 
-        if (
-          !freshOrder.isReplacement &&
-          freshOrder.payment?.status === "PAID"
-        ) {
-          freshOrder.payment.status = "REFUNDED";
-        }
-
         freshOrder.statusHistory.push({
           status: "RETURNED",
           at: new Date(),
-          note: freshOrder.returnRequest.adminNote,
+          note: freshOrder.returnRequest.adminNote + refundNote,
         });
       } else {
         freshOrder.statusHistory.push({
           status: "PARTIAL_RETURNED",
           at: new Date(),
-          note: freshOrder.returnRequest.adminNote,
+          note: freshOrder.returnRequest.adminNote + refundNote,
         });
       }
 
+      // ✅ ledger: money owed for the returned units (net of coupon share)
+      if (!freshOrder.isReplacement) {
+        addRefund(freshOrder, {
+          items: buildRefundItems(
+            freshOrder.items,
+            rrItemsFresh.map((x) => ({ productId: x.productId, qty: x.qty })),
+          ),
+          source: "RETURN",
+          reason: freshOrder.returnRequest.reason || "Return completed",
+          createdBy: req.user._id,
+        });
+      }
+
+      // ✅ GST credit note for the returned units (same transaction)
+      if (!freshOrder.isReplacement) {
+        await addCreditNote(
+          freshOrder,
+          rrItemsFresh.map((x) => ({ productId: x.productId, qty: x.qty })),
+          { reason: freshOrder.returnRequest.reason || "Goods returned" },
+          session,
+        );
+      }
+
       // ✅ refund parent (replacement case) inside same transaction
       if (
         freshOrder.isReplacement &&
         freshOrder.parentOrderId &&
         isFullyReturned(freshOrder)
       ) {
-        const parent = await Order.findById(freshOrder.parentOrderId).session(
+        await addParentRefundForReplacement(
+          freshOrder,
+          {
+            source: "REPLACEMENT_RETURN",
+            reason: "Replacement order was fully returned",
+          },
           session,
         );
-
-        if (
-          parent &&
-          parent.payment?.status === "PAID" &&
-          parent.payment.status !== "REFUNDED"
-        ) {
-          parent.payment.status = "REFUNDED";
-          parent.statusHistory.push({
-            status: "REFUNDED",
-            at: new Date(),
-            note: "Refunded because replacement order was fully returned",
-          });
-          await parent.save({ session });
-        }
       }
 
       if (rollbackLines.length) {
@@ -1140,6 +1494,7 @@ exports.adminCompleteReturnOrReplacement = asyncHandler(async (req, res) => {
           strikeSnapshot: 0,
           offerSnapshot: "NONE",
           imageSnapshot: line.imageSnapshot || "",
+          costSnapshot: unitCostOf(product),
           qty,
         });
       }
@@ -1148,14 +1503,20 @@ exports.adminCompleteReturnOrReplacement = asyncHandler(async (req, res) => {
         throw new AppError("No valid replacement items", 400);
 
       // deduct stock safely inside transaction
+      const replacementOrderId = new mongoose.Types.ObjectId();
       for (const r of repLines) {
         const product = await loadProductForOrder(r.productId, session);
-        await consumeStockOrThrow(product, r.qty, session);
+        await consumeStockOrThrow(product, r.qty, session, {
+          orderId: replacementOrderId,
+          actor: req.user._id,
+          note: `Replacement for order ${freshOrder._id}`,
+        });
       }
 
       const replacementOrder = await Order.create(
         [
           {
+            _id: replacementOrderId,
             userId: freshOrder.userId,
             items: repLines.map((r) => ({
               productId: r.productId,
@@ -1166,6 +1527,7 @@ exports.adminCompleteReturnOrReplacement = asyncHandler(async (req, res) => {
               strikeSnapshot: r.strikeSnapshot,
               offerSnapshot: r.offerSnapshot,
               imageSnapshot: r.imageSnapshot,
+              costSnapshot: r.costSnapshot,
               qty: r.qty,
             })),
             shippingAddress: freshOrder.shippingAddress,
@@ -1266,66 +1628,102 @@ exports.cancelOrder = asyncHandler(async (req, res) => {
     throw new AppError("Order cannot be cancelled at this stage", 400);
   }
 
+  // part of it is already packed / on the way
+  if (hasLiveShipments(order)) {
+    throw new AppError(
+      "Some items have already shipped. Cancel the remaining items instead.",
+      400,
+    );
+  }
+
   // mark cancelled
   order.status = "CANCELLED";
 
-  // restock (both normal + replacement orders should restock, because stock was deducted)
-  for (const it of order.items) {
-    const remaining = Number(it.qty || 0) - Number(it.cancelledQty || 0);
-    if (remaining > 0) {
-      it.cancelledQty = Number(it.cancelledQty || 0) + remaining;
-
-      await restockForOrderLine(it.productId, remaining);
-    }
-  }
-  recomputeTotalAfterCancel(order);
-  // payment status handling
-  // - COD: cancelled => FAILED
-  // - replacement order: treat as FAILED (like your admin cancel)
-  if (order.payment?.method === "COD") {
-    order.payment.status = "FAILED";
-  }
-  if (order.payment?.method === "RAZORPAY" && order.payment.status !== "PAID") {
-    order.payment.status = "FAILED";
-  }
-  if (order.isReplacement) {
-    order.payment.status = "FAILED";
-  }
-
-  order.statusHistory.push({
-    status: "CANCELLED",
-    at: new Date(),
-    note: (
-      reason ||
-      (order.isReplacement
-        ? "Replacement order cancelled by customer"
-        : "Cancelled by customer")
-    ).trim(),
-  });
+  // ✅ restock + coupon release + order save in one transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
 
-  await order.save();
+  try {
+    // restock (both normal + replacement orders should restock, because stock was deducted)
+    const cancelledLines = [];
+    for (const it of order.items) {
+      const remaining = Number(it.qty || 0) - Number(it.cancelledQty || 0);
+      if (remaining > 0) {
+        it.cancelledQty = Number(it.cancelledQty || 0) + remaining;
+        cancelledLines.push({
+          productId: it.productId,
+          campaignId: it.campaignId,
+          qty: remaining,
+        });
 
-  // ✅ If replacement order cancelled → refund ORIGINAL order if paid (same as admin logic)
-  if (order.isReplacement && order.parentOrderId) {
-    const parent = await Order.findById(order.parentOrderId);
+        await restockForOrderLine(it.productId, remaining, session, {
+          orderId: order._id,
+          actor: req.user._id,
+          note: "Cancelled by customer",
+        });
+      }
+    }
+    await releaseCouponUse(order, session);
+    await releaseCampaignUnits(cancelledLines, session);
+    recomputeTotalAfterCancel(order);
 
+    // ✅ paid online => refund owed for everything that was still active
+    if (!order.isReplacement) {
+      const refundItems = buildRefundItems(order.items, cancelledLines);
+      addRefund(order, {
+        amount: cancelRefundAmount(order, refundItems),
+        items: refundItems,
+        source: "ORDER_CANCEL",
+        reason: (reason || "Cancelled by customer").trim(),
+        createdBy: req.user._id,
+      });
+    }
+    // payment status handling
+    // - COD: cancelled => FAILED
+    // - replacement order: treat as FAILED (like your admin cancel)
+    if (order.payment?.method === "COD") {
+      order.payment.status = "FAILED";
+    }
     if (
-      parent &&
-      parent.payment?.status === "PAID" &&
-      parent.payment.status !== "REFUNDED"
+      order.payment?.method === "RAZORPAY" &&
+      !isPaidStatus(order.payment.status)
     ) {
-      parent.payment.status = "REFUNDED";
+      order.payment.status = "FAILED";
+    }
+    if (order.isReplacement) {
+      order.payment.status = "FAILED";
+    }
 
-      parent.statusHistory.push({
-        status: "REFUNDED",
-        at: new Date(),
-        note: "Refunded because replacement order was cancelled by customer",
-      });
+    order.statusHistory.push({
+      status: "CANCELLED",
+      at: new Date(),
+      note: (
+        reason ||
+        (order.isReplacement
+          ? "Replacement order cancelled by customer"
+          : "Cancelled by customer")
+      ).trim(),
+    });
 
-      await parent.save();
-    }
+    await order.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
   }
 
+  // ✅ If replacement order cancelled → refund ORIGINAL order if paid (same as admin logic)
+  if (order.isReplacement) {
+    await addParentRefundForReplacement(order, {
+      source: "REPLACEMENT_CANCEL",
+      reason: "Replacement order was cancelled by customer",
+    });
+  }
+
+  emitOrderEvent("order.cancelled", order, { reason });
   res.json({ order });
 });
 
@@ -1422,57 +1820,105 @@ exports.cancelItems = asyncHandler(async (req, res) => {
     reqMap.set(pid, (reqMap.get(pid) || 0) + qty);
   }
 
-  // apply cancels
-  for (const line of order.items) {
-    const pid = normId(line.productId);
-    const cq = reqMap.get(pid) || 0;
-    if (!cq) continue;
+  const prevStatus = order.status;
 
-    const available = Number(line.qty || 0) - Number(line.cancelledQty || 0);
-    if (cq > available) {
-      throw new AppError(
-        `Cancel qty exceeds available for ${line.titleSnapshot}`,
-        400,
-      );
-    }
+  // ✅ restock + coupon release + order save in one transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
 
-    line.cancelledQty = Number(line.cancelledQty || 0) + cq;
+  try {
+    // apply cancels (units already in a shipment cannot be cancelled)
+    const allocated = allocatedQtyByProduct(order);
+    const cancelledLines = [];
+    for (const line of order.items) {
+      const pid = normId(line.productId);
+      const cq = reqMap.get(pid) || 0;
+      if (!cq) continue;
+
+      const available =
+        Number(line.qty || 0) -
+        Number(line.cancelledQty || 0) -
+        (allocated.get(pid) || 0);
+      if (cq > available) {
+        throw new AppError(
+          `Cancel qty exceeds available for ${line.titleSnapshot}`,
+          400,
+        );
+      }
 
-    await restockForOrderLine(line.productId, cq);
+      line.cancelledQty = Number(line.cancelledQty || 0) + cq;
+      cancelledLines.push({
+        productId: line.productId,
+        campaignId: line.campaignId,
+        qty: cq,
+      });
 
-    reqMap.delete(pid);
-  }
+      await restockForOrderLine(line.productId, cq, session, {
+        orderId: order._id,
+        actor: req.user._id,
+        note: "Items cancelled by customer",
+      });
 
-  if (reqMap.size) throw new AppError("Some items not found in order", 400);
+      reqMap.delete(pid);
+    }
 
-  recomputeTotalAfterCancel(order);
+    if (reqMap.size) throw new AppError("Some items not found in order", 400);
+    await releaseCampaignUnits(cancelledLines, session);
 
-  // if everything cancelled => cancel order
-  // if everything cancelled => cancel order
-  if (isFullyCancelled(order)) {
-    order.status = "CANCELLED";
+    recomputeTotalAfterCancel(order);
+
+    // ✅ paid online => partial refund for exactly these units
+    if (!order.isReplacement) {
+      const refundItems = buildRefundItems(order.items, cancelledLines);
+      addRefund(order, {
+        amount: cancelRefundAmount(order, refundItems),
+        items: refundItems,
+        source: "CANCEL",
+        reason: (reason || "Items cancelled by customer").trim(),
+        createdBy: req.user._id,
+      });
+    }
 
-    // COD => failed
-    if (order.payment?.method === "COD") order.payment.status = "FAILED";
+    // if everything cancelled => cancel order
+    // if everything cancelled => cancel order
+    if (isFullyCancelled(order)) {
+      order.status = "CANCELLED";
+      await releaseCouponUse(order, session);
 
-    // Razorpay (not paid yet) => failed
-    if (
-      order.payment?.method === "RAZORPAY" &&
-      order.payment.status !== "PAID"
-    ) {
-      order.payment.status = "FAILED";
+      // COD => failed
+      if (order.payment?.method === "COD") order.payment.status = "FAILED";
+
+      // Razorpay (not paid yet) => failed
+      if (
+        order.payment?.method === "RAZORPAY" &&
+        !isPaidStatus(order.payment.status)
+      ) {
+        order.payment.status = "FAILED";
+      }
+
+      // replacement => failed
+      if (order.isReplacement) order.payment.status = "FAILED";
+    } else {
+      // everything left may already be on its way
+      await syncStatusFromShipments(order, "All remaining items shipped");
     }
 
-    // replacement => failed
-    if (order.isReplacement) order.payment.status = "FAILED";
-  }
+    order.statusHistory.push({
+      status: "PARTIAL_CANCEL",
+      at: new Date(),
+      note: `${(reason || "").trim()} | Items: ${items.length}`,
+    });
 
-  order.statusHistory.push({
-    status: "PARTIAL_CANCEL",
-    at: new Date(),
-    note: `${(reason || "").trim()} | Items: ${items.length}`,
-  });
+    await order.save({ session });
 
-  await order.save();
+    await session.commitTransaction();
+    session.endSession();
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+
+  emitStatusEvent(order, prevStatus, { reason });
   res.json({ order });
 });
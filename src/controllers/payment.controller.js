@@ -3,166 +3,38 @@ const Razorpay = require("razorpay");
 const crypto = require("crypto");
 const asyncHandler = require("../utils/asyncHandler");
 const AppError = require("../utils/AppError");
+const { staffCan } = require("../utils/twoFactor");
 const Order = require("../models/Order");
-const Product = require("../models/Product"); // ✅ add this import
+const PaymentEvent = require("../models/PaymentEvent");
 const mongoose = require("mongoose");
-
-async function loadProductForOrder(productId, session = null) {
-  let q = Product.findById(productId).select(
-    "_id title price discountPrice isActive type stock bundleItems images timedOffer",
-  );
-
-  if (session) q = q.session(session);
-  return q.populate(
-    "bundleItems.product",
-    "_id title stock isActive type price discountPrice timedOffer",
-  );
-}
-
-// For SINGLE: use product.stock
-// For BUNDLE: compute from children stocks
-function getAvailableStock(product) {
-  if (!product) return 0;
-
-  // SINGLE
-  if ((product.type || "SINGLE") !== "BUNDLE") {
-    return Math.max(0, Number(product.stock ?? 0));
-  }
-
-  // BUNDLE: min( floor(child.stock / childQty) )
-  const items = Array.isArray(product.bundleItems) ? product.bundleItems : [];
-  if (items.length < 2) return 0;
-
-  let min = Infinity;
-
-  for (const bi of items) {
-    const child = bi?.product;
-    const q = Number(bi?.qty || 0);
-
-    if (!child) return 0;
-    if (child.isActive === false) return 0;
-    if ((child.type || "SINGLE") === "BUNDLE") return 0; // prevent nested bundle
-    if (!Number.isFinite(q) || q <= 0) return 0;
-
-    const childStock = Math.max(0, Number(child.stock ?? 0));
-    min = Math.min(min, Math.floor(childStock / q));
-  }
-
-  return Number.isFinite(min) ? Math.max(0, min) : 0;
-}
-
-async function consumeStockOrThrow(product, orderQty, session = null) {
-  const qty = Number(orderQty || 0);
-  if (qty <= 0) throw new AppError("Invalid quantity", 400);
-
-  if ((product.type || "SINGLE") !== "BUNDLE") {
-    const updated = await Product.findOneAndUpdate(
-      { _id: product._id, stock: { $gte: qty }, isActive: true },
-      { $inc: { stock: -qty } },
-      { new: true, session },
-    );
-
-    if (!updated)
-      throw new AppError(`Not enough stock for ${product.title}`, 400);
-    return;
-  }
-
-  const items = Array.isArray(product.bundleItems) ? product.bundleItems : [];
-  if (items.length < 2) throw new AppError("Invalid bundle configuration", 400);
-
-  const bundleStock = getAvailableStock(product);
-  if (bundleStock < qty) {
-    throw new AppError(`Not enough stock for bundle ${product.title}`, 400);
-  }
-
-  const decremented = [];
-
-  try {
-    for (const bi of items) {
-      const child = bi.product;
-      const perBundle = Number(bi.qty || 0);
-      const need = perBundle * qty;
-
-      const ok = await Product.findOneAndUpdate(
-        { _id: child._id, stock: { $gte: need }, isActive: true },
-        { $inc: { stock: -need } },
-        { new: true, session },
-      );
-
-      if (!ok) {
-        throw new AppError(
-          `Not enough stock for bundle item ${child.title}`,
-          400,
-        );
-      }
-
-      decremented.push({ childId: child._id, need });
-    }
-  } catch (err) {
-    if (decremented.length) {
-      const rollbackOps = decremented.map((x) => ({
-        updateOne: {
-          filter: { _id: x.childId },
-          update: { $inc: { stock: x.need } }, // add back what we deducted
-        },
-      }));
-
-      await Product.bulkWrite(rollbackOps, session ? { session } : undefined);
-    }
-    throw err;
-  }
-}
-
-// ✅ Bundle-safe restock (same logic as order.controller.js)
-async function restockForOrderLine(productId, qtyToRestock, session = null) {
-  const qty = Number(qtyToRestock || 0);
-  if (qty <= 0) return;
-
-  let q = Product.findById(productId).select("_id type bundleItems");
-  if (session) q = q.session(session);
-
-  const product = await q.populate("bundleItems.product", "_id");
-  if (!product) return;
-
-  if ((product.type || "SINGLE") !== "BUNDLE") {
-    await Product.findByIdAndUpdate(
-      productId,
-      { $inc: { stock: qty } },
-      { session },
-    );
-    return;
-  }
-
-  const items = Array.isArray(product.bundleItems) ? product.bundleItems : [];
-  if (!items.length) return;
-
-  const ops = [];
-  for (const bi of items) {
-    const childId = bi?.product?._id;
-    const perBundle = Number(bi?.qty || 0);
-    if (!childId || perBundle <= 0) continue;
-
-    ops.push({
-      updateOne: {
-        filter: { _id: childId },
-        update: { $inc: { stock: perBundle * qty } },
-      },
-    });
-  }
-
-  if (ops.length) {
-    await Product.bulkWrite(ops, session ? { session } : undefined);
-  }
-}
-
-// ✅ Make totalAmount reflect non-cancelled qty
-function recomputeTotalAfterCancel(order) {
-  const newTotal = (order.items || []).reduce((sum, it) => {
-    const activeQty = Number(it.qty || 0) - Number(it.cancelledQty || 0);
-    return sum + Math.max(activeQty, 0) * Number(it.priceSnapshot || 0);
-  }, 0);
-  order.totalAmount = newTotal;
-}
+const {
+  loadProductForOrder,
+  consumeStockOrThrow,
+  restockForOrderLine,
+  restockRemainingLines,
+} = require("../utils/stock");
+const {
+  calcTotal,
+  recomputeTotalAfterCancel,
+} = require("../utils/orderTotals");
+const { verifyWebhookSignature } = require("../utils/razorpayWebhook");
+const { emitEvent } = require("../utils/events");
+const {
+  round2,
+  reserveCouponUse,
+  releaseCouponUse,
+} = require("../utils/coupon");
+const {
+  reserveCampaignUnits,
+  releaseCampaignUnits,
+} = require("../utils/campaigns");
+const {
+  isPaidStatus,
+  markPaid,
+  getRefundTotals,
+  syncRefundStatus,
+  addRefund,
+} = require("../utils/refunds");
 
 const razorpay = new Razorpay({
   key_id: process.env.RAZORPAY_KEY_ID,
@@ -194,11 +66,11 @@ exports.createRazorpayOrder = asyncHandler(async (req, res) => {
 
   // owner/admin check
   const isOwner = String(order.userId) === String(req.user._id);
-  const isAdmin = req.user.role === "admin";
+  const isAdmin = staffCan(req.user, "orders.status");
   if (!isOwner && !isAdmin) throw new AppError("Forbidden", 403);
 
   // ❌ Already paid
-  if (order.payment?.status === "PAID") {
+  if (isPaidStatus(order.payment?.status)) {
     throw new AppError("Order already paid", 400);
   }
 
@@ -272,13 +144,13 @@ exports.verifyRazorpayPayment = asyncHandler(async (req, res) => {
   }
 
   // ✅ idempotent: already verified
-  if (order.payment?.status === "PAID") {
+  if (isPaidStatus(order.payment?.status)) {
     return res.json({ success: true, order });
   }
 
   // owner/admin check
   const isOwner = String(order.userId) === String(req.user._id);
-  const isAdmin = req.user.role === "admin";
+  const isAdmin = staffCan(req.user, "orders.status");
   if (!isOwner && !isAdmin) throw new AppError("Forbidden", 403);
 
   // ✅ Option A: compare with ROOT razorpay.orderId
@@ -308,19 +180,27 @@ exports.verifyRazorpayPayment = asyncHandler(async (req, res) => {
       // cancel order (only if not already terminal)
       if (!["CANCELLED", "RETURNED", "REPLACED"].includes(freshOrder.status)) {
         freshOrder.status = "CANCELLED";
+        await releaseCouponUse(freshOrder, session);
       }
 
       // ✅ restock remaining qty + set cancelledQty
+      const cancelledLines = [];
       for (const it of freshOrder.items || []) {
         const remaining = Number(it.qty || 0) - Number(it.cancelledQty || 0);
 
         if (remaining > 0) {
           it.cancelledQty = Number(it.cancelledQty || 0) + remaining;
+          cancelledLines.push({ campaignId: it.campaignId, qty: remaining });
 
           // bundle-safe restock
-          await restockForOrderLine(it.productId, remaining, session);
+          await restockForOrderLine(it.productId, remaining, session, {
+            orderId: freshOrder._id,
+            actor: req.user._id,
+            note: "Payment signature mismatch",
+          });
         }
       }
+      await releaseCampaignUnits(cancelledLines, session);
 
       // ✅ totalAmount becomes 0 if fully cancelled
       recomputeTotalAfterCancel(freshOrder);
@@ -345,7 +225,7 @@ exports.verifyRazorpayPayment = asyncHandler(async (req, res) => {
   }
 
   // ✅ verified
-  order.payment.status = "PAID";
+  markPaid(order);
   order.payment.txnId = razorpay_payment_id;
 
   // ✅ Option A: store at ROOT
@@ -364,6 +244,7 @@ exports.verifyRazorpayPayment = asyncHandler(async (req, res) => {
   });
 
   await order.save();
+  emitEvent("order.paid", { userId: order.userId, order });
 
   res.json({ success: true, order });
 });
@@ -377,10 +258,10 @@ exports.retryPaymentByCloningOrder = asyncHandler(async (req, res) => {
   if (!oldOrder) throw new AppError("Old order not found", 404);
 
   const isOwner = String(oldOrder.userId) === String(req.user._id);
-  const isAdmin = req.user.role === "admin";
+  const isAdmin = staffCan(req.user, "orders.status");
   if (!isOwner && !isAdmin) throw new AppError("Forbidden", 403);
 
-  if (oldOrder.payment?.status === "PAID") {
+  if (isPaidStatus(oldOrder.payment?.status)) {
     throw new AppError("Order already paid", 400);
   }
 
@@ -392,10 +273,7 @@ exports.retryPaymentByCloningOrder = asyncHandler(async (req, res) => {
   }
 
   // ✅ recompute total from snapshots (not oldOrder.totalAmount, which is now 0)
-  const totalAmount = (oldOrder.items || []).reduce(
-    (sum, it) => sum + Number(it.priceSnapshot || 0) * Number(it.qty || 0),
-    0,
-  );
+  const totalAmount = calcTotal(oldOrder.items || [], oldOrder.shipping?.amount);
 
   if (totalAmount <= 0) throw new AppError("Invalid retry amount", 400);
 
@@ -405,6 +283,8 @@ exports.retryPaymentByCloningOrder = asyncHandler(async (req, res) => {
   session.startTransaction();
 
   try {
+    const freshId = new mongoose.Types.ObjectId(); // ledger rows reference it
+    const campaignQty = new Map(); // campaignId -> units claimed in this retry
     for (const it of oldOrder.items || []) {
       const qty = Number(it.qty || 0);
       if (qty <= 0) continue;
@@ -414,12 +294,42 @@ exports.retryPaymentByCloningOrder = asyncHandler(async (req, res) => {
         throw new AppError("Product unavailable", 400);
       }
 
-      await consumeStockOrThrow(product, qty, session);
+      // the cancel gave the campaign units back => claim them again
+      // (409 when the sale has ended: the snapshot price no longer applies)
+      if (it.campaignId) {
+        const key = String(it.campaignId);
+        await reserveCampaignUnits(
+          it.campaignId,
+          {
+            userId: oldOrder.userId,
+            qty,
+            pendingQty: campaignQty.get(key) || 0,
+            title: it.titleSnapshot,
+          },
+          session,
+        );
+        campaignQty.set(key, (campaignQty.get(key) || 0) + qty);
+      }
+
+      await consumeStockOrThrow(product, qty, session, {
+        orderId: freshId,
+        actor: req.user._id,
+        note: `Payment retry of order ${oldOrder._id}`,
+      });
+    }
+
+    // the cancel gave the coupon use back => take it again
+    if (
+      oldOrder.coupon?.couponId &&
+      !(await reserveCouponUse(oldOrder.coupon.couponId, session))
+    ) {
+      throw new AppError("Coupon usage limit reached", 400);
     }
 
     const fresh = await Order.create(
       [
         {
+          _id: freshId,
           userId: oldOrder.userId,
           items: oldOrder.items.map((it) => ({
             productId: it.productId,
@@ -428,14 +338,21 @@ exports.retryPaymentByCloningOrder = asyncHandler(async (req, res) => {
             strikeSnapshot: it.strikeSnapshot || 0,
             typeSnapshot: it.typeSnapshot || "SINGLE",
             offerSnapshot: it.offerSnapshot || "NONE",
+            campaignId: it.campaignId || null, // units re-claimed above
             imageSnapshot: it.imageSnapshot || "",
+            discountSnapshot: it.discountSnapshot || 0,
+            taxSnapshot: it.taxSnapshot,
+            costSnapshot: it.costSnapshot ?? null,
             qty: it.qty,
             cancelledQty: 0,
             returnedQty: 0,
             replacedQty: 0,
           })),
           shippingAddress: oldOrder.shippingAddress,
+          shipping: oldOrder.shipping,
           totalAmount,
+          coupon: oldOrder.coupon,
+          tax: oldOrder.tax,
           payment: { method: "RAZORPAY", status: "PENDING" },
           status: "PLACED",
           statusHistory: [
@@ -477,26 +394,34 @@ exports.cancelRazorpayAttempt = asyncHandler(async (req, res) => {
     };
 
     const isOwner = String(order.userId) === String(req.user._id);
-    const isAdmin = req.user.role === "admin";
+    const isAdmin = staffCan(req.user, "orders.status");
     if (!isOwner && !isAdmin) throw new AppError("Forbidden", 403);
 
-    if (order.payment?.status === "PAID") {
+    if (isPaidStatus(order.payment?.status)) {
       throw new AppError("Paid orders cannot be cancelled here", 400);
     }
 
-    // mark failed + cancel (release stock)
+    // mark failed + cancel (release stock + coupon use, once)
+    if (order.status !== "CANCELLED") await releaseCouponUse(order, session);
     order.payment.method = "RAZORPAY";
     order.payment.status = "FAILED";
     order.status = "CANCELLED";
 
     // restock remaining qty + set cancelledQty
+    const cancelledLines = [];
     for (const it of order.items || []) {
       const remaining = Number(it.qty || 0) - Number(it.cancelledQty || 0);
       if (remaining > 0) {
         it.cancelledQty = Number(it.cancelledQty || 0) + remaining;
-        await restockForOrderLine(it.productId, remaining, session);
+        cancelledLines.push({ campaignId: it.campaignId, qty: remaining });
+        await restockForOrderLine(it.productId, remaining, session, {
+          orderId: order._id,
+          actor: req.user._id,
+          note: "Payment attempt cancelled",
+        });
       }
     }
+    await releaseCampaignUnits(cancelledLines, session);
 
     recomputeTotalAfterCancel(order);
 
@@ -526,8 +451,12 @@ exports.cancelRazorpayAttempt = asyncHandler(async (req, res) => {
 });
 
 // ✅ Admin (or system) refund via Razorpay API
+// body: { mongoOrderId, refundId?, amount?, reason? }
+// - refundId => settle that ledger entry (PENDING, or FAILED retry)
+// - amount   => new MANUAL entry for that amount (INR, capped to refundable)
+// - neither  => settle all PENDING entries (or full refundable if none)
 exports.refundRazorpayPayment = asyncHandler(async (req, res) => {
-  const { mongoOrderId, amount } = req.body; // amount optional (INR)
+  const { mongoOrderId, refundId, amount, reason } = req.body;
 
   const order = await Order.findById(mongoOrderId);
   if (!order) throw new AppError("Order not found", 404);
@@ -539,49 +468,458 @@ exports.refundRazorpayPayment = asyncHandler(async (req, res) => {
     signature: null,
   };
 
-  // only admin
-  if (req.user.role !== "admin") throw new AppError("Forbidden", 403);
+  // only refund staff
+  if (!staffCan(req.user, "orders.refund")) {
+    throw new AppError("Forbidden", 403);
+  }
 
   if (order.payment?.method !== "RAZORPAY") {
     throw new AppError("Not a Razorpay order", 400);
   }
 
-  if (order.payment?.status !== "PAID") {
-    throw new AppError("Order is not PAID", 400);
-  }
-
   if (order.payment?.status === "REFUNDED") {
     throw new AppError("Already refunded", 400);
   }
 
+  if (!isPaidStatus(order.payment?.status)) {
+    throw new AppError("Order is not PAID", 400);
+  }
+
   const paymentId = order.razorpay?.paymentId || order.payment?.txnId;
   if (!paymentId) throw new AppError("Missing Razorpay paymentId", 400);
 
-  // amount in paise; default full refund
-  const refundAmountPaise =
-    amount != null
-      ? Math.round(Number(amount) * 100)
-      : Math.round(Number(order.totalAmount || 0) * 100);
+  let entries = [];
+
+  if (refundId) {
+    const entry = order.refunds.id(refundId);
+    if (!entry) throw new AppError("Refund entry not found", 404);
+
+    if (entry.status === "FAILED") {
+      // failed amount is refundable again => must still fit
+      if (entry.amount > getRefundTotals(order).refundable + 0.005) {
+        throw new AppError("Refund exceeds refundable amount", 400);
+      }
+    } else if (entry.status !== "PENDING") {
+      throw new AppError(`Refund entry is already ${entry.status}`, 400);
+    }
+    entries = [entry];
+  } else if (amount != null) {
+    if (!(Number(amount) > 0)) {
+      throw new AppError("Invalid refund amount", 400);
+    }
+    const entry = addRefund(order, {
+      amount,
+      source: "MANUAL",
+      reason: reason || "Refund by admin",
+      createdBy: req.user._id,
+    });
+    if (!entry) throw new AppError("Nothing left to refund", 400);
+    entries = [entry];
+  } else {
+    entries = order.refunds.filter((r) => r.status === "PENDING");
+
+    if (!entries.length) {
+      const entry = addRefund(order, {
+        amount: getRefundTotals(order).refundable,
+        source: "MANUAL",
+        reason: reason || "Full refund by admin",
+        createdBy: req.user._id,
+      });
+      if (!entry) throw new AppError("Nothing left to refund", 400);
+      entries = [entry];
+    }
+  }
+
+  const total = round2(entries.reduce((s, r) => s + Number(r.amount || 0), 0));
+  const refundAmountPaise = Math.round(total * 100);
 
   if (refundAmountPaise <= 0) throw new AppError("Invalid refund amount", 400);
 
-  // ✅ Razorpay refund call
-  // Node SDK supports refunding a payment
+  // ✅ Razorpay refund call (one gateway refund can settle several entries)
   const refund = await razorpay.payments.refund(paymentId, {
     amount: refundAmountPaise,
     notes: { mongoOrderId: String(order._id) },
   });
 
-  order.payment.status = "REFUNDED";
-  order.payment.note = `Refunded via Razorpay: ${refund.id || ""}`;
+  const processed = refund.status === "processed";
+  for (const r of entries) {
+    r.status = processed ? "PROCESSED" : "INITIATED";
+    r.method = "RAZORPAY";
+    r.gatewayRefundId = refund.id || null;
+    if (processed) r.processedAt = new Date();
+  }
+
+  syncRefundStatus(order);
+  order.payment.note = `Refund via Razorpay: ${refund.id || ""}`;
 
   order.statusHistory.push({
-    status: "REFUNDED",
+    status: processed ? "REFUND_PROCESSED" : "REFUND_INITIATED",
     at: new Date(),
     note: `Refund initiated via Razorpay (${refundAmountPaise} paise)`,
   });
 
   await order.save();
+  if (processed) {
+    emitEvent("order.refunded", { userId: order.userId, order, amount: total });
+  }
 
   return res.json({ success: true, refund, order });
 });
+
+// ===============================
+// RAZORPAY WEBHOOK
+// ===============================
+
+// payment entity -> Mongo order (razorpay order id first, then notes.mongoOrderId)
+async function findOrderForPayment(payment, session = null) {
+  let order = null;
+
+  if (payment?.order_id) {
+    let q = Order.findOne({ "razorpay.orderId": payment.order_id });
+    if (session) q = q.session(session);
+    order = await q;
+  }
+
+  const mongoOrderId = payment?.notes?.mongoOrderId;
+  if (!order && mongoOrderId && mongoose.Types.ObjectId.isValid(mongoOrderId)) {
+    let q = Order.findById(mongoOrderId);
+    if (session) q = q.session(session);
+    order = await q;
+  }
+
+  return order;
+}
+
+async function onPaymentCaptured(payment) {
+  const order = await findOrderForPayment(payment);
+  if (!order) return { status: "IGNORED", note: "Order not found" };
+
+  order.payment = order.payment || { method: "RAZORPAY", status: "PENDING" };
+  order.razorpay = order.razorpay || {};
+
+  if (
+    isPaidStatus(order.payment.status) ||
+    order.payment.status === "REFUNDED"
+  ) {
+    return {
+      status: "IGNORED",
+      orderId: order._id,
+      note: `Payment already ${order.payment.status}`,
+    };
+  }
+
+  // ✅ only the full order total marks it PAID (cancelled => refund below)
+  const expected = Math.round(Number(order.totalAmount || 0) * 100);
+  const captured = Number(payment.amount || 0);
+  if (order.status !== "CANCELLED" && captured !== expected) {
+    order.payment.note = `Captured ${captured} paise, expected ${expected} - review required`;
+    order.statusHistory.push({
+      status: "PAYMENT_AMOUNT_MISMATCH",
+      at: new Date(),
+      note: `Razorpay webhook: payment.captured (${payment.id})`,
+    });
+
+    await order.save();
+    return {
+      status: "IGNORED",
+      orderId: order._id,
+      note: `Amount mismatch: captured ${captured}, expected ${expected} paise`,
+    };
+  }
+
+  order.payment.method = "RAZORPAY";
+  markPaid(order, captured / 100);
+  order.payment.txnId = payment.id;
+  order.razorpay.paymentId = payment.id;
+
+  // money captured but stock already released (tab closed / attempt cancelled)
+  // => keep order cancelled, flag for refund
+  if (order.status === "CANCELLED") {
+    order.payment.note = "Captured after cancellation - refund required";
+    order.statusHistory.push({
+      status: "PAYMENT_CAPTURED_AFTER_CANCEL",
+      at: new Date(),
+      note: `Razorpay webhook: payment.captured (${payment.id})`,
+    });
+
+    addRefund(order, {
+      amount: order.payment.amountPaid,
+      source: "ORDER_CANCEL",
+      reason: "Captured after cancellation",
+    });
+
+    await order.save();
+    return {
+      status: "PROCESSED",
+      orderId: order._id,
+      note: "Captured on cancelled order (refund required)",
+    };
+  }
+
+  // auto-confirm after payment (same as verifyRazorpayPayment)
+  if (order.status === "PLACED") order.status = "CONFIRMED";
+
+  order.statusHistory.push({
+    status: "PAID",
+    at: new Date(),
+    note: `Razorpay webhook: payment.captured (${payment.id})`,
+  });
+
+  await order.save();
+  emitEvent("order.paid", { userId: order.userId, order });
+  return { status: "PROCESSED", orderId: order._id, note: "Marked PAID" };
+}
+
+async function onPaymentFailed(payment) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const order = await findOrderForPayment(payment, session);
+    if (!order) {
+      await session.abortTransaction();
+      session.endSession();
+      return { status: "IGNORED", note: "Order not found" };
+    }
+
+    order.payment = order.payment || { method: "RAZORPAY", status: "PENDING" };
+
+    if (order.payment.status !== "PENDING" || order.status === "CANCELLED") {
+      await session.abortTransaction();
+      session.endSession();
+      return {
+        status: "IGNORED",
+        orderId: order._id,
+        note: `Order is ${order.status} / payment ${order.payment.status}`,
+      };
+    }
+
+    // same transition as signature mismatch: FAILED + cancel + restock
+    order.payment.status = "FAILED";
+    order.status = "CANCELLED";
+
+    const cancelledLines = await restockRemainingLines(order, session, {
+      note: "Razorpay payment failed",
+    });
+    await releaseCouponUse(order, session);
+    await releaseCampaignUnits(cancelledLines, session);
+    recomputeTotalAfterCancel(order);
+
+    order.statusHistory.push({
+      status: "PAYMENT_FAILED",
+      at: new Date(),
+      note: `Razorpay webhook: payment.failed (${
+        payment.error_description || payment.id
+      })`,
+    });
+
+    await order.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return {
+      status: "PROCESSED",
+      orderId: order._id,
+      note: "Cancelled + restocked",
+    };
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+async function findOrderForRefund(refund) {
+  return (
+    (await Order.findOne({ "refunds.gatewayRefundId": refund.id })) ||
+    Order.findOne({
+      $or: [
+        { "razorpay.paymentId": refund.payment_id },
+        { "payment.txnId": refund.payment_id },
+      ],
+    })
+  );
+}
+
+async function onRefundProcessed(refund) {
+  const order = await findOrderForRefund(refund);
+  if (!order) return { status: "IGNORED", note: "Order not found" };
+
+  const entries = (order.refunds || []).filter(
+    (r) => r.gatewayRefundId === refund.id,
+  );
+
+  if (entries.length && entries.every((r) => r.status === "PROCESSED")) {
+    return { status: "IGNORED", orderId: order._id, note: "Already processed" };
+  }
+
+  if (entries.length) {
+    for (const r of entries) {
+      r.status = "PROCESSED";
+      r.processedAt = new Date();
+    }
+    syncRefundStatus(order);
+  } else {
+    // refund created outside this API (Razorpay dashboard)
+    const entry = addRefund(order, {
+      amount: Number(refund.amount || 0) / 100,
+      source: "GATEWAY",
+      reason: "Refund created on Razorpay dashboard",
+      status: "PROCESSED",
+      method: "RAZORPAY",
+      gatewayRefundId: refund.id,
+    });
+    if (!entry) {
+      return {
+        status: "IGNORED",
+        orderId: order._id,
+        note: `Nothing refundable (payment ${order.payment?.status})`,
+      };
+    }
+  }
+
+  order.payment.note = `Refunded via Razorpay: ${refund.id || ""}`;
+
+  order.statusHistory.push({
+    status: order.payment.status, // REFUNDED | PARTIALLY_REFUNDED
+    at: new Date(),
+    note: `Razorpay webhook: refund.processed (${refund.id}, ${refund.amount} paise)`,
+  });
+
+  await order.save();
+  emitEvent("order.refunded", {
+    userId: order.userId,
+    order,
+    amount: Number(refund.amount || 0) / 100,
+  });
+  return {
+    status: "PROCESSED",
+    orderId: order._id,
+    note: `Marked ${order.payment.status}`,
+  };
+}
+
+async function onRefundFailed(refund) {
+  const order = await Order.findOne({ "refunds.gatewayRefundId": refund.id });
+  if (!order) return { status: "IGNORED", note: "Refund entry not found" };
+
+  const entries = order.refunds.filter(
+    (r) => r.gatewayRefundId === refund.id && r.status === "INITIATED",
+  );
+  if (!entries.length) {
+    return { status: "IGNORED", orderId: order._id, note: "Not INITIATED" };
+  }
+
+  for (const r of entries) r.status = "FAILED";
+  syncRefundStatus(order);
+
+  order.statusHistory.push({
+    status: "REFUND_FAILED",
+    at: new Date(),
+    note: `Razorpay webhook: refund.failed (${refund.id}, ${refund.amount} paise)`,
+  });
+
+  await order.save();
+  return { status: "PROCESSED", orderId: order._id, note: "Marked FAILED" };
+}
+
+async function handleWebhookEvent(event, payload = {}) {
+  const payment = payload.payment?.entity;
+  const refund = payload.refund?.entity;
+
+  if (event === "payment.captured" && payment) return onPaymentCaptured(payment);
+  if (event === "payment.failed" && payment) return onPaymentFailed(payment);
+  if (event === "refund.processed" && refund) return onRefundProcessed(refund);
+  if (event === "refund.failed" && refund) return onRefundFailed(refund);
+
+  return { status: "IGNORED", note: "Unhandled event" };
+}
+
+const PROCESSING_STALE_MS = 5 * 60_000;
+
+// ✅ POST /api/payments/webhook (no auth: trusted via X-Razorpay-Signature)
+exports.razorpayWebhook = asyncHandler(async (req, res) => {
+  const ok = verifyWebhookSignature(
+    req.rawBody,
+    req.headers["x-razorpay-signature"],
+    process.env.RAZORPAY_WEBHOOK_SECRET,
+  );
+  if (!ok) throw new AppError("Invalid webhook signature", 400);
+
+  const body = req.body || {};
+  const payload = body.payload || {};
+  const payment = payload.payment?.entity;
+  const refund = payload.refund?.entity;
+
+  // Razorpay sends a unique id per event; fall back to a body hash
+  const eventId =
+    req.headers["x-razorpay-event-id"] ||
+    crypto.createHash("sha256").update(req.rawBody).digest("hex");
+
+  // ✅ idempotency: one PaymentEvent per event id
+  let evt = await PaymentEvent.findOne({ eventId });
+  if (evt && ["PROCESSED", "IGNORED"].includes(evt.status)) {
+    return res.json({ ok: true, duplicate: true });
+  }
+
+  if (!evt) {
+    try {
+      await PaymentEvent.create({
+        eventId,
+        event: String(body.event || "unknown"),
+        razorpayOrderId: payment?.order_id || null,
+        razorpayPaymentId: payment?.id || refund?.payment_id || null,
+        payload: body,
+      });
+    } catch (err) {
+      // concurrent delivery of the same event
+      if (err?.code === 11000) return res.json({ ok: true, duplicate: true });
+      throw err;
+    }
+  }
+
+  // ✅ claim it (RECEIVED / FAILED -> PROCESSING) so concurrent deliveries
+  // don't both apply it; a claim older than PROCESSING_STALE_MS was abandoned
+  evt = await PaymentEvent.findOneAndUpdate(
+    {
+      eventId,
+      $or: [
+        { status: { $in: ["RECEIVED", "FAILED"] } },
+        {
+          status: "PROCESSING",
+          updatedAt: { $lt: new Date(Date.now() - PROCESSING_STALE_MS) },
+        },
+      ],
+    },
+    { $set: { status: "PROCESSING" } },
+    { new: true },
+  );
+  if (!evt) {
+    const current = await PaymentEvent.findOne({ eventId }).select("status");
+    if (current?.status === "PROCESSING") {
+      // non-2xx => Razorpay delivers it again later
+      throw new AppError("Event is already being processed", 409);
+    }
+    return res.json({ ok: true, duplicate: true });
+  }
+
+  try {
+    const result = await handleWebhookEvent(body.event, payload);
+
+    evt.status = result.status;
+    evt.note = result.note || "";
+    evt.orderId = result.orderId || null;
+    evt.error = "";
+    evt.processedAt = new Date();
+    await evt.save();
+
+    res.json({ ok: true, status: evt.status });
+  } catch (err) {
+    // FAILED events are re-processed when Razorpay retries the delivery
+    evt.status = "FAILED";
+    evt.error = err.message || "Webhook processing failed";
+    await evt.save();
+    throw err;
+  }
+});
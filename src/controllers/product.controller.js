@@ -1,58 +1,41 @@
 const asyncHandler = require("../utils/asyncHandler");
 const AppError = require("../utils/AppError");
+const { staffCan } = require("../utils/twoFactor");
 const Product = require("../models/Product");
 const Category = require("../models/Category");
 const Brand = require("../models/Brands");
 const { computeBundleMaxQty } = require("../utils/bundleStock");
+const { adjustStock, recordStockMovements } = require("../utils/stock");
+const { emitEvent } = require("../utils/events");
+const { getFinalUnitPrice, getListedUnitPrice } = require("../utils/pricing");
+const StockAlert = require("../models/StockAlert");
+const {
+  subscribeStockAlert,
+  confirmStockAlert,
+  unsubscribeStockAlert,
+} = require("../utils/stockAlerts");
+const {
+  campaignPriceStages,
+  bestCampaignOffer,
+} = require("../utils/campaigns");
+const { normalizeAttributes } = require("../utils/buildCompat");
+const {
+  buildAttributeMatch,
+  buildAttributeFacets,
+  readAttributeFacets,
+  mergeDefinitions,
+} = require("../utils/attributes");
+const {
+  computeBundleTotals,
+  computeBundleTags,
+  getBundlesCategoryId,
+  getMixedBrandId,
+} = require("../utils/bundleProduct");
+const { sanitizeSlug, makeUniqueSlug } = require("../utils/productSlug");
+const { getSubtreeIds } = require("../utils/categoryTree");
 const { cloudinary } = require("../config/cloudinary");
 const mongoose = require("mongoose");
 
-async function computeBundleTotals(bundleItems = []) {
-  const ids = bundleItems.map((x) => x.product).filter(Boolean);
-  const uniq = new Set(ids.map(String));
-  if (uniq.size !== ids.length)
-    throw new AppError("Duplicate product in bundle", 400);
-
-  const children = await Product.find({ _id: { $in: ids } }).select(
-    "_id price discountPrice isActive type",
-  );
-
-  const map = new Map(children.map((c) => [String(c._id), c]));
-
-  let sumChildIndividual = 0;
-
-  for (const it of bundleItems) {
-    const child = map.get(String(it.product));
-    const qty = Number(it.qty || 1);
-
-    if (!Number.isFinite(qty) || qty < 1)
-      throw new AppError("Invalid bundle qty", 400);
-    if (!child) throw new AppError("Invalid bundle product(s)", 400);
-    if (child.isActive === false)
-      throw new AppError("Bundle contains inactive product", 400);
-    if (child.type === "BUNDLE")
-      throw new AppError("Bundle cannot include another bundle", 400);
-
-    const p = Number(child.price || 0);
-    const dp = child.discountPrice;
-
-    // "individual price" used for comparison
-    const hasValidDp =
-      dp != null && dp !== "" && Number(dp) >= 0 && Number(dp) < p;
-
-    if (!hasValidDp) {
-      throw new AppError(
-        "Bundle children must have a valid discountPrice",
-        400,
-      );
-    }
-
-    sumChildIndividual += Number(dp) * qty;
-  }
-
-  return { sumChildIndividual };
-}
-
 const toTags = (v) => {
   if (!v) return [];
   if (Array.isArray(v)) {
@@ -71,21 +54,6 @@ const toTags = (v) => {
   );
 };
 
-async function computeBundleTags(bundleItems = []) {
-  const ids = (bundleItems || []).map((x) => x.product).filter(Boolean);
-
-  const children = await Product.find({ _id: { $in: ids } }).select("tags");
-
-  const set = new Set();
-  for (const c of children) {
-    for (const t of c.tags || []) {
-      const s = String(t).trim().toLowerCase();
-      if (s) set.add(s);
-    }
-  }
-  return Array.from(set);
-}
-
 function validateTimedOffer(price, discountPrice, timedOffer) {
   if (!timedOffer) return;
   if (timedOffer.isActive === false) return;
@@ -172,17 +140,21 @@ async function resolveCategoryId(category) {
   return catDoc._id;
 }
 
-async function getBundlesCategoryId() {
-  const cat = await Category.findOne({ slug: "bundles" }).select("_id");
-  if (!cat) throw new AppError("Create a category with slug 'bundles'", 400);
-  return cat._id;
+// ✅ structured attributes are validated against the category's
+// attribute definitions + build slot
+async function normalizeProductAttributes(categoryId, attributes) {
+  const cat = categoryId
+    ? await Category.findById(categoryId).select("buildSlot attributes")
+    : null;
+  return normalizeAttributes(
+    cat?.buildSlot || null,
+    attributes,
+    cat?.attributes || [],
+  );
 }
 
-async function getMixedBrandId() {
-  const b = await Brand.findOne({ slug: "mixed" }).select("_id");
-  if (!b) throw new AppError("Create a brand with slug 'mixed'", 400);
-  return b._id;
-}
+// price facet buckets (finalPrice, INR)
+const PRICE_BUCKETS = [0, 2000, 5000, 10000, 20000, 50000, 100000];
 
 const escapeRegex = (s = "") => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
@@ -197,47 +169,6 @@ const toPoints = (v) => {
     .filter(Boolean);
 };
 
-const MAX_SLUG_LEN = 60;
-
-const sanitizeSlug = (s = "") => {
-  const cleaned = s
-    .toString()
-    .toLowerCase()
-    .trim()
-    .replace(/\s+/g, "-")
-    .replace(/[^\w-]+/g, "")
-    .replace(/-+/g, "-")
-    .replace(/^-+|-+$/g, "");
-
-  const truncated = cleaned.length > MAX_SLUG_LEN;
-
-  return {
-    slug: cleaned.slice(0, MAX_SLUG_LEN).replace(/-+$/g, ""),
-    truncated,
-  };
-};
-
-async function makeUniqueSlug(baseSlug, excludeId = null) {
-  let slug = baseSlug;
-  let i = 1;
-
-  while (
-    await Product.exists({
-      slug,
-      ...(excludeId ? { _id: { $ne: excludeId } } : {}),
-    })
-  ) {
-    const suffix = `-${i++}`;
-
-    // ensure slug + suffix still fits max length
-    slug =
-      baseSlug.slice(0, MAX_SLUG_LEN - suffix.length).replace(/-+$/g, "") +
-      suffix;
-  }
-
-  return slug;
-}
-
 exports.list = asyncHandler(async (req, res) => {
   const {
     ids = "", // ✅ ADD THIS
@@ -257,6 +188,7 @@ exports.list = asyncHandler(async (req, res) => {
     type = "",
     lowStock = "",
     expiredOffer = "",
+    facets = "",
   } = req.query;
 
   const pageNum = Math.max(parseInt(page, 10) || 1, 1);
@@ -292,7 +224,7 @@ exports.list = asyncHandler(async (req, res) => {
     match._id = { $in: arr };
   }
 
-  const isAdmin = req.user && req.user.role === "admin";
+  const isAdmin = staffCan(req.user, "products.read");
 
   if (!isAdmin) {
     // Public → only active
@@ -378,10 +310,26 @@ exports.list = asyncHandler(async (req, res) => {
       });
     }
 
+    // ✅ a parent category includes its whole subtree
+    const subtree = await getSubtreeIds(ids);
+
     // single -> direct match, multiple -> $in
-    match.category = ids.length === 1 ? ids[0] : { $in: ids };
+    match.category = subtree.length === 1 ? subtree[0] : { $in: subtree };
   }
 
+  // ✅ ATTRIBUTE FILTERS: attr.socket=AM5,AM4 & attr.vram_gb[gte]=12
+  // typed by the filtered categories' definitions (all categories otherwise)
+  const attributeDefs = mergeDefinitions(
+    await Category.find(
+      match.category
+        ? { _id: match.category, "attributes.0": { $exists: true } }
+        : { "attributes.0": { $exists: true } },
+    )
+      .select("attributes")
+      .lean(),
+  );
+  Object.assign(match, buildAttributeMatch(req.query, attributeDefs));
+
   // ✅ BRAND FILTER (supports single/multiple: id/slug, comma-separated)
   if (brand) {
     const brandIds = await resolveBrandIds(brand);
@@ -436,6 +384,7 @@ exports.list = asyncHandler(async (req, res) => {
 
   const basePipeline = [
     { $match: match },
+    { $project: { cost: 0 } }, // purchase cost is admin-only
 
     {
       $lookup: {
@@ -734,6 +683,9 @@ exports.list = asyncHandler(async (req, res) => {
     },
   });
 
+  // ✅ live sale campaigns (utils/campaigns.js) can undercut finalPrice
+  basePipeline.push(...campaignPriceStages());
+
   basePipeline.push({
     $addFields: {
       discountAmount: {
@@ -850,6 +802,37 @@ exports.list = asyncHandler(async (req, res) => {
     },
   });
 
+  // ✅ filter counts over the same matched set (skipped for ids / facets=false)
+  const withFacets = !ids && facets !== "false";
+  const facetStages = withFacets
+    ? {
+        brands: [
+          { $match: { "brand._id": { $ne: null } } },
+          {
+            $group: {
+              _id: "$brand._id",
+              name: { $first: "$brand.name" },
+              slug: { $first: "$brand.slug" },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { count: -1, name: 1 } },
+        ],
+        price: [
+          {
+            $bucket: {
+              groupBy: "$finalPrice",
+              boundaries: PRICE_BUCKETS,
+              default: "other",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        // attribute values only make sense within a category
+        ...(match.category ? buildAttributeFacets(attributeDefs) : {}),
+      }
+    : {};
+
   // ✅ FACET: data + total
   const pipeline = [
     ...basePipeline,
@@ -857,6 +840,7 @@ exports.list = asyncHandler(async (req, res) => {
       $facet: {
         data: [{ $skip: skip }, { $limit: limitNum }],
         meta: [{ $count: "total" }],
+        ...facetStages,
       },
     },
   ];
@@ -877,6 +861,20 @@ exports.list = asyncHandler(async (req, res) => {
       hasPrev: pageNum > 1,
       hasNext: pageNum < pages,
     },
+    ...(withFacets && {
+      facets: {
+        brands: out?.[0]?.brands || [],
+        price: (out?.[0]?.price || []).map((b) => {
+          const i = PRICE_BUCKETS.indexOf(b._id);
+          return {
+            min: b._id === "other" ? PRICE_BUCKETS.at(-1) : b._id,
+            max: i >= 0 ? (PRICE_BUCKETS[i + 1] ?? null) : null,
+            count: b.count,
+          };
+        }),
+        attributes: readAttributeFacets(out?.[0], attributeDefs),
+      },
+    }),
   });
 });
 
@@ -1007,29 +1005,17 @@ exports.getBySlug = asyncHandler(async (req, res) => {
 
   // ✅ finalPrice + youSave + discountPercent
   const price2 = Number(product.price || 0);
-  const dp2 = product.discountPrice;
-  const hasDiscount2 = dp2 != null && Number(dp2) >= 0 && Number(dp2) < price2;
-
-  const now = Date.now();
-  const dp2n = dp2 != null ? Number(dp2) : null;
-
-  const hasTimed =
-    product.timedOffer?.isActive &&
-    product.timedOffer?.price != null &&
-    product.timedOffer?.startAt &&
-    product.timedOffer?.endAt &&
-    new Date(product.timedOffer.startAt).getTime() <= now &&
-    new Date(product.timedOffer.endAt).getTime() > now &&
-    dp2n != null &&
-    Number(product.timedOffer.price) < dp2n;
-
-  if (hasTimed) {
-    product.finalPrice = Number(product.timedOffer.price);
-  } else if (hasDiscount2) {
-    product.finalPrice = Number(dp2);
-  } else {
-    product.finalPrice = price2;
-  }
+  product.finalPrice = getListedUnitPrice(product);
+
+  const sale = bestCampaignOffer(product, getFinalUnitPrice(product));
+  product.campaign =
+    sale && sale.price === product.finalPrice
+      ? {
+          _id: sale.campaign._id,
+          name: sale.campaign.name,
+          endAt: sale.campaign.endAt,
+        }
+      : null;
 
   product.youSave = Math.max(0, price2 - product.finalPrice);
   product.discountPercent =
@@ -1057,6 +1043,10 @@ exports.create = asyncHandler(async (req, res) => {
     images,
     stock,
     isActive,
+    hsnCode,
+    gstRate,
+    weightGrams,
+    attributes,
   } = req.body;
 
   const isBundle = (type || "SINGLE") === "BUNDLE";
@@ -1162,8 +1152,30 @@ exports.create = asyncHandler(async (req, res) => {
     images: Array.isArray(images) ? images : [],
     stock: stock ?? 0,
     isActive: isActive ?? true,
+    hsnCode: hsnCode || "",
+    gstRate: gstRate ?? null,
+    weightGrams: weightGrams ?? null,
+
+    // bundles are checked through their children
+    attributes: isBundle
+      ? {}
+      : await normalizeProductAttributes(categoryId, attributes),
   });
 
+  // ✅ opening balance in the inventory ledger
+  if (!isBundle && product.stock > 0) {
+    await recordStockMovements(
+      [
+        {
+          product: product._id,
+          delta: product.stock,
+          stockAfter: product.stock,
+        },
+      ],
+      { reason: "ADJUSTMENT", actor: req.user._id, note: "Opening stock" },
+    );
+  }
+
   res.status(201).json({
     product,
     meta: { slugTruncated: truncated },
@@ -1172,6 +1184,36 @@ exports.create = asyncHandler(async (req, res) => {
 
 exports.update = asyncHandler(async (req, res) => {
   const payload = { ...req.body };
+
+  // ✅ stock goes through the inventory ledger (ADJUSTMENT), not $set
+  const stockTarget = payload.stock;
+  const stockNote = String(payload.stockReason || "").trim();
+  delete payload.stock;
+  delete payload.stockReason;
+  delete payload.cost; // set by goods receipts only
+  if (
+    stockTarget !== undefined &&
+    !(Number.isInteger(Number(stockTarget)) && Number(stockTarget) >= 0)
+  ) {
+    throw new AppError("Stock must be a whole number (0 or more)", 400);
+  }
+  // a changed stock value needs inventory.write + a reason (ledger note);
+  // checked against the type after this update (BUNDLE -> SINGLE included)
+  if (stockTarget !== undefined) {
+    const current = await Product.findById(req.params.id).select("type stock");
+    if (!current) throw new AppError("Product not found", 404);
+    if (
+      (payload.type ?? current.type) !== "BUNDLE" &&
+      Number(stockTarget) !== Number(current.stock)
+    ) {
+      if (!staffCan(req.user, "inventory.write")) {
+        throw new AppError("Changing stock requires inventory.write", 403);
+      }
+      if (!stockNote) {
+        throw new AppError("stockReason is required when changing stock", 400);
+      }
+    }
+  }
   if ("category" in payload) {
     payload.category = await resolveCategoryId(payload.category);
   }
@@ -1326,15 +1368,59 @@ exports.update = asyncHandler(async (req, res) => {
       payload.timedOffer,
     );
   }
+  if ("attributes" in payload) {
+    let categoryId = payload.category;
+    if (!categoryId) {
+      const existing = await Product.findById(req.params.id).select("category");
+      if (!existing) throw new AppError("Product not found", 404);
+      categoryId = existing.category;
+    }
+    payload.attributes = await normalizeProductAttributes(
+      categoryId,
+      payload.attributes,
+    );
+  }
+
   // ✅ SINGLE tags normalize (BUNDLE tags will still be overwritten below)
   if ("tags" in payload) {
     payload.tags = toTags(payload.tags);
   }
 
-  const product = await Product.findByIdAndUpdate(req.params.id, payload, {
-    new: true,
-    runValidators: true,
-  });
+  // ✅ field update + stock adjustment commit together (no half-applied edit)
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let product;
+  try {
+    product = await Product.findByIdAndUpdate(req.params.id, payload, {
+      new: true,
+      runValidators: true,
+      session,
+    });
+    if (!product) throw new AppError("Product not found", 404);
+
+    // bundles have no own stock (derived from their items)
+    if (
+      stockTarget !== undefined &&
+      product.type !== "BUNDLE" &&
+      Number(stockTarget) !== Number(product.stock)
+    ) {
+      const { product: updated } = await adjustStock(
+        product._id,
+        { setTo: stockTarget },
+        { actor: req.user._id, note: stockNote },
+        session,
+      );
+      product.stock = updated.stock;
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
 
   if (product.type === "SINGLE" && "tags" in payload) {
     const bundleIds = await Product.distinct("_id", {
@@ -1352,11 +1438,84 @@ exports.update = asyncHandler(async (req, res) => {
     }
   }
 
-  if (!product) throw new AppError("Product not found", 404);
+  // re-enabled product / new bundle items may make it available again
+  if (
+    (payload.isActive !== undefined && product.isActive) ||
+    "bundleItems" in payload
+  ) {
+    emitEvent("stock.replenished", { productIds: [product._id] });
+  }
+
+  // wishlist price-drop alerts (utils/priceAlerts.js)
+  if (
+    "price" in payload ||
+    "discountPrice" in payload ||
+    "timedOffer" in payload
+  ) {
+    emitEvent("price.changed", { productIds: [product._id] });
+  }
 
   res.json({ product });
 });
 
+// ===============================
+// Back-in-stock alerts
+// ===============================
+// POST /api/products/:id/notify-me  (guests: { email })
+exports.subscribeBackInStock = asyncHandler(async (req, res) => {
+  const { alert, confirmationRequired } = await subscribeStockAlert(
+    req.params.id,
+    {
+      user: req.user || null,
+      email: req.body?.email,
+    },
+  );
+
+  // guests: nothing is sent until the emailed link is confirmed
+  if (confirmationRequired) {
+    return res.status(202).json({
+      message: "Check your email to confirm the alert",
+      alert: { product: alert.product, email: alert.email },
+    });
+  }
+
+  res.status(201).json({
+    message: "We'll email you when it's back in stock",
+    alert: { _id: alert._id, product: alert.product, email: alert.email },
+  });
+});
+
+// POST /api/products/notify-me/confirm  { token }  (guest email link)
+exports.confirmBackInStock = asyncHandler(async (req, res) => {
+  const alert = await confirmStockAlert(String(req.body?.token || ""));
+
+  res.json({
+    message: "Alert confirmed. We'll email you when it's back in stock",
+    alert: { product: alert.product, email: alert.email },
+  });
+});
+
+// POST /api/products/notify-me/unsubscribe  { token }  (link in alert emails)
+exports.unsubscribeBackInStockByToken = asyncHandler(async (req, res) => {
+  await unsubscribeStockAlert(String(req.body?.token || ""));
+  res.json({ message: "Alert removed" });
+});
+
+// DELETE /api/products/:id/notify-me  (logged in)
+exports.unsubscribeBackInStock = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError("Product not found", 404);
+  }
+
+  const { deletedCount } = await StockAlert.deleteMany({
+    product: req.params.id,
+    $or: [{ user: req.user._id }, { email: req.user.email }],
+  });
+  if (!deletedCount) throw new AppError("No alert for this product", 404);
+
+  res.json({ message: "Alert removed" });
+});
+
 // controllers/product.controller.js
 exports.bulk = asyncHandler(async (req, res) => {
   const ids = Array.isArray(req.body.ids) ? req.body.ids : [];
@@ -0,0 +1,392 @@
+// controllers/purchasing.controller.js
+// Suppliers, purchase orders (DRAFT -> SENT -> PARTIALLY_RECEIVED -> RECEIVED),
+// goods receipts and the cost / margin report: /api/inventory
+const mongoose = require("mongoose");
+const asyncHandler = require("../utils/asyncHandler");
+const AppError = require("../utils/AppError");
+const Supplier = require("../models/Supplier");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const { nextDocumentNumber } = require("../utils/gst");
+const {
+  normalizePurchaseLines,
+  purchaseTotal,
+  receivePurchaseOrder,
+  productMargins,
+} = require("../utils/purchasing");
+
+const EMAIL_RX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const GSTIN_RX = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const PO_STATUSES = [
+  "DRAFT",
+  "SENT",
+  "PARTIALLY_RECEIVED",
+  "RECEIVED",
+  "CANCELLED",
+];
+
+const clean = (v, max = 200) =>
+  String(v ?? "")
+    .trim()
+    .slice(0, max);
+
+const parseDate = (v) => {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+const paginate = (req, fallback = 20) => {
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(Number(req.query.limit) || fallback, 1), 100);
+  return { page, limit };
+};
+
+const pageMeta = (total, page, limit) => {
+  const pages = Math.max(Math.ceil(total / limit), 1);
+  return {
+    total,
+    page,
+    limit,
+    pages,
+    hasPrev: page > 1,
+    hasNext: page < pages,
+  };
+};
+
+// ===============================
+// Suppliers
+// ===============================
+// partial input -> $set fields (throws AppError 400)
+function normalizeSupplierInput(body = {}, { partial = false } = {}) {
+  const out = {};
+  const has = (k) => body[k] !== undefined;
+
+  if (!partial || has("name")) {
+    out.name = clean(body.name, 120);
+    if (!out.name) throw new AppError("Supplier name required", 400);
+  }
+  if (has("contactName")) out.contactName = clean(body.contactName, 120);
+  if (has("email")) {
+    out.email = clean(body.email, 200).toLowerCase();
+    if (out.email && !EMAIL_RX.test(out.email)) {
+      throw new AppError("Invalid email", 400);
+    }
+  }
+  if (has("phone")) out.phone = clean(body.phone, 30);
+  if (has("gstin")) {
+    out.gstin = clean(body.gstin, 15).toUpperCase();
+    if (out.gstin && !GSTIN_RX.test(out.gstin)) {
+      throw new AppError("Invalid GSTIN", 400);
+    }
+  }
+  if (has("address")) {
+    const a = body.address || {};
+    out.address = {
+      line1: clean(a.line1),
+      line2: clean(a.line2),
+      city: clean(a.city, 80),
+      state: clean(a.state, 80),
+      pincode: clean(a.pincode, 10),
+    };
+  }
+  if (has("leadTimeDays")) {
+    const n = body.leadTimeDays === null ? null : Number(body.leadTimeDays);
+    if (n !== null && !(Number.isInteger(n) && n >= 0 && n <= 365)) {
+      throw new AppError("leadTimeDays must be 0-365", 400);
+    }
+    out.leadTimeDays = n;
+  }
+  if (has("notes")) out.notes = clean(body.notes, 1000);
+  if (has("isActive")) out.isActive = Boolean(body.isActive);
+
+  return out;
+}
+
+const duplicateName = (err) =>
+  err?.code === 11000
+    ? new AppError("A supplier with this name already exists", 409)
+    : err;
+
+// ?search=&active=true|false
+exports.listSuppliers = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.active === "true") filter.isActive = true;
+  if (req.query.active === "false") filter.isActive = false;
+  if (req.query.search) {
+    const rx = new RegExp(
+      String(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+      "i",
+    );
+    filter.$or = [{ name: rx }, { contactName: rx }, { email: rx }];
+  }
+
+  const suppliers = await Supplier.find(filter).sort("name").lean();
+  res.json({ suppliers });
+});
+
+exports.createSupplier = asyncHandler(async (req, res) => {
+  const supplier = await Supplier.create(
+    normalizeSupplierInput(req.body),
+  ).catch((err) => {
+    throw duplicateName(err);
+  });
+  res.status(201).json({ supplier });
+});
+
+exports.updateSupplier = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError("Supplier not found", 404);
+  }
+
+  const supplier = await Supplier.findByIdAndUpdate(
+    req.params.id,
+    { $set: normalizeSupplierInput(req.body, { partial: true }) },
+    { new: true, runValidators: true },
+  ).catch((err) => {
+    throw duplicateName(err);
+  });
+  if (!supplier) throw new AppError("Supplier not found", 404);
+
+  res.json({ supplier });
+});
+
+// suppliers with purchase orders are kept for history (deactivate instead)
+exports.deleteSupplier = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError("Supplier not found", 404);
+  }
+  if (await PurchaseOrder.exists({ supplier: req.params.id })) {
+    throw new AppError(
+      "Supplier has purchase orders. Deactivate it instead.",
+      409,
+    );
+  }
+
+  const supplier = await Supplier.findByIdAndDelete(req.params.id);
+  if (!supplier) throw new AppError("Supplier not found", 404);
+
+  res.json({ message: "Supplier deleted" });
+});
+
+// ===============================
+// Purchase orders
+// ===============================
+const loadPurchaseOrder = async (id, session = null) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError("Purchase order not found", 404);
+  }
+  let q = PurchaseOrder.findById(id);
+  if (session) q = q.session(session);
+  const po = await q;
+  if (!po) throw new AppError("Purchase order not found", 404);
+  return po;
+};
+
+const activeSupplier = async (id) => {
+  const supplier = mongoose.Types.ObjectId.isValid(id)
+    ? await Supplier.findById(id).select("_id name isActive leadTimeDays")
+    : null;
+  if (!supplier) throw new AppError("Supplier not found", 404);
+  if (!supplier.isActive) throw new AppError("Supplier is inactive", 400);
+  return supplier;
+};
+
+// expected date: explicit, else today + supplier lead time
+const defaultExpectedDate = (body, supplier) => {
+  const explicit = parseDate(body.expectedDate);
+  if (explicit) return explicit;
+  if (supplier.leadTimeDays == null) return null;
+  return new Date(Date.now() + supplier.leadTimeDays * 86_400_000);
+};
+
+// ?status=SENT&supplier=&product=&page=&limit=
+exports.listPurchaseOrders = asyncHandler(async (req, res) => {
+  const filter = {};
+  const status = String(req.query.status || "").toUpperCase();
+  if (status) {
+    if (!PO_STATUSES.includes(status)) {
+      throw new AppError("Invalid status", 400);
+    }
+    filter.status = status;
+  }
+  for (const [param, path] of [
+    ["supplier", "supplier"],
+    ["product", "lines.product"],
+  ]) {
+    if (!req.query[param]) continue;
+    if (!mongoose.Types.ObjectId.isValid(req.query[param])) {
+      throw new AppError(`Invalid ${param}`, 400);
+    }
+    filter[path] = req.query[param];
+  }
+
+  const { page, limit } = paginate(req);
+  const [purchaseOrders, total] = await Promise.all([
+    PurchaseOrder.find(filter)
+      .populate("supplier", "name")
+      .select("-receipts")
+      .sort("-createdAt")
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    PurchaseOrder.countDocuments(filter),
+  ]);
+
+  res.json({ purchaseOrders, meta: pageMeta(total, page, limit) });
+});
+
+exports.getPurchaseOrder = asyncHandler(async (req, res) => {
+  const po = await loadPurchaseOrder(req.params.id);
+  await po.populate([
+    { path: "supplier" },
+    { path: "lines.product", select: "title slug stock cost" },
+    { path: "receipts.receivedBy", select: "name email" },
+  ]);
+  res.json({ purchaseOrder: po });
+});
+
+// body: { supplierId, lines: [{ productId, orderedQty, unitCost, expectedDate? }],
+//         expectedDate?, notes? } -> DRAFT
+exports.createPurchaseOrder = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  const supplier = await activeSupplier(body.supplierId);
+  const lines = await normalizePurchaseLines(body.lines, {
+    expectedDate: defaultExpectedDate(body, supplier),
+  });
+
+  const { number } = await nextDocumentNumber("PO");
+  const purchaseOrder = await PurchaseOrder.create({
+    number,
+    supplier: supplier._id,
+    lines,
+    totalCost: purchaseTotal(lines),
+    notes: clean(body.notes, 1000),
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({ purchaseOrder });
+});
+
+// DRAFT only: { supplierId?, lines?, expectedDate?, notes? }
+exports.updatePurchaseOrder = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  const po = await loadPurchaseOrder(req.params.id);
+  if (po.status !== "DRAFT") {
+    throw new AppError("Only DRAFT purchase orders can be edited", 400);
+  }
+
+  const supplier = await activeSupplier(body.supplierId || po.supplier);
+  po.supplier = supplier._id;
+
+  if (body.lines !== undefined) {
+    po.lines = await normalizePurchaseLines(body.lines, {
+      expectedDate: defaultExpectedDate(body, supplier),
+    });
+    po.totalCost = purchaseTotal(po.lines);
+  }
+  if (body.notes !== undefined) po.notes = clean(body.notes, 1000);
+
+  await po.save();
+  res.json({ purchaseOrder: po });
+});
+
+// DRAFT -> SENT (placed with the supplier; lines are locked from here on)
+exports.sendPurchaseOrder = asyncHandler(async (req, res) => {
+  const po = await loadPurchaseOrder(req.params.id);
+  if (po.status !== "DRAFT") {
+    throw new AppError(`Cannot send a ${po.status} purchase order`, 400);
+  }
+
+  po.status = "SENT";
+  po.sentAt = new Date();
+  await po.save();
+
+  res.json({ purchaseOrder: po });
+});
+
+// DRAFT / SENT -> CANCELLED (received goods can't be un-received)
+exports.cancelPurchaseOrder = asyncHandler(async (req, res) => {
+  const po = await loadPurchaseOrder(req.params.id);
+  if (!["DRAFT", "SENT"].includes(po.status)) {
+    throw new AppError(`Cannot cancel a ${po.status} purchase order`, 400);
+  }
+
+  po.status = "CANCELLED";
+  po.cancelledAt = new Date();
+  if (req.body?.reason) {
+    po.notes = [po.notes, `Cancelled: ${clean(req.body.reason, 300)}`]
+      .filter(Boolean)
+      .join("\n");
+  }
+  await po.save();
+
+  res.json({ purchaseOrder: po });
+});
+
+// ===============================
+// Goods receipt: stock + ledger + weighted average cost, one transaction
+// body: { lines: [{ productId, qty, unitCost? }], reference?, note? }
+// ===============================
+exports.receivePurchaseOrder = asyncHandler(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const po = await loadPurchaseOrder(req.params.id, session);
+    const receipt = await receivePurchaseOrder(
+      po,
+      req.body?.lines,
+      {
+        actor: req.user._id,
+        reference: clean(req.body?.reference, 100),
+        note: clean(req.body?.note, 500),
+      },
+      session,
+    );
+    await po.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({ receipt, purchaseOrder: po });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+});
+
+// ===============================
+// Cost & margin per product (invoiced orders)
+// ?from=&to=&product=
+// ===============================
+exports.marginReport = asyncHandler(async (req, res) => {
+  const productId = req.query.product || null;
+  if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+    throw new AppError("Invalid product", 400);
+  }
+
+  const products = await productMargins({
+    from: parseDate(req.query.from),
+    to: parseDate(req.query.to),
+    productId,
+  });
+
+  const sum = (k) =>
+    Math.round(products.reduce((s, p) => s + p[k], 0) * 100) / 100;
+  const netRevenue = sum("netRevenue");
+  const margin = sum("margin");
+
+  res.json({
+    products,
+    totals: {
+      units: products.reduce((s, p) => s + p.units, 0),
+      revenue: sum("revenue"),
+      netRevenue,
+      cost: sum("cost"),
+      margin,
+      marginPct:
+        netRevenue > 0 ? Math.round((margin / netRevenue) * 10000) / 100 : null,
+    },
+  });
+});
@@ -0,0 +1,247 @@
+// controllers/shipping.controller.js
+const mongoose = require("mongoose");
+const asyncHandler = require("../utils/asyncHandler");
+const AppError = require("../utils/AppError");
+const ShippingZone = require("../models/ShippingZone");
+const Product = require("../models/Product");
+const { getOfferUnitPrice } = require("../utils/pricing");
+const { round2 } = require("../utils/coupon");
+const { isValidPincode } = require("../utils/address");
+const {
+  findZoneForPincode,
+  unitWeightGrams,
+  quoteShipping,
+  codEligibility,
+  getDeliveryEstimate,
+} = require("../utils/shipping");
+
+const MAX_ESTIMATE_PRODUCTS = 50;
+
+const toNumberOrNull = (v, label) => {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) throw new AppError(`Invalid ${label}`, 400);
+  return n;
+};
+
+const toSlabs = (input, key, label) => {
+  if (input == null) return [];
+  if (!Array.isArray(input))
+    throw new AppError(`${label} must be an array`, 400);
+  return input
+    .map((s) => ({
+      [key]: toNumberOrNull(s?.[key], `${label}.${key}`),
+      fee: toNumberOrNull(s?.fee, `${label}.fee`) ?? 0,
+    }))
+    .filter((s) => s[key] != null)
+    .sort((a, b) => a[key] - b[key]);
+};
+
+// admin input -> ShippingZone fields (partial on update)
+function normalizeZoneInput(body = {}, { partial = false } = {}) {
+  const out = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = String(body.name || "").trim();
+    if (!name) throw new AppError("Zone name required", 400);
+    out.name = name;
+  }
+  if (body.isActive !== undefined) out.isActive = Boolean(body.isActive);
+  if (body.priority !== undefined) out.priority = Number(body.priority) || 0;
+
+  if (body.pincodePrefixes !== undefined) {
+    const prefixes = (
+      Array.isArray(body.pincodePrefixes)
+        ? body.pincodePrefixes
+        : String(body.pincodePrefixes).split(",")
+    )
+      .map((p) => String(p).trim())
+      .filter(Boolean);
+    for (const p of prefixes) {
+      if (!/^[1-9][0-9]{0,5}$/.test(p)) {
+        throw new AppError(`Invalid PIN code prefix: ${p}`, 400);
+      }
+    }
+    out.pincodePrefixes = Array.from(new Set(prefixes));
+  }
+
+  if (body.pincodeRanges !== undefined) {
+    if (!Array.isArray(body.pincodeRanges)) {
+      throw new AppError("pincodeRanges must be an array", 400);
+    }
+    out.pincodeRanges = body.pincodeRanges.map((r) => {
+      const from = Number(r?.from);
+      const to = Number(r?.to);
+      if (!isValidPincode(from) || !isValidPincode(to) || from > to) {
+        throw new AppError("Invalid PIN code range", 400);
+      }
+      return { from, to };
+    });
+  }
+
+  if (body.codAvailable !== undefined) {
+    out.codAvailable = Boolean(body.codAvailable);
+  }
+  if (body.codMaxOrderValue !== undefined) {
+    out.codMaxOrderValue = toNumberOrNull(
+      body.codMaxOrderValue,
+      "codMaxOrderValue",
+    );
+  }
+  if (body.codFee !== undefined) {
+    out.codFee = toNumberOrNull(body.codFee, "codFee") ?? 0;
+  }
+
+  if (body.slaDays !== undefined) {
+    const min = toNumberOrNull(body.slaDays?.min, "slaDays.min") ?? 0;
+    const max = toNumberOrNull(body.slaDays?.max, "slaDays.max") ?? min;
+    if (max < min) throw new AppError("slaDays.max must be >= min", 400);
+    out.slaDays = { min, max };
+  }
+
+  if (body.fees !== undefined) {
+    const f = body.fees || {};
+    out.fees = {
+      baseFee: toNumberOrNull(f.baseFee, "fees.baseFee") ?? 0,
+      weightSlabs: toSlabs(f.weightSlabs, "maxGrams", "fees.weightSlabs"),
+      extraPerKg: toNumberOrNull(f.extraPerKg, "fees.extraPerKg") ?? 0,
+      valueSlabs: toSlabs(f.valueSlabs, "maxValue", "fees.valueSlabs"),
+      freeAbove: toNumberOrNull(f.freeAbove, "fees.freeAbove"),
+    };
+  }
+
+  if (!partial) {
+    const hasPrefixes = out.pincodePrefixes?.length;
+    const hasRanges = out.pincodeRanges?.length;
+    if (!hasPrefixes && !hasRanges) {
+      throw new AppError("pincodePrefixes or pincodeRanges required", 400);
+    }
+  }
+
+  return out;
+}
+
+const assertZoneId = (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError("Shipping zone not found", 404);
+  }
+};
+
+// ===============================
+// PUBLIC - Delivery estimate (product page / cart)
+// ?pincode=400001&productIds=a,b,b (repeat an id for qty)
+// ===============================
+exports.estimate = asyncHandler(async (req, res) => {
+  const pincode = String(req.query.pincode || "").trim();
+  if (!isValidPincode(pincode)) {
+    throw new AppError("Enter a valid 6-digit PIN code", 400);
+  }
+
+  const ids = String(req.query.productIds || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (ids.length > MAX_ESTIMATE_PRODUCTS) {
+    throw new AppError("Too many products", 400);
+  }
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new AppError("Invalid productIds", 400);
+  }
+
+  const zone = await findZoneForPincode(pincode);
+  if (!zone) return res.json({ pincode, serviceable: false });
+
+  const products = await Product.find({
+    _id: { $in: ids },
+    isActive: { $ne: false },
+  })
+    .select(
+      "price discountPrice timedOffer category brand type weightGrams bundleItems.product bundleItems.qty",
+    )
+    .populate("bundleItems.product", "weightGrams")
+    .lean();
+  const map = new Map(products.map((p) => [String(p._id), p]));
+
+  let weightGrams = 0;
+  let orderValue = 0;
+  for (const id of ids) {
+    const p = map.get(id);
+    if (!p) continue;
+    weightGrams += unitWeightGrams(p);
+    orderValue += getOfferUnitPrice(p).unitPrice;
+  }
+  orderValue = round2(orderValue);
+
+  const cod = codEligibility(zone, orderValue);
+  const prepaid = quoteShipping(zone, {
+    weightGrams,
+    orderValue,
+    paymentMethod: "RAZORPAY",
+  });
+
+  res.json({
+    pincode,
+    serviceable: true,
+    zone: { _id: zone._id, name: zone.name },
+    delivery: getDeliveryEstimate(zone),
+    shipping: {
+      fee: prepaid.fee,
+      freeShipping: prepaid.freeShipping,
+      freeAbove: zone.fees?.freeAbove ?? null,
+      weightGrams,
+      orderValue,
+    },
+    cod: {
+      ...cod,
+      fee: cod.available ? Number(zone.codFee || 0) : null,
+    },
+  });
+});
+
+// ===============================
+// ADMIN - Zones
+// ===============================
+exports.adminListZones = asyncHandler(async (req, res) => {
+  const zones = await ShippingZone.find({}).sort({ priority: -1, name: 1 });
+  res.json({ zones });
+});
+
+exports.adminCreateZone = asyncHandler(async (req, res) => {
+  const data = normalizeZoneInput(req.body);
+  if (await ShippingZone.exists({ name: data.name })) {
+    throw new AppError("Zone name already exists", 409);
+  }
+
+  const zone = await ShippingZone.create(data);
+  res.status(201).json({ zone });
+});
+
+exports.adminUpdateZone = asyncHandler(async (req, res) => {
+  assertZoneId(req.params.id);
+  const zone = await ShippingZone.findById(req.params.id);
+  if (!zone) throw new AppError("Shipping zone not found", 404);
+
+  const data = normalizeZoneInput(req.body, { partial: true });
+  if (
+    data.name !== undefined &&
+    (await ShippingZone.exists({ name: data.name, _id: { $ne: zone._id } }))
+  ) {
+    throw new AppError("Zone name already exists", 409);
+  }
+
+  zone.set(data);
+  if (!zone.pincodePrefixes.length && !zone.pincodeRanges.length) {
+    throw new AppError("pincodePrefixes or pincodeRanges required", 400);
+  }
+
+  await zone.save();
+  res.json({ zone });
+});
+
+// placed orders keep their snapshot (Order.shipping)
+exports.adminDeleteZone = asyncHandler(async (req, res) => {
+  assertZoneId(req.params.id);
+  const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+  if (!zone) throw new AppError("Shipping zone not found", 404);
+  res.json({ message: "Shipping zone deleted" });
+});
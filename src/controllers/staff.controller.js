@@ -0,0 +1,146 @@
+// controllers/staff.controller.js
+const mongoose = require("mongoose");
+const asyncHandler = require("../utils/asyncHandler");
+const AppError = require("../utils/AppError");
+const User = require("../models/User");
+const StaffInvitation = require("../models/StaffInvitation");
+const {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  STAFF_ROLES,
+} = require("../config/permissions");
+const { createOneTimeToken } = require("../utils/oneTimeToken");
+const { sendMailSafe, isValidEmail } = require("../utils/mailer");
+const { staffInvitationEmail } = require("../utils/authEmails");
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const withoutToken = (inv) => {
+  const { tokenHash, ...rest } = inv.toObject ? inv.toObject() : inv;
+  return rest;
+};
+
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError(`${label} not found`, 404);
+  }
+};
+
+// ===============================
+// ADMIN - Roles / permissions matrix
+// ===============================
+exports.listRoles = asyncHandler(async (req, res) => {
+  res.json({ roles: ROLE_PERMISSIONS, permissions: PERMISSIONS });
+});
+
+// ===============================
+// ADMIN - Staff users
+// ===============================
+exports.listStaff = asyncHandler(async (req, res) => {
+  const staff = await User.find({ role: { $in: STAFF_ROLES } })
+    .select("name email role emailVerified lockedUntil createdAt")
+    .sort("role name");
+  res.json({ staff });
+});
+
+// body: { role } ("customer" removes staff access)
+exports.updateStaffRole = asyncHandler(async (req, res) => {
+  const role = String(req.body?.role || "");
+  if (!ROLES.includes(role)) throw new AppError("Invalid role", 400);
+
+  assertObjectId(req.params.id, "User");
+  if (String(req.params.id) === String(req.user._id)) {
+    throw new AppError("You cannot change your own role", 400);
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) throw new AppError("User not found", 404);
+
+  // keep at least one super-admin
+  if (user.role === "admin" && role !== "admin") {
+    const admins = await User.countDocuments({ role: "admin" });
+    if (admins <= 1) throw new AppError("Cannot remove the last admin", 400);
+  }
+
+  user.role = role;
+  await user.save();
+
+  res.json({
+    user: { _id: user._id, name: user.name, email: user.email, role },
+  });
+});
+
+// ===============================
+// ADMIN - Invitations
+// ===============================
+
+// body: { email, role, name? } -> emails a 7-day single-use link
+exports.createInvitation = asyncHandler(async (req, res) => {
+  const email = String(req.body?.email || "")
+    .trim()
+    .toLowerCase();
+  const role = String(req.body?.role || "");
+  const name = String(req.body?.name || "").trim();
+
+  if (!email) throw new AppError("Email required", 400);
+  if (!isValidEmail(email)) throw new AppError("Invalid email address", 400);
+  if (!STAFF_ROLES.includes(role)) throw new AppError("Invalid role", 400);
+
+  const existing = await User.findOne({ email }).select("role");
+  if (existing?.role === role) {
+    throw new AppError(`User is already ${role}`, 409);
+  }
+  // demotions go through updateStaffRole (keeps the last-admin guard)
+  if (existing?.role === "admin") {
+    throw new AppError("Change an admin's role from the staff list", 409);
+  }
+
+  // a new invite replaces any pending one for the same email
+  await StaffInvitation.updateMany(
+    { email, acceptedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+  );
+
+  const { token, tokenHash, expiresAt } = createOneTimeToken(INVITE_TTL_MS);
+  const invitation = await StaffInvitation.create({
+    email,
+    name,
+    role,
+    tokenHash,
+    expiresAt,
+    invitedBy: req.user._id,
+  });
+
+  await sendMailSafe(staffInvitationEmail(invitation, token, req.user.name));
+
+  res.status(201).json({ invitation: withoutToken(invitation) });
+});
+
+// ?status=pending (default) | all
+exports.listInvitations = asyncHandler(async (req, res) => {
+  const filter =
+    req.query.status === "all"
+      ? {}
+      : { acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } };
+
+  const invitations = await StaffInvitation.find(filter)
+    .select("-tokenHash")
+    .populate("invitedBy", "name email")
+    .sort("-createdAt");
+
+  res.json({ invitations });
+});
+
+exports.revokeInvitation = asyncHandler(async (req, res) => {
+  assertObjectId(req.params.id, "Invitation");
+
+  const invitation = await StaffInvitation.findOneAndUpdate(
+    { _id: req.params.id, acceptedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true },
+  ).select("-tokenHash");
+  if (!invitation) throw new AppError("Pending invitation not found", 404);
+
+  res.json({ invitation });
+});
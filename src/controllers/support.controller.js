@@ -1,7 +1,9 @@
 const mongoose = require("mongoose");
 const asyncHandler = require("../utils/asyncHandler");
 const AppError = require("../utils/AppError");
+const { staffCan } = require("../utils/twoFactor");
 const SupportTicket = require("../models/SupportTicket");
+const { emitEvent } = require("../utils/events");
 
 const ALLOWED_STATUS = ["open", "pending", "closed"];
 const ALLOWED_PRIORITY = ["low", "medium", "high"];
@@ -103,7 +105,7 @@ exports.addMessage = asyncHandler(async (req, res) => {
   }
 
   const isOwner = String(ticket.userId) === String(req.user._id);
-  const isAdmin = req.user.role === "admin";
+  const isAdmin = staffCan(req.user, "support.reply");
   if (!isOwner && !isAdmin) throw new AppError("Forbidden", 403);
 
   ticket.messages.push({
@@ -117,6 +119,16 @@ exports.addMessage = asyncHandler(async (req, res) => {
   ticket.status = isAdmin ? "pending" : "open";
 
   await ticket.save();
+
+  // staff reply on someone else's ticket -> customer notification
+  if (isAdmin && !isOwner && ticket.userId) {
+    emitEvent("support.replied", {
+      userId: ticket.userId,
+      ticket,
+      text: String(text).trim(),
+    });
+  }
+
   res.json({ ticket });
 });
 
@@ -200,7 +212,7 @@ exports.getTicket = asyncHandler(async (req, res) => {
   if (!ticket) throw new AppError("Ticket not found", 404);
 
   const isOwner = String(ticket.userId) === String(req.user._id);
-  const isAdmin = req.user.role === "admin";
+  const isAdmin = staffCan(req.user, "support.read");
   if (!isOwner && !isAdmin) throw new AppError("Forbidden", 403);
 
   res.json({ ticket });
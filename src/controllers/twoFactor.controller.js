@@ -0,0 +1,187 @@
+// controllers/twoFactor.controller.js
+// TOTP enrolment for the signed-in user (login step: auth.controller.loginTwoFactor)
+const bcrypt = require("bcryptjs");
+const asyncHandler = require("../utils/asyncHandler");
+const AppError = require("../utils/AppError");
+const User = require("../models/User");
+const { recordAudit } = require("../utils/audit");
+const { revokeAllSessions } = require("../utils/session");
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+} = require("../utils/totp");
+const {
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  verifySecondFactor,
+} = require("../utils/twoFactor");
+const { getTwoFactorIssuer } = require("../config/twoFactor");
+
+const assertPassword = async (userId, password) => {
+  if (!password) throw new AppError("password required", 400);
+  const user = await User.findById(userId).select("passwordHash");
+  if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+    throw new AppError("Password is incorrect", 400);
+  }
+};
+
+// ===============================
+// Status
+// ===============================
+exports.getStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(
+    "+twoFactor.recoveryCodes",
+  );
+
+  res.json({
+    enabled: Boolean(user.twoFactor?.enabled),
+    enabledAt: user.twoFactor?.enabledAt || null,
+    required: isTwoFactorRequired(user),
+    recoveryCodesRemaining: user.twoFactor?.enabled
+      ? user.twoFactor.recoveryCodes.length
+      : 0,
+  });
+});
+
+// ===============================
+// Enrolment: setup -> enable
+// ===============================
+
+// body: { password } -> { secret, otpauthUri } (render the URI as a QR code)
+exports.setup = asyncHandler(async (req, res) => {
+  if (req.user.twoFactor?.enabled) {
+    throw new AppError("Two-factor authentication is already enabled", 400);
+  }
+  await assertPassword(req.user._id, req.body?.password);
+
+  const secret = generateSecret();
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { "twoFactor.pendingSecret": encryptSecret(secret) } },
+  );
+
+  res.json({
+    secret,
+    otpauthUri: buildOtpauthUri({
+      secret,
+      account: req.user.email,
+      issuer: getTwoFactorIssuer(),
+    }),
+  });
+});
+
+// body: { code } from the authenticator -> recovery codes (shown once)
+// other sessions were signed in without 2FA, so they are signed out
+exports.enable = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(
+    "+twoFactor.pendingSecret",
+  );
+  if (user.twoFactor?.enabled) {
+    throw new AppError("Two-factor authentication is already enabled", 400);
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    throw new AppError("Start setup first", 400);
+  }
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyTotp(secret, req.body?.code);
+  if (step == null) throw new AppError("Invalid authentication code", 400);
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.enabledAt": new Date(),
+        "twoFactor.secret": user.twoFactor.pendingSecret,
+        "twoFactor.pendingSecret": null,
+        "twoFactor.recoveryCodes": hashes,
+        "twoFactor.lastUsedStep": step,
+      },
+    },
+  );
+
+  await revokeAllSessions(user._id, "REVOKED", req.sessionId);
+  await recordAudit(req, {
+    action: "auth.2fa_enabled",
+    entityType: "User",
+    entityId: user._id,
+  });
+
+  res.json({
+    message: "Two-factor authentication enabled",
+    recoveryCodes: codes,
+  });
+});
+
+// ===============================
+// Disable / new recovery codes
+// ===============================
+
+// body: { password, code | recoveryCode } — not allowed where policy requires 2FA
+exports.disable = asyncHandler(async (req, res) => {
+  if (!req.user.twoFactor?.enabled) {
+    throw new AppError("Two-factor authentication is not enabled", 400);
+  }
+  if (isTwoFactorRequired(req.user)) {
+    throw new AppError(
+      "Two-factor authentication is required for staff accounts",
+      403,
+    );
+  }
+
+  await assertPassword(req.user._id, req.body?.password);
+  if (!(await verifySecondFactor(req.user._id, req.body || {}))) {
+    throw new AppError("Invalid authentication code", 400);
+  }
+
+  await User.updateOne(
+    { _id: req.user._id },
+    {
+      $set: {
+        twoFactor: {
+          enabled: false,
+          enabledAt: null,
+          secret: null,
+          pendingSecret: null,
+          recoveryCodes: [],
+          lastUsedStep: null,
+        },
+      },
+    },
+  );
+  await recordAudit(req, {
+    action: "auth.2fa_disabled",
+    entityType: "User",
+    entityId: req.user._id,
+  });
+
+  res.json({ message: "Two-factor authentication disabled" });
+});
+
+// body: { code } -> fresh set, old codes stop working
+exports.regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  if (!req.user.twoFactor?.enabled) {
+    throw new AppError("Two-factor authentication is not enabled", 400);
+  }
+  if (!(await verifySecondFactor(req.user._id, { code: req.body?.code }))) {
+    throw new AppError("Invalid authentication code", 400);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { "twoFactor.recoveryCodes": hashes } },
+  );
+  await recordAudit(req, {
+    action: "auth.2fa_recovery_codes_regenerated",
+    entityType: "User",
+    entityId: req.user._id,
+  });
+
+  res.json({ recoveryCodes: codes });
+});
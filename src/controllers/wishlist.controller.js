@@ -1,6 +1,10 @@
+const mongoose = require("mongoose");
 const Wishlist = require("../models/Wishlist");
+const Product = require("../models/Product");
 const asyncHandler = require("../utils/asyncHandler");
 const AppError = require("../utils/AppError");
+const { getListedUnitPrice } = require("../utils/pricing");
+const { round2 } = require("../utils/coupon");
 
 const getOrCreateWishlist = async (userId) => {
   let wl = await Wishlist.findOne({ user: userId });
@@ -8,6 +12,53 @@ const getOrCreateWishlist = async (userId) => {
   return wl;
 };
 
+// ✅ new wishlist entry with the listed price snapshot (price-drop alerts)
+const newWishlistItem = async (productId, targetPrice = null) => {
+  const product = mongoose.Types.ObjectId.isValid(productId)
+    ? await Product.findById(productId)
+        .select("_id price discountPrice timedOffer category brand")
+        .lean()
+    : null;
+  if (!product) throw new AppError("Product not found", 404);
+
+  return {
+    product: product._id,
+    priceAtAdd: getListedUnitPrice(product),
+    targetPrice,
+  };
+};
+
+// body.targetPrice: number >= 0, or null/"" to clear
+const parseTargetPrice = (v) => {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) {
+    throw new AppError("targetPrice must be 0 or more", 400);
+  }
+  return round2(n);
+};
+
+// ✅ "price dropped by X" since the item was added
+const withPriceDrop = (item) => {
+  const product = item.product;
+  if (!product || typeof product !== "object") return item;
+
+  const currentPrice = getListedUnitPrice(product);
+  const priceDrop =
+    item.priceAtAdd != null
+      ? round2(Math.max(0, item.priceAtAdd - currentPrice))
+      : 0;
+
+  return {
+    ...item,
+    currentPrice,
+    priceDrop,
+    priceDropPercent:
+      item.priceAtAdd > 0 ? Math.round((priceDrop / item.priceAtAdd) * 100) : 0,
+    targetReached: item.targetPrice != null && currentPrice <= item.targetPrice,
+  };
+};
+
 // GET /api/wishlist
 exports.getMyWishlist = asyncHandler(async (req, res) => {
   const wl = await getOrCreateWishlist(req.user._id);
@@ -16,7 +67,7 @@ exports.getMyWishlist = asyncHandler(async (req, res) => {
     {
       path: "items.product",
       select:
-        "title name productName slug price discountPrice images stock brand category rating avgRating",
+        "title name productName slug price discountPrice timedOffer images stock brand category rating avgRating",
       populate: [
         { path: "brand", select: "name" },
         { path: "category", select: "name" },
@@ -24,10 +75,13 @@ exports.getMyWishlist = asyncHandler(async (req, res) => {
     },
   ]);
 
+  const data = wl.toObject();
+  data.items = data.items.map(withPriceDrop);
+
   res.status(200).json({
     status: "success",
-    results: wl.items.length,
-    data: wl,
+    results: data.items.length,
+    data,
   });
 });
 
@@ -45,7 +99,7 @@ exports.toggleWishlistItem = asyncHandler(async (req, res) => {
     wl.items.splice(idx, 1);
     action = "removed";
   } else {
-    wl.items.unshift({ product: productId });
+    wl.items.unshift(await newWishlistItem(productId));
   }
 
   await wl.save();
@@ -62,9 +116,10 @@ exports.addToWishlist = asyncHandler(async (req, res) => {
   const { productId } = req.params;
   const wl = await getOrCreateWishlist(req.user._id);
 
+  const targetPrice = parseTargetPrice(req.body?.targetPrice);
   const exists = wl.items.some((x) => String(x.product) === String(productId));
 
-  if (!exists) wl.items.unshift({ product: productId });
+  if (!exists) wl.items.unshift(await newWishlistItem(productId, targetPrice));
   await wl.save();
 
   res.status(200).json({
@@ -74,6 +129,26 @@ exports.addToWishlist = asyncHandler(async (req, res) => {
   });
 });
 
+// PATCH /api/wishlist/target/:productId  body: { targetPrice } (null clears)
+exports.setTargetPrice = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const targetPrice = parseTargetPrice(req.body?.targetPrice);
+  const wl = await getOrCreateWishlist(req.user._id);
+
+  const item = wl.items.find((x) => String(x.product) === String(productId));
+  if (!item) throw new AppError("Item not found in wishlist", 404);
+
+  item.targetPrice = targetPrice;
+  item.lastAlertPrice = null; // new target => may alert at the current low
+  await wl.save();
+
+  res.status(200).json({
+    status: "success",
+    message: targetPrice != null ? "Target price set" : "Target price cleared",
+    data: item,
+  });
+});
+
 // DELETE /api/wishlist/remove/:productId
 exports.removeFromWishlist = asyncHandler(async (req, res, next) => {
   const { productId } = req.params;
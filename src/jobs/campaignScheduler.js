@@ -0,0 +1,89 @@
+// jobs/campaignScheduler.js
+// Moves campaigns SCHEDULED -> ACTIVE -> ENDED as their window opens / closes,
+// reloads the in-memory live campaign list used for pricing, and runs the
+// wishlist price-drop check for products of campaigns that just started.
+const Campaign = require("../models/Campaign");
+const Product = require("../models/Product");
+const {
+  refreshCampaignCache,
+  campaignProductFilter,
+} = require("../utils/campaigns");
+const { emitEvent } = require("../utils/events");
+
+const DEFAULT_EVERY_MIN = 1;
+
+// Returns { activated, ended, live }
+async function runCampaignScheduler({ now = new Date() } = {}) {
+  const starting = await Campaign.find({
+    status: "SCHEDULED",
+    startAt: { $lte: now },
+    endAt: { $gt: now },
+  }).select("_id selectors categoryScope");
+
+  let activated = 0;
+  const repriced = [];
+  for (const c of starting) {
+    const updated = await Campaign.findOneAndUpdate(
+      { _id: c._id, status: "SCHEDULED" },
+      { $set: { status: "ACTIVE", activatedAt: now } },
+    );
+    if (!updated) continue; // another instance got there first
+    activated += 1;
+
+    repriced.push(
+      ...(await Product.distinct("_id", {
+        isActive: true,
+        ...campaignProductFilter(c),
+      })),
+    );
+  }
+
+  const { modifiedCount: ended } = await Campaign.updateMany(
+    { status: { $in: ["SCHEDULED", "ACTIVE"] }, endAt: { $lte: now } },
+    { $set: { status: "ENDED", endedAt: now } },
+  );
+
+  // price.changed listeners price from the cache, so reload it first
+  const live = await refreshCampaignCache(now);
+  if (repriced.length) emitEvent("price.changed", { productIds: repriced });
+
+  return { activated, ended, live };
+}
+
+// In-process scheduler (started from server.js); also loads the cache at boot.
+// CAMPAIGN_SWEEP_EVERY_MIN=0 disables the interval (cache then loads once).
+function startCampaignScheduler() {
+  const raw = process.env.CAMPAIGN_SWEEP_EVERY_MIN;
+  const everyMin =
+    raw !== undefined && raw !== "" ? Number(raw) : DEFAULT_EVERY_MIN;
+
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const r = await runCampaignScheduler();
+      if (r.activated || r.ended) {
+        console.log(
+          `🏷️ Campaign sweep: ${r.activated} started, ${r.ended} ended (${r.live} live)`,
+        );
+      }
+    } catch (err) {
+      console.error("❌ Campaign sweep failed:", err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  if (!Number.isFinite(everyMin) || everyMin <= 0) return null;
+
+  const timer = setInterval(tick, everyMin * 60_000);
+  timer.unref();
+
+  console.log(`✅ Campaign scheduler every ${everyMin} min`);
+  return timer;
+}
+
+module.exports = { runCampaignScheduler, startCampaignScheduler };
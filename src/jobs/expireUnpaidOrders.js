@@ -0,0 +1,136 @@
+// jobs/expireUnpaidOrders.js
+// RAZORPAY orders reserve stock at creation (consumeStockOrThrow).
+// If the customer never pays, release that stock, coupon use and campaign
+// units after a TTL.
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const { restockRemainingLines } = require("../utils/stock");
+const { releaseCouponUse } = require("../utils/coupon");
+const { releaseCampaignUnits } = require("../utils/campaigns");
+const { recomputeTotalAfterCancel } = require("../utils/orderTotals");
+
+const DEFAULT_TTL_MIN = 30;
+const DEFAULT_EVERY_MIN = 5;
+
+const getTtlMinutes = () => {
+  const n = Number(process.env.UNPAID_ORDER_TTL_MIN);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TTL_MIN;
+};
+
+const unpaidFilter = (cutoff) => ({
+  "payment.method": "RAZORPAY",
+  "payment.status": "PENDING",
+  status: "PLACED",
+  isReplacement: { $ne: true },
+  createdAt: { $lt: cutoff },
+});
+
+// cancel one order inside its own transaction (re-checked on the fresh copy)
+async function expireOne(orderId, cutoff, ttlMinutes) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const order = await Order.findOne({
+      _id: orderId,
+      ...unpaidFilter(cutoff),
+    }).session(session);
+
+    if (!order) {
+      await session.abortTransaction();
+      session.endSession();
+      return false;
+    }
+
+    order.payment.status = "FAILED";
+    order.status = "CANCELLED";
+
+    const cancelledLines = await restockRemainingLines(order, session, {
+      note: `Unpaid for ${ttlMinutes} min`,
+    });
+    await releaseCouponUse(order, session);
+    await releaseCampaignUnits(cancelledLines, session);
+    recomputeTotalAfterCancel(order);
+
+    order.statusHistory.push({
+      status: "PAYMENT_EXPIRED",
+      at: new Date(),
+      note: `Unpaid for ${ttlMinutes} min (auto-cancel + restock)`,
+    });
+
+    await order.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+    return true;
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+// Returns { ttlMinutes, cutoff, scanned, expired, failed[] }
+async function expireUnpaidOrders({
+  ttlMinutes = getTtlMinutes(),
+  now = new Date(),
+} = {}) {
+  const cutoff = new Date(now.getTime() - ttlMinutes * 60_000);
+
+  const candidates = await Order.find(unpaidFilter(cutoff))
+    .select("_id")
+    .sort("createdAt")
+    .limit(200);
+
+  let expired = 0;
+  const failed = [];
+
+  for (const c of candidates) {
+    try {
+      if (await expireOne(c._id, cutoff, ttlMinutes)) expired += 1;
+    } catch (err) {
+      failed.push({ orderId: c._id, error: err.message });
+    }
+  }
+
+  return { ttlMinutes, cutoff, scanned: candidates.length, expired, failed };
+}
+
+// In-process scheduler (started from server.js).
+// UNPAID_ORDER_SWEEP_EVERY_MIN=0 disables it (e.g. when a cron runs the admin trigger).
+function startUnpaidOrderSweeper() {
+  const raw = process.env.UNPAID_ORDER_SWEEP_EVERY_MIN;
+  const everyMin =
+    raw !== undefined && raw !== "" ? Number(raw) : DEFAULT_EVERY_MIN;
+  if (!Number.isFinite(everyMin) || everyMin <= 0) return null;
+
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const r = await expireUnpaidOrders();
+      if (r.expired || r.failed.length) {
+        console.log(
+          `⏱️ Unpaid order sweep: expired ${r.expired}/${r.scanned}` +
+            (r.failed.length ? `, failed ${r.failed.length}` : ""),
+        );
+      }
+    } catch (err) {
+      console.error("❌ Unpaid order sweep failed:", err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, everyMin * 60_000);
+  timer.unref();
+
+  console.log(
+    `✅ Unpaid order sweeper every ${everyMin} min (TTL ${getTtlMinutes()} min)`,
+  );
+  return timer;
+}
+
+module.exports = { expireUnpaidOrders, startUnpaidOrderSweeper };
@@ -0,0 +1,60 @@
+// jobs/timedOfferAlerts.js
+// Timed offers go live on their own (startAt), without a product edit, so
+// nothing emits "price.changed". This sweep picks up offers that started since
+// the previous run and runs the wishlist price-drop check for them.
+const Product = require("../models/Product");
+const { checkPriceDrops } = require("../utils/priceAlerts");
+
+const DEFAULT_EVERY_MIN = 5;
+
+// Returns { since, now, started, alerts }
+async function alertStartedTimedOffers({ since, now = new Date() }) {
+  const productIds = await Product.distinct("_id", {
+    isActive: true,
+    "timedOffer.isActive": true,
+    "timedOffer.startAt": { $gt: since, $lte: now },
+    "timedOffer.endAt": { $gt: now },
+  });
+
+  const alerts = await checkPriceDrops(productIds, now.getTime());
+  return { since, now, started: productIds.length, alerts };
+}
+
+// In-process scheduler (started from server.js).
+// TIMED_OFFER_SWEEP_EVERY_MIN=0 disables it.
+function startTimedOfferWatcher() {
+  const raw = process.env.TIMED_OFFER_SWEEP_EVERY_MIN;
+  const everyMin =
+    raw !== undefined && raw !== "" ? Number(raw) : DEFAULT_EVERY_MIN;
+  if (!Number.isFinite(everyMin) || everyMin <= 0) return null;
+
+  let since = new Date();
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    const now = new Date();
+    try {
+      const r = await alertStartedTimedOffers({ since, now });
+      since = now;
+      if (r.alerts) {
+        console.log(
+          `🏷️ Timed offer sweep: ${r.started} started, ${r.alerts} price-drop alerts`,
+        );
+      }
+    } catch (err) {
+      console.error("❌ Timed offer sweep failed:", err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, everyMin * 60_000);
+  timer.unref();
+
+  console.log(`✅ Timed offer watcher every ${everyMin} min`);
+  return timer;
+}
+
+module.exports = { alertStartedTimedOffers, startTimedOfferWatcher };
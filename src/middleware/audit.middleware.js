@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const { recordAudit, diffDocuments } = require("../utils/audit");
+
+const validId = (id) =>
+  id && mongoose.Types.ObjectId.isValid(String(id)) ? String(id) : null;
+
+// audit("product.update", { model: Product })
+// Snapshots the entity before the handler, again after a 2xx response, and
+// writes the diff. Entity id: req.params[idParam], else idFrom(req, body)
+// (creates: idFrom reads the id from the JSON response).
+const audit =
+  (
+    action,
+    {
+      model = null,
+      entityType = model?.modelName || null,
+      idParam = "id",
+      idFrom = null,
+      meta = null,
+    } = {},
+  ) =>
+  async (req, res, next) => {
+    try {
+      const beforeId = validId(req.params[idParam] || idFrom?.(req, null));
+      const before =
+        model && beforeId ? await model.findById(beforeId).lean() : null;
+
+      let body = null;
+      const json = res.json.bind(res);
+      res.json = (payload) => {
+        body = payload;
+        return json(payload);
+      };
+
+      // after the response: auditing never slows down or fails the request
+      res.on("finish", async () => {
+        if (res.statusCode >= 400) return;
+        try {
+          const entityId = beforeId || validId(idFrom?.(req, body));
+          const after =
+            model && entityId ? await model.findById(entityId).lean() : null;
+
+          await recordAudit(req, {
+            action,
+            entityType,
+            entityId,
+            changes: diffDocuments(before, after),
+            meta: { status: res.statusCode, ...(meta?.(req, body) || {}) },
+          });
+        } catch (err) {
+          console.error("❌ Audit failed:", action, err.message);
+        }
+      });
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+
+module.exports = { audit };
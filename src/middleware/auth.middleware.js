@@ -2,6 +2,9 @@ const jwt = require("jsonwebtoken");
 const asyncHandler = require("../utils/asyncHandler");
 const AppError = require("../utils/AppError");
 const User = require("../models/User");
+const { findActiveSession } = require("../utils/session");
+const { hasPermission } = require("../config/permissions");
+const { isTwoFactorRequired } = require("../utils/twoFactor");
 
 const protect = asyncHandler(async (req, res, next) => {
   const auth = req.headers.authorization;
@@ -11,21 +14,64 @@ const protect = asyncHandler(async (req, res, next) => {
   }
 
   const token = auth.split(" ")[1];
-  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    // ✅ 401 (not 500) so clients know to call /api/auth/refresh
+    throw new AppError(
+      err.name === "TokenExpiredError" ? "Token expired" : "Invalid token",
+      401,
+    );
+  }
+
+  // ✅ tokens are bound to a revocable session (old sid-less tokens => re-login)
+  if (!decoded.sid) throw new AppError("Session expired. Please log in.", 401);
+  const session = await findActiveSession(decoded.sid);
+  if (!session || String(session.user) !== String(decoded.id)) {
+    throw new AppError("Session expired. Please log in.", 401);
+  }
 
   const user = await User.findById(decoded.id).select("-passwordHash");
   if (!user) throw new AppError("User not found", 401);
 
   req.user = user;
+  req.sessionId = session._id;
   next();
 });
 
+// ✅ guests allowed: a Bearer token (if sent) must still be valid
+const optionalProtect = (req, res, next) => {
+  const auth = req.headers.authorization;
+  if (!auth || !auth.startsWith("Bearer ")) return next();
+  return protect(req, res, next);
+};
+
+// ✅ staff policy (config/twoFactor.js): no admin access until 2FA is enrolled
+const twoFactorMissing = (user) =>
+  isTwoFactorRequired(user) && !user.twoFactor?.enabled
+    ? new AppError(
+        "Two-factor authentication required for staff accounts. Set it up via /api/auth/2fa/setup",
+        403,
+      )
+    : undefined;
+
 const requireRole = (...roles) => (req, res, next) => {
   if (!req.user) return next(new AppError("Not authorized", 401));
   if (!roles.includes(req.user.role)) {
     return next(new AppError("Forbidden: insufficient permissions", 403));
   }
-  next();
+  next(twoFactorMissing(req.user));
+};
+
+// ✅ staff permissions (config/permissions.js); any one of them is enough
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) return next(new AppError("Not authorized", 401));
+  if (!permissions.some((p) => hasPermission(req.user, p))) {
+    return next(new AppError("Forbidden: insufficient permissions", 403));
+  }
+  next(twoFactorMissing(req.user));
 };
 
-module.exports = { protect, requireRole };
+module.exports = { protect, optionalProtect, requireRole, requirePermission };
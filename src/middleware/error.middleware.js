@@ -6,6 +6,7 @@ const notFound = (req, res, next) => {
 
 const globalErrorHandler = (err, req, res, next) => {
   const statusCode = err.statusCode || 500;
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
   res.status(statusCode).json({
     status: err.status || "error",
     message: err.message || "Something went wrong",
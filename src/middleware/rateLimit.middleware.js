@@ -0,0 +1,58 @@
+const AppError = require("../utils/AppError");
+const { getDefaultStore } = require("../utils/rateLimitStore");
+
+// rateLimit({ name, windowMs, max, methods?, skip?, keyGenerator?, store? })
+// Counts per client (IP by default) in a fixed window; over the limit => 429.
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  methods = null, // e.g. ["POST"] to leave reads alone
+  skip = null,
+  keyGenerator = (req) => req.ip,
+  store = null,
+}) => {
+  if (!name || !(windowMs > 0) || !(max > 0)) {
+    throw new Error("rateLimit: name, windowMs and max are required");
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (methods && !methods.includes(req.method)) return next();
+      if (skip && skip(req)) return next();
+
+      const { count, resetAt } = await (store || getDefaultStore()).incr(
+        `${name}:${keyGenerator(req)}`,
+        windowMs,
+      );
+      const retryAfter = Math.max(
+        Math.ceil((resetAt.getTime() - Date.now()) / 1000),
+        1,
+      );
+
+      res.set({
+        "RateLimit-Limit": String(max),
+        "RateLimit-Remaining": String(Math.max(max - count, 0)),
+        "RateLimit-Reset": String(retryAfter),
+      });
+
+      if (count > max) {
+        res.set("Retry-After", String(retryAfter));
+        return next(
+          new AppError(
+            `Too many requests. Try again in ${retryAfter} seconds.`,
+            429,
+          ),
+        );
+      }
+
+      next();
+    } catch (err) {
+      // a broken store must not take the API down
+      console.error("❌ Rate limit store error:", err.message);
+      next();
+    }
+  };
+};
+
+module.exports = { rateLimit };
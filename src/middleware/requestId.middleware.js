@@ -0,0 +1,12 @@
+const crypto = require("crypto");
+
+// req.id for logs / audit rows; a sane incoming X-Request-Id is kept
+// so one id can be followed across the proxy and the API.
+const requestId = (req, res, next) => {
+  const incoming = String(req.headers["x-request-id"] || "");
+  req.id = /^[\w.-]{8,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+};
+
+module.exports = { requestId };
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// Security / admin activity trail (append-only)
+// changes: field-level diff of the entity, e.g. { field: "discountPrice", before: 34999, after: 1 }
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // null = anonymous (e.g. failed login)
+    },
+    action: { type: String, required: true }, // "auth.login_failed"
+    entityType: { type: String, default: null },
+    entityId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    changes: {
+      type: [
+        {
+          field: { type: String, required: true },
+          before: { type: mongoose.Schema.Types.Mixed, default: null },
+          after: { type: mongoose.Schema.Types.Mixed, default: null },
+          _id: false,
+        },
+      ],
+      default: [],
+    },
+
+    // request context
+    requestId: { type: String, default: "" },
+    method: { type: String, default: "" },
+    path: { type: String, default: "" },
+
+    ip: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+    meta: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// Failed-login counters (per IP and per account).
+// Documents disappear FAILURE_WINDOW after the last failure (TTL).
+const authThrottleSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true }, // "login-ip:1.2.3.4"
+    failures: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: null }, // exponential backoff
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true },
+);
+
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AuthThrottle", authThrottleSchema);
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+// Customer-saved PC build (parts list). Prices are NOT stored: always live.
+const buildSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+    notes: { type: String, default: "", maxlength: 1000 },
+
+    // one entry per part; RAM / STORAGE / GPU / OTHER may repeat
+    slots: {
+      type: [
+        {
+          slot: {
+            type: String,
+            enum: [
+              "CPU",
+              "MOTHERBOARD",
+              "RAM",
+              "GPU",
+              "PSU",
+              "CASE",
+              "COOLER",
+              "STORAGE",
+              "OTHER",
+            ],
+            required: true,
+          },
+          product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",
+            required: true,
+          },
+          qty: { type: Number, default: 1, min: 1, max: 20 },
+          note: { type: String, default: "" },
+          _id: false,
+        },
+      ],
+      default: [],
+    },
+
+    // ✅ sharing: public read-only link /api/builds/shared/:shareSlug
+    isPublic: { type: Boolean, default: false },
+    shareSlug: { type: String, default: undefined, unique: true, sparse: true },
+
+    // ✅ admin turned this build into a BUNDLE product
+    bundleProduct: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("Build", buildSchema);
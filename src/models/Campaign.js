@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+// Scheduled sale / flash sale over many products (utils/campaigns.js).
+// A product matches if it is listed, or its category (incl. subcategories) or
+// brand is; the best live campaign price wins when it beats the product's own
+// discount / timed offer.
+const campaignSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: "" },
+
+    startAt: { type: Date, required: true },
+    endAt: { type: Date, required: true },
+
+    // SCHEDULED -> ACTIVE -> ENDED (jobs/campaignScheduler.js); CANCELLED by admin
+    status: {
+      type: String,
+      enum: ["SCHEDULED", "ACTIVE", "ENDED", "CANCELLED"],
+      default: "SCHEDULED",
+    },
+
+    selectors: {
+      products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+      categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+      brands: [{ type: mongoose.Schema.Types.ObjectId, ref: "Brand" }],
+    },
+    // selectors.categories + their subcategories (resolved on save)
+    categoryScope: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+
+    // PERCENT: % off the regular price (discountPrice, else price)
+    // FIXED_PRICE: sale price per unit (INR)
+    pricing: {
+      type: { type: String, enum: ["PERCENT", "FIXED_PRICE"], required: true },
+      value: { type: Number, required: true, min: 0 },
+    },
+
+    // caps (null = unlimited), like coupons: units counted at order placement,
+    // per customer on non-cancelled orders
+    totalUnits: { type: Number, default: null, min: 1 },
+    perCustomerLimit: { type: Number, default: null, min: 1 },
+    soldUnits: { type: Number, default: 0, min: 0 },
+
+    activatedAt: { type: Date, default: null },
+    endedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+campaignSchema.pre("validate", function (next) {
+  const { type, value } = this.pricing || {};
+  if (type === "PERCENT" && !(value > 0 && value < 100)) {
+    return next(new Error("PERCENT campaign value must be between 1 and 99"));
+  }
+  if (type === "FIXED_PRICE" && !(value > 0)) {
+    return next(new Error("FIXED_PRICE campaign value must be greater than 0"));
+  }
+  if (this.startAt && this.endAt && !(this.endAt > this.startAt)) {
+    return next(new Error("endAt must be after startAt"));
+  }
+  const s = this.selectors || {};
+  if (!s.products?.length && !s.categories?.length && !s.brands?.length) {
+    return next(new Error("Select at least one product, category or brand"));
+  }
+  next();
+});
+
+campaignSchema.index({ status: 1, startAt: 1 });
+campaignSchema.index({ status: 1, endAt: 1 });
+
+module.exports = mongoose.model("Campaign", campaignSchema);
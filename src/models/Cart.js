@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+const cartItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    qty: { type: Number, required: true, min: 1 },
+
+    // price the customer last saw (used to flag price changes)
+    priceSnapshot: { type: Number, default: 0, min: 0 },
+    offerSnapshot: { type: String, default: "NONE" }, // "NONE" | "DISCOUNT" | "TIMED" | "CAMPAIGN"
+
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true, // ✅ one cart per user
+      index: true,
+    },
+    items: { type: [cartItemSchema], default: [] },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("Cart", cartSchema);
@@ -5,6 +5,73 @@ const categorySchema = new mongoose.Schema(
     name: { type: String, required: true, trim: true, unique: true },
     slug: { type: String, required: true, unique: true, lowercase: true },
     description: { type: String, default: "" },
+
+    // ✅ hierarchy: "Storage > NVMe SSD" (ancestors = root -> parent)
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+      index: true,
+    },
+    ancestors: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+      default: [],
+      index: true,
+    },
+    order: { type: Number, default: 0 }, // sort among siblings
+
+    image: {
+      url: { type: String, default: "" },
+      public_id: { type: String, default: "" },
+    },
+
+    // ✅ PC builder role of products in this category (null = not a build part)
+    buildSlot: {
+      type: String,
+      enum: [
+        "CPU",
+        "MOTHERBOARD",
+        "RAM",
+        "GPU",
+        "PSU",
+        "CASE",
+        "COOLER",
+        "STORAGE",
+        null,
+      ],
+      default: null,
+    },
+
+    // ✅ typed, filterable product attributes (see utils/attributes.js)
+    // e.g. { key: "vram_gb", label: "VRAM", type: "number", unit: "GB" }
+    attributes: {
+      type: [
+        {
+          key: {
+            type: String,
+            required: true,
+            trim: true,
+            match: /^[a-z][a-z0-9_]{0,39}$/i,
+          },
+          label: { type: String, default: "", trim: true },
+          type: {
+            type: String,
+            enum: ["enum", "number", "boolean"],
+            required: true,
+          },
+          unit: { type: String, default: "", trim: true },
+          options: { type: [String], default: [] }, // enum values
+          filterable: { type: Boolean, default: true },
+          required: { type: Boolean, default: false },
+          _id: false,
+        },
+      ],
+      default: [],
+    },
+
+    // ✅ GST defaults for products in this category
+    hsnCode: { type: String, default: "", trim: true },
+    gstRate: { type: Number, default: null, min: 0, max: 28 },
   },
   { timestamps: true }
 );
@@ -0,0 +1,12 @@
+const mongoose = require("mongoose");
+
+// Named sequences (e.g. "INV/2026-27") for gap-free document numbers
+const counterSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    seq: { type: Number, default: 0 },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("Counter", counterSchema);
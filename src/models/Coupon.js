@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: { type: String, default: "" },
+
+    type: { type: String, enum: ["FLAT", "PERCENT"], required: true },
+    value: { type: Number, required: true, min: 0 }, // INR for FLAT, % for PERCENT
+
+    minOrderValue: { type: Number, default: 0, min: 0 },
+    maxDiscount: { type: Number, default: null, min: 0 }, // cap for PERCENT (null = no cap)
+
+    // usage limits (null = unlimited)
+    usageLimit: { type: Number, default: null, min: 1 }, // global, counted at order placement
+    perUserLimit: { type: Number, default: null, min: 1 }, // counted on non-cancelled orders
+    usedCount: { type: Number, default: 0, min: 0 },
+
+    startAt: { type: Date, default: null },
+    endAt: { type: Date, default: null },
+
+    // restrictions (empty = no restriction); a line must match every non-empty list
+    restrictions: {
+      categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+      brands: [{ type: mongoose.Schema.Types.ObjectId, ref: "Brand" }],
+      products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+      productTypes: [{ type: String, enum: ["SINGLE", "BUNDLE"] }],
+    },
+
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true },
+);
+
+couponSchema.pre("validate", function (next) {
+  if (this.type === "PERCENT" && !(this.value > 0 && this.value <= 100)) {
+    return next(new Error("PERCENT coupon value must be between 1 and 100"));
+  }
+  if (this.type === "FLAT" && !(this.value > 0)) {
+    return next(new Error("FLAT coupon value must be greater than 0"));
+  }
+  if (this.startAt && this.endAt && !(this.endAt > this.startAt)) {
+    return next(new Error("endAt must be after startAt"));
+  }
+  next();
+});
+
+module.exports = mongoose.model("Coupon", couponSchema);
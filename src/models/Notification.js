@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+const { NOTIFICATION_CATEGORIES } = require("../config/notifications");
+
+// in-app inbox entry (utils/notify.js); the email copy is tracked on the row
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: { type: String, required: true }, // "order.shipped"
+    category: { type: String, enum: NOTIFICATION_CATEGORIES, required: true },
+    title: { type: String, required: true },
+    body: { type: String, default: "" },
+    link: { type: String, default: "" }, // storefront path, e.g. /orders/:id
+    data: { type: mongoose.Schema.Types.Mixed, default: {} }, // { orderId, ticketId, ... }
+    readAt: { type: Date, default: null },
+    emailStatus: {
+      type: String,
+      enum: ["SENT", "SKIPPED", "FAILED"],
+      default: "SKIPPED",
+    },
+  },
+  { timestamps: true },
+);
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
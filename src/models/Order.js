@@ -13,10 +13,32 @@ const orderItemSchema = new mongoose.Schema(
     // ✅ NEW: for showing strike price / discount breakdown later
     strikeSnapshot: { type: Number, default: 0, min: 0 },
     typeSnapshot: { type: String, default: "SINGLE" }, // optional but useful
-    offerSnapshot: { type: String, default: "NONE" }, // "NONE" | "DISCOUNT" | "TIMED"
+    offerSnapshot: { type: String, default: "NONE" }, // "NONE" | "DISCOUNT" | "TIMED" | "CAMPAIGN"
+    // ✅ campaign that set priceSnapshot (per-customer caps count these lines)
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+      default: null,
+    },
 
     imageSnapshot: { type: String, default: "" },
 
+    // ✅ coupon share for the whole line (qty units), prorated at order time
+    discountSnapshot: { type: Number, default: 0, min: 0 },
+
+    // ✅ GST breakup for the whole line (prices are tax-inclusive)
+    taxSnapshot: {
+      hsnCode: { type: String, default: "" },
+      gstRate: { type: Number, default: null },
+      taxableValue: { type: Number, default: 0 },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+    },
+
+    // ✅ per-unit purchase cost at sale time (weighted average; null = unknown)
+    costSnapshot: { type: Number, default: null, min: 0 },
+
     qty: { type: Number, required: true, min: 1 },
 
     // ✅ item-level progress
@@ -27,6 +49,35 @@ const orderItemSchema = new mongoose.Schema(
   { _id: false },
 );
 
+// purchase cost stays server-side (margin report); never in API responses
+orderItemSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.costSnapshot;
+    return ret;
+  },
+});
+
+// GST document row (invoice / credit note)
+const taxDocItemSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    titleSnapshot: { type: String, default: "" },
+    hsnCode: { type: String, default: "" },
+    gstRate: { type: Number, default: 0 },
+    qty: { type: Number, required: true, min: 1 },
+    taxableValue: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+  },
+  { _id: false },
+);
+
 const orderSchema = new mongoose.Schema(
   {
     userId: {
@@ -40,16 +91,99 @@ const orderSchema = new mongoose.Schema(
       validate: [(arr) => arr.length > 0, "Order must have at least one item"],
     },
 
+    // ✅ snapshot (address book edits don't change placed orders)
     shippingAddress: {
+      addressId: { type: mongoose.Schema.Types.ObjectId, default: null },
       name: String,
       phone: String,
       addressLine1: String,
+      addressLine2: { type: String, default: "" },
+      landmark: { type: String, default: "" },
       city: String,
       state: String,
       pincode: String,
+      country: { type: String, default: "India" },
+    },
+
+    totalAmount: { type: Number, required: true }, // items (net of coupon) + shipping.amount
+
+    // ✅ shipping charge snapshot (utils/shipping.js); refunded on full cancellation
+    shipping: {
+      zoneId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ShippingZone",
+        default: null,
+      },
+      zoneName: { type: String, default: "" },
+      pincode: { type: String, default: "" },
+      weightGrams: { type: Number, default: 0 },
+      fee: { type: Number, default: 0, min: 0 },
+      codFee: { type: Number, default: 0, min: 0 },
+      amount: { type: Number, default: 0, min: 0 }, // fee + codFee
+      estimatedMinDays: { type: Number, default: null },
+      estimatedMaxDays: { type: Number, default: null },
+      estimatedDeliveryFrom: { type: Date, default: null },
+      estimatedDeliveryTo: { type: Date, default: null },
+    },
+
+    // ✅ GST summary at order time (CGST+SGST same state, IGST otherwise)
+    tax: {
+      sellerState: { type: String, default: "" },
+      placeOfSupply: { type: String, default: "" },
+      isInterState: { type: Boolean, default: null },
+      taxableValue: { type: Number, default: 0 },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+      totalTax: { type: Number, default: 0 },
+    },
+
+    // ✅ sequential per financial year, assigned on delivery
+    invoice: {
+      number: { type: String, default: null }, // INV/2026-27/000001
+      financialYear: { type: String, default: null },
+      issuedAt: { type: Date, default: null },
     },
 
-    totalAmount: { type: Number, required: true },
+    // ✅ one per completed return
+    creditNotes: {
+      type: [
+        {
+          number: { type: String, required: true }, // CN/2026-27/000001
+          financialYear: { type: String, required: true },
+          issuedAt: { type: Date, default: Date.now },
+          reason: { type: String, default: "" },
+          items: { type: [taxDocItemSchema], default: [] },
+          taxableValue: { type: Number, default: 0 },
+          cgst: { type: Number, default: 0 },
+          sgst: { type: Number, default: 0 },
+          igst: { type: Number, default: 0 },
+          amount: { type: Number, default: 0 },
+        },
+      ],
+      default: [],
+    },
+
+    // ✅ applied coupon (snapshot; totalAmount is already net of discountAmount)
+    coupon: {
+      couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+        default: null,
+      },
+      code: { type: String, default: null },
+      type: { type: String, default: null }, // "FLAT" | "PERCENT"
+      value: { type: Number, default: 0 },
+      discountAmount: { type: Number, default: 0, min: 0 },
+    },
+
+    // ✅ placed via "checkout this build" (popularity for admins)
+    buildId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Build",
+      default: null,
+      index: true,
+    },
 
     // ✅ For Replacement order linking
     parentOrderId: {
@@ -113,13 +247,155 @@ const orderSchema = new mongoose.Schema(
       },
       status: {
         type: String,
-        enum: ["PENDING", "PAID", "FAILED", "REFUNDED"],
+        enum: [
+          "PENDING",
+          "PAID",
+          "FAILED",
+          "PARTIALLY_REFUNDED",
+          "REFUNDED",
+        ],
         default: "PENDING",
       },
+      // ✅ amount actually collected (set when marked PAID)
+      amountPaid: { type: Number, default: 0, min: 0 },
       txnId: { type: String, default: null }, // for any external payment reference
       note: { type: String, default: "" }, // ✅ add this
     },
 
+    // ✅ refund ledger (payment.status is derived from PROCESSED entries)
+    refunds: {
+      type: [
+        {
+          amount: { type: Number, required: true, min: 0 },
+          reason: { type: String, default: "" },
+          source: {
+            type: String,
+            enum: [
+              "CANCEL", // partial item cancel
+              "ORDER_CANCEL",
+              "RETURN",
+              "REPLACEMENT_CANCEL",
+              "REPLACEMENT_RETURN",
+              "MANUAL",
+              "GATEWAY", // created outside the app (Razorpay dashboard)
+            ],
+            default: "MANUAL",
+          },
+          items: {
+            type: [
+              {
+                productId: {
+                  type: mongoose.Schema.Types.ObjectId,
+                  ref: "Product",
+                  required: true,
+                },
+                qty: { type: Number, required: true, min: 1 },
+                amount: { type: Number, required: true, min: 0 },
+                _id: false,
+              },
+            ],
+            default: [],
+          },
+          method: {
+            type: String,
+            enum: ["RAZORPAY", "MANUAL", null],
+            default: null,
+          },
+          gatewayRefundId: { type: String, default: null }, // rfnd_xxx
+          status: {
+            type: String,
+            enum: ["PENDING", "INITIATED", "PROCESSED", "FAILED"],
+            default: "PENDING",
+          },
+          createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+          },
+          createdAt: { type: Date, default: Date.now },
+          processedAt: { type: Date, default: null },
+        },
+      ],
+      default: [],
+    },
+
+    // ✅ parcels (split shipments allowed); order status is derived from them
+    shipments: {
+      type: [
+        {
+          courier: { type: String, required: true },
+          awb: { type: String, required: true },
+          trackingUrl: { type: String, default: "" },
+          packages: {
+            type: [
+              {
+                weightGrams: { type: Number, default: null, min: 0 },
+                lengthCm: { type: Number, default: null, min: 0 },
+                widthCm: { type: Number, default: null, min: 0 },
+                heightCm: { type: Number, default: null, min: 0 },
+                _id: false,
+              },
+            ],
+            default: [],
+          },
+          items: {
+            type: [
+              {
+                productId: {
+                  type: mongoose.Schema.Types.ObjectId,
+                  ref: "Product",
+                  required: true,
+                },
+                qty: { type: Number, required: true, min: 1 },
+                _id: false,
+              },
+            ],
+            default: [],
+          },
+          status: {
+            type: String,
+            enum: [
+              "CREATED",
+              "SHIPPED",
+              "IN_TRANSIT",
+              "OUT_FOR_DELIVERY",
+              "DELIVERED",
+              "DELIVERY_FAILED",
+              "RTO",
+              "CANCELLED",
+            ],
+            default: "CREATED",
+          },
+          events: {
+            type: [
+              {
+                status: { type: String, required: true },
+                at: { type: Date, default: Date.now },
+                location: { type: String, default: "" },
+                note: { type: String, default: "" },
+                createdBy: {
+                  type: mongoose.Schema.Types.ObjectId,
+                  ref: "User",
+                  default: null,
+                },
+                _id: false,
+              },
+            ],
+            default: [],
+          },
+          shippedAt: { type: Date, default: null },
+          deliveredAt: { type: Date, default: null },
+          createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+          },
+          createdAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+
     razorpay: {
       orderId: { type: String, default: null }, // rzp_order_xxx
       paymentId: { type: String, default: null }, // rzp_payment_xxx
@@ -167,4 +443,21 @@ const orderSchema = new mongoose.Schema(
   { timestamps: true },
 );
 
+// webhook lookups
+orderSchema.index({ "razorpay.orderId": 1 });
+orderSchema.index({ "razorpay.paymentId": 1 });
+orderSchema.index({ "refunds.gatewayRefundId": 1 });
+orderSchema.index({ "shipments.awb": 1 });
+
+// GST documents
+orderSchema.index(
+  { "invoice.number": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "invoice.number": { $type: "string" } },
+  },
+);
+orderSchema.index({ "creditNotes.number": 1 });
+orderSchema.index({ userId: 1, "items.campaignId": 1 }); // campaign caps
+
 module.exports = mongoose.model("Order", orderSchema);
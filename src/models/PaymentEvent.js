@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// One document per Razorpay webhook delivery (keyed by event id => replays are ignored)
+const paymentEventSchema = new mongoose.Schema(
+  {
+    eventId: { type: String, required: true, unique: true }, // X-Razorpay-Event-Id
+    event: { type: String, required: true, index: true }, // e.g. "payment.captured"
+
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+      index: true,
+    },
+    razorpayOrderId: { type: String, default: null },
+    razorpayPaymentId: { type: String, default: null },
+
+    status: {
+      type: String,
+      enum: ["RECEIVED", "PROCESSING", "PROCESSED", "IGNORED", "FAILED"],
+      default: "RECEIVED",
+      index: true,
+    },
+    note: { type: String, default: "" },
+    error: { type: String, default: "" },
+
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    processedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("PaymentEvent", paymentEventSchema);
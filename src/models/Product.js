@@ -41,6 +41,10 @@ const productSchema = new mongoose.Schema(
       text: { type: String, default: "" },
     },
 
+    // ✅ structured attributes, keys come from category.attributes / buildSlot
+    // e.g. CPU { socket: "am5", tdpW: 120 } (see utils/buildCompat.js)
+    attributes: { type: mongoose.Schema.Types.Mixed, default: {} },
+
     youtubeUrl: {
       type: String,
       default: "",
@@ -69,6 +73,21 @@ const productSchema = new mongoose.Schema(
     ],
 
     stock: { type: Number, default: 0, min: 0 },
+
+    // ✅ purchase cost (goods receipts, utils/purchasing.js); admin-only,
+    // so never loaded unless a query asks for "+cost"
+    cost: {
+      type: new mongoose.Schema(
+        {
+          avg: { type: Number, default: null, min: 0 }, // weighted average per unit
+          last: { type: Number, default: null, min: 0 }, // latest receipt unit cost
+          updatedAt: { type: Date, default: null },
+        },
+        { _id: false },
+      ),
+      default: () => ({}),
+      select: false,
+    },
     soldCount: {
       type: Number,
       default: 0,
@@ -79,6 +98,13 @@ const productSchema = new mongoose.Schema(
 
     isActive: { type: Boolean, default: true },
 
+    // ✅ GST (null/empty => inherit from category)
+    hsnCode: { type: String, default: "", trim: true },
+    gstRate: { type: Number, default: null, min: 0, max: 28 },
+
+    // ✅ packed weight per unit (shipping fee); null => default / bundle children
+    weightGrams: { type: Number, default: null, min: 0 },
+
     // ✅ Combo / Bundle support
     type: {
       type: String,
@@ -192,6 +218,7 @@ productSchema.index({ isActive: 1, stock: 1 });
 productSchema.index({ isActive: 1, category: 1, stock: 1 });
 productSchema.index({ isActive: 1, brand: 1, category: 1, stock: 1 });
 productSchema.index({ "timedOffer.isActive": 1, "timedOffer.endAt": 1 });
+productSchema.index({ "attributes.$**": 1 }); // attr.* filters
 
 // SORTING
 productSchema.index({ isActive: 1, price: 1, discountPrice: 1 });
@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+
+// Restocking order to a supplier (utils/purchasing.js).
+// DRAFT -> SENT -> PARTIALLY_RECEIVED -> RECEIVED; DRAFT / SENT can be CANCELLED.
+// Goods receipts add stock + StockMovement(RECEIPT) and update Product.cost.
+const purchaseOrderLineSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    titleSnapshot: { type: String, default: "" },
+    orderedQty: { type: Number, required: true, min: 1 },
+    receivedQty: { type: Number, default: 0, min: 0 },
+    unitCost: { type: Number, required: true, min: 0 }, // per unit, excl. GST
+    expectedDate: { type: Date, default: null },
+  },
+  { _id: false },
+);
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    number: { type: String, required: true, unique: true }, // PO/2026-27/000001
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["DRAFT", "SENT", "PARTIALLY_RECEIVED", "RECEIVED", "CANCELLED"],
+      default: "DRAFT",
+      index: true,
+    },
+    lines: {
+      type: [purchaseOrderLineSchema],
+      validate: [(arr) => arr.length > 0, "Purchase order needs a line"],
+    },
+    totalCost: { type: Number, default: 0, min: 0 }, // sum(orderedQty * unitCost)
+    notes: { type: String, default: "" },
+
+    // ✅ one entry per goods receipt (delivery note)
+    receipts: {
+      type: [
+        {
+          at: { type: Date, default: Date.now },
+          reference: { type: String, default: "" }, // supplier invoice / challan no.
+          note: { type: String, default: "" },
+          lines: {
+            type: [
+              {
+                product: {
+                  type: mongoose.Schema.Types.ObjectId,
+                  ref: "Product",
+                  required: true,
+                },
+                qty: { type: Number, required: true, min: 1 },
+                unitCost: { type: Number, required: true, min: 0 },
+                _id: false,
+              },
+            ],
+            default: [],
+          },
+          receivedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+          },
+        },
+      ],
+      default: [],
+    },
+
+    sentAt: { type: Date, default: null },
+    receivedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+purchaseOrderSchema.index({ "lines.product": 1 });
+purchaseOrderSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("PurchaseOrder", purchaseOrderSchema);
@@ -0,0 +1,12 @@
+const mongoose = require("mongoose");
+
+// Shared fixed-window counters for rateLimit() when RATE_LIMIT_STORE=mongo
+const rateLimitHitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // "<group>:<client>"
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true },
+});
+
+rateLimitHitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimitHit", rateLimitHitSchema);
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// One login (device) = one session = one refresh token family.
+// Refresh tokens rotate on every use; only SHA-256 hashes are stored.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    tokenHash: { type: String, required: true, unique: true },
+    // rotated-out hashes: presenting one again = token theft (reuse)
+    previousTokenHashes: { type: [String], default: [], index: true },
+
+    device: { type: String, default: "" },
+    ip: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+    lastUsedAt: { type: Date, default: Date.now },
+
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokeReason: {
+      type: String,
+      enum: [
+        "LOGOUT",
+        "LOGOUT_ALL",
+        "REVOKED", // ended from "my sessions"
+        "REUSE_DETECTED",
+        "PASSWORD_CHANGED",
+        null,
+      ],
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+// expired sessions are cleaned up by Mongo
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+module.exports = mongoose.model("Session", sessionSchema);
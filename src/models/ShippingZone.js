@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+// Delivery zone matched by PIN code (prefix "40" or range 400001-400104).
+// Several matches => highest priority, then the most specific match wins.
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    isActive: { type: Boolean, default: true },
+    priority: { type: Number, default: 0 },
+
+    pincodePrefixes: { type: [String], default: [] }, // "11", "4000"
+    pincodeRanges: {
+      type: [
+        {
+          from: { type: Number, required: true },
+          to: { type: Number, required: true },
+          _id: false,
+        },
+      ],
+      default: [],
+    },
+
+    // cash on delivery
+    codAvailable: { type: Boolean, default: true },
+    codMaxOrderValue: { type: Number, default: null, min: 0 }, // null = no cap
+    codFee: { type: Number, default: 0, min: 0 },
+
+    // delivery estimate in days from order date
+    slaDays: {
+      min: { type: Number, default: 3, min: 0 },
+      max: { type: Number, default: 7, min: 0 },
+    },
+
+    // fee = baseFee + weight slab (+ extraPerKg beyond the last slab) + value slab
+    // orderValue >= freeAbove => fee 0 (COD fee still applies)
+    fees: {
+      baseFee: { type: Number, default: 0, min: 0 },
+      weightSlabs: {
+        type: [
+          {
+            maxGrams: { type: Number, required: true, min: 1 },
+            fee: { type: Number, required: true, min: 0 },
+            _id: false,
+          },
+        ],
+        default: [],
+      },
+      extraPerKg: { type: Number, default: 0, min: 0 },
+      valueSlabs: {
+        type: [
+          {
+            maxValue: { type: Number, required: true, min: 0 },
+            fee: { type: Number, required: true, min: 0 },
+            _id: false,
+          },
+        ],
+        default: [],
+      },
+      freeAbove: { type: Number, default: null, min: 0 },
+    },
+  },
+  { timestamps: true },
+);
+
+shippingZoneSchema.index({ isActive: 1, priority: -1 });
+
+module.exports = mongoose.model("ShippingZone", shippingZoneSchema);
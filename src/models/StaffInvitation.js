@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Issued by a super-admin; accepting creates (or promotes) the staff account
+const staffInvitationSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, lowercase: true, trim: true },
+    name: { type: String, default: "", trim: true },
+    role: {
+      type: String,
+      enum: ["admin", "warehouse", "support", "catalog_editor"],
+      required: true,
+    },
+
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    acceptedAt: { type: Date, default: null },
+    acceptedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+staffInvitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+module.exports = mongoose.model("StaffInvitation", staffInvitationSchema);
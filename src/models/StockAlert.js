@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// "Notify me when back in stock" (utils/stockAlerts.js); one per product + email.
+// Logged-in subscribers go through notifyUser (preferences, inbox); guests
+// get a plain email, only after confirming the address (confirmedAt).
+// notifiedAt is set once the alert fires (re-subscribe resets it).
+const stockAlertSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    notifiedAt: { type: Date, default: null },
+
+    // ✅ guests: emailed confirm link, unsubscribe link in every alert email
+    // (only token hashes are stored)
+    confirmedAt: { type: Date, default: null },
+    confirmToken: {
+      tokenHash: { type: String, default: null },
+      expiresAt: { type: Date, default: null },
+    },
+    confirmSentAt: { type: Date, default: null },
+    unsubscribeTokenHash: { type: String, default: null },
+  },
+  { timestamps: true },
+);
+
+stockAlertSchema.index({ product: 1, email: 1 }, { unique: true });
+stockAlertSchema.index({ product: 1, notifiedAt: 1 });
+stockAlertSchema.index({ user: 1 });
+stockAlertSchema.index({ "confirmToken.tokenHash": 1 }, { sparse: true });
+stockAlertSchema.index({ unsubscribeTokenHash: 1 }, { sparse: true });
+
+module.exports = mongoose.model("StockAlert", stockAlertSchema);
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+// Inventory ledger (append-only): one row per product per stock change,
+// written in the same session as the Product.stock update (utils/stock.js).
+// Bundle lines move their child products; bundleId keeps the link.
+const stockMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    delta: { type: Number, required: true }, // -2 sold, +1 restocked
+    stockAfter: { type: Number, required: true },
+    reason: {
+      type: String,
+      enum: ["SALE", "CANCEL", "RETURN", "ADJUSTMENT", "RECEIPT"],
+      required: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    purchaseOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PurchaseOrder",
+      default: null,
+    },
+    unitCost: { type: Number, default: null, min: 0 }, // RECEIPT rows
+    bundleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // null = system (webhook, unpaid-order sweep)
+    },
+    note: { type: String, default: "" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ orderId: 1 });
+stockMovementSchema.index({ purchaseOrderId: 1 });
+
+// corrections are new ADJUSTMENT rows, never edits
+stockMovementSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  function (next) {
+    next(new Error("Stock movements are append-only"));
+  },
+);
+
+module.exports = mongoose.model("StockMovement", stockMovementSchema);
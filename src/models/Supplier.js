@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+const supplierSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    contactName: { type: String, default: "", trim: true },
+    email: { type: String, default: "", trim: true, lowercase: true },
+    phone: { type: String, default: "", trim: true },
+    gstin: { type: String, default: "", trim: true, uppercase: true },
+    address: {
+      line1: { type: String, default: "" },
+      line2: { type: String, default: "" },
+      city: { type: String, default: "" },
+      state: { type: String, default: "" },
+      pincode: { type: String, default: "" },
+    },
+    leadTimeDays: { type: Number, default: null, min: 0 }, // default expected date
+    notes: { type: String, default: "" },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true },
+);
+
+supplierSchema.index({ name: 1 }, { unique: true });
+
+module.exports = mongoose.model("Supplier", supplierSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { NOTIFICATION_CATEGORIES } = require("../config/notifications");
 
 const addressSchema = new mongoose.Schema(
   {
@@ -12,6 +13,39 @@ const addressSchema = new mongoose.Schema(
   { _id: false },
 );
 
+// address book entry (utils/address.js validates; one isDefault per user)
+const savedAddressSchema = new mongoose.Schema(
+  {
+    label: { type: String, default: "" }, // "Home", "Office"
+    name: { type: String, required: true },
+    phone: { type: String, required: true },
+    line1: { type: String, required: true },
+    line2: { type: String, default: "" },
+    landmark: { type: String, default: "" },
+    city: { type: String, required: true },
+    state: { type: String, required: true },
+    pincode: { type: String, required: true },
+    country: { type: String, default: "India" },
+    isDefault: { type: Boolean, default: false },
+  },
+  { timestamps: true },
+);
+
+// single-use emailed token (only the SHA-256 hash is stored)
+const oneTimeTokenSchema = new mongoose.Schema(
+  {
+    tokenHash: { type: String, default: null },
+    expiresAt: { type: Date, default: null },
+  },
+  { _id: false },
+);
+
+// { orders: true, shipping: true, ... } (one switch per category)
+const channelPreferences = () =>
+  Object.fromEntries(
+    NOTIFICATION_CATEGORIES.map((c) => [c, { type: Boolean, default: true }]),
+  );
+
 const userSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true },
@@ -23,7 +57,12 @@ const userSchema = new mongoose.Schema(
       trim: true,
     },
     passwordHash: { type: String, required: true },
-    role: { type: String, enum: ["customer", "admin"], default: "customer" },
+    // "admin" = super-admin; staff roles are listed in config/permissions.js
+    role: {
+      type: String,
+      enum: ["customer", "admin", "warehouse", "support", "catalog_editor"],
+      default: "customer",
+    },
 
     // ✅ new profile fields
     phone: { type: String, default: "" },
@@ -32,8 +71,40 @@ const userSchema = new mongoose.Schema(
       public_id: { type: String, default: "" },
     },
     address: { type: addressSchema, default: () => ({}) },
+    addresses: { type: [savedAddressSchema], default: [] },
+
+    // ✅ email verification / password reset
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date, default: null },
+    emailVerification: { type: oneTimeTokenSchema, select: false },
+    passwordReset: { type: oneTimeTokenSchema, select: false },
+    passwordChangedAt: { type: Date, default: null },
+
+    // ✅ temporary lockout after repeated failed logins (unlock link emailed)
+    lockedUntil: { type: Date, default: null },
+    accountUnlock: { type: oneTimeTokenSchema, select: false },
+
+    // ✅ TOTP two-factor (utils/twoFactor.js); secrets are AES-GCM encrypted
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date, default: null },
+      secret: { type: String, default: null, select: false },
+      pendingSecret: { type: String, default: null, select: false }, // setup not confirmed yet
+      recoveryCodes: { type: [String], default: [], select: false }, // SHA-256 hashes
+      lastUsedStep: { type: Number, default: null, select: false }, // replay guard
+    },
+
+    // ✅ order / support notifications (config/notifications.js)
+    notificationPreferences: {
+      email: channelPreferences(),
+      inApp: channelPreferences(),
+    },
   },
   { timestamps: true },
 );
 
+userSchema.index({ "emailVerification.tokenHash": 1 }, { sparse: true });
+userSchema.index({ "passwordReset.tokenHash": 1 }, { sparse: true });
+userSchema.index({ "accountUnlock.tokenHash": 1 }, { sparse: true });
+
 module.exports = mongoose.model("User", userSchema);
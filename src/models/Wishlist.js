@@ -17,10 +17,18 @@ const wishlistSchema = new mongoose.Schema(
           required: true,
         },
         addedAt: { type: Date, default: Date.now },
+        // ✅ listed price when added (utils/pricing.js getListedUnitPrice)
+        priceAtAdd: { type: Number, default: null, min: 0 },
+        // ✅ optional "alert me at or below" price
+        targetPrice: { type: Number, default: null, min: 0 },
+        // ✅ last price-drop alert sent (no repeat alert for the same price)
+        lastAlertPrice: { type: Number, default: null, min: 0 },
       },
     ],
   },
   { timestamps: true },
 );
 
+wishlistSchema.index({ "items.product": 1 }); // price-drop alerts
+
 module.exports = mongoose.model("Wishlist", wishlistSchema);
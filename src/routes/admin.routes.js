@@ -1,12 +1,59 @@
 const router = require("express").Router();
-const { protect, requireRole } = require("../middleware/auth.middleware");
-const { getDashboardStats } = require("../controllers/admin.controller");
+const { protect, requirePermission } = require("../middleware/auth.middleware");
+const {
+  getDashboardStats,
+  listAuditLogs,
+} = require("../controllers/admin.controller");
+const staff = require("../controllers/staff.controller");
+const { audit } = require("../middleware/audit.middleware");
+const User = require("../models/User");
+const StaffInvitation = require("../models/StaffInvitation");
 
 router.get(
   "/dashboard-stats",
   protect,
-  requireRole("admin"),
+  requirePermission("dashboard.read"),
   getDashboardStats,
 );
 
+// ✅ audit trail (?format=csv for export)
+router.get("/audit", protect, requirePermission("audit.read"), listAuditLogs);
+
+// ✅ staff management (super-admin)
+const manageStaff = [protect, requirePermission("staff.manage")];
+router.get("/staff/roles", ...manageStaff, staff.listRoles);
+router.get("/staff", ...manageStaff, staff.listStaff);
+router.patch(
+  "/staff/:id/role",
+  ...manageStaff,
+  audit("staff.role_changed", {
+    model: User,
+    meta: (req) => ({ to: req.body?.role }),
+  }),
+  staff.updateStaffRole,
+);
+router.get("/staff/invitations", ...manageStaff, staff.listInvitations);
+router.post(
+  "/staff/invitations",
+  ...manageStaff,
+  audit("staff.invited", {
+    model: StaffInvitation,
+    idFrom: (req, body) => body?.invitation?._id,
+    meta: (req, body) => ({
+      email: body?.invitation?.email,
+      role: body?.invitation?.role,
+    }),
+  }),
+  staff.createInvitation,
+);
+router.delete(
+  "/staff/invitations/:id",
+  ...manageStaff,
+  audit("staff.invitation_revoked", {
+    model: StaffInvitation,
+    meta: (req, body) => ({ email: body?.invitation?.email }),
+  }),
+  staff.revokeInvitation,
+);
+
 module.exports = router;
@@ -1,10 +1,51 @@
 const router = require("express").Router();
-const { register, registerAdmin, login, me } = require("../controllers/auth.controller");
+const {
+  register,
+  login,
+  me,
+  refresh,
+  logout,
+  logoutAll,
+  mySessions,
+  revokeMySession,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  unlockAccount,
+  acceptInvitation,
+  loginTwoFactor
+} = require("../controllers/auth.controller");
+const twoFactor = require("../controllers/twoFactor.controller");
 const { protect } = require("../middleware/auth.middleware");
 
 router.post("/register", register);             // customer register
-router.post("/register-admin", registerAdmin);  // admin register
+router.post("/accept-invite", acceptInvitation); // staff invitation (replaces register-admin)
 router.post("/login", login);
+router.post("/login/2fa", loginTwoFactor); // body: { challengeToken, code | recoveryCode }
 router.get("/me", protect, me);
 
+// ✅ sessions
+router.post("/refresh", refresh); // body: { refreshToken }
+router.post("/logout", protect, logout);
+router.post("/logout-all", protect, logoutAll);
+router.get("/sessions", protect, mySessions);
+router.delete("/sessions/:id", protect, revokeMySession);
+
+// ✅ email verification + password
+router.post("/verify-email", verifyEmail); // body: { token }
+router.post("/resend-verification", protect, resendVerification);
+router.post("/forgot-password", forgotPassword); // body: { email }
+router.post("/reset-password", resetPassword); // body: { token, password }
+router.post("/change-password", protect, changePassword);
+router.post("/unlock", unlockAccount); // body: { token }
+
+// ✅ two-factor (TOTP)
+router.get("/2fa", protect, twoFactor.getStatus);
+router.post("/2fa/setup", protect, twoFactor.setup); // body: { password }
+router.post("/2fa/enable", protect, twoFactor.enable); // body: { code }
+router.post("/2fa/disable", protect, twoFactor.disable); // body: { password, code | recoveryCode }
+router.post("/2fa/recovery-codes", protect, twoFactor.regenerateRecoveryCodes); // body: { code }
+
 module.exports = router;
@@ -8,7 +8,9 @@ const {
   deleteBrandLogo,
 } = require("../controllers/brand.controller");
 
-const { protect, requireRole } = require("../middleware/auth.middleware");
+const { protect, requirePermission } = require("../middleware/auth.middleware");
+const { audit } = require("../middleware/audit.middleware");
+const Brand = require("../models/Brands");
 
 /* =========================
    PUBLIC / CUSTOMER ROUTES
@@ -21,12 +23,39 @@ router.get("/", getBrands);
    ADMIN ROUTES
    ========================= */
 
-router.post("/", protect, requireRole("admin"), createBrand);
+router.post(
+  "/",
+  protect,
+  requirePermission("catalog.write"),
+  audit("brand.create", {
+    model: Brand,
+    idFrom: (req, body) => body?.brand?._id,
+  }),
+  createBrand,
+);
 
-router.put("/:id", protect, requireRole("admin"), updateBrand);
+router.put(
+  "/:id",
+  protect,
+  requirePermission("catalog.write"),
+  audit("brand.update", { model: Brand }),
+  updateBrand,
+);
 
-router.delete("/:id/logo", protect, requireRole("admin"), deleteBrandLogo);
+router.delete(
+  "/:id/logo",
+  protect,
+  requirePermission("catalog.write"),
+  audit("brand.logo_removed", { model: Brand }),
+  deleteBrandLogo,
+);
 
-router.delete("/:id", protect, requireRole("admin"), deleteBrand);
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("catalog.write"),
+  audit("brand.delete", { model: Brand }),
+  deleteBrand,
+);
 
 module.exports = router;
@@ -0,0 +1,40 @@
+const router = require("express").Router();
+const b = require("../controllers/build.controller");
+const o = require("../controllers/order.controller");
+const { protect, requirePermission } = require("../middleware/auth.middleware");
+const { audit } = require("../middleware/audit.middleware");
+const Build = require("../models/Build");
+
+// Public
+router.post("/check", b.checkBuild);
+router.get("/shared/:slug", b.getSharedBuild);
+
+// Admin
+router.get(
+  "/admin/popular",
+  protect,
+  requirePermission("builds.read"),
+  b.adminPopularBuilds,
+);
+router.post(
+  "/admin/:id/bundle",
+  protect,
+  requirePermission("products.write"),
+  audit("build.bundle_created", {
+    model: Build,
+    meta: (req, body) => ({ product: body?.product?._id }),
+  }),
+  b.adminConvertToBundle,
+);
+
+// Customer
+router.post("/shared/:slug/copy", protect, b.copySharedBuild);
+router.get("/", protect, b.myBuilds);
+router.post("/", protect, b.createBuild);
+router.get("/:id", protect, b.getBuild);
+router.put("/:id", protect, b.updateBuild);
+router.delete("/:id", protect, b.deleteBuild);
+router.patch("/:id/share", protect, b.setSharing);
+router.post("/:id/checkout", protect, b.prepareCheckout, o.createOrder);
+
+module.exports = router;
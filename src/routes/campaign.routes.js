@@ -0,0 +1,38 @@
+const router = require("express").Router();
+const c = require("../controllers/campaign.controller");
+const { protect, requirePermission } = require("../middleware/auth.middleware");
+const { audit } = require("../middleware/audit.middleware");
+const Campaign = require("../models/Campaign");
+
+// PUBLIC
+router.get("/live", c.listLiveCampaigns);
+
+// ADMIN
+const manageCampaigns = [protect, requirePermission("campaigns.write")];
+router.get("/", ...manageCampaigns, c.adminListCampaigns);
+router.post("/preview", ...manageCampaigns, c.adminPreviewDraft);
+router.post(
+  "/",
+  ...manageCampaigns,
+  audit("campaign.create", {
+    model: Campaign,
+    idFrom: (req, body) => body?.campaign?._id,
+  }),
+  c.adminCreateCampaign,
+);
+router.get("/:id", ...manageCampaigns, c.adminGetCampaign);
+router.get("/:id/preview", ...manageCampaigns, c.adminPreviewCampaign);
+router.put(
+  "/:id",
+  ...manageCampaigns,
+  audit("campaign.update", { model: Campaign }),
+  c.adminUpdateCampaign,
+);
+router.post(
+  "/:id/cancel",
+  ...manageCampaigns,
+  audit("campaign.cancel", { model: Campaign }),
+  c.adminCancelCampaign,
+);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const router = require("express").Router();
+const c = require("../controllers/cart.controller");
+const { protect } = require("../middleware/auth.middleware");
+
+router.use(protect);
+
+router.get("/", c.getMyCart);
+router.delete("/", c.clearCart);
+router.post("/items", c.addItem);
+router.patch("/items/:productId", c.updateItem);
+router.delete("/items/:productId", c.removeItem);
+router.post("/merge", c.mergeGuestCart); // guest cart -> server cart on login
+router.post("/refresh", c.refreshCart); // accept price/stock changes
+
+module.exports = router;
@@ -1,11 +1,38 @@
 const router = require("express").Router();
 const c = require("../controllers/category.controller");
-const { protect, requireRole } = require("../middleware/auth.middleware");
+const { protect, requirePermission } = require("../middleware/auth.middleware");
+const { audit } = require("../middleware/audit.middleware");
+const Category = require("../models/Category");
 
 router.get("/", c.getAll);
 router.get("/slug/:slug", c.getBySlug); // ✅ fixed
-router.post("/", protect, requireRole("admin"), c.create);
-router.put("/:id", protect, requireRole("admin"), c.update);
-router.delete("/:id", protect, requireRole("admin"), c.remove);
+
+const editCatalog = [protect, requirePermission("catalog.write")];
+router.post(
+  "/",
+  ...editCatalog,
+  audit("category.create", {
+    model: Category,
+    idFrom: (req, body) => body?.category?._id,
+  }),
+  c.create,
+);
+router.put(
+  "/:id",
+  ...editCatalog,
+  audit("category.update", { model: Category }),
+  c.update,
+);
+router.delete(
+  "/:id",
+  ...editCatalog,
+  audit("category.delete", {
+    model: Category,
+    meta: (req) => ({
+      reassignTo: req.query.reassignTo || req.body?.reassignTo,
+    }),
+  }),
+  c.remove,
+);
 
 module.exports = router;
@@ -0,0 +1,42 @@
+const router = require("express").Router();
+const c = require("../controllers/coupon.controller");
+const { protect, requirePermission } = require("../middleware/auth.middleware");
+const { audit } = require("../middleware/audit.middleware");
+const Coupon = require("../models/Coupon");
+
+// CUSTOMER
+router.post("/validate", protect, c.validateCoupon);
+
+// ADMIN
+router.get(
+  "/",
+  protect,
+  requirePermission("coupons.write"),
+  c.adminListCoupons,
+);
+router.post(
+  "/",
+  protect,
+  requirePermission("coupons.write"),
+  audit("coupon.create", {
+    model: Coupon,
+    idFrom: (req, body) => body?.coupon?._id,
+  }),
+  c.adminCreateCoupon,
+);
+router.put(
+  "/:id",
+  protect,
+  requirePermission("coupons.write"),
+  audit("coupon.update", { model: Coupon }),
+  c.adminUpdateCoupon,
+);
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("coupons.write"),
+  audit("coupon.delete", { model: Coupon }),
+  c.adminDeleteCoupon,
+);
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const router = require("express").Router();
+const inv = require("../controllers/inventory.controller");
+const purchasing = require("../controllers/purchasing.controller");
+const { protect, requirePermission } = require("../middleware/auth.middleware");
+const { audit } = require("../middleware/audit.middleware");
+const Product = require("../models/Product");
+const Supplier = require("../models/Supplier");
+const PurchaseOrder = require("../models/PurchaseOrder");
+
+router.post(
+  "/products/:id/adjustments",
+  protect,
+  requirePermission("inventory.write"),
+  audit("product.stock_adjust", {
+    model: Product,
+    meta: (req) => ({ reason: req.body?.reason }),
+  }),
+  inv.adjustProductStock,
+);
+router.get(
+  "/products/:id/movements",
+  protect,
+  requirePermission("products.read"),
+  inv.productStockMovements,
+);
+
+// ===============================
+// Suppliers
+// ===============================
+const canPurchase = [protect, requirePermission("inventory.write")];
+
+router.get("/suppliers", ...canPurchase, purchasing.listSuppliers);
+router.post(
+  "/suppliers",
+  ...canPurchase,
+  audit("supplier.create", {
+    model: Supplier,
+    idFrom: (req, body) => body?.supplier?._id,
+  }),
+  purchasing.createSupplier,
+);
+router.patch(
+  "/suppliers/:id",
+  ...canPurchase,
+  audit("supplier.update", { model: Supplier }),
+  purchasing.updateSupplier,
+);
+router.delete(
+  "/suppliers/:id",
+  ...canPurchase,
+  audit("supplier.delete", { model: Supplier }),
+  purchasing.deleteSupplier,
+);
+
+// ===============================
+// Purchase orders
+// ===============================
+router.get("/purchase-orders", ...canPurchase, purchasing.listPurchaseOrders);
+router.post(
+  "/purchase-orders",
+  ...canPurchase,
+  audit("purchase_order.create", {
+    model: PurchaseOrder,
+    idFrom: (req, body) => body?.purchaseOrder?._id,
+  }),
+  purchasing.createPurchaseOrder,
+);
+router.get("/purchase-orders/:id", ...canPurchase, purchasing.getPurchaseOrder);
+router.patch(
+  "/purchase-orders/:id",
+  ...canPurchase,
+  audit("purchase_order.update", { model: PurchaseOrder }),
+  purchasing.updatePurchaseOrder,
+);
+router.post(
+  "/purchase-orders/:id/send",
+  ...canPurchase,
+  audit("purchase_order.send", { model: PurchaseOrder }),
+  purchasing.sendPurchaseOrder,
+);
+router.post(
+  "/purchase-orders/:id/cancel",
+  ...canPurchase,
+  audit("purchase_order.cancel", { model: PurchaseOrder }),
+  purchasing.cancelPurchaseOrder,
+);
+router.post(
+  "/purchase-orders/:id/receipts",
+  ...canPurchase,
+  audit("purchase_order.receive", {
+    model: PurchaseOrder,
+    meta: (req) => ({ reference: req.body?.reference }),
+  }),
+  purchasing.receivePurchaseOrder,
+);
+
+// ===============================
+// Cost & margin report
+// ===============================
+router.get(
+  "/margins",
+  protect,
+  requirePermission("finance.read"),
+  purchasing.marginReport,
+);
+
+module.exports = router;
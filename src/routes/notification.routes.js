@@ -0,0 +1,14 @@
+const router = require("express").Router();
+const n = require("../controllers/notification.controller");
+const { protect } = require("../middleware/auth.middleware");
+
+router.get("/", protect, n.listNotifications);
+router.get("/unread-count", protect, n.unreadCount);
+router.post("/read-all", protect, n.markAllRead);
+router.patch("/:id/read", protect, n.markRead);
+
+// ✅ per-category email / in-app switches
+router.get("/preferences", protect, n.getPreferences);
+router.put("/preferences", protect, n.updatePreferences);
+
+module.exports = router;
@@ -1,32 +1,75 @@
 const router = require("express").Router();
 const o = require("../controllers/order.controller");
-const { protect, requireRole } = require("../middleware/auth.middleware");
+const {
+  protect,
+  requirePermission,
+} = require("../middleware/auth.middleware");
+const { audit } = require("../middleware/audit.middleware");
+const Order = require("../models/Order");
 
 // Admin
-router.get("/admin/all", protect, requireRole("admin"), o.adminListOrders);
+router.get(
+  "/admin/all",
+  protect,
+  requirePermission("orders.read"),
+  o.adminListOrders
+);
 router.patch(
   "/admin/:id/status",
   protect,
-  requireRole("admin"),
+  requirePermission("orders.status"),
+  audit("order.status_update", { model: Order }),
   o.adminUpdateStatus
 );
+router.post(
+  "/admin/:id/shipments",
+  protect,
+  requirePermission("orders.status"),
+  audit("order.shipment_created", { model: Order }),
+  o.adminCreateShipment
+);
+router.post(
+  "/admin/:id/shipments/:shipmentId/events",
+  protect,
+  requirePermission("orders.status"),
+  audit("order.shipment_event", { model: Order }),
+  o.adminAddShipmentEvent
+);
+router.post(
+  "/admin/expire-unpaid",
+  protect,
+  requirePermission("orders.status"),
+  audit("order.expire_unpaid", {
+    meta: (req, body) => ({ expired: body?.expired, failed: body?.failed })
+  }),
+  o.adminExpireUnpaidOrders
+);
+router.get(
+  "/admin/refunds",
+  protect,
+  requirePermission("orders.refund"),
+  o.adminListRefunds
+);
 router.patch(
   "/admin/:id/refund",
   protect,
-  requireRole("admin"),
+  requirePermission("orders.refund"),
+  audit("order.refund", { model: Order }),
   o.adminRefundOrder
 );
 
 router.patch(
   "/admin/:id/rr/decide",
   protect,
-  requireRole("admin"),
+  requirePermission("orders.returns"),
+  audit("order.rr_decide", { model: Order }),
   o.adminDecideReturnOrReplacement
 );
 router.patch(
   "/admin/:id/rr/complete",
   protect,
-  requireRole("admin"),
+  requirePermission("orders.returns"),
+  audit("order.rr_complete", { model: Order }),
   o.adminCompleteReturnOrReplacement
 );
 
@@ -36,6 +79,8 @@ router.patch("/:id/cancel", protect, o.cancelOrder);
 router.patch("/:id/cancel-items", protect, o.cancelItems);
 router.post("/:id/rr", protect, o.requestReturnOrReplacement);
 router.patch("/:id/rr/cancel", protect, o.cancelReturnOrReplacementRequest);
+router.get("/:id/invoice.pdf", protect, o.getInvoicePdf);
+router.get("/:id/credit-notes/:noteId.pdf", protect, o.getCreditNotePdf);
 router.get("/:id", protect, o.getOrder);
 
 module.exports = router;
@@ -4,7 +4,15 @@ const router = express.Router();
 const paymentController = require("../controllers/payment.controller");
 
 // ✅ correct import (because middleware exports an object)
-const { protect, requireRole } = require("../middleware/auth.middleware");
+const {
+  protect,
+  requirePermission,
+} = require("../middleware/auth.middleware");
+const { audit } = require("../middleware/audit.middleware");
+const Order = require("../models/Order");
+
+// Razorpay -> server (signature verified in controller, no JWT)
+router.post("/webhook", paymentController.razorpayWebhook);
 
 router.post("/create-order", protect, paymentController.createRazorpayOrder);
 router.post("/verify", protect, paymentController.verifyRazorpayPayment);
@@ -17,11 +25,15 @@ router.post(
   paymentController.cancelRazorpayAttempt,
 );
 
-// admin refund (you might want requireRole('admin') here later)
+// admin refund
 router.post(
   "/refund",
   protect,
-  requireRole("admin"),
+  requirePermission("orders.refund"),
+  audit("payment.refund", {
+    model: Order,
+    idFrom: (req) => req.body?.mongoOrderId
+  }),
   paymentController.refundRazorpayPayment
 );
 
@@ -1,9 +1,17 @@
 const router = require("express").Router();
 const p = require("../controllers/product.controller");
-const { protect, requireRole } = require("../middleware/auth.middleware");
+const {
+  protect,
+  optionalProtect,
+  requirePermission,
+} = require("../middleware/auth.middleware");
+const { audit } = require("../middleware/audit.middleware");
+const { rateLimit } = require("../middleware/rateLimit.middleware");
+const { getRateLimit } = require("../config/rateLimit");
+const Product = require("../models/Product");
 
 router.get("/", p.list);
-router.get("/admin", protect, requireRole("admin"), p.listAdmin);
+router.get("/admin", protect, requirePermission("products.read"), p.listAdmin);
 router.post("/bulk", p.bulk);
 
 router.get("/tags", p.listTags);
@@ -11,14 +19,56 @@ router.get("/tags", p.listTags);
 router.delete(
   "/:productId/image",
   protect,
-  requireRole("admin"),
+  requirePermission("products.write"),
+  audit("product.image_removed", { model: Product, idParam: "productId" }),
   p.removeProductImage,
 );
 
 router.get("/:slug", p.getBySlug);
 
-router.post("/", protect, requireRole("admin"), p.create);
-router.put("/:id", protect, requireRole("admin"), p.update);
-router.delete("/:id", protect, requireRole("admin"), p.remove);
+router.post(
+  "/",
+  protect,
+  requirePermission("products.write"),
+  audit("product.create", {
+    model: Product,
+    idFrom: (req, body) => body?.product?._id,
+  }),
+  p.create,
+);
+router.put(
+  "/:id",
+  protect,
+  requirePermission("products.write"),
+  audit("product.update", { model: Product }),
+  p.update,
+);
+// back-in-stock alerts (guests subscribe with an email)
+router.post(
+  "/:id/notify-me",
+  rateLimit(getRateLimit("stockAlerts")),
+  optionalProtect,
+  p.subscribeBackInStock,
+);
+router.delete("/:id/notify-me", protect, p.unsubscribeBackInStock);
+// guest links from the confirm / alert emails
+router.post(
+  "/notify-me/confirm",
+  rateLimit(getRateLimit("stockAlerts")),
+  p.confirmBackInStock,
+);
+router.post(
+  "/notify-me/unsubscribe",
+  rateLimit(getRateLimit("stockAlerts")),
+  p.unsubscribeBackInStockByToken,
+);
+
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("products.write"),
+  audit("product.delete", { model: Product }),
+  p.remove,
+);
 
 module.exports = router;
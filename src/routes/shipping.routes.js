@@ -0,0 +1,35 @@
+const router = require("express").Router();
+const s = require("../controllers/shipping.controller");
+const { protect, requirePermission } = require("../middleware/auth.middleware");
+const { audit } = require("../middleware/audit.middleware");
+const ShippingZone = require("../models/ShippingZone");
+
+// Public
+router.get("/estimate", s.estimate);
+
+// Admin
+const manageShipping = [protect, requirePermission("shipping.write")];
+router.get("/zones", ...manageShipping, s.adminListZones);
+router.post(
+  "/zones",
+  ...manageShipping,
+  audit("shipping_zone.create", {
+    model: ShippingZone,
+    idFrom: (req, body) => body?.zone?._id,
+  }),
+  s.adminCreateZone,
+);
+router.put(
+  "/zones/:id",
+  ...manageShipping,
+  audit("shipping_zone.update", { model: ShippingZone }),
+  s.adminUpdateZone,
+);
+router.delete(
+  "/zones/:id",
+  ...manageShipping,
+  audit("shipping_zone.delete", { model: ShippingZone }),
+  s.adminDeleteZone,
+);
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const router = require("express").Router();
 const s = require("../controllers/support.controller");
-const { protect, requireRole } = require("../middleware/auth.middleware");
+const { protect, requirePermission } = require("../middleware/auth.middleware");
+const { audit } = require("../middleware/audit.middleware");
+const SupportTicket = require("../models/SupportTicket");
 
 // CUSTOMER
 router.post("/tickets", protect, s.createTicket);
@@ -12,20 +14,22 @@ router.post("/tickets/:id/messages", protect, s.addMessage);
 router.get(
   "/tickets/admin/all",
   protect,
-  requireRole("admin"),
+  requirePermission("support.read"),
   s.adminListTickets,
 );
 router.patch(
   "/tickets/admin/:id/status",
   protect,
-  requireRole("admin"),
+  requirePermission("support.reply"),
+  audit("support.status_update", { model: SupportTicket }),
   s.adminUpdateStatus,
 );
 // (optional) admin reply
 router.post(
   "/tickets/admin/:id/messages",
   protect,
-  requireRole("admin"),
+  requirePermission("support.reply"),
+  audit("support.reply", { model: SupportTicket }),
   s.addMessage,
 );
 
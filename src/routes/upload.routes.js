@@ -4,31 +4,50 @@ const {
   uploadImages,
   deleteImage,
 } = require("../controllers/upload.controller");
-const { protect, requireRole } = require("../middleware/auth.middleware");
+const { protect, requirePermission } = require("../middleware/auth.middleware");
 const upload = require("../middleware/upload.middleware");
+const { audit } = require("../middleware/audit.middleware");
 
-// Admin only (products)
+// Catalog staff (products, brand logos)
 router.post(
   "/image",
   protect,
-  requireRole("admin"),
+  requirePermission("products.write", "catalog.write"),
   upload.single("image"),
+  audit("upload.image", {
+    entityType: "Image",
+    meta: (req, body) => ({ public_id: body?.public_id, url: body?.url }),
+  }),
   uploadImage,
 );
 router.post(
   "/images",
   protect,
-  requireRole("admin"),
+  requirePermission("products.write", "catalog.write"),
   upload.array("images", 6),
+  audit("upload.images", {
+    entityType: "Image",
+    meta: (req, body) => ({
+      public_ids: (body?.images || []).map((i) => i.public_id),
+    }),
+  }),
   uploadImages,
 );
-router.delete("/image", protect, requireRole("admin"), deleteImage);
+router.delete(
+  "/image",
+  protect,
+  requirePermission("products.write", "catalog.write"),
+  audit("upload.image_deleted", {
+    entityType: "Image",
+    meta: (req) => ({ public_id: req.body?.public_id }),
+  }),
+  deleteImage,
+);
 
-// Customer + Admin (profile avatar) ✅ force folder
+// Any signed-in user (profile avatar) ✅ force folder
 router.post(
   "/avatar",
   protect,
-  requireRole("customer", "admin"),
   upload.single("image"),
   (req, res, next) => {
     req.body.folder = "pc-parts-shop/avatars";
@@ -1,8 +1,16 @@
 const router = require("express").Router();
 const { protect } = require("../middleware/auth.middleware");
 const { getMe, updateMe } = require("../controllers/user.controller");
+const a = require("../controllers/address.controller");
 
 router.get("/me", protect, getMe);
 router.put("/me", protect, updateMe);
 
+// ✅ address book
+router.get("/me/addresses", protect, a.listAddresses);
+router.post("/me/addresses", protect, a.createAddress);
+router.put("/me/addresses/:addressId", protect, a.updateAddress);
+router.delete("/me/addresses/:addressId", protect, a.deleteAddress);
+router.patch("/me/addresses/:addressId/default", protect, a.setDefaultAddress);
+
 module.exports = router;
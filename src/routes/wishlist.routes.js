@@ -8,6 +8,7 @@ router.get("/ids", w.getWishlistIds);
 router.get("/", w.getMyWishlist);
 router.post("/toggle/:productId", w.toggleWishlistItem);
 router.post("/add/:productId", w.addToWishlist);
+router.patch("/target/:productId", w.setTargetPrice);
 router.delete("/remove/:productId", w.removeFromWishlist);
 router.delete("/clear", w.clearWishlist);
 
@@ -11,13 +11,21 @@ process.on("uncaughtException", (err) => {
 const app = require("./app");
 const connectDB = require("./config/db.js");
 const { initCloudinary } = require("./config/cloudinary");
+const { assertSellerState } = require("./config/gst");
+const { startUnpaidOrderSweeper } = require("./jobs/expireUnpaidOrders");
+const { startTimedOfferWatcher } = require("./jobs/timedOfferAlerts");
+const { startCampaignScheduler } = require("./jobs/campaignScheduler");
 
 const PORT = process.env.PORT || 4500;
 
 (async () => {
   try {
+    assertSellerState();
     await connectDB(process.env.MONGO_URI);
     initCloudinary();
+    startUnpaidOrderSweeper();
+    startTimedOfferWatcher();
+    startCampaignScheduler();
 
     app.listen(PORT, () => console.log(`✅ Server running on port ${PORT}`));
   } catch (err) {
@@ -0,0 +1,110 @@
+// utils/address.js
+// Indian address validation (6-digit PIN, 10-digit mobile) for the address
+// book and checkout, plus the snapshot stored on orders.
+const mongoose = require("mongoose");
+const AppError = require("./AppError");
+const User = require("../models/User");
+
+const PINCODE_RX = /^[1-9][0-9]{5}$/;
+const MOBILE_RX = /^[6-9][0-9]{9}$/;
+const MAX_LEN = 200;
+
+const clean = (v) =>
+  String(v ?? "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .slice(0, MAX_LEN);
+
+// "+91 98765-43210" / "098765 43210" -> "9876543210" (null when invalid)
+function normalizeIndianPhone(raw) {
+  let digits = String(raw ?? "").replace(/[\s()-]/g, "");
+  if (digits.startsWith("+91")) digits = digits.slice(3);
+  else if (digits.length === 12 && digits.startsWith("91")) {
+    digits = digits.slice(2);
+  } else if (digits.length === 11 && digits.startsWith("0")) {
+    digits = digits.slice(1);
+  }
+  return MOBILE_RX.test(digits) ? digits : null;
+}
+
+const isValidPincode = (v) => PINCODE_RX.test(String(v ?? "").trim());
+
+// address book input -> clean fields (throws AppError 400)
+// accepts order-style keys too (addressLine1 / addressLine2)
+function normalizeAddress(input = {}) {
+  const a = {
+    label: clean(input.label).slice(0, 40),
+    name: clean(input.name),
+    phone: normalizeIndianPhone(input.phone),
+    line1: clean(input.line1 ?? input.addressLine1),
+    line2: clean(input.line2 ?? input.addressLine2),
+    landmark: clean(input.landmark),
+    city: clean(input.city),
+    state: clean(input.state),
+    pincode: String(input.pincode ?? "").trim(),
+    country: clean(input.country) || "India",
+  };
+
+  for (const k of ["name", "line1", "city", "state"]) {
+    if (!a[k]) throw new AppError(`Address ${k} is required`, 400);
+  }
+  if (!a.phone) {
+    throw new AppError("Enter a valid 10-digit Indian mobile number", 400);
+  }
+  if (!isValidPincode(a.pincode)) {
+    throw new AppError("Enter a valid 6-digit PIN code", 400);
+  }
+  if (a.country.toLowerCase() !== "india") {
+    throw new AppError("We only ship within India", 400);
+  }
+  a.country = "India";
+
+  return a;
+}
+
+// address book entry -> Order.shippingAddress
+const toShippingSnapshot = (a, addressId = null) => ({
+  addressId,
+  name: a.name,
+  phone: a.phone,
+  addressLine1: a.line1,
+  addressLine2: a.line2 || "",
+  landmark: a.landmark || "",
+  city: a.city,
+  state: a.state,
+  pincode: a.pincode,
+  country: a.country || "India",
+});
+
+// checkout: saved addressId > inline shippingAddress > default saved address
+async function resolveShippingAddress(userId, { addressId, shippingAddress }) {
+  if (addressId) {
+    if (!mongoose.Types.ObjectId.isValid(addressId)) {
+      throw new AppError("Address not found", 404);
+    }
+    const user = await User.findOne(
+      { _id: userId, "addresses._id": addressId },
+      { "addresses.$": 1 },
+    ).lean();
+    const saved = user?.addresses?.[0];
+    if (!saved) throw new AppError("Address not found", 404);
+    return toShippingSnapshot(saved, saved._id);
+  }
+
+  if (shippingAddress && typeof shippingAddress === "object") {
+    return toShippingSnapshot(normalizeAddress(shippingAddress));
+  }
+
+  const user = await User.findById(userId).select("addresses").lean();
+  const fallback = (user?.addresses || []).find((a) => a.isDefault);
+  if (!fallback) throw new AppError("Shipping address required", 400);
+  return toShippingSnapshot(fallback, fallback._id);
+}
+
+module.exports = {
+  normalizeIndianPhone,
+  isValidPincode,
+  normalizeAddress,
+  toShippingSnapshot,
+  resolveShippingAddress,
+};
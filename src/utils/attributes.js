@@ -0,0 +1,225 @@
+// utils/attributes.js
+// Typed attribute definitions per Category + product value validation,
+// list filters (attr.socket=AM5, attr.vram_gb[gte]=12) and facet stages.
+//
+// definition: { key, label, type: "enum" | "number" | "boolean", options[], unit, filterable, required }
+const AppError = require("./AppError");
+
+const ATTRIBUTE_TYPES = ["enum", "number", "boolean"];
+const KEY_RX = /^[a-z][a-z0-9_]{0,39}$/i; // also keeps "$" / "." out of queries
+const NUMBER_OPS = { gt: "$gt", gte: "$gte", lt: "$lt", lte: "$lte" };
+
+const isValidAttributeKey = (key) => KEY_RX.test(String(key || ""));
+
+// admin input -> clean definitions (throws AppError 400)
+function normalizeAttributeDefinitions(input) {
+  if (input == null) return [];
+  if (!Array.isArray(input)) {
+    throw new AppError("attributes must be an array", 400);
+  }
+
+  const seen = new Set();
+  return input.map((d) => {
+    const key = String(d?.key || "").trim();
+    const type = String(d?.type || "").toLowerCase();
+
+    if (!isValidAttributeKey(key)) {
+      throw new AppError(`Invalid attribute key: ${key || "(empty)"}`, 400);
+    }
+    if (seen.has(key)) throw new AppError(`Duplicate attribute: ${key}`, 400);
+    seen.add(key);
+
+    if (!ATTRIBUTE_TYPES.includes(type)) {
+      throw new AppError(
+        `Attribute ${key}: type must be one of ${ATTRIBUTE_TYPES.join(", ")}`,
+        400,
+      );
+    }
+
+    const options =
+      type === "enum"
+        ? Array.from(
+            new Set(
+              (Array.isArray(d.options) ? d.options : [])
+                .map((o) => String(o).trim())
+                .filter(Boolean),
+            ),
+          )
+        : [];
+    if (type === "enum" && !options.length) {
+      throw new AppError(`Attribute ${key}: options required for enum`, 400);
+    }
+
+    return {
+      key,
+      label: String(d.label || key).trim(),
+      type,
+      options,
+      unit: type === "number" ? String(d.unit || "").trim() : "",
+      filterable: d.filterable !== false,
+      required: Boolean(d.required),
+    };
+  });
+}
+
+// one value against its definition -> stored value (throws AppError 400)
+function normalizeAttributeValue(def, raw) {
+  if (def.type === "number") {
+    const n = Number(raw);
+    if (raw === "" || raw === true || !Number.isFinite(n)) {
+      throw new AppError(`Attribute ${def.key} must be a number`, 400);
+    }
+    return n;
+  }
+
+  if (def.type === "boolean") {
+    if (raw === true || raw === "true") return true;
+    if (raw === false || raw === "false") return false;
+    throw new AppError(`Attribute ${def.key} must be true or false`, 400);
+  }
+
+  // enum: case-insensitive match, stored as the canonical option
+  const hit = def.options.find(
+    (o) => o.toLowerCase() === String(raw).trim().toLowerCase(),
+  );
+  if (!hit) {
+    throw new AppError(
+      `Attribute ${def.key} must be one of ${def.options.join(", ")}`,
+      400,
+    );
+  }
+  return hit;
+}
+
+const missingRequired = (definitions = [], values = {}) =>
+  definitions.filter((d) => d.required && values[d.key] == null);
+
+// query -> { "attr.socket": "AM5" } | { attr: { socket: "AM5" } } -> [[key, raw]]
+function readAttributeQuery(query = {}) {
+  const out = [];
+  for (const [k, v] of Object.entries(query)) {
+    if (k.startsWith("attr.")) out.push([k.slice(5), v]);
+  }
+  if (query.attr && typeof query.attr === "object") {
+    for (const [k, v] of Object.entries(query.attr)) out.push([k, v]);
+  }
+  return out.filter(([k]) => isValidAttributeKey(k));
+}
+
+const splitList = (v) =>
+  (Array.isArray(v) ? v : String(v).split(","))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+
+// -> Mongo match on product.attributes.<key>
+// Keys without a definition: numbers / booleans by shape, strings case-insensitive.
+function buildAttributeMatch(query, definitions = []) {
+  const defs = new Map(definitions.map((d) => [d.key, d]));
+  const match = {};
+
+  for (const [key, raw] of readAttributeQuery(query)) {
+    const def = defs.get(key);
+    const path = `attributes.${key}`;
+
+    // range: attr.vram_gb[gte]=12
+    if (raw && typeof raw === "object" && !Array.isArray(raw)) {
+      const range = {};
+      for (const [op, v] of Object.entries(raw)) {
+        const n = Number(v);
+        if (NUMBER_OPS[op] && v !== "" && Number.isFinite(n)) {
+          range[NUMBER_OPS[op]] = n;
+        }
+      }
+      if (Object.keys(range).length) match[path] = range;
+      continue;
+    }
+
+    const values = splitList(raw);
+    if (!values.length) continue;
+
+    const type =
+      def?.type ||
+      (values.every((v) => v === "true" || v === "false")
+        ? "boolean"
+        : values.every((v) => Number.isFinite(Number(v)))
+          ? "number"
+          : null);
+
+    let list;
+    if (type === "number") list = values.map(Number);
+    else if (type === "boolean") list = values.map((v) => v === "true");
+    else if (def) {
+      list = values.map(
+        (v) =>
+          def.options.find((o) => o.toLowerCase() === v.toLowerCase()) || v,
+      );
+    } else {
+      list = values.map(
+        (v) => new RegExp(`^${v.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i"),
+      );
+    }
+
+    match[path] = list.length === 1 ? list[0] : { $in: list };
+  }
+
+  return match;
+}
+
+// $facet branches for filterable definitions: { "attr:socket": [...] }
+// array values (cooler sockets) count once per element
+function buildAttributeFacets(definitions = []) {
+  const facets = {};
+  for (const d of definitions) {
+    if (!d.filterable) continue;
+    const path = `$attributes.${d.key}`;
+
+    facets[`attr:${d.key}`] = [
+      { $match: { [`attributes.${d.key}`]: { $exists: true, $ne: null } } },
+      { $unwind: path },
+      { $group: { _id: path, count: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+      { $limit: 100 },
+    ];
+  }
+  return facets;
+}
+
+// facet output -> [{ key, label, type, unit, values: [{ value, count }] }]
+function readAttributeFacets(facetDoc = {}, definitions = []) {
+  return definitions
+    .filter((d) => d.filterable && facetDoc[`attr:${d.key}`])
+    .map((d) => ({
+      key: d.key,
+      label: d.label,
+      type: d.type,
+      unit: d.unit,
+      values: facetDoc[`attr:${d.key}`].map((x) => ({
+        value: x._id,
+        count: x.count,
+      })),
+    }))
+    .filter((f) => f.values.length);
+}
+
+// same key defined in several categories: first definition wins
+function mergeDefinitions(categories = []) {
+  const map = new Map();
+  for (const c of categories) {
+    for (const d of c.attributes || []) {
+      if (!map.has(d.key)) map.set(d.key, d);
+    }
+  }
+  return [...map.values()];
+}
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  isValidAttributeKey,
+  normalizeAttributeDefinitions,
+  normalizeAttributeValue,
+  missingRequired,
+  buildAttributeMatch,
+  buildAttributeFacets,
+  readAttributeFacets,
+  mergeDefinitions,
+};
@@ -0,0 +1,102 @@
+// utils/audit.js
+// Audit rows (who / what / field diff / request context).
+// Admin routes use middleware/audit.middleware.js; auth events call recordAudit.
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+
+const MAX_CHANGES = 100;
+const MAX_VALUE_LEN = 500;
+
+// never part of a diff (noise or secrets)
+const IGNORED_KEYS = new Set([
+  "_id",
+  "__v",
+  "createdAt",
+  "updatedAt",
+  "passwordHash",
+  "tokenHash",
+  "previousTokenHashes",
+]);
+
+const isLeaf = (v) =>
+  v == null ||
+  typeof v !== "object" ||
+  v instanceof Date ||
+  v instanceof mongoose.Types.ObjectId ||
+  Buffer.isBuffer(v) ||
+  (Array.isArray(v) && v.length === 0) ||
+  (!Array.isArray(v) && Object.keys(v).length === 0);
+
+// { a: { b: 1 }, tags: ["x"] } -> { "a.b": 1, "tags.0": "x" }
+function flatten(value, prefix = "", out = {}) {
+  if (isLeaf(value)) {
+    if (prefix) out[prefix] = value;
+    return out;
+  }
+  for (const [k, v] of Object.entries(value)) {
+    if (IGNORED_KEYS.has(k)) continue;
+    flatten(v, prefix ? `${prefix}.${k}` : k, out);
+  }
+  return out;
+}
+
+const toPlain = (v) => {
+  if (v instanceof mongoose.Types.ObjectId) return String(v);
+  if (v instanceof Date) return v.toISOString();
+  if (typeof v === "string" && v.length > MAX_VALUE_LEN) {
+    return `${v.slice(0, MAX_VALUE_LEN)}…`;
+  }
+  return v === undefined ? null : v;
+};
+
+// lean docs (either may be null for create / delete) -> [{ field, before, after }]
+function diffDocuments(before, after) {
+  const a = flatten(before || {});
+  const b = flatten(after || {});
+  const fields = Array.from(new Set([...Object.keys(a), ...Object.keys(b)]));
+
+  const changes = [];
+  for (const field of fields.sort()) {
+    const x = toPlain(a[field]);
+    const y = toPlain(b[field]);
+    if (JSON.stringify(x) === JSON.stringify(y)) continue;
+
+    changes.push({ field, before: x, after: y });
+    if (changes.length >= MAX_CHANGES) break;
+  }
+  return changes;
+}
+
+// never throws: losing an audit row must not fail the request
+async function recordAudit(
+  req,
+  {
+    action,
+    entityType = null,
+    entityId = null,
+    actor,
+    changes = [],
+    meta = {},
+  },
+) {
+  try {
+    return await AuditLog.create({
+      actor: actor !== undefined ? actor : req?.user?._id || null,
+      action,
+      entityType,
+      entityId,
+      changes,
+      requestId: req?.id || "",
+      method: req?.method || "",
+      path: req?.originalUrl || "",
+      ip: req?.ip || "",
+      userAgent: String(req?.headers?.["user-agent"] || "").slice(0, 300),
+      meta,
+    });
+  } catch (err) {
+    console.error("❌ Audit write failed:", action, err.message);
+    return null;
+  }
+}
+
+module.exports = { recordAudit, diffDocuments };
@@ -0,0 +1,133 @@
+// utils/authEmails.js
+// Account emails (verification, password reset, password changed).
+const { getClientUrl, getAdminUrl } = require("../config/mail");
+const { getSellerInfo } = require("../config/gst");
+
+const escapeHtml = (s = "") =>
+  String(s).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ],
+  );
+
+// { heading, lines[], action?: { label, url }, footer?: { label, url } }
+// -> { text, html } (footer: small print link, e.g. unsubscribe)
+function layout({ heading, lines, action, footer }) {
+  const shop = getSellerInfo().name;
+
+  const text = [
+    heading,
+    "",
+    ...lines,
+    ...(action ? ["", `${action.label}: ${action.url}`] : []),
+    "",
+    `— ${shop}`,
+    ...(footer ? ["", `${footer.label}: ${footer.url}`] : []),
+  ].join("\n");
+
+  const html = `<div style="font-family:Arial,sans-serif;max-width:520px">
+<h2>${escapeHtml(heading)}</h2>
+${lines.map((l) => `<p>${escapeHtml(l)}</p>`).join("\n")}
+${
+  action
+    ? `<p><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:10px 18px;background:#111;color:#fff;text-decoration:none;border-radius:6px">${escapeHtml(action.label)}</a></p>`
+    : ""
+}
+<p style="color:#777">— ${escapeHtml(shop)}</p>
+${
+  footer
+    ? `<p style="color:#999;font-size:12px"><a href="${escapeHtml(footer.url)}" style="color:#999">${escapeHtml(footer.label)}</a></p>`
+    : ""
+}
+</div>`;
+
+  return { text, html };
+}
+
+const verificationEmail = (user, token) => ({
+  to: user.email,
+  subject: "Verify your email",
+  ...layout({
+    heading: `Hi ${user.name}, please verify your email`,
+    lines: [
+      "Confirm this address to finish setting up your account.",
+      "The link expires in 24 hours.",
+    ],
+    action: {
+      label: "Verify email",
+      url: `${getClientUrl()}/verify-email?token=${encodeURIComponent(token)}`,
+    },
+  }),
+});
+
+const passwordResetEmail = (user, token, ttlMinutes) => ({
+  to: user.email,
+  subject: "Reset your password",
+  ...layout({
+    heading: "Password reset requested",
+    lines: [
+      `Use the link below within ${ttlMinutes} minutes to choose a new password.`,
+      "If you did not ask for this, you can ignore this email.",
+    ],
+    action: {
+      label: "Reset password",
+      url: `${getClientUrl()}/reset-password?token=${encodeURIComponent(token)}`,
+    },
+  }),
+});
+
+const passwordChangedEmail = (user) => ({
+  to: user.email,
+  subject: "Your password was changed",
+  ...layout({
+    heading: "Your password was changed",
+    lines: [
+      "You have been signed out on your other devices.",
+      "If this wasn't you, reset your password right away.",
+    ],
+  }),
+});
+
+const accountLockedEmail = (user, token, lockMinutes) => ({
+  to: user.email,
+  subject: "Your account was locked",
+  ...layout({
+    heading: "Too many failed sign-in attempts",
+    lines: [
+      `We locked your account for ${lockMinutes} minutes to protect it.`,
+      "If this was you, use the link below to unlock it now. If not, consider resetting your password.",
+    ],
+    action: {
+      label: "Unlock account",
+      url: `${getClientUrl()}/unlock-account?token=${encodeURIComponent(token)}`,
+    },
+  }),
+});
+
+const staffInvitationEmail = (invitation, token, invitedByName) => ({
+  to: invitation.email,
+  subject: "You're invited to the admin panel",
+  ...layout({
+    heading: `${invitedByName} invited you to join as ${invitation.role.replace("_", " ")}`,
+    lines: [
+      "Accept the invitation to set up your staff account.",
+      "The link expires in 7 days.",
+    ],
+    action: {
+      label: "Accept invitation",
+      url: `${getAdminUrl()}/accept-invite?token=${encodeURIComponent(token)}`,
+    },
+  }),
+});
+
+module.exports = {
+  staffInvitationEmail,
+  accountLockedEmail,
+  escapeHtml,
+  layout,
+  verificationEmail,
+  passwordResetEmail,
+  passwordChangedEmail,
+};
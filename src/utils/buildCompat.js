@@ -0,0 +1,501 @@
+// utils/buildCompat.js
+// Structured PC-part attributes (per category build slot) + compatibility rules.
+// Category.buildSlot decides which attributes a product can carry:
+//   product.attributes = { socket: "am5", tdpW: 120, ... }
+const mongoose = require("mongoose");
+const AppError = require("./AppError");
+const { normalizeAttributeValue, missingRequired } = require("./attributes");
+const Product = require("../models/Product");
+
+const BUILD_SLOTS = [
+  "CPU",
+  "MOTHERBOARD",
+  "RAM",
+  "GPU",
+  "PSU",
+  "CASE",
+  "COOLER",
+  "STORAGE",
+];
+
+// attribute key -> type ("string" | "number" | "string[]" | "formFactor")
+const SLOT_ATTRIBUTES = {
+  CPU: {
+    socket: "string",
+    tdpW: "number",
+    ramTypes: "string[]", // memory controller support, e.g. ["ddr5"]
+    supportedChipsets: "string[]", // without BIOS update
+  },
+  MOTHERBOARD: {
+    socket: "string",
+    chipset: "string",
+    ramType: "string",
+    ramSlots: "number",
+    formFactor: "formFactor",
+  },
+  RAM: { ramType: "string", modules: "number" },
+  GPU: { tdpW: "number", lengthMm: "number", recommendedPsuW: "number" },
+  PSU: { wattage: "number" },
+  CASE: {
+    formFactor: "formFactor", // largest board it takes
+    maxGpuLengthMm: "number",
+    maxCoolerHeightMm: "number",
+  },
+  COOLER: { sockets: "string[]", heightMm: "number" },
+  STORAGE: { interface: "string" },
+};
+
+// smaller boards fit in bigger cases
+const FORM_FACTOR_RANK = { "mini-itx": 1, "micro-atx": 2, atx: 3, "e-atx": 4 };
+
+const FORM_FACTOR_ALIASES = {
+  itx: "mini-itx",
+  "mini itx": "mini-itx",
+  matx: "micro-atx",
+  "m-atx": "micro-atx",
+  "micro atx": "micro-atx",
+  microatx: "micro-atx",
+  eatx: "e-atx",
+  "extended-atx": "e-atx",
+};
+
+const BASE_SYSTEM_W = 75; // board + RAM + storage + fans
+const PSU_HEADROOM = 1.25;
+
+const normText = (v) =>
+  String(v ?? "")
+    .trim()
+    .toLowerCase();
+
+const normFormFactor = (v) => {
+  const s = normText(v);
+  return FORM_FACTOR_ALIASES[s] || s;
+};
+
+// Validates + normalizes admin input for a slot. Throws AppError (400).
+// Category attribute definitions (utils/attributes.js) win over slot keys;
+// categories with neither keep flat primitive values as given.
+function normalizeAttributes(slot, input, definitions = []) {
+  if (input == null) input = {};
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new AppError("attributes must be an object", 400);
+  }
+
+  const spec = SLOT_ATTRIBUTES[slot];
+  const defs = new Map(definitions.map((d) => [d.key, d]));
+  const out = {};
+
+  for (const [key, raw] of Object.entries(input)) {
+    if (raw === null || raw === "") continue;
+
+    const def = defs.get(key);
+    if (def) {
+      out[key] = Array.isArray(raw)
+        ? Array.from(new Set(raw.map((v) => normalizeAttributeValue(def, v))))
+        : normalizeAttributeValue(def, raw);
+      continue;
+    }
+
+    if (!spec) {
+      if (defs.size) throw new AppError(`Unknown attribute: ${key}`, 400);
+      if (typeof raw === "object") {
+        throw new AppError(`Attribute ${key} must be a plain value`, 400);
+      }
+      out[key] = raw;
+      continue;
+    }
+
+    const type = spec[key];
+    if (!type) throw new AppError(`Unknown ${slot} attribute: ${key}`, 400);
+
+    if (type === "number") {
+      const n = Number(raw);
+      if (!Number.isFinite(n) || n <= 0) {
+        throw new AppError(`Attribute ${key} must be a positive number`, 400);
+      }
+      out[key] = n;
+    } else if (type === "string[]") {
+      const arr = Array.isArray(raw) ? raw : String(raw).split(",");
+      out[key] = Array.from(new Set(arr.map(normText).filter(Boolean)));
+    } else if (type === "formFactor") {
+      const ff = normFormFactor(raw);
+      if (!FORM_FACTOR_RANK[ff]) {
+        throw new AppError(
+          `Attribute ${key} must be one of ${Object.keys(FORM_FACTOR_RANK).join(", ")}`,
+          400,
+        );
+      }
+      out[key] = ff;
+    } else {
+      out[key] = normText(raw);
+    }
+  }
+
+  const missing = missingRequired(definitions, out);
+  if (missing.length) {
+    throw new AppError(
+      `Missing required attributes: ${missing.map((d) => d.key).join(", ")}`,
+      400,
+    );
+  }
+
+  return out;
+}
+
+// stored values may be canonical enum options ("AM5", "Micro-ATX");
+// rules below compare lowercase / canonical form factors
+function toCompatValues(slot, attributes = {}) {
+  const spec = SLOT_ATTRIBUTES[slot] || {};
+  const out = { ...attributes };
+
+  for (const [key, type] of Object.entries(spec)) {
+    const v = out[key];
+    if (v == null) continue;
+    if (type === "string[]") {
+      out[key] = (Array.isArray(v) ? v : [v]).map(normText).filter(Boolean);
+    } else if (type === "formFactor") out[key] = normFormFactor(v);
+    else if (type === "string") out[key] = normText(v);
+  }
+  return out;
+}
+
+// Legacy products only have tags ("am5", "ddr5", "650w", "atx")
+function inferAttributesFromTags(slot, tags = []) {
+  const out = {};
+  for (const t of tags.map(normText)) {
+    if (/^(am[45]|lga\d{4}|tr4|strx4|str5|sp5)$/.test(t)) {
+      if (["CPU", "MOTHERBOARD"].includes(slot)) out.socket = t;
+      if (slot === "COOLER") out.sockets = [...(out.sockets || []), t];
+    }
+    if (/^ddr[345]$/.test(t) && ["MOTHERBOARD", "RAM"].includes(slot)) {
+      out.ramType = t;
+    }
+    const watt = t.match(/^(\d{3,4})\s?w$/);
+    if (watt && slot === "PSU") out.wattage = Number(watt[1]);
+
+    const ff = normFormFactor(t);
+    if (FORM_FACTOR_RANK[ff] && ["MOTHERBOARD", "CASE"].includes(slot)) {
+      out.formFactor = ff;
+    }
+  }
+  return out;
+}
+
+const PART_SELECT = "title slug type category attributes tags isActive";
+
+// items: [{ productId, qty }] -> parts [{ product, slot, qty, attributes, inferred, viaBundle }]
+// Bundles are expanded into their children (a CPU + board combo is 2 parts).
+async function loadBuildParts(items = []) {
+  const qtyById = new Map();
+  for (const it of items) {
+    const id = String(it?.productId || "");
+    const qty = Number(it?.qty ?? 1);
+    if (!id || !Number.isInteger(qty) || qty <= 0) {
+      throw new AppError("Invalid items payload", 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new AppError("Invalid product id in items", 400);
+    }
+    qtyById.set(id, (qtyById.get(id) || 0) + qty);
+  }
+
+  const products = await Product.find({ _id: { $in: [...qtyById.keys()] } })
+    .select(`${PART_SELECT} bundleItems`)
+    .populate("category", "name slug buildSlot")
+    .populate({
+      path: "bundleItems.product",
+      select: PART_SELECT,
+      populate: { path: "category", select: "name slug buildSlot" },
+    });
+
+  const found = new Map(products.map((p) => [String(p._id), p]));
+  const missing = [...qtyById.keys()].filter((id) => !found.has(id));
+  if (missing.length) {
+    throw new AppError(`Products not found: ${missing.join(", ")}`, 404);
+  }
+
+  const parts = [];
+  const pushPart = (product, qty, viaBundle = null) => {
+    const slot = product.category?.buildSlot || null;
+    const own = toCompatValues(slot, product.attributes || {});
+    const inferred = inferAttributesFromTags(slot, product.tags || []);
+
+    parts.push({
+      product,
+      slot,
+      qty,
+      attributes: { ...inferred, ...own },
+      inferred: Object.keys(inferred).filter((k) => own[k] == null),
+      viaBundle,
+    });
+  };
+
+  for (const [id, qty] of qtyById) {
+    const p = found.get(id);
+    if (p.type === "BUNDLE") {
+      for (const bi of p.bundleItems || []) {
+        if (bi.product) pushPart(bi.product, qty * Number(bi.qty || 1), p._id);
+      }
+    } else {
+      pushPart(p, qty);
+    }
+  }
+
+  return parts;
+}
+
+const ref = (part) => ({
+  productId: part.product._id,
+  title: part.product.title,
+  slot: part.slot,
+});
+
+// parts from loadBuildParts -> { compatible, incompatibilities, warnings, power, parts, missingSlots }
+function checkCompatibility(parts) {
+  const incompatibilities = [];
+  const warnings = [];
+  const error = (code, message, ps) =>
+    incompatibilities.push({ code, message, products: ps.map(ref) });
+  const warn = (code, message, ps = []) =>
+    warnings.push({ code, message, products: ps.map(ref) });
+
+  const bySlot = {};
+  for (const p of parts) {
+    if (!p.slot) continue;
+    (bySlot[p.slot] = bySlot[p.slot] || []).push(p);
+  }
+  const countOf = (slot) => (bySlot[slot] || []).reduce((s, p) => s + p.qty, 0);
+
+  for (const slot of ["CPU", "MOTHERBOARD", "PSU", "CASE"]) {
+    if (countOf(slot) > 1) {
+      error(
+        `MULTIPLE_${slot}`,
+        `Build has more than one ${slot}`,
+        bySlot[slot],
+      );
+    }
+  }
+
+  const [cpu] = bySlot.CPU || [];
+  const [board] = bySlot.MOTHERBOARD || [];
+  const [psu] = bySlot.PSU || [];
+  const [pcCase] = bySlot.CASE || [];
+  const rams = bySlot.RAM || [];
+  const gpus = bySlot.GPU || [];
+  const coolers = bySlot.COOLER || [];
+
+  // which attribute a rule needed but did not get
+  const needs = (part, key, rule) => {
+    if (part.attributes[key] != null) return true;
+    warn(
+      "MISSING_ATTRIBUTE",
+      `Cannot check ${rule}: ${part.product.title} has no ${key}`,
+      [part],
+    );
+    return false;
+  };
+
+  // CPU socket vs motherboard
+  if (
+    cpu &&
+    board &&
+    needs(cpu, "socket", "CPU socket") &&
+    needs(board, "socket", "CPU socket")
+  ) {
+    if (cpu.attributes.socket !== board.attributes.socket) {
+      error(
+        "SOCKET_MISMATCH",
+        `CPU socket ${cpu.attributes.socket.toUpperCase()} does not fit motherboard socket ${board.attributes.socket.toUpperCase()}`,
+        [cpu, board],
+      );
+    } else if (
+      board.attributes.chipset &&
+      cpu.attributes.supportedChipsets?.length &&
+      !cpu.attributes.supportedChipsets.includes(board.attributes.chipset)
+    ) {
+      warn(
+        "CHIPSET_BIOS",
+        `${board.attributes.chipset.toUpperCase()} chipset may need a BIOS update for this CPU`,
+        [cpu, board],
+      );
+    }
+  }
+
+  // RAM generation (DDR4 vs DDR5)
+  const ramTypes = new Set(
+    rams.map((r) => r.attributes.ramType).filter(Boolean),
+  );
+  if (ramTypes.size > 1) {
+    error(
+      "RAM_MIXED",
+      `Build mixes ${[...ramTypes].join(" and ").toUpperCase()} memory`,
+      rams,
+    );
+  }
+  for (const ram of rams) {
+    if (!board || !needs(ram, "ramType", "memory type")) continue;
+    if (!needs(board, "ramType", "memory type")) continue;
+
+    if (ram.attributes.ramType !== board.attributes.ramType) {
+      error(
+        "RAM_TYPE_MISMATCH",
+        `${ram.attributes.ramType.toUpperCase()} memory does not fit a ${board.attributes.ramType.toUpperCase()} motherboard`,
+        [ram, board],
+      );
+    }
+  }
+  if (cpu?.attributes.ramTypes?.length) {
+    for (const ram of rams) {
+      const t = ram.attributes.ramType;
+      if (t && !cpu.attributes.ramTypes.includes(t)) {
+        error(
+          "CPU_RAM_TYPE",
+          `CPU does not support ${t.toUpperCase()} memory`,
+          [cpu, ram],
+        );
+      }
+    }
+  }
+
+  // RAM sticks vs slots
+  if (board?.attributes.ramSlots && rams.length) {
+    const modules = rams.reduce(
+      (s, r) => s + r.qty * Number(r.attributes.modules || 1),
+      0,
+    );
+    if (modules > board.attributes.ramSlots) {
+      error(
+        "RAM_SLOTS",
+        `${modules} memory modules but the motherboard has ${board.attributes.ramSlots} slots`,
+        [board, ...rams],
+      );
+    }
+  }
+
+  // cooler socket support
+  for (const cooler of coolers) {
+    const socket = cpu?.attributes.socket || board?.attributes.socket;
+    if (!socket || !needs(cooler, "sockets", "cooler mounting")) continue;
+
+    if (!cooler.attributes.sockets.includes(socket)) {
+      error(
+        "COOLER_SOCKET",
+        `Cooler does not support socket ${socket.toUpperCase()}`,
+        [cooler, ...(cpu ? [cpu] : [board])],
+      );
+    }
+  }
+
+  // case clearance: board form factor, GPU length, cooler height
+  if (pcCase) {
+    if (
+      board &&
+      needs(board, "formFactor", "case fit") &&
+      needs(pcCase, "formFactor", "case fit")
+    ) {
+      const b = FORM_FACTOR_RANK[board.attributes.formFactor];
+      const c = FORM_FACTOR_RANK[pcCase.attributes.formFactor];
+      if (b > c) {
+        error(
+          "CASE_FORM_FACTOR",
+          `${board.attributes.formFactor.toUpperCase()} motherboard does not fit a ${pcCase.attributes.formFactor.toUpperCase()} case`,
+          [board, pcCase],
+        );
+      }
+    }
+
+    for (const gpu of gpus) {
+      if (!needs(gpu, "lengthMm", "GPU clearance")) continue;
+      if (!needs(pcCase, "maxGpuLengthMm", "GPU clearance")) continue;
+      if (gpu.attributes.lengthMm > pcCase.attributes.maxGpuLengthMm) {
+        error(
+          "GPU_LENGTH",
+          `GPU is ${gpu.attributes.lengthMm} mm, case fits up to ${pcCase.attributes.maxGpuLengthMm} mm`,
+          [gpu, pcCase],
+        );
+      }
+    }
+
+    for (const cooler of coolers) {
+      const h = cooler.attributes.heightMm;
+      const max = pcCase.attributes.maxCoolerHeightMm;
+      if (h && max && h > max) {
+        error(
+          "COOLER_HEIGHT",
+          `Cooler is ${h} mm tall, case fits up to ${max} mm`,
+          [cooler, pcCase],
+        );
+      }
+    }
+  }
+
+  // power budget
+  const cpuW = Number(cpu?.attributes.tdpW || 0);
+  const gpuW = gpus.reduce(
+    (s, g) => s + g.qty * Number(g.attributes.tdpW || 0),
+    0,
+  );
+  const estimatedW = BASE_SYSTEM_W + cpuW + gpuW;
+  const recommendedPsuW = Math.max(
+    Math.ceil((estimatedW * PSU_HEADROOM) / 50) * 50,
+    ...gpus.map((g) => Number(g.attributes.recommendedPsuW || 0)),
+  );
+  const psuW = Number(psu?.attributes.wattage || 0) || null;
+
+  if (cpu && !cpu.attributes.tdpW) needs(cpu, "tdpW", "power budget");
+  for (const g of gpus)
+    if (!g.attributes.tdpW) needs(g, "tdpW", "power budget");
+
+  if (psu && needs(psu, "wattage", "power budget")) {
+    if (psuW < estimatedW) {
+      error(
+        "PSU_INSUFFICIENT",
+        `Estimated draw ${estimatedW} W exceeds PSU ${psuW} W`,
+        [psu],
+      );
+    } else if (psuW < recommendedPsuW) {
+      warn(
+        "PSU_HEADROOM",
+        `PSU ${psuW} W leaves little headroom; ${recommendedPsuW} W recommended`,
+        [psu],
+      );
+    }
+  }
+
+  // inferred from tags => best effort
+  for (const p of parts) {
+    if (p.inferred.length) {
+      warn(
+        "INFERRED_ATTRIBUTES",
+        `${p.product.title}: ${p.inferred.join(", ")} read from tags`,
+        [p],
+      );
+    }
+  }
+
+  const missingSlots = ["CPU", "MOTHERBOARD", "RAM", "PSU", "CASE"].filter(
+    (s) => !bySlot[s],
+  );
+  return {
+    compatible: incompatibilities.length === 0,
+    incompatibilities,
+    warnings,
+    power: { estimatedW, recommendedPsuW, psuW },
+    missingSlots,
+    parts: parts.map((p) => ({
+      ...ref(p),
+      qty: p.qty,
+      attributes: p.attributes,
+      viaBundle: p.viaBundle,
+    })),
+  };
+}
+
+module.exports = {
+  BUILD_SLOTS,
+  SLOT_ATTRIBUTES,
+  normalizeAttributes,
+  inferAttributesFromTags,
+  loadBuildParts,
+  checkCompatibility,
+};
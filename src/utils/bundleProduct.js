@@ -0,0 +1,86 @@
+// utils/bundleProduct.js
+// Shared by product create/update and build -> bundle conversion.
+const AppError = require("./AppError");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const Brand = require("../models/Brands");
+
+async function computeBundleTotals(bundleItems = []) {
+  const ids = bundleItems.map((x) => x.product).filter(Boolean);
+  const uniq = new Set(ids.map(String));
+  if (uniq.size !== ids.length)
+    throw new AppError("Duplicate product in bundle", 400);
+
+  const children = await Product.find({ _id: { $in: ids } }).select(
+    "_id price discountPrice isActive type",
+  );
+
+  const map = new Map(children.map((c) => [String(c._id), c]));
+
+  let sumChildIndividual = 0;
+
+  for (const it of bundleItems) {
+    const child = map.get(String(it.product));
+    const qty = Number(it.qty || 1);
+
+    if (!Number.isFinite(qty) || qty < 1)
+      throw new AppError("Invalid bundle qty", 400);
+    if (!child) throw new AppError("Invalid bundle product(s)", 400);
+    if (child.isActive === false)
+      throw new AppError("Bundle contains inactive product", 400);
+    if (child.type === "BUNDLE")
+      throw new AppError("Bundle cannot include another bundle", 400);
+
+    const p = Number(child.price || 0);
+    const dp = child.discountPrice;
+
+    // "individual price" used for comparison
+    const hasValidDp =
+      dp != null && dp !== "" && Number(dp) >= 0 && Number(dp) < p;
+
+    if (!hasValidDp) {
+      throw new AppError(
+        "Bundle children must have a valid discountPrice",
+        400,
+      );
+    }
+
+    sumChildIndividual += Number(dp) * qty;
+  }
+
+  return { sumChildIndividual };
+}
+
+async function computeBundleTags(bundleItems = []) {
+  const ids = (bundleItems || []).map((x) => x.product).filter(Boolean);
+
+  const children = await Product.find({ _id: { $in: ids } }).select("tags");
+
+  const set = new Set();
+  for (const c of children) {
+    for (const t of c.tags || []) {
+      const s = String(t).trim().toLowerCase();
+      if (s) set.add(s);
+    }
+  }
+  return Array.from(set);
+}
+
+async function getBundlesCategoryId() {
+  const cat = await Category.findOne({ slug: "bundles" }).select("_id");
+  if (!cat) throw new AppError("Create a category with slug 'bundles'", 400);
+  return cat._id;
+}
+
+async function getMixedBrandId() {
+  const b = await Brand.findOne({ slug: "mixed" }).select("_id");
+  if (!b) throw new AppError("Create a brand with slug 'mixed'", 400);
+  return b._id;
+}
+
+module.exports = {
+  computeBundleTotals,
+  computeBundleTags,
+  getBundlesCategoryId,
+  getMixedBrandId,
+};
@@ -0,0 +1,306 @@
+// utils/campaigns.js
+// Campaign pricing. Pricing helpers are synchronous, so live campaigns are
+// kept in memory: refreshed by jobs/campaignScheduler.js every tick and right
+// after admin edits. Order placement re-checks the campaign in the database
+// (window + caps) before it accepts a campaign price.
+const mongoose = require("mongoose");
+const AppError = require("./AppError");
+const Campaign = require("../models/Campaign");
+const Order = require("../models/Order");
+const { getSubtreeIds } = require("./categoryTree");
+const { round2 } = require("./coupon");
+
+const idOf = (v) => String(v?._id ?? v ?? "");
+
+let liveCampaigns = [];
+
+// SCHEDULED / ACTIVE campaigns that haven't ended (the window is checked per use)
+async function refreshCampaignCache(now = new Date()) {
+  liveCampaigns = await Campaign.find({
+    status: { $in: ["SCHEDULED", "ACTIVE"] },
+    endAt: { $gt: now },
+  })
+    .select(
+      "_id name startAt endAt status selectors categoryScope pricing totalUnits soldUnits",
+    )
+    .lean();
+  return liveCampaigns.length;
+}
+
+const inWindow = (c, now = Date.now()) =>
+  ["SCHEDULED", "ACTIVE"].includes(c.status) &&
+  new Date(c.startAt).getTime() <= now &&
+  new Date(c.endAt).getTime() > now;
+
+const isLive = (c, now = Date.now()) =>
+  inWindow(c, now) &&
+  (c.totalUnits == null || Number(c.soldUnits || 0) < c.totalUnits);
+
+const getLiveCampaigns = (now = Date.now()) =>
+  liveCampaigns.filter((c) => isLive(c, now));
+
+// product (category / brand may be populated) -> campaign applies?
+function campaignMatches(campaign, product) {
+  const has = (list, v) => (list || []).some((x) => String(x) === idOf(v));
+  return (
+    has(campaign.selectors?.products, product._id) ||
+    has(campaign.categoryScope, product.category) ||
+    has(campaign.selectors?.brands, product.brand)
+  );
+}
+
+// regularPrice: discountPrice (else price), before any timed offer
+function campaignUnitPrice(campaign, regularPrice) {
+  const { type, value } = campaign.pricing || {};
+  if (type === "PERCENT") return round2(regularPrice * (1 - value / 100));
+  if (type === "FIXED_PRICE") return round2(value);
+  return null;
+}
+
+// -> { campaign, price } for the cheapest live campaign below regularPrice
+function bestCampaignOffer(product, regularPrice, now = Date.now()) {
+  if (!product) return null;
+
+  let best = null;
+  for (const campaign of getLiveCampaigns(now)) {
+    if (!campaignMatches(campaign, product)) continue;
+    const price = campaignUnitPrice(campaign, regularPrice);
+    if (price == null || price < 0 || price >= regularPrice) continue;
+    if (!best || price < best.price) best = { campaign, price };
+  }
+  return best;
+}
+
+// $addFields stages for the product list pipeline (after finalPrice; category
+// and brand shaped as { _id }): finalPrice drops to the cheapest live campaign
+// price and `campaign` = { _id, name, endAt } | null. [] when nothing is live.
+function campaignPriceStages(now = Date.now()) {
+  const live = getLiveCampaigns(now);
+  if (!live.length) return [];
+
+  const regular = {
+    $cond: [
+      {
+        $and: [
+          { $ne: ["$discountPrice", null] },
+          { $lt: ["$discountPrice", "$price"] },
+        ],
+      },
+      "$discountPrice",
+      "$price",
+    ],
+  };
+
+  const offers = live.map((c) => ({
+    $cond: [
+      {
+        $or: [
+          { $in: ["$_id", c.selectors?.products || []] },
+          { $in: ["$category._id", c.categoryScope || []] },
+          { $in: ["$brand._id", c.selectors?.brands || []] },
+        ],
+      },
+      {
+        price:
+          c.pricing.type === "PERCENT"
+            ? {
+                $round: [
+                  { $multiply: [regular, 1 - c.pricing.value / 100] },
+                  2,
+                ],
+              }
+            : c.pricing.value,
+        campaign: { $literal: { _id: c._id, name: c.name, endAt: c.endAt } },
+      },
+      null,
+    ],
+  }));
+
+  return [
+    {
+      $addFields: {
+        _campaign: {
+          $reduce: {
+            input: offers,
+            initialValue: null,
+            in: {
+              $cond: [
+                {
+                  $and: [
+                    { $ne: ["$$this", null] },
+                    { $lt: ["$$this.price", "$finalPrice"] },
+                    {
+                      $or: [
+                        { $eq: ["$$value", null] },
+                        { $lt: ["$$this.price", "$$value.price"] },
+                      ],
+                    },
+                  ],
+                },
+                "$$this",
+                "$$value",
+              ],
+            },
+          },
+        },
+      },
+    },
+    {
+      $addFields: {
+        finalPrice: { $ifNull: ["$_campaign.price", "$finalPrice"] },
+        campaign: { $ifNull: ["$_campaign.campaign", null] },
+      },
+    },
+    { $project: { _campaign: 0 } },
+  ];
+}
+
+// Mongo filter for the products a campaign (or unsaved selectors) covers
+function campaignProductFilter({ selectors = {}, categoryScope = [] }) {
+  const or = [];
+  if (selectors.products?.length) or.push({ _id: { $in: selectors.products } });
+  if (categoryScope.length) or.push({ category: { $in: categoryScope } });
+  if (selectors.brands?.length) or.push({ brand: { $in: selectors.brands } });
+  return or.length ? { $or: or } : { _id: null };
+}
+
+const resolveCategoryScope = (categoryIds = []) => getSubtreeIds(categoryIds);
+
+// Re-resolves categoryScope of campaigns covering any of `categoryIds`
+// (category created under / moved into or out of a selected one), then
+// reloads the cache. Pass the moved category and its new ancestors.
+async function refreshCategoryScopes(categoryIds = []) {
+  if (!categoryIds.length) return 0;
+
+  const campaigns = await Campaign.find({
+    categoryScope: { $in: categoryIds },
+  })
+    .select("_id selectors.categories")
+    .lean();
+
+  for (const c of campaigns) {
+    await Campaign.updateOne(
+      { _id: c._id },
+      {
+        $set: {
+          categoryScope: await resolveCategoryScope(
+            c.selectors?.categories || [],
+          ),
+        },
+      },
+    );
+  }
+
+  if (campaigns.length) await refreshCampaignCache();
+  return campaigns.length;
+}
+
+// Claims qty units inside the order transaction (throws 409 when the sale is
+// over, sold out or the customer's limit is reached).
+// pendingQty: units of the same campaign earlier in this order
+async function reserveCampaignUnits(
+  campaignId,
+  { userId, qty, pendingQty = 0, title = "" },
+  session = null,
+) {
+  let q = Campaign.findById(campaignId).select(
+    "_id name status startAt endAt perCustomerLimit",
+  );
+  if (session) q = q.session(session);
+  const campaign = await q;
+  if (!campaign || !inWindow(campaign)) {
+    throw new AppError(`Sale price has ended for ${title}`, 409);
+  }
+
+  if (campaign.perCustomerLimit != null && userId) {
+    const [row] = await Order.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(String(userId)),
+          status: { $ne: "CANCELLED" },
+          "items.campaignId": campaign._id,
+        },
+      },
+      { $unwind: "$items" },
+      { $match: { "items.campaignId": campaign._id } },
+      {
+        $group: {
+          _id: null,
+          units: {
+            $sum: {
+              $subtract: [
+                "$items.qty",
+                { $ifNull: ["$items.cancelledQty", 0] },
+              ],
+            },
+          },
+        },
+      },
+    ]).session(session);
+
+    const left = campaign.perCustomerLimit - (row?.units || 0) - pendingQty;
+    if (qty > left) {
+      throw new AppError(
+        `${campaign.name}: limit ${campaign.perCustomerLimit} per customer` +
+          (left > 0 ? ` (${left} left for you)` : ""),
+        409,
+      );
+    }
+  }
+
+  const reserved = await Campaign.findOneAndUpdate(
+    {
+      _id: campaign._id,
+      $or: [
+        { totalUnits: null },
+        { $expr: { $lte: [{ $add: ["$soldUnits", qty] }, "$totalUnits"] } },
+      ],
+    },
+    { $inc: { soldUnits: qty } },
+    { new: true, session },
+  );
+  if (!reserved) {
+    throw new AppError(`${campaign.name}: sale units sold out`, 409);
+  }
+  return reserved;
+}
+
+// Gives cancelled campaign units back (inside the cancel transaction).
+// lines: [{ campaignId, qty }]; lines without a campaign are skipped.
+async function releaseCampaignUnits(lines = [], session = null) {
+  const byCampaign = new Map();
+  for (const line of lines) {
+    const qty = Number(line.qty || 0);
+    if (!line.campaignId || qty <= 0) continue;
+    const key = String(line.campaignId);
+    byCampaign.set(key, (byCampaign.get(key) || 0) + qty);
+  }
+
+  for (const [campaignId, qty] of byCampaign) {
+    await Campaign.updateOne(
+      { _id: campaignId },
+      [
+        {
+          $set: {
+            soldUnits: { $max: [0, { $subtract: ["$soldUnits", qty] }] },
+          },
+        },
+      ],
+      { session },
+    );
+  }
+}
+
+module.exports = {
+  refreshCampaignCache,
+  getLiveCampaigns,
+  campaignMatches,
+  campaignUnitPrice,
+  bestCampaignOffer,
+  campaignPriceStages,
+  campaignProductFilter,
+  resolveCategoryScope,
+  refreshCategoryScopes,
+  reserveCampaignUnits,
+  releaseCampaignUnits,
+};
@@ -0,0 +1,96 @@
+// utils/cart.js
+// Re-checks stored cart lines against live product price / offer / stock.
+const { getStrikeUnitPrice, getOfferUnitPrice } = require("./pricing");
+const { loadProductForOrder, getAvailableStock } = require("./stock");
+
+// same rule as order snapshot (order.controller createOrder)
+function getCurrentUnitPrice(product) {
+  const { unitPrice, offer } = getOfferUnitPrice(product);
+  return { unitPrice, offer };
+}
+
+// Returns one entry per cart line:
+// { productId, qty, product, unitPrice, strikePrice, offer, availableStock, lineTotal, issues[] }
+// issues: UNAVAILABLE | PRICE_CHANGED | OFFER_EXPIRED | OUT_OF_STOCK | INSUFFICIENT_STOCK
+async function revalidateCartItems(items = [], session = null) {
+  const lines = [];
+
+  for (const it of items) {
+    const qty = Number(it.qty || 0);
+    const product = await loadProductForOrder(it.product, session);
+
+    if (!product || product.isActive === false) {
+      lines.push({
+        productId: it.product,
+        qty,
+        product: product
+          ? { _id: product._id, title: product.title, slug: product.slug }
+          : null,
+        unitPrice: 0,
+        strikePrice: 0,
+        offer: "NONE",
+        availableStock: 0,
+        lineTotal: 0,
+        issues: [{ code: "UNAVAILABLE" }],
+      });
+      continue;
+    }
+
+    const { unitPrice, offer } = getCurrentUnitPrice(product);
+    const availableStock = getAvailableStock(product);
+    const issues = [];
+
+    const prev = Number(it.priceSnapshot || 0);
+    if (prev > 0 && prev !== unitPrice) {
+      issues.push({ code: "PRICE_CHANGED", from: prev, to: unitPrice });
+    }
+
+    if (
+      ["TIMED", "CAMPAIGN"].includes(it.offerSnapshot) &&
+      offer !== it.offerSnapshot
+    ) {
+      issues.push({ code: "OFFER_EXPIRED" });
+    }
+
+    if (availableStock <= 0) {
+      issues.push({ code: "OUT_OF_STOCK" });
+    } else if (qty > availableStock) {
+      issues.push({ code: "INSUFFICIENT_STOCK", available: availableStock });
+    }
+
+    lines.push({
+      productId: product._id,
+      qty,
+      product: {
+        _id: product._id,
+        title: product.title,
+        slug: product.slug,
+        type: product.type || "SINGLE",
+        image:
+          Array.isArray(product.images) && product.images[0]?.url
+            ? product.images[0].url
+            : "",
+      },
+      unitPrice,
+      strikePrice: getStrikeUnitPrice(product),
+      offer,
+      availableStock,
+      lineTotal: unitPrice * qty,
+      issues,
+    });
+  }
+
+  return lines;
+}
+
+const summarizeCartLines = (lines = []) => ({
+  itemsCount: lines.reduce((sum, l) => sum + Number(l.qty || 0), 0),
+  subtotal: lines.reduce((sum, l) => sum + Number(l.lineTotal || 0), 0),
+  hasIssues: lines.some((l) => l.issues.length > 0),
+});
+
+module.exports = {
+  getCurrentUnitPrice,
+  revalidateCartItems,
+  summarizeCartLines,
+};
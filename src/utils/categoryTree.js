@@ -0,0 +1,107 @@
+// utils/categoryTree.js
+// Category hierarchy helpers. Each category stores `ancestors` (root -> parent),
+// so a subtree is one query: { $or: [{ _id }, { ancestors: _id }] }.
+const mongoose = require("mongoose");
+const AppError = require("./AppError");
+const Category = require("../models/Category");
+
+const byOrderThenName = (a, b) =>
+  (a.order || 0) - (b.order || 0) || String(a.name).localeCompare(b.name);
+
+// flat (lean) categories -> nested [{ ...category, children: [...] }]
+// a category whose parent is missing is shown at the root
+function buildCategoryTree(categories = []) {
+  const nodes = new Map(
+    categories.map((c) => [String(c._id), { ...c, children: [] }]),
+  );
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent ? nodes.get(String(node.parent)) : null;
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const sortDeep = (list) => {
+    list.sort(byOrderThenName);
+    list.forEach((n) => sortDeep(n.children));
+    return list;
+  };
+  return sortDeep(roots);
+}
+
+// ids -> ids + every descendant id (deduped ObjectIds)
+async function getSubtreeIds(ids = []) {
+  if (!ids.length) return [];
+  const found = await Category.find({
+    $or: [{ _id: { $in: ids } }, { ancestors: { $in: ids } }],
+  })
+    .select("_id")
+    .lean();
+  return found.map((c) => c._id);
+}
+
+// id or slug -> parent doc (null / "" => root)
+async function resolveParent(parent, notFound = "Parent category not found") {
+  if (!parent) return null;
+
+  const value = String(parent).trim();
+  const doc = mongoose.Types.ObjectId.isValid(value)
+    ? await Category.findById(value).select("_id name slug ancestors")
+    : await Category.findOne({ slug: value.toLowerCase() }).select(
+        "_id name slug ancestors",
+      );
+  if (!doc) throw new AppError(notFound, 400);
+  return doc;
+}
+
+const ancestorsUnder = (parentDoc) =>
+  parentDoc ? [...(parentDoc.ancestors || []), parentDoc._id] : [];
+
+// after `category` moved: rewrite the path prefix of every descendant
+// (their direct parent does not change)
+async function rewriteDescendantPaths(category, session = null) {
+  const descendants = await Category.find({ ancestors: category._id })
+    .select("ancestors")
+    .session(session);
+  if (!descendants.length) return 0;
+
+  const prefix = [...(category.ancestors || []), category._id];
+  await Category.bulkWrite(
+    descendants.map((d) => {
+      const i = d.ancestors.findIndex((a) => a.equals(category._id));
+      return {
+        updateOne: {
+          filter: { _id: d._id },
+          update: {
+            $set: { ancestors: [...prefix, ...d.ancestors.slice(i + 1)] },
+          },
+        },
+      };
+    }),
+    { session },
+  );
+  return descendants.length;
+}
+
+// [{ _id, name, slug }] root -> category
+async function getBreadcrumbs(category) {
+  const ids = category.ancestors || [];
+  const docs = await Category.find({ _id: { $in: ids } })
+    .select("_id name slug")
+    .lean();
+  const map = new Map(docs.map((d) => [String(d._id), d]));
+
+  return [
+    ...ids.map((id) => map.get(String(id))).filter(Boolean),
+    { _id: category._id, name: category.name, slug: category.slug },
+  ];
+}
+
+module.exports = {
+  buildCategoryTree,
+  getSubtreeIds,
+  resolveParent,
+  ancestorsUnder,
+  rewriteDescendantPaths,
+  getBreadcrumbs,
+};
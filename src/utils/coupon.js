@@ -0,0 +1,185 @@
+// utils/coupon.js
+// Coupon evaluation + proration of the discount across order lines.
+const AppError = require("./AppError");
+const Order = require("../models/Order");
+const Coupon = require("../models/Coupon");
+const { getSubtreeIds } = require("./categoryTree");
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const normalizeCouponCode = (code) =>
+  String(code || "")
+    .trim()
+    .toUpperCase();
+
+const inList = (list, value) =>
+  !Array.isArray(list) ||
+  list.length === 0 ||
+  list.some((x) => String(x) === String(value));
+
+// line: { productId, categoryId, brandId, type, priceSnapshot, qty }
+// categoryIds: restriction categories + their subcategories (getSubtreeIds)
+function isLineEligible(coupon, line, categoryIds = []) {
+  const r = coupon.restrictions || {};
+  const inCategory =
+    !r.categories?.length ||
+    categoryIds.some((x) => String(x) === String(line.categoryId));
+  return (
+    inCategory &&
+    inList(r.brands, line.brandId) &&
+    inList(r.products, line.productId) &&
+    inList(r.productTypes, line.type || "SINGLE")
+  );
+}
+
+// Splits `discount` across eligible lines proportional to their subtotal.
+// Last eligible line absorbs rounding so the parts always sum to `discount`.
+function prorateDiscount(discount, lines, eligibleFlags) {
+  const eligibleSubtotal = lines.reduce(
+    (sum, l, i) => (eligibleFlags[i] ? sum + l.priceSnapshot * l.qty : sum),
+    0,
+  );
+
+  const parts = lines.map(() => 0);
+  if (discount <= 0 || eligibleSubtotal <= 0) return parts;
+
+  const lastIdx = eligibleFlags.lastIndexOf(true);
+  let allocated = 0;
+
+  lines.forEach((l, i) => {
+    if (!eligibleFlags[i]) return;
+    if (i === lastIdx) {
+      parts[i] = round2(discount - allocated);
+      return;
+    }
+    parts[i] = round2((discount * l.priceSnapshot * l.qty) / eligibleSubtotal);
+    allocated = round2(allocated + parts[i]);
+  });
+
+  return parts;
+}
+
+// Throws AppError when the coupon cannot be used.
+// Returns { discount, lineDiscounts[], subtotal, eligibleSubtotal }
+async function evaluateCoupon(coupon, { userId, lines, session = null }) {
+  if (!coupon || !coupon.isActive) throw new AppError("Invalid coupon code", 400);
+
+  const now = new Date();
+  if (coupon.startAt && now < new Date(coupon.startAt)) {
+    throw new AppError("Coupon is not active yet", 400);
+  }
+  if (coupon.endAt && now > new Date(coupon.endAt)) {
+    throw new AppError("Coupon has expired", 400);
+  }
+
+  if (
+    coupon.usageLimit != null &&
+    Number(coupon.usedCount || 0) >= Number(coupon.usageLimit)
+  ) {
+    throw new AppError("Coupon usage limit reached", 400);
+  }
+
+  if (coupon.perUserLimit != null && userId) {
+    let q = Order.countDocuments({
+      userId,
+      "coupon.couponId": coupon._id,
+      status: { $ne: "CANCELLED" },
+    });
+    if (session) q = q.session(session);
+    const used = await q;
+
+    if (used >= Number(coupon.perUserLimit)) {
+      throw new AppError("You have already used this coupon", 400);
+    }
+  }
+
+  const subtotal = lines.reduce((sum, l) => sum + l.priceSnapshot * l.qty, 0);
+  if (subtotal < Number(coupon.minOrderValue || 0)) {
+    throw new AppError(
+      `Minimum order value for this coupon is ${coupon.minOrderValue}`,
+      400,
+    );
+  }
+
+  // a coupon for "Storage" also covers "Storage > NVMe SSD"
+  const categoryIds = await getSubtreeIds(
+    coupon.restrictions?.categories || [],
+  );
+  const eligibleFlags = lines.map((l) =>
+    isLineEligible(coupon, l, categoryIds),
+  );
+  const eligibleSubtotal = lines.reduce(
+    (sum, l, i) => (eligibleFlags[i] ? sum + l.priceSnapshot * l.qty : sum),
+    0,
+  );
+
+  if (eligibleSubtotal <= 0) {
+    throw new AppError("Coupon is not applicable to these items", 400);
+  }
+
+  let discount =
+    coupon.type === "PERCENT"
+      ? (eligibleSubtotal * Number(coupon.value)) / 100
+      : Number(coupon.value);
+
+  if (coupon.type === "PERCENT" && coupon.maxDiscount != null) {
+    discount = Math.min(discount, Number(coupon.maxDiscount));
+  }
+  discount = round2(Math.min(discount, eligibleSubtotal));
+
+  return {
+    discount,
+    lineDiscounts: prorateDiscount(discount, lines, eligibleFlags),
+    subtotal: round2(subtotal),
+    eligibleSubtotal: round2(eligibleSubtotal),
+  };
+}
+
+// Amount actually paid for `qty` units of an order line (coupon share removed)
+function getLineAmount(line, qty) {
+  const q = Math.max(Number(qty || 0), 0);
+  const lineQty = Number(line?.qty || 0);
+  if (q <= 0 || lineQty <= 0) return 0;
+
+  const gross = q * Number(line.priceSnapshot || 0);
+  const disc = (Number(line.discountSnapshot || 0) * q) / lineQty;
+  return round2(Math.max(gross - disc, 0));
+}
+
+// Takes one global use (checkout / payment retry). -> false when used up
+async function reserveCouponUse(couponId, session = null) {
+  const reserved = await Coupon.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session },
+  );
+  return Boolean(reserved);
+}
+
+// Gives the use back when the order moves into CANCELLED (call once, inside
+// the cancelling transaction).
+async function releaseCouponUse(order, session = null) {
+  const couponId = order?.coupon?.couponId;
+  if (!couponId) return;
+
+  await Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session },
+  );
+}
+
+module.exports = {
+  round2,
+  normalizeCouponCode,
+  evaluateCoupon,
+  getLineAmount,
+  reserveCouponUse,
+  releaseCouponUse,
+};
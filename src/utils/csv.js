@@ -0,0 +1,18 @@
+// utils/csv.js
+// rows + [{ header, value: (row) => any }] -> RFC 4180 CSV (CRLF, quoted when needed)
+// text starting with = + - @ (or tab / CR) is neutralised with a leading '
+// so spreadsheets don't run it as a formula; numbers are left alone
+const cell = (v) => {
+  if (v == null) return "";
+  let s = v instanceof Date ? v.toISOString() : String(v);
+  if (typeof v !== "number" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const toCsv = (rows, columns) =>
+  [
+    columns.map((c) => cell(c.header)).join(","),
+    ...rows.map((r) => columns.map((c) => cell(c.value(r))).join(",")),
+  ].join("\r\n") + "\r\n";
+
+module.exports = { toCsv };
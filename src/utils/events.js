@@ -0,0 +1,41 @@
+// utils/events.js
+// In-process domain events ("order.shipped", "support.replied", ...).
+// Controllers emit after their write is saved; listeners run on a later tick,
+// so a slow mail server or a failing listener never affects the response.
+const { EventEmitter } = require("events");
+
+const bus = new EventEmitter();
+bus.setMaxListeners(50);
+
+const emitEvent = (name, payload = {}) => {
+  setImmediate(() => bus.emit(name, payload));
+};
+
+// driver states after commitTransaction() (isCommitted is also true on abort)
+const COMMITTED_STATES = [
+  "TRANSACTION_COMMITTED",
+  "TRANSACTION_COMMITTED_EMPTY",
+];
+
+// inside a transaction: emit only once it has committed (aborts never fire)
+const emitAfterCommit = (session, name, payload = {}) => {
+  if (!session?.inTransaction()) return emitEvent(name, payload);
+  session.once("ended", () => {
+    if (COMMITTED_STATES.includes(session.transaction.state)) {
+      emitEvent(name, payload);
+    }
+  });
+};
+
+// async handler; errors are logged, never rethrown
+const onEvent = (name, handler) => {
+  bus.on(name, (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch((err) => {
+        console.error(`❌ Event listener failed (${name}):`, err.message);
+      });
+  });
+};
+
+module.exports = { emitEvent, emitAfterCommit, onEvent };
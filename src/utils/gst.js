@@ -0,0 +1,213 @@
+// utils/gst.js
+// GST breakup for order lines + invoice / credit note numbering.
+// Selling prices are GST-inclusive, so tax is carved out of the line amount.
+const AppError = require("./AppError");
+const Counter = require("../models/Counter");
+const { round2, getLineAmount } = require("./coupon");
+const { getSellerInfo, getDefaultGstRate } = require("../config/gst");
+
+const normalizeState = (s) =>
+  String(s || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+// unknown place of supply => treat as intra-state (CGST + SGST)
+function isInterStateSupply(placeOfSupply, sellerState = getSellerInfo().state) {
+  const a = normalizeState(sellerState);
+  const b = normalizeState(placeOfSupply);
+  if (!a) throw new AppError("Seller state is not configured", 500);
+  if (!b) return false;
+  return a !== b;
+}
+
+const toRate = (r) =>
+  r != null && r !== "" && Number.isFinite(Number(r)) ? Number(r) : null;
+
+// product (category optionally populated) -> { hsnCode, gstRate }
+// product value wins, then category, then GST_DEFAULT_RATE
+function resolveProductTax(product) {
+  const cat = product?.category || {};
+  const gstRate = toRate(product?.gstRate) ?? toRate(cat.gstRate);
+
+  return {
+    hsnCode: product?.hsnCode || cat.hsnCode || "",
+    gstRate: gstRate ?? getDefaultGstRate(),
+  };
+}
+
+// inclusive amount -> { taxableValue, cgst, sgst, igst, amount }
+function splitTax(amount, gstRate, interState) {
+  const gross = round2(amount);
+  const rate = Number(gstRate || 0);
+  const taxableValue = round2((gross * 100) / (100 + rate));
+  const tax = round2(gross - taxableValue);
+
+  if (interState) {
+    return { taxableValue, cgst: 0, sgst: 0, igst: tax, amount: gross };
+  }
+
+  const cgst = round2(tax / 2);
+  return {
+    taxableValue,
+    cgst,
+    sgst: round2(tax - cgst), // odd paisa goes to SGST
+    igst: 0,
+    amount: gross,
+  };
+}
+
+// snapshot for the full line (qty units, net of coupon share)
+function buildLineTaxSnapshot(line, { hsnCode, gstRate }, interState) {
+  const { taxableValue, cgst, sgst, igst } = splitTax(
+    getLineAmount(line, line.qty),
+    gstRate,
+    interState,
+  );
+  return { hsnCode, gstRate, taxableValue, cgst, sgst, igst };
+}
+
+function sumTax(rows = []) {
+  const out = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, amount: 0 };
+  for (const r of rows) {
+    for (const k of Object.keys(out)) out[k] += Number(r?.[k] || 0);
+  }
+  for (const k of Object.keys(out)) out[k] = round2(out[k]);
+  return out;
+}
+
+// order-level snapshot (stored at order time)
+function buildOrderTax(items, placeOfSupply) {
+  const seller = getSellerInfo();
+  const interState = isInterStateSupply(placeOfSupply, seller.state);
+  const t = sumTax(items.map((it) => it.taxSnapshot));
+
+  return {
+    sellerState: seller.state,
+    placeOfSupply: placeOfSupply || "",
+    isInterState: interState,
+    taxableValue: t.taxableValue,
+    cgst: t.cgst,
+    sgst: t.sgst,
+    igst: t.igst,
+    totalTax: round2(t.cgst + t.sgst + t.igst),
+  };
+}
+
+const isOrderInterState = (order) =>
+  order.tax?.isInterState ?? isInterStateSupply(order.shippingAddress?.state);
+
+// tax breakup for `qty` units of a line (invoice / credit note rows)
+// legacy lines without taxSnapshot fall back to the default rate
+function taxForQty(order, line, qty) {
+  const gstRate = toRate(line.taxSnapshot?.gstRate) ?? getDefaultGstRate();
+
+  return {
+    productId: line.productId,
+    titleSnapshot: line.titleSnapshot,
+    hsnCode: line.taxSnapshot?.hsnCode || "",
+    gstRate,
+    qty,
+    ...splitTax(getLineAmount(line, qty), gstRate, isOrderInterState(order)),
+  };
+}
+
+// invoiced units = everything not cancelled before delivery
+function getInvoiceLines(order) {
+  return (order.items || [])
+    .map((it) => ({
+      line: it,
+      qty: Number(it.qty || 0) - Number(it.cancelledQty || 0),
+    }))
+    .filter((x) => x.qty > 0)
+    .map((x) => taxForQty(order, x.line, x.qty));
+}
+
+// Indian FY runs April -> March (IST), e.g. "2026-27"
+function getFinancialYear(date = new Date()) {
+  const ist = new Date(new Date(date).getTime() + 330 * 60_000);
+  const y = ist.getUTCFullYear();
+  const start = ist.getUTCMonth() >= 3 ? y : y - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+}
+
+// "INV/2026-27/000042" (sequence restarts every FY)
+async function nextDocumentNumber(prefix, date = new Date(), session = null) {
+  const fy = getFinancialYear(date);
+  const counter = await Counter.findOneAndUpdate(
+    { key: `${prefix}/${fy}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session },
+  );
+
+  return {
+    number: `${prefix}/${fy}/${String(counter.seq).padStart(6, "0")}`,
+    financialYear: fy,
+  };
+}
+
+// assigns the invoice number once (first delivery); no-op afterwards
+async function ensureInvoiceNumber(order, session = null) {
+  if (order.invoice?.number) return order.invoice;
+
+  const issuedAt = new Date();
+  const { number, financialYear } = await nextDocumentNumber(
+    "INV",
+    issuedAt,
+    session,
+  );
+
+  order.invoice = { number, financialYear, issuedAt };
+  return order.invoice;
+}
+
+// credit note for returned units: lines [{ productId, qty }]
+async function addCreditNote(order, lines, { reason = "" } = {}, session) {
+  const items = [];
+  for (const x of lines) {
+    const qty = Number(x?.qty || 0);
+    if (qty <= 0) continue;
+
+    const line = order.items.find(
+      (it) => String(it.productId) === String(x.productId),
+    );
+    if (line) items.push(taxForQty(order, line, qty));
+  }
+  if (!items.length) return null;
+
+  await ensureInvoiceNumber(order, session);
+
+  const issuedAt = new Date();
+  const { number, financialYear } = await nextDocumentNumber(
+    "CN",
+    issuedAt,
+    session,
+  );
+
+  order.creditNotes = order.creditNotes || [];
+  order.creditNotes.push({
+    number,
+    financialYear,
+    issuedAt,
+    reason,
+    items,
+    ...sumTax(items),
+  });
+
+  return order.creditNotes[order.creditNotes.length - 1];
+}
+
+module.exports = {
+  isInterStateSupply,
+  resolveProductTax,
+  splitTax,
+  buildLineTaxSnapshot,
+  buildOrderTax,
+  sumTax,
+  isOrderInterState,
+  getInvoiceLines,
+  getFinancialYear,
+  nextDocumentNumber,
+  ensureInvoiceNumber,
+  addCreditNote,
+};
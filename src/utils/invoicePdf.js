@@ -0,0 +1,243 @@
+// utils/invoicePdf.js
+// GST tax invoice / credit note layout (rendered with utils/pdf.js).
+const { createPdf } = require("./pdf");
+const { getSellerInfo } = require("../config/gst");
+const { getInvoiceLines, sumTax, isOrderInterState } = require("./gst");
+
+const MARGIN = 40;
+const RIGHT = 555;
+const BOTTOM = 780;
+
+const money = (n) =>
+  Number(n || 0).toLocaleString("en-IN", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+const fmtDate = (d) =>
+  d
+    ? new Date(d).toLocaleDateString("en-IN", {
+        timeZone: "Asia/Kolkata",
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+      })
+    : "-";
+
+const clip = (s, max) => {
+  const str = String(s || "");
+  return str.length > max ? `${str.slice(0, max - 3)}...` : str;
+};
+
+// x = right edge for numeric columns
+const columns = (interState) => [
+  { key: "sr", label: "#", x: MARGIN + 2 },
+  { key: "title", label: "Item", x: MARGIN + 20 },
+  { key: "hsnCode", label: "HSN", x: 250 },
+  { key: "qty", label: "Qty", x: 315, right: true },
+  { key: "taxableValue", label: "Taxable", x: 375, right: true, money: true },
+  { key: "gstRate", label: "GST %", x: 415, right: true },
+  ...(interState
+    ? [{ key: "igst", label: "IGST", x: 490, right: true, money: true }]
+    : [
+        { key: "cgst", label: "CGST", x: 455, right: true, money: true },
+        { key: "sgst", label: "SGST", x: 500, right: true, money: true },
+      ]),
+  { key: "amount", label: "Total", x: RIGHT, right: true, money: true },
+];
+
+function drawTableHeader(doc, y, cols) {
+  doc.fillRect(MARGIN, y - 11, RIGHT - MARGIN, 16);
+  for (const c of cols) {
+    doc.text(c.x, y, c.label, {
+      size: 8,
+      bold: true,
+      align: c.right ? "right" : "left",
+    });
+  }
+  return y + 16;
+}
+
+// { title, meta: [[label, value]], order, rows, totals, charges: [[label, amount]], note }
+// charges (shipping) are added below the tax rows and into the grand total
+function renderTaxDocument({
+  title,
+  meta,
+  order,
+  rows,
+  totals,
+  charges = [],
+  note,
+}) {
+  const seller = getSellerInfo();
+  const interState = isOrderInterState(order);
+  const addr = order.shippingAddress || {};
+  const cols = columns(interState);
+
+  const doc = createPdf();
+  let y = 50;
+
+  doc.text(doc.width / 2, y, title, { size: 16, bold: true, align: "center" });
+  y += 28;
+
+  // seller (left) + document meta (right)
+  const top = y;
+  doc.text(MARGIN, y, seller.name, { size: 11, bold: true });
+  y += 14;
+  for (const l of [
+    seller.address,
+    seller.state && `State: ${seller.state}`,
+    seller.gstin && `GSTIN: ${seller.gstin}`,
+  ].filter(Boolean)) {
+    doc.text(MARGIN, y, clip(l, 60), { size: 9 });
+    y += 12;
+  }
+
+  let my = top;
+  for (const [label, value] of meta) {
+    doc.text(420, my, `${label}:`, { size: 9, bold: true, align: "right" });
+    doc.text(425, my, clip(value, 26), { size: 9 });
+    my += 12;
+  }
+
+  y = Math.max(y, my) + 10;
+  doc.line(MARGIN, y, RIGHT, y);
+  y += 16;
+
+  // bill to / place of supply
+  doc.text(MARGIN, y, "Bill To / Ship To", { size: 9, bold: true });
+  doc.text(320, y, "Place of Supply", { size: 9, bold: true });
+  y += 13;
+  const billTop = y;
+  doc.text(320, y, addr.state || seller.state || "-", { size: 9 });
+  doc.text(320, y + 12, interState ? "Inter-state (IGST)" : "Intra-state", {
+    size: 9,
+  });
+  for (const l of [
+    addr.name,
+    addr.addressLine1,
+    addr.addressLine2,
+    addr.landmark && `Landmark: ${addr.landmark}`,
+    [addr.city, addr.state, addr.pincode].filter(Boolean).join(", "),
+    addr.country,
+    addr.phone && `Phone: ${addr.phone}`,
+  ].filter(Boolean)) {
+    doc.text(MARGIN, y, clip(l, 55), { size: 9 });
+    y += 12;
+  }
+  y = Math.max(y, billTop + 24) + 8;
+
+  // line items
+  y = drawTableHeader(doc, y, cols);
+  rows.forEach((r, i) => {
+    if (y > BOTTOM) {
+      doc.addPage();
+      y = drawTableHeader(doc, 50, cols);
+    }
+
+    const cells = {
+      ...r,
+      sr: String(i + 1),
+      title: clip(r.titleSnapshot, 38),
+      gstRate: `${r.gstRate}%`,
+    };
+    for (const c of cols) {
+      const v = c.money ? money(cells[c.key]) : String(cells[c.key] ?? "");
+      doc.text(c.x, y, v, { size: 8, align: c.right ? "right" : "left" });
+    }
+    y += 14;
+  });
+
+  doc.line(MARGIN, y - 6, RIGHT, y - 6);
+  y += 8;
+
+  // totals
+  if (y > BOTTOM - 80) {
+    doc.addPage();
+    y = 50;
+  }
+  const totalRows = [
+    ["Taxable Value", totals.taxableValue],
+    ...(interState
+      ? [["IGST", totals.igst]]
+      : [
+          ["CGST", totals.cgst],
+          ["SGST", totals.sgst],
+        ]),
+    ...charges,
+  ];
+  for (const [label, value] of totalRows) {
+    doc.text(470, y, label, { size: 9, align: "right" });
+    doc.text(RIGHT, y, money(value), { size: 9, align: "right" });
+    y += 13;
+  }
+  doc.text(470, y + 2, "Total (INR)", { size: 10, bold: true, align: "right" });
+  const grandTotal =
+    Number(totals.amount || 0) +
+    charges.reduce((s, [, v]) => s + Number(v || 0), 0);
+  doc.text(RIGHT, y + 2, money(grandTotal), {
+    size: 10,
+    bold: true,
+    align: "right",
+  });
+  y += 24;
+
+  if (note) {
+    doc.text(MARGIN, y, clip(note, 110), { size: 8 });
+    y += 12;
+  }
+  doc.text(
+    MARGIN,
+    Math.max(y + 10, 800),
+    "Prices are inclusive of GST. This is a computer generated document and needs no signature.",
+    { size: 7 },
+  );
+
+  return doc.toBuffer();
+}
+
+function renderInvoicePdf(order) {
+  const rows = getInvoiceLines(order);
+  const couponNote = order.coupon?.code
+    ? `Coupon ${order.coupon.code} applied (discount already included in line values).`
+    : "";
+
+  return renderTaxDocument({
+    title: "TAX INVOICE",
+    meta: [
+      ["Invoice No", order.invoice.number],
+      ["Invoice Date", fmtDate(order.invoice.issuedAt)],
+      ["Order ID", String(order._id)],
+      ["Order Date", fmtDate(order.createdAt)],
+      ["Payment", order.payment?.method || "-"],
+    ],
+    order,
+    rows,
+    totals: sumTax(rows),
+    // nothing shipped (fully cancelled) => no shipping charge
+    charges:
+      rows.length && order.shipping?.amount
+        ? [["Shipping & Handling", order.shipping.amount]]
+        : [],
+    note: couponNote,
+  });
+}
+
+function renderCreditNotePdf(order, creditNote) {
+  return renderTaxDocument({
+    title: "CREDIT NOTE",
+    meta: [
+      ["Credit Note No", creditNote.number],
+      ["Date", fmtDate(creditNote.issuedAt)],
+      ["Against Invoice", order.invoice?.number || "-"],
+      ["Invoice Date", fmtDate(order.invoice?.issuedAt)],
+      ["Order ID", String(order._id)],
+    ],
+    order,
+    rows: creditNote.items,
+    totals: creditNote,
+    note: creditNote.reason ? `Reason: ${creditNote.reason}` : "",
+  });
+}
+
+module.exports = { renderInvoicePdf, renderCreditNotePdf };
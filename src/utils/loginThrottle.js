@@ -0,0 +1,85 @@
+// utils/loginThrottle.js
+// Failed-login counters with exponential backoff:
+// the first `free` failures cost nothing, then 1s, 2s, 4s ... up to MAX_DELAY.
+const AppError = require("./AppError");
+const AuthThrottle = require("../models/AuthThrottle");
+
+const FAILURE_WINDOW_MS = 60 * 60 * 1000; // counters reset 1h after the last failure
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 15 * 60 * 1000;
+
+// free failures before backoff starts
+const LIMITS = {
+  ip: 10, // shared NAT / office IPs get more room
+  account: 3,
+  twoFactor: 3, // per user, second login step
+};
+
+// account locks (with an unlock email) after this many failures in the window
+const ACCOUNT_LOCK_THRESHOLD = 10;
+const ACCOUNT_LOCK_MS = 30 * 60 * 1000;
+
+const keys = {
+  ip: (ip) => `login-ip:${ip}`,
+  account: (email) => `login-account:${String(email).toLowerCase()}`,
+  twoFactor: (userId) => `login-2fa:${userId}`,
+};
+
+const backoffMs = (failures, free) =>
+  failures <= free
+    ? 0
+    : Math.min(BASE_DELAY_MS * 2 ** (failures - free - 1), MAX_DELAY_MS);
+
+// throws 429 (with Retry-After) while any key is still backing off
+async function assertNotThrottled(keyList) {
+  const blocked = await AuthThrottle.find({
+    key: { $in: keyList },
+    nextAttemptAt: { $gt: new Date() },
+  })
+    .select("nextAttemptAt")
+    .lean();
+  if (!blocked.length) return;
+
+  const until = Math.max(...blocked.map((b) => b.nextAttemptAt.getTime()));
+  const err = new AppError(
+    `Too many failed attempts. Try again in ${Math.ceil((until - Date.now()) / 1000)} seconds.`,
+    429,
+  );
+  err.retryAfter = Math.ceil((until - Date.now()) / 1000);
+  throw err;
+}
+
+// -> failures in the current window
+async function recordFailure(key, free) {
+  const now = Date.now();
+  const doc = await AuthThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { expiresAt: new Date(now + FAILURE_WINDOW_MS) },
+    },
+    { upsert: true, new: true },
+  );
+
+  const delay = backoffMs(doc.failures, free);
+  if (delay) {
+    await AuthThrottle.updateOne(
+      { _id: doc._id },
+      { $set: { nextAttemptAt: new Date(now + delay) } },
+    );
+  }
+  return doc.failures;
+}
+
+const clearFailures = (key) => AuthThrottle.deleteOne({ key });
+
+module.exports = {
+  LIMITS,
+  ACCOUNT_LOCK_THRESHOLD,
+  ACCOUNT_LOCK_MS,
+  keys,
+  backoffMs,
+  assertNotThrottled,
+  recordFailure,
+  clearFailures,
+};
@@ -0,0 +1,126 @@
+// utils/mailer.js
+// sendMail({ to, subject, text, html }) through the configured transport.
+// Transports share one interface: { name, send(mail) -> { messageId } }.
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const { getMailConfig } = require("../config/mail");
+
+// "Name <a@b.c>" | "a@b.c" -> "a@b.c"
+const addressOf = (v) => {
+  const m = String(v || "").match(/<([^>]+)>/);
+  return (m ? m[1] : String(v || "")).trim();
+};
+
+// plain addresses only (no whitespace, so no CR / LF header injection)
+const EMAIL_RX = /^[^\s@<>",;:]+@[^\s@<>",;:]+\.[^\s@<>",;:]+$/;
+const isValidEmail = (v) =>
+  typeof v === "string" && v.length <= 254 && EMAIL_RX.test(v);
+
+// AUTH only ever happens over TLS (implicit on 465, STARTTLS required otherwise)
+const smtpTransport = (config) => ({
+  name: "smtp",
+  async send(mail) {
+    const { host, port, secure, user, pass, timeoutMs } = config.smtp;
+    if (!host) throw new Error("SMTP_HOST is not configured");
+
+    const transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      requireTLS: !secure && Boolean(user),
+      auth: user ? { user, pass } : undefined,
+      connectionTimeout: timeoutMs,
+      greetingTimeout: timeoutMs,
+      socketTimeout: timeoutMs,
+    });
+    const info = await transporter.sendMail(mail);
+    return { messageId: info.messageId };
+  },
+});
+
+// one .eml per message (open in any mail client)
+const fileTransport = (config) => ({
+  name: "file",
+  async send(mail) {
+    const info = await nodemailer
+      .createTransport({ streamTransport: true, buffer: true })
+      .sendMail(mail);
+
+    await fs.mkdir(config.dir, { recursive: true });
+    const file = path.join(
+      config.dir,
+      `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`,
+    );
+    await fs.writeFile(file, info.message);
+    return { messageId: mail.messageId, file };
+  },
+});
+
+// body left out: it carries reset / verification tokens
+const consoleTransport = () => ({
+  name: "console",
+  async send(mail) {
+    console.log(`📧 [mail] to=${mail.to.join(", ")} subject="${mail.subject}"`);
+    return { messageId: mail.messageId };
+  },
+});
+
+const TRANSPORTS = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport,
+};
+
+let override = null;
+
+// tests / scripts can plug in their own { name, send } transport
+const setMailTransport = (transport) => {
+  override = transport;
+};
+
+function getMailTransport() {
+  if (override) return override;
+  const config = getMailConfig();
+  const make = TRANSPORTS[config.transport];
+  if (!make) throw new Error(`Unknown MAIL_TRANSPORT: ${config.transport}`);
+  return make(config);
+}
+
+async function sendMail({ to, subject, text, html, from }) {
+  const config = getMailConfig();
+  const recipients = (Array.isArray(to) ? to : [to]).filter(Boolean);
+  if (!recipients.length) throw new Error("sendMail: recipient required");
+  if (!recipients.every((r) => isValidEmail(String(r)))) {
+    throw new Error("sendMail: invalid recipient address");
+  }
+
+  const sender = from || config.from;
+  if (/[\r\n]/.test(sender)) throw new Error("sendMail: invalid sender");
+  const domain = addressOf(sender).split("@")[1] || "localhost";
+
+  return getMailTransport().send({
+    from: sender,
+    to: recipients,
+    subject,
+    text,
+    html,
+    messageId: `<${crypto.randomUUID()}@${domain}>`,
+  });
+}
+
+// fire-and-forget: a mail outage must not fail the request that sent it
+const sendMailSafe = (mail) =>
+  sendMail(mail).catch((err) => {
+    console.error("❌ Mail send failed:", err.message);
+    return null;
+  });
+
+module.exports = {
+  sendMail,
+  sendMailSafe,
+  setMailTransport,
+  getMailTransport,
+  isValidEmail,
+};
@@ -0,0 +1,183 @@
+// utils/notificationTemplates.js
+// Event payload -> { title, body, lines[], link, data } per notification type.
+// The same message feeds the in-app inbox and the email (authEmails layout).
+const { getClientUrl } = require("../config/mail");
+const { round2 } = require("./coupon");
+const { layout } = require("./authEmails");
+
+const orderRef = (order) => `#${String(order._id).slice(-8).toUpperCase()}`;
+const money = (n) => `₹${round2(n)}`;
+const orderLink = (order) => `/orders/${order._id}`;
+const orderData = (order) => ({ orderId: String(order._id) });
+
+const rrLabel = (order) =>
+  order.returnRequest?.type === "REPLACEMENT" ? "replacement" : "return";
+
+const TEMPLATES = {
+  "order.placed": ({ order }) => ({
+    title: `Order ${orderRef(order)} placed`,
+    body: `We've received your order for ${money(order.totalAmount)}.`,
+    lines: [
+      order.payment?.method === "COD"
+        ? "Please keep the amount ready at delivery (cash on delivery)."
+        : "",
+      order.shipping?.estimatedDeliveryTo
+        ? `Estimated delivery by ${new Date(
+            order.shipping.estimatedDeliveryTo,
+          ).toDateString()}.`
+        : "",
+    ],
+    link: orderLink(order),
+    data: orderData(order),
+  }),
+
+  "order.paid": ({ order }) => ({
+    title: `Payment received for order ${orderRef(order)}`,
+    body: `We've received ${money(order.payment?.amountPaid || order.totalAmount)} and confirmed your order.`,
+    lines: ["We'll let you know as soon as it ships."],
+    link: orderLink(order),
+    data: orderData(order),
+  }),
+
+  "order.cancelled": ({ order, reason }) => ({
+    title: `Order ${orderRef(order)} cancelled`,
+    body: reason ? `Reason: ${reason}` : "Your order has been cancelled.",
+    lines: [
+      (order.refunds || []).some((r) => r.status !== "PROCESSED")
+        ? "Any amount you paid will be refunded to the original payment method."
+        : "",
+    ],
+    link: orderLink(order),
+    data: orderData(order),
+  }),
+
+  "order.shipped": ({ order, shipment }) => ({
+    title: `Order ${orderRef(order)} has shipped`,
+    body: shipment
+      ? `Shipped via ${shipment.courier} (AWB ${shipment.awb}).`
+      : "Your order is on its way.",
+    lines: [shipment?.trackingUrl ? `Track it: ${shipment.trackingUrl}` : ""],
+    link: orderLink(order),
+    data: {
+      ...orderData(order),
+      ...(shipment
+        ? { shipmentId: String(shipment._id), awb: shipment.awb }
+        : {}),
+    },
+  }),
+
+  "order.delivered": ({ order }) => ({
+    title: `Order ${orderRef(order)} delivered`,
+    body: "Your order has been delivered. We hope you enjoy it!",
+    lines: ["Something wrong? You can request a return from the order page."],
+    link: orderLink(order),
+    data: orderData(order),
+  }),
+
+  "order.refunded": ({ order, amount }) => ({
+    title: `Refund of ${money(amount)} processed`,
+    body: `Your refund for order ${orderRef(order)} has been processed.`,
+    lines: [
+      order.payment?.method === "RAZORPAY"
+        ? "It can take 5-7 business days to reach your account."
+        : "",
+    ],
+    link: orderLink(order),
+    data: { ...orderData(order), amount: round2(amount) },
+  }),
+
+  "return.approved": ({ order }) => ({
+    title: `Your ${rrLabel(order)} request was approved`,
+    body: `We've approved the ${rrLabel(order)} for order ${orderRef(order)}.`,
+    lines: [order.returnRequest?.adminNote || ""],
+    link: orderLink(order),
+    data: orderData(order),
+  }),
+
+  "return.rejected": ({ order }) => ({
+    title: `Your ${rrLabel(order)} request was declined`,
+    body: `We couldn't approve the ${rrLabel(order)} for order ${orderRef(order)}.`,
+    lines: [
+      order.returnRequest?.adminNote
+        ? `Note from our team: ${order.returnRequest.adminNote}`
+        : "",
+      "Reply to your support ticket or open a new one if you have questions.",
+    ],
+    link: orderLink(order),
+    data: orderData(order),
+  }),
+
+  "support.replied": ({ ticket, text }) => ({
+    title: `New reply on "${ticket.subject}"`,
+    body: String(text || "").slice(0, 300),
+    lines: [],
+    link: `/support/${ticket._id}`,
+    data: { ticketId: String(ticket._id) },
+  }),
+
+  "stock.available": ({ product }) => ({
+    title: `${product.title} is back in stock`,
+    body: `Good news! ${product.title} is available again.`,
+    lines: ["Stock can run out quickly, so don't wait too long."],
+    link: `/products/${product.slug}`,
+    data: { productId: String(product._id) },
+  }),
+
+  "wishlist.price_drop": ({ product, price, previousPrice, targetPrice }) => ({
+    title: `Price drop: ${product.title}`,
+    body:
+      previousPrice != null && previousPrice > price
+        ? `Now ${money(price)} (was ${money(previousPrice)} when you saved it).`
+        : `Now ${money(price)}.`,
+    lines: [
+      targetPrice != null && price <= targetPrice
+        ? `That's at or below your target price of ${money(targetPrice)}.`
+        : "",
+    ],
+    link: `/products/${product.slug}`,
+    data: { productId: String(product._id), price: round2(price) },
+  }),
+};
+
+// type + payload -> message (null for unknown types)
+const renderNotification = (type, payload) =>
+  TEMPLATES[type] ? TEMPLATES[type](payload) : null;
+
+// unsubscribeUrl: guest emails (no account preferences to turn them off)
+const notificationEmail = (user, message, { unsubscribeUrl } = {}) => ({
+  to: user.email,
+  subject: message.title,
+  ...layout({
+    heading: message.title,
+    lines: [`Hi ${user.name},`, message.body, ...message.lines].filter(Boolean),
+    action: message.link
+      ? { label: "View details", url: `${getClientUrl()}${message.link}` }
+      : undefined,
+    footer: unsubscribeUrl
+      ? { label: "Unsubscribe", url: unsubscribeUrl }
+      : undefined,
+  }),
+});
+
+// guest back-in-stock sign-up: nothing is sent to the address until it's confirmed
+const stockAlertConfirmEmail = (email, product, token, ttlHours) => ({
+  to: email,
+  subject: `Confirm your alert for ${product.title}`,
+  ...layout({
+    heading: "Confirm your back-in-stock alert",
+    lines: [
+      `Someone asked us to email this address when ${product.title} is back in stock.`,
+      `Confirm within ${ttlHours} hours to turn the alert on. If it wasn't you, ignore this email.`,
+    ],
+    action: {
+      label: "Confirm alert",
+      url: `${getClientUrl()}/stock-alerts/confirm?token=${encodeURIComponent(token)}`,
+    },
+  }),
+});
+
+module.exports = {
+  renderNotification,
+  notificationEmail,
+  stockAlertConfirmEmail,
+};
@@ -0,0 +1,62 @@
+// utils/notify.js
+// Domain events -> email + in-app inbox row, honouring the customer's
+// per-category preferences (User.notificationPreferences; missing = on).
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { NOTIFICATION_TYPES, categoryOf } = require("../config/notifications");
+const { onEvent } = require("./events");
+const { sendMailSafe } = require("./mailer");
+const {
+  renderNotification,
+  notificationEmail,
+} = require("./notificationTemplates");
+
+const wants = (user, channel, category) =>
+  user.notificationPreferences?.[channel]?.[category] !== false;
+
+// -> Notification | null (in-app switched off / unknown user or type)
+async function notifyUser(userId, type, payload = {}) {
+  const category = categoryOf(type);
+  if (!userId || !category) return null;
+
+  const user = await User.findById(userId)
+    .select("name email notificationPreferences")
+    .lean();
+  if (!user) return null;
+
+  const message = renderNotification(type, payload);
+  if (!message) return null;
+
+  let emailStatus = "SKIPPED";
+  if (user.email && wants(user, "email", category)) {
+    const sent = await sendMailSafe(notificationEmail(user, message));
+    emailStatus = sent ? "SENT" : "FAILED";
+  }
+
+  if (!wants(user, "inApp", category)) return null;
+
+  return Notification.create({
+    userId: user._id,
+    type,
+    category,
+    title: message.title,
+    body: message.body,
+    link: message.link,
+    data: message.data,
+    emailStatus,
+  });
+}
+
+let registered = false;
+
+// payload: { userId, ...template fields } (see utils/notificationTemplates.js)
+function registerNotificationListeners() {
+  if (registered) return;
+  registered = true;
+
+  for (const type of Object.keys(NOTIFICATION_TYPES)) {
+    onEvent(type, (payload) => notifyUser(payload.userId, type, payload));
+  }
+}
+
+module.exports = { notifyUser, registerNotificationListeners };
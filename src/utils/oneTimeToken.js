@@ -0,0 +1,22 @@
+// utils/oneTimeToken.js
+// Random tokens handed to the user (email link / refresh token);
+// only their SHA-256 hash is ever stored.
+const crypto = require("crypto");
+
+const hashToken = (raw) =>
+  crypto.createHash("sha256").update(String(raw)).digest("hex");
+
+const randomToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("base64url");
+
+// -> { token (send it), tokenHash + expiresAt (store them) }
+function createOneTimeToken(ttlMs) {
+  const token = randomToken();
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  };
+}
+
+module.exports = { hashToken, randomToken, createOneTimeToken };
@@ -0,0 +1,43 @@
+// utils/orderTotals.js
+// Order total helpers shared by order / payment controllers and background jobs.
+const { round2, getLineAmount } = require("./coupon");
+
+const getShippingAmount = (order) => Number(order?.shipping?.amount || 0);
+
+const hasActiveQty = (order) =>
+  (order.items || []).some(
+    (it) => Number(it.qty || 0) - Number(it.cancelledQty || 0) > 0,
+  );
+
+// net of the prorated coupon share (discountSnapshot) + shipping charge
+const calcTotal = (items, shippingAmount = 0) =>
+  round2(
+    items.reduce((sum, it) => sum + getLineAmount(it, it.qty), 0) +
+      Number(shippingAmount || 0),
+  );
+
+// payable qty excludes cancelledQty (return/replacement does not reduce payable here)
+// ✅ each line keeps only its coupon share for the remaining qty
+// ✅ shipping is only charged while something is still being shipped
+const recomputeTotalAfterCancel = (order) => {
+  const newTotal = (order.items || []).reduce((sum, it) => {
+    const activeQty = Number(it.qty || 0) - Number(it.cancelledQty || 0);
+    return sum + getLineAmount(it, activeQty);
+  }, 0);
+  const shipping = hasActiveQty(order) ? getShippingAmount(order) : 0;
+  order.totalAmount = round2(newTotal + shipping);
+};
+
+// refund for cancelled units; the last cancellation also returns the shipping charge
+const cancelRefundAmount = (order, refundItems = []) =>
+  round2(
+    refundItems.reduce((s, x) => s + Number(x.amount || 0), 0) +
+      (hasActiveQty(order) ? 0 : getShippingAmount(order)),
+  );
+
+module.exports = {
+  calcTotal,
+  recomputeTotalAfterCancel,
+  cancelRefundAmount,
+  getShippingAmount,
+};
@@ -0,0 +1,160 @@
+// utils/pdf.js
+// Minimal PDF 1.4 writer: text + lines + filled boxes on A4 pages using the
+// built-in Helvetica fonts (no embedding, no external service).
+// Coordinates are in points from the TOP-left corner.
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// standard fonts only cover WinAnsi; keep it to printable ASCII
+const toAscii = (s) =>
+  String(s ?? "")
+    .replace(/₹/g, "Rs.")
+    .replace(/[–—]/g, "-")
+    .replace(/[^\x20-\x7e]/g, "?");
+
+const escapeText = (s) =>
+  s.replace(/\\/g, "\\\\").replace(/\(/g, "\\(").replace(/\)/g, "\\)");
+
+const num = (n) => Number(n.toFixed(2)).toString();
+
+// Helvetica / Helvetica-Bold advance widths (1/1000 em). Digits are exact,
+// which is what right-aligned amount columns need; letters are approximated.
+const GLYPH_WIDTHS = {
+  " ": 278,
+  ".": 278,
+  ",": 278,
+  ":": 278,
+  "/": 278,
+  "-": 333,
+  "(": 333,
+  ")": 333,
+  "%": 889,
+};
+
+function textWidth(str, size) {
+  let w = 0;
+  for (const ch of str) {
+    if (ch >= "0" && ch <= "9") w += 556;
+    else if (GLYPH_WIDTHS[ch]) w += GLYPH_WIDTHS[ch];
+    else if (ch >= "A" && ch <= "Z") w += 667;
+    else if ("iljtfr".includes(ch)) w += 278;
+    else if ("mw".includes(ch)) w += 833;
+    else w += 556;
+  }
+  return (w * size) / 1000;
+}
+
+function createPdf() {
+  const pages = [];
+  let ops = null;
+
+  const doc = {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+
+    addPage() {
+      ops = [];
+      pages.push(ops);
+      return doc;
+    },
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    textWidth: (str, size = 10) => textWidth(toAscii(str), size),
+
+    // align: "left" | "right" | "center" (x is the anchor)
+    text(x, y, str, { size = 10, bold = false, align = "left" } = {}) {
+      const s = toAscii(str);
+      let tx = x;
+      if (align === "right") tx = x - textWidth(s, size);
+      if (align === "center") tx = x - textWidth(s, size) / 2;
+
+      ops.push(
+        `BT /${bold ? "F2" : "F1"} ${size} Tf ${num(tx)} ${num(
+          PAGE_HEIGHT - y,
+        )} Td (${escapeText(s)}) Tj ET`,
+      );
+      return doc;
+    },
+
+    line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+      ops.push(
+        `${num(width)} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(
+          x2,
+        )} ${num(PAGE_HEIGHT - y2)} l S`,
+      );
+      return doc;
+    },
+
+    // gray: 0 (black) .. 1 (white)
+    fillRect(x, y, w, h, { gray = 0.92 } = {}) {
+      ops.push(
+        `${num(gray)} g ${num(x)} ${num(PAGE_HEIGHT - y - h)} ${num(w)} ${num(
+          h,
+        )} re f 0 g`,
+      );
+      return doc;
+    },
+
+    toBuffer() {
+      const objects = [];
+      const add = (body) => {
+        objects.push(body);
+        return objects.length; // object number
+      };
+
+      const catalogId = add(null); // filled once Kids are known
+      const pagesId = add(null);
+      const fontId = add(
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+      );
+      const boldId = add(
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+      );
+
+      const kids = [];
+      for (const pageOps of pages) {
+        const content = pageOps.join("\n");
+        const contentId = add(
+          `<< /Length ${Buffer.byteLength(
+            content,
+            "latin1",
+          )} >>\nstream\n${content}\nendstream`,
+        );
+        kids.push(
+          add(
+            `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+              `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`,
+          ),
+        );
+      }
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${kids
+        .map((k) => `${k} 0 R`)
+        .join(" ")}] /Count ${kids.length} >>`;
+
+      let out = "%PDF-1.4\n";
+      const offsets = [];
+      objects.forEach((body, i) => {
+        offsets.push(Buffer.byteLength(out, "latin1"));
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      });
+
+      const xrefAt = Buffer.byteLength(out, "latin1");
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      for (const off of offsets) {
+        out += `${String(off).padStart(10, "0")} 00000 n \n`;
+      }
+      out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+
+      return Buffer.from(out, "latin1");
+    },
+  };
+
+  return doc.addPage();
+}
+
+module.exports = { createPdf };
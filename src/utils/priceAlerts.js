@@ -0,0 +1,98 @@
+// utils/priceAlerts.js
+// Wishlist price-drop alerts. Product edits ("price.changed") and timed offers
+// going live (jobs/timedOfferAlerts.js) re-check the listed price against each
+// wishlisted item's priceAtAdd snapshot and optional targetPrice.
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const Wishlist = require("../models/Wishlist");
+const { onEvent } = require("./events");
+const { notifyUser } = require("./notify");
+const { getListedUnitPrice } = require("./pricing");
+
+// wishlist item + current listed price -> alert due?
+function priceDropDue(item, price) {
+  const belowSnapshot = item.priceAtAdd != null && price < item.priceAtAdd;
+  const atTarget = item.targetPrice != null && price <= item.targetPrice;
+  if (!belowSnapshot && !atTarget) return false;
+
+  // one alert per new low
+  return item.lastAlertPrice == null || price < item.lastAlertPrice;
+}
+
+// -> number of alerts sent
+async function checkPriceDrops(productIds = [], now = Date.now()) {
+  const ids = productIds.filter((id) =>
+    mongoose.Types.ObjectId.isValid(String(id)),
+  );
+  if (!ids.length) return 0;
+
+  const products = await Product.find({ _id: { $in: ids }, isActive: true })
+    .select("_id title slug price discountPrice timedOffer category brand")
+    .lean();
+
+  let sent = 0;
+  for (const product of products) {
+    const price = getListedUnitPrice(product, now);
+
+    // price went back up: the next drop to an old low alerts again
+    await Wishlist.updateMany(
+      { "items.product": product._id },
+      { $set: { "items.$[it].lastAlertPrice": null } },
+      {
+        arrayFilters: [
+          { "it.product": product._id, "it.lastAlertPrice": { $lt: price } },
+        ],
+      },
+    );
+
+    const wishlists = await Wishlist.find({ "items.product": product._id })
+      .select("user items")
+      .lean();
+
+    for (const wl of wishlists) {
+      const item = wl.items.find(
+        (x) => String(x.product) === String(product._id),
+      );
+      if (!item || !priceDropDue(item, price)) continue;
+
+      // claim the new low first so concurrent checks never double-send
+      const claimed = await Wishlist.updateOne(
+        { _id: wl._id },
+        { $set: { "items.$[it].lastAlertPrice": price } },
+        {
+          arrayFilters: [
+            {
+              "it.product": product._id,
+              $or: [
+                { "it.lastAlertPrice": null },
+                { "it.lastAlertPrice": { $gt: price } },
+              ],
+            },
+          ],
+        },
+      );
+      if (!claimed.modifiedCount) continue;
+
+      await notifyUser(wl.user, "wishlist.price_drop", {
+        product,
+        price,
+        previousPrice: item.priceAtAdd,
+        targetPrice: item.targetPrice,
+      });
+      sent += 1;
+    }
+  }
+
+  return sent;
+}
+
+let registered = false;
+
+function registerPriceAlertListeners() {
+  if (registered) return;
+  registered = true;
+
+  onEvent("price.changed", ({ productIds }) => checkPriceDrops(productIds));
+}
+
+module.exports = { priceDropDue, checkPriceDrops, registerPriceAlertListeners };
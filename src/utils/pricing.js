@@ -0,0 +1,153 @@
+// utils/pricing.js
+// Unit price helpers shared by order, payment and cart flows.
+const { bestCampaignOffer } = require("./campaigns");
+
+function getFinalUnitPrice(product) {
+  const price = Number(product?.price || 0);
+  const dp = product?.discountPrice;
+  const hasDiscount = dp != null && Number(dp) >= 0 && Number(dp) < price;
+  return hasDiscount ? Number(dp) : price;
+}
+
+function getStrikeUnitPrice(product) {
+  if (!product) return 0;
+
+  const type = product.type || "SINGLE";
+  const isBundle = type === "BUNDLE";
+
+  // SINGLE: strike is original MRP (price)
+  if (!isBundle) return Number(product.price || 0);
+
+  // BUNDLE: strike is sum of children (discountPrice if valid else price) * bundle qty
+  const items = Array.isArray(product.bundleItems) ? product.bundleItems : [];
+  if (items.length < 2) return Number(product.price || 0);
+
+  let sum = 0;
+  for (const bi of items) {
+    const q = Number(bi?.qty || 1);
+    const child = bi?.product;
+    if (!child) continue;
+
+    const childPrice = Number(child?.price || 0);
+    const childDp = Number(child?.discountPrice || 0);
+    const childUnit =
+      childDp > 0 && childDp < childPrice ? childDp : childPrice;
+
+    sum += childUnit * (Number.isFinite(q) ? q : 1);
+  }
+
+  return Number.isFinite(sum) ? sum : Number(product.price || 0);
+}
+
+function getTimedOfferPriceIfActive(product) {
+  const now = new Date();
+
+  const to = product?.timedOffer;
+
+  // ✅ match your schema: timedOffer.isActive
+  if (to && to.isActive === true) {
+    const start = to.startAt ? new Date(to.startAt) : null;
+    const end = to.endAt ? new Date(to.endAt) : null;
+
+    // require both dates (your schema validation already enforces it)
+    const within = !!start && !!end && now >= start && now <= end;
+
+    const p = Number(to.price ?? 0);
+
+    if (within && Number.isFinite(p) && p > 0) return p;
+  }
+
+  // (Optional) if you still want legacy flat fields support, keep this:
+  if (product?.timedOfferEnabled) {
+    const start = product?.timedOfferStart
+      ? new Date(product.timedOfferStart)
+      : null;
+    const end = product?.timedOfferEnd ? new Date(product.timedOfferEnd) : null;
+
+    const within = !!start && !!end && now >= start && now <= end;
+    const p = Number(product?.timedOfferPrice ?? 0);
+
+    if (within && Number.isFinite(p) && p > 0) return p;
+  }
+
+  return null;
+}
+
+// What the customer pays now: { unitPrice, offer, campaign }
+// offer: "CAMPAIGN" | "TIMED" | "DISCOUNT" | "NONE"; a live campaign wins
+// only when it is cheaper than the timed offer / discount
+function getOfferUnitPrice(product, now = Date.now()) {
+  const timed = getTimedOfferPriceIfActive(product);
+  const regular = getFinalUnitPrice(product);
+  const unitPrice = timed != null ? timed : regular;
+
+  const sale = bestCampaignOffer(product, regular, now);
+  if (sale && sale.price < unitPrice) {
+    return {
+      unitPrice: sale.price,
+      offer: "CAMPAIGN",
+      campaign: sale.campaign,
+    };
+  }
+
+  return {
+    unitPrice,
+    offer:
+      timed != null ? "TIMED" : product?.discountPrice ? "DISCOUNT" : "NONE",
+    campaign: null,
+  };
+}
+
+// Price shown on the product page (getBySlug) and tracked by wishlist alerts:
+// timed offer (only while live and below discountPrice) > discountPrice > price,
+// or a cheaper live campaign
+function getListedUnitPrice(product, now = Date.now()) {
+  const listed = getOwnListedUnitPrice(product, now);
+  const sale = bestCampaignOffer(product, getFinalUnitPrice(product), now);
+  return sale && sale.price < listed ? sale.price : listed;
+}
+
+function getOwnListedUnitPrice(product, now = Date.now()) {
+  const price = Number(product?.price || 0);
+  const dp =
+    product?.discountPrice != null ? Number(product.discountPrice) : null;
+  const to = product?.timedOffer;
+
+  const hasTimed =
+    to?.isActive &&
+    to?.price != null &&
+    to?.startAt &&
+    to?.endAt &&
+    new Date(to.startAt).getTime() <= now &&
+    new Date(to.endAt).getTime() > now &&
+    dp != null &&
+    Number(to.price) < dp;
+
+  if (hasTimed) return Number(to.price);
+  if (dp != null && dp >= 0 && dp < price) return dp;
+  return price;
+}
+
+function getPaidUnitPrice(product) {
+  if (!product) return 0;
+
+  const basePrice = Number(product?.price || 0);
+
+  // ✅ timed offer overrides discountPrice
+  const timed = getTimedOfferPriceIfActive(product);
+  if (timed != null && timed > 0 && timed < basePrice) {
+    return timed;
+  }
+
+  // fallback normal discount
+  return getFinalUnitPrice(product);
+}
+
+module.exports = {
+  getFinalUnitPrice,
+  getStrikeUnitPrice,
+  getTimedOfferPriceIfActive,
+  getPaidUnitPrice,
+  getOfferUnitPrice,
+  getListedUnitPrice,
+};
@@ -0,0 +1,45 @@
+// utils/productSlug.js
+const Product = require("../models/Product");
+
+const MAX_SLUG_LEN = 60;
+
+const sanitizeSlug = (s = "") => {
+  const cleaned = s
+    .toString()
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, "-")
+    .replace(/[^\w-]+/g, "")
+    .replace(/-+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+  const truncated = cleaned.length > MAX_SLUG_LEN;
+
+  return {
+    slug: cleaned.slice(0, MAX_SLUG_LEN).replace(/-+$/g, ""),
+    truncated,
+  };
+};
+
+async function makeUniqueSlug(baseSlug, excludeId = null) {
+  let slug = baseSlug;
+  let i = 1;
+
+  while (
+    await Product.exists({
+      slug,
+      ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+    })
+  ) {
+    const suffix = `-${i++}`;
+
+    // ensure slug + suffix still fits max length
+    slug =
+      baseSlug.slice(0, MAX_SLUG_LEN - suffix.length).replace(/-+$/g, "") +
+      suffix;
+  }
+
+  return slug;
+}
+
+module.exports = { MAX_SLUG_LEN, sanitizeSlug, makeUniqueSlug };
@@ -0,0 +1,329 @@
+// utils/purchasing.js
+// Purchase orders: line validation, goods receipt (stock + weighted average
+// cost) and product cost / margin figures for reports.
+const mongoose = require("mongoose");
+const AppError = require("./AppError");
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+const { round2 } = require("./coupon");
+const { recordStockMovements } = require("./stock");
+
+const MAX_PO_LINES = 100;
+const SOLD_STATUSES = ["DELIVERED", "RETURNED", "REPLACED"]; // invoiced orders
+
+// stock on hand keeps its average; no average yet => valued at the new cost
+function weightedAverageCost(stock, avgCost, qty, unitCost) {
+  const onHand = Math.max(0, Number(stock || 0));
+  const prev = avgCost ?? unitCost;
+  const total = onHand + qty;
+  if (total <= 0) return round2(unitCost);
+  return round2((onHand * prev + qty * unitCost) / total);
+}
+
+// per-unit cost (bundles: children * qty); null when any part is uncosted
+function unitCostOf(product) {
+  if (!product) return null;
+  if ((product.type || "SINGLE") !== "BUNDLE") {
+    return product.cost?.avg ?? null;
+  }
+
+  let sum = 0;
+  for (const bi of product.bundleItems || []) {
+    const avg = bi?.product?.cost?.avg;
+    if (avg == null) return null;
+    sum += avg * Number(bi.qty || 1);
+  }
+  return round2(sum);
+}
+
+const toDateOrNull = (v, label) => {
+  if (v === undefined || v === null || v === "") return null;
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) throw new AppError(`Invalid ${label}`, 400);
+  return d;
+};
+
+// admin input -> PO lines (SINGLE products only; bundles are bought as parts)
+async function normalizePurchaseLines(input, { expectedDate = null } = {}) {
+  if (!Array.isArray(input) || !input.length) {
+    throw new AppError("lines[] required", 400);
+  }
+  if (input.length > MAX_PO_LINES) {
+    throw new AppError(`Up to ${MAX_PO_LINES} lines per purchase order`, 400);
+  }
+
+  const seen = new Set();
+  const rows = input.map((l) => {
+    const id = String(l?.productId || l?.product || "");
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new AppError("Invalid productId", 400);
+    }
+    if (seen.has(id)) throw new AppError("Duplicate product in lines", 400);
+    seen.add(id);
+
+    const orderedQty = Number(l.orderedQty ?? l.qty);
+    const unitCost = Number(l.unitCost);
+    if (!Number.isInteger(orderedQty) || orderedQty < 1) {
+      throw new AppError("orderedQty must be a whole number (1 or more)", 400);
+    }
+    if (l.unitCost === "" || !Number.isFinite(unitCost) || unitCost < 0) {
+      throw new AppError("unitCost must be 0 or more", 400);
+    }
+
+    return {
+      product: id,
+      orderedQty,
+      unitCost: round2(unitCost),
+      expectedDate:
+        toDateOrNull(l.expectedDate, "expectedDate") || expectedDate,
+    };
+  });
+
+  const products = await Product.find({ _id: { $in: [...seen] } }).select(
+    "_id title type",
+  );
+  const map = new Map(products.map((p) => [String(p._id), p]));
+
+  return rows.map((r) => {
+    const product = map.get(r.product);
+    if (!product) throw new AppError("Product not found", 404);
+    if ((product.type || "SINGLE") === "BUNDLE") {
+      throw new AppError(
+        `Order the parts of ${product.title}, not the bundle`,
+        400,
+      );
+    }
+    return { ...r, product: product._id, titleSnapshot: product.title };
+  });
+}
+
+const purchaseTotal = (lines = []) =>
+  round2(
+    lines.reduce(
+      (sum, l) => sum + Number(l.orderedQty || 0) * Number(l.unitCost || 0),
+      0,
+    ),
+  );
+
+// Goods receipt inside the caller's transaction (po is mutated, caller saves).
+// lines: [{ productId, qty, unitCost? }] (unitCost defaults to the PO price)
+async function receivePurchaseOrder(
+  po,
+  lines,
+  { actor = null, reference = "", note = "" } = {},
+  session = null,
+) {
+  if (!["SENT", "PARTIALLY_RECEIVED"].includes(po.status)) {
+    throw new AppError(`Cannot receive a ${po.status} purchase order`, 400);
+  }
+  if (!Array.isArray(lines) || !lines.length) {
+    throw new AppError("lines[] required", 400);
+  }
+
+  const seen = new Set();
+  const received = [];
+
+  for (const r of lines) {
+    const key = String(r?.productId || "");
+    const line = po.lines.find((l) => String(l.product) === key);
+    if (!line) throw new AppError("Product is not on this purchase order", 400);
+    if (seen.has(key)) throw new AppError("Duplicate product in lines", 400);
+    seen.add(key);
+
+    const qty = Number(r.qty);
+    const open = line.orderedQty - line.receivedQty;
+    if (!Number.isInteger(qty) || qty < 1) {
+      throw new AppError("qty must be a whole number (1 or more)", 400);
+    }
+    if (qty > open) {
+      throw new AppError(
+        `Only ${open} left to receive for ${line.titleSnapshot}`,
+        400,
+      );
+    }
+
+    const unitCost =
+      r.unitCost === undefined || r.unitCost === null || r.unitCost === ""
+        ? line.unitCost
+        : round2(Number(r.unitCost));
+    if (!Number.isFinite(unitCost) || unitCost < 0) {
+      throw new AppError("unitCost must be 0 or more", 400);
+    }
+
+    let q = Product.findById(line.product).select("_id stock cost");
+    if (session) q = q.session(session);
+    const product = await q;
+    if (!product) throw new AppError("Product not found", 404);
+
+    const updated = await Product.findByIdAndUpdate(
+      product._id,
+      {
+        $inc: { stock: qty },
+        $set: {
+          "cost.avg": weightedAverageCost(
+            product.stock,
+            product.cost?.avg,
+            qty,
+            unitCost,
+          ),
+          "cost.last": unitCost,
+          "cost.updatedAt": new Date(),
+        },
+      },
+      { new: true, session },
+    );
+
+    await recordStockMovements(
+      [
+        {
+          product: updated._id,
+          delta: qty,
+          stockAfter: updated.stock,
+          unitCost,
+        },
+      ],
+      {
+        reason: "RECEIPT",
+        purchaseOrderId: po._id,
+        actor,
+        note: reference ? `${po.number} (${reference})` : po.number,
+      },
+      session,
+    );
+
+    line.receivedQty += qty;
+    received.push({ product: line.product, qty, unitCost });
+  }
+
+  po.receipts.push({
+    at: new Date(),
+    reference,
+    note,
+    lines: received,
+    receivedBy: actor,
+  });
+
+  const complete = po.lines.every((l) => l.receivedQty >= l.orderedQty);
+  po.status = complete ? "RECEIVED" : "PARTIALLY_RECEIVED";
+  if (complete) po.receivedAt = new Date();
+
+  return po.receipts[po.receipts.length - 1];
+}
+
+// Units kept by customers (not cancelled / returned) per product, with revenue
+// from priceSnapshot (net of coupon share) and cost from costSnapshot;
+// lines sold before costs were tracked use today's average cost.
+// -> [{ productId, title, units, revenue, tax, netRevenue, cost, margin,
+//       marginPct, avgCost, costComplete }]
+async function productMargins({
+  from = null,
+  to = null,
+  productId = null,
+} = {}) {
+  const match = { status: { $in: SOLD_STATUSES } };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  const num = (path) => ({ $ifNull: [path, 0] });
+  const share = { $divide: ["$kept", "$qty"] };
+
+  const rows = await Order.aggregate([
+    { $match: match },
+    { $unwind: "$items" },
+    ...(productId
+      ? [
+          {
+            $match: {
+              "items.productId": new mongoose.Types.ObjectId(productId),
+            },
+          },
+        ]
+      : []),
+    {
+      $project: {
+        productId: "$items.productId",
+        title: "$items.titleSnapshot",
+        qty: "$items.qty",
+        kept: {
+          $subtract: [
+            "$items.qty",
+            {
+              $add: [num("$items.cancelledQty"), num("$items.returnedQty")],
+            },
+          ],
+        },
+        gross: {
+          $subtract: [
+            { $multiply: ["$items.priceSnapshot", "$items.qty"] },
+            num("$items.discountSnapshot"),
+          ],
+        },
+        tax: {
+          $add: [
+            num("$items.taxSnapshot.cgst"),
+            num("$items.taxSnapshot.sgst"),
+            num("$items.taxSnapshot.igst"),
+          ],
+        },
+        unitCost: { $ifNull: ["$items.costSnapshot", null] },
+      },
+    },
+    { $match: { kept: { $gt: 0 } } },
+    {
+      $group: {
+        _id: "$productId",
+        title: { $last: "$title" },
+        units: { $sum: "$kept" },
+        revenue: { $sum: { $multiply: ["$gross", share] } },
+        tax: { $sum: { $multiply: ["$tax", share] } },
+        snapshotCost: {
+          $sum: { $multiply: [{ $ifNull: ["$unitCost", 0] }, "$kept"] },
+        },
+        uncostedUnits: {
+          $sum: { $cond: [{ $eq: ["$unitCost", null] }, "$kept", 0] },
+        },
+      },
+    },
+  ]);
+
+  const products = await Product.find({ _id: { $in: rows.map((r) => r._id) } })
+    .select("_id title type cost bundleItems")
+    .populate("bundleItems.product", "_id cost");
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+
+  return rows
+    .map((r) => {
+      const product = byId.get(String(r._id));
+      const avgCost = unitCostOf(product);
+      const cost = r.snapshotCost + r.uncostedUnits * (avgCost ?? 0);
+      const netRevenue = r.revenue - r.tax;
+      const margin = netRevenue - cost;
+
+      return {
+        productId: r._id,
+        title: product?.title || r.title,
+        units: r.units,
+        revenue: round2(r.revenue),
+        tax: round2(r.tax),
+        netRevenue: round2(netRevenue),
+        cost: round2(cost),
+        margin: round2(margin),
+        marginPct: netRevenue > 0 ? round2((margin / netRevenue) * 100) : null,
+        avgCost,
+        costComplete: r.uncostedUnits === 0 || avgCost != null,
+      };
+    })
+    .sort((a, b) => b.netRevenue - a.netRevenue);
+}
+
+module.exports = {
+  weightedAverageCost,
+  unitCostOf,
+  normalizePurchaseLines,
+  purchaseTotal,
+  receivePurchaseOrder,
+  productMargins,
+};
@@ -0,0 +1,85 @@
+// utils/rateLimitStore.js
+// Fixed-window counters: incr(key, windowMs) -> { count, resetAt }.
+// Memory = single instance; Mongo = shared by every instance.
+const RateLimitHit = require("../models/RateLimitHit");
+
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+    // drop finished windows now and then (does not keep the process alive)
+    this.sweeper = setInterval(() => this.sweep(), 60_000);
+    this.sweeper.unref();
+  }
+
+  async incr(key, windowMs) {
+    const now = Date.now();
+    let hit = this.hits.get(key);
+    if (!hit || hit.resetAt <= now) {
+      hit = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, hit);
+    }
+    hit.count += 1;
+    return { count: hit.count, resetAt: new Date(hit.resetAt) };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, hit] of this.hits) {
+      if (hit.resetAt <= now) this.hits.delete(key);
+    }
+  }
+}
+
+class MongoStore {
+  async incr(key, windowMs, retry = true) {
+    const now = new Date();
+    const live = { $gt: ["$resetAt", now] };
+
+    try {
+      // one round trip: bump the live window or start a new one
+      const doc = await RateLimitHit.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              count: { $cond: [live, { $add: ["$count", 1] }, 1] },
+              resetAt: {
+                $cond: [live, "$resetAt", new Date(now.getTime() + windowMs)],
+              },
+            },
+          },
+        ],
+        { upsert: true, new: true },
+      ).lean();
+
+      return { count: doc.count, resetAt: doc.resetAt };
+    } catch (err) {
+      // two instances upserting the same new key
+      if (retry && err.code === 11000) return this.incr(key, windowMs, false);
+      throw err;
+    }
+  }
+
+  async reset(key) {
+    await RateLimitHit.deleteOne({ key });
+  }
+}
+
+let shared = null;
+
+// RATE_LIMIT_STORE=memory (default) | mongo
+function getDefaultStore() {
+  if (!shared) {
+    shared =
+      (process.env.RATE_LIMIT_STORE || "").toLowerCase() === "mongo"
+        ? new MongoStore()
+        : new MemoryStore();
+  }
+  return shared;
+}
+
+module.exports = { MemoryStore, MongoStore, getDefaultStore };
@@ -0,0 +1,22 @@
+// utils/razorpayWebhook.js
+// Razorpay signs the RAW request body: HMAC_SHA256(rawBody, webhook_secret) as hex.
+const crypto = require("crypto");
+
+const signWebhookBody = (rawBody, secret) =>
+  crypto
+    .createHmac("sha256", String(secret || ""))
+    .update(rawBody)
+    .digest("hex");
+
+function verifyWebhookSignature(rawBody, signature, secret) {
+  if (!rawBody || !signature || !secret) return false;
+
+  const expected = Buffer.from(signWebhookBody(rawBody, secret), "utf8");
+  const given = Buffer.from(String(signature), "utf8");
+
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+}
+
+module.exports = { signWebhookBody, verifyWebhookSignature };
@@ -0,0 +1,142 @@
+// utils/refunds.js
+// Refund ledger on Order (order.refunds[]) + derived payment status.
+//
+// entry.status:
+//   PENDING   -> money is owed to the customer, nothing sent yet
+//   INITIATED -> refund created at Razorpay, waiting for refund.processed
+//   PROCESSED -> money left our account
+//   FAILED    -> gateway rejected it (amount becomes refundable again)
+const { round2, getLineAmount } = require("./coupon");
+
+const PAID_STATUSES = ["PAID", "PARTIALLY_REFUNDED"];
+
+const isPaidStatus = (status) => PAID_STATUSES.includes(status);
+
+// snapshot of what was actually collected (totalAmount shrinks on cancels)
+function markPaid(order, amount = order.totalAmount) {
+  order.payment.status = "PAID";
+  order.payment.amountPaid = round2(amount);
+}
+
+function getAmountPaid(order) {
+  const paid = Number(order.payment?.amountPaid);
+  return Number.isFinite(paid) && paid > 0
+    ? paid
+    : Number(order.totalAmount || 0); // legacy orders (before ledger)
+}
+
+function getRefundTotals(order) {
+  const paid = getAmountPaid(order);
+  let processed = 0;
+  let outstanding = 0; // PENDING + INITIATED
+
+  for (const r of order.refunds || []) {
+    const amt = Number(r.amount || 0);
+    if (r.status === "PROCESSED") processed += amt;
+    else if (["PENDING", "INITIATED"].includes(r.status)) outstanding += amt;
+  }
+
+  return {
+    paid: round2(paid),
+    processed: round2(processed),
+    outstanding: round2(outstanding),
+    refundable: round2(Math.max(paid - processed - outstanding, 0)),
+  };
+}
+
+// PAID | PARTIALLY_REFUNDED | REFUNDED from PROCESSED entries
+function syncRefundStatus(order) {
+  if (!order.payment) return;
+  const st = order.payment.status;
+  if (!["PAID", "PARTIALLY_REFUNDED", "REFUNDED"].includes(st)) return;
+
+  // legacy orders flagged REFUNDED without ledger entries stay as they are
+  if (!(order.refunds || []).length) return;
+
+  const { paid, processed } = getRefundTotals(order);
+
+  if (processed <= 0) order.payment.status = "PAID";
+  else if (processed >= paid - 0.005) order.payment.status = "REFUNDED";
+  else order.payment.status = "PARTIALLY_REFUNDED";
+}
+
+// lines: [{ productId, qty }] -> [{ productId, qty, amount }] using priceSnapshot × qty
+// (net of the line's coupon share)
+function buildRefundItems(orderItems = [], lines = []) {
+  const out = [];
+  for (const x of lines) {
+    const qty = Number(x?.qty || 0);
+    if (!x?.productId || qty <= 0) continue;
+
+    const line = orderItems.find(
+      (it) => String(it.productId) === String(x.productId),
+    );
+    if (!line) continue;
+
+    out.push({
+      productId: line.productId,
+      qty,
+      amount: getLineAmount(line, qty),
+    });
+  }
+  return out;
+}
+
+const sumItems = (items = []) =>
+  round2(items.reduce((s, x) => s + Number(x.amount || 0), 0));
+
+// Adds a ledger entry (capped to what is still refundable).
+// Returns the entry, or null when nothing was collected / nothing left.
+function addRefund(
+  order,
+  {
+    amount,
+    items = [],
+    reason = "",
+    source = "MANUAL",
+    status = "PENDING",
+    method = null,
+    gatewayRefundId = null,
+    createdBy = null,
+  },
+) {
+  if (!isPaidStatus(order.payment?.status)) return null;
+
+  const { refundable } = getRefundTotals(order);
+  const wanted = amount != null ? Number(amount) : sumItems(items);
+  const amt = round2(Math.min(Math.max(wanted, 0), refundable));
+  if (amt <= 0) return null;
+
+  order.refunds = order.refunds || [];
+  order.refunds.push({
+    amount: amt,
+    reason,
+    source,
+    items,
+    status,
+    method,
+    gatewayRefundId,
+    createdBy,
+    createdAt: new Date(),
+    processedAt: status === "PROCESSED" ? new Date() : null,
+  });
+
+  order.statusHistory.push({
+    status: status === "PROCESSED" ? "REFUND_PROCESSED" : "REFUND_DUE",
+    at: new Date(),
+    note: `₹${amt} (${source})${reason ? ` - ${reason}` : ""}`,
+  });
+
+  syncRefundStatus(order);
+  return order.refunds[order.refunds.length - 1];
+}
+
+module.exports = {
+  isPaidStatus,
+  markPaid,
+  getAmountPaid,
+  getRefundTotals,
+  syncRefundStatus,
+  buildRefundItems,
+  addRefund,
+};
@@ -0,0 +1,150 @@
+// utils/session.js
+// Access token (short JWT carrying the session id) + rotating refresh token.
+// Reusing a rotated-out refresh token revokes the whole session (family).
+const jwt = require("jsonwebtoken");
+const AppError = require("./AppError");
+const { hashToken, randomToken } = require("./oneTimeToken");
+const Session = require("../models/Session");
+const { getAccessTokenTtl, getRefreshTokenTtlDays } = require("../config/auth");
+
+const MAX_PREVIOUS_HASHES = 50;
+
+const newRefreshToken = () => randomToken(48);
+
+// "Chrome on Windows" (good enough for a sessions list)
+function describeUserAgent(ua = "") {
+  const browser =
+    (/Edg\//.test(ua) && "Edge") ||
+    (/OPR\//.test(ua) && "Opera") ||
+    (/Chrome\//.test(ua) && "Chrome") ||
+    (/Firefox\//.test(ua) && "Firefox") ||
+    (/Safari\//.test(ua) && "Safari") ||
+    (/okhttp|Dart|CFNetwork/i.test(ua) && "App") ||
+    "";
+  const os =
+    (/Android/.test(ua) && "Android") ||
+    (/iPhone|iPad|iOS/.test(ua) && "iOS") ||
+    (/Windows/.test(ua) && "Windows") ||
+    (/Mac OS X|Macintosh/.test(ua) && "macOS") ||
+    (/Linux/.test(ua) && "Linux") ||
+    "";
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || "Unknown device";
+}
+
+const clientInfo = (req) => {
+  const userAgent = String(req.headers["user-agent"] || "").slice(0, 300);
+  const device = String(req.body?.device || "")
+    .trim()
+    .slice(0, 100);
+
+  return {
+    ip: req.ip || "",
+    userAgent,
+    device: device || describeUserAgent(userAgent),
+  };
+};
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: getAccessTokenTtl(),
+  });
+
+// login / register -> { token, refreshToken, session }
+async function createSession(userId, req) {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    ...clientInfo(req),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlDays() * 86_400_000),
+  });
+
+  return {
+    token: signAccessToken(userId, session._id),
+    refreshToken,
+    session,
+  };
+}
+
+// refresh token -> new pair (old refresh token stops working)
+async function rotateSession(rawRefreshToken, req) {
+  if (!rawRefreshToken) throw new AppError("refreshToken required", 400);
+
+  const hash = hashToken(rawRefreshToken);
+  const refreshToken = newRefreshToken();
+  const { ip, userAgent } = clientInfo(req);
+
+  // atomic: two concurrent refreshes with the same token cannot both win
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        tokenHash: hashToken(refreshToken),
+        lastUsedAt: new Date(),
+        ip,
+        userAgent,
+      },
+      $push: {
+        previousTokenHashes: { $each: [hash], $slice: -MAX_PREVIOUS_HASHES },
+      },
+    },
+    { new: true },
+  );
+
+  if (!session) {
+    // a rotated-out token came back => someone else has a copy
+    await Session.updateOne(
+      { previousTokenHashes: hash, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokeReason: "REUSE_DETECTED" } },
+    );
+    throw new AppError("Invalid or expired refresh token", 401);
+  }
+
+  return {
+    token: signAccessToken(session.user, session._id),
+    refreshToken,
+    session,
+  };
+}
+
+// protect(): session must still be live
+const findActiveSession = (sessionId) =>
+  Session.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).select("_id user");
+
+async function revokeSession(sessionId, userId, reason = "LOGOUT") {
+  const r = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokeReason: reason } },
+  );
+  return r.modifiedCount > 0;
+}
+
+// exceptSessionId keeps the caller signed in (e.g. after password change)
+async function revokeAllSessions(
+  userId,
+  reason = "LOGOUT_ALL",
+  exceptSessionId = null,
+) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const r = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokeReason: reason },
+  });
+  return r.modifiedCount;
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  findActiveSession,
+  revokeSession,
+  revokeAllSessions,
+};
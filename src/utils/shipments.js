@@ -0,0 +1,130 @@
+// utils/shipments.js
+// Order.shipments[] (split shipments, AWB, courier timeline) and the order
+// status derived from them: SHIPPED once every active unit has left the
+// warehouse, DELIVERED once every active unit is delivered.
+const AppError = require("./AppError");
+
+const SHIPMENT_STATUSES = [
+  "CREATED", // label / AWB generated, waiting for pickup
+  "SHIPPED", // picked up by courier
+  "IN_TRANSIT",
+  "OUT_FOR_DELIVERY",
+  "DELIVERED",
+  "DELIVERY_FAILED", // attempt failed, courier retries
+  "RTO", // returned to origin (units can ship again)
+  "CANCELLED", // voided before pickup
+];
+
+const FINAL_STATUSES = ["DELIVERED", "RTO", "CANCELLED"];
+const NOT_ALLOCATED = ["RTO", "CANCELLED"];
+const NOT_DISPATCHED = ["CREATED", ...NOT_ALLOCATED];
+
+const normId = (v) => String(v || "");
+
+const activeQty = (line) =>
+  Number(line.qty || 0) - Number(line.cancelledQty || 0);
+
+// productId -> qty across shipments matching `pick`
+function qtyByProduct(order, pick) {
+  const map = new Map();
+  for (const s of order.shipments || []) {
+    if (!pick(s)) continue;
+    for (const it of s.items || []) {
+      const pid = normId(it.productId);
+      map.set(pid, (map.get(pid) || 0) + Number(it.qty || 0));
+    }
+  }
+  return map;
+}
+
+// units sitting in a live shipment (cannot be cancelled or shipped again)
+const allocatedQtyByProduct = (order) =>
+  qtyByProduct(order, (s) => !NOT_ALLOCATED.includes(s.status));
+
+const hasLiveShipments = (order) =>
+  (order.shipments || []).some((s) => !NOT_ALLOCATED.includes(s.status));
+
+// [{ productId, qty }] (empty => everything not yet allocated) -> shipment items
+function normalizeShipmentItems(order, items) {
+  const allocated = allocatedQtyByProduct(order);
+  const free = (line) =>
+    activeQty(line) - (allocated.get(normId(line.productId)) || 0);
+
+  if (!Array.isArray(items) || !items.length) {
+    const all = order.items
+      .filter((l) => free(l) > 0)
+      .map((l) => ({ productId: l.productId, qty: free(l) }));
+    if (!all.length) throw new AppError("Nothing left to ship", 400);
+    return all;
+  }
+
+  const wanted = new Map();
+  for (const x of items) {
+    const pid = normId(x?.productId);
+    const qty = Number(x?.qty || 0);
+    if (!pid || !Number.isInteger(qty) || qty <= 0) {
+      throw new AppError("Invalid shipment items", 400);
+    }
+    wanted.set(pid, (wanted.get(pid) || 0) + qty);
+  }
+
+  const out = [];
+  for (const [pid, qty] of wanted) {
+    const line = order.items.find((l) => normId(l.productId) === pid);
+    if (!line) throw new AppError("Some items not found in order", 400);
+    if (qty > free(line)) {
+      throw new AppError(
+        `Only ${Math.max(free(line), 0)} unit(s) of ${line.titleSnapshot} left to ship`,
+        400,
+      );
+    }
+    out.push({ productId: line.productId, qty });
+  }
+  return out;
+}
+
+// allowed courier updates (final shipments are frozen)
+function assertShipmentTransition(shipment, next) {
+  if (!SHIPMENT_STATUSES.includes(next)) {
+    throw new AppError("Invalid shipment status", 400);
+  }
+  if (FINAL_STATUSES.includes(shipment.status)) {
+    throw new AppError(`Shipment already ${shipment.status}`, 400);
+  }
+  if (next === "CANCELLED" && shipment.status !== "CREATED") {
+    throw new AppError(
+      "Only shipments not yet picked up can be cancelled",
+      400,
+    );
+  }
+  if (next === "CREATED") {
+    throw new AppError("Shipment cannot move back to CREATED", 400);
+  }
+}
+
+// -> "SHIPPED" | "DELIVERED" | null (leave order.status alone)
+function deriveOrderStatus(order) {
+  const lines = (order.items || []).filter((l) => activeQty(l) > 0);
+  if (!lines.length || !(order.shipments || []).length) return null;
+
+  const delivered = qtyByProduct(order, (s) => s.status === "DELIVERED");
+  const dispatched = qtyByProduct(
+    order,
+    (s) => !NOT_DISPATCHED.includes(s.status),
+  );
+  const covered = (map) =>
+    lines.every((l) => (map.get(normId(l.productId)) || 0) >= activeQty(l));
+
+  if (covered(delivered)) return "DELIVERED";
+  if (covered(dispatched)) return "SHIPPED";
+  return null;
+}
+
+module.exports = {
+  SHIPMENT_STATUSES,
+  allocatedQtyByProduct,
+  hasLiveShipments,
+  normalizeShipmentItems,
+  assertShipmentTransition,
+  deriveOrderStatus,
+};
@@ -0,0 +1,171 @@
+// utils/shipping.js
+// PIN code -> ShippingZone, shipping fee / COD rules and delivery estimate.
+// Used by the product page estimate and by createOrder (snapshot on Order.shipping).
+const AppError = require("./AppError");
+const ShippingZone = require("../models/ShippingZone");
+const { round2 } = require("./coupon");
+const { isValidPincode } = require("./address");
+const { getDefaultWeightGrams } = require("../config/shipping");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// -> specificity (longer prefix / narrower range = more specific), 0 = no match
+function matchScore(zone, pincode) {
+  let best = 0;
+  for (const p of zone.pincodePrefixes || []) {
+    if (pincode.startsWith(p)) best = Math.max(best, p.length);
+  }
+  const n = Number(pincode);
+  for (const r of zone.pincodeRanges || []) {
+    if (n >= r.from && n <= r.to) {
+      // 1 pincode ~ 6 digits, a 100k-wide range ~ 1 digit
+      const width = r.to - r.from + 1;
+      best = Math.max(best, 6 - Math.log10(width));
+    }
+  }
+  return best;
+}
+
+async function findZoneForPincode(pincode, session = null) {
+  const pin = String(pincode || "").trim();
+  if (!isValidPincode(pin)) return null;
+
+  let q = ShippingZone.find({ isActive: true }).lean();
+  if (session) q = q.session(session);
+  const zones = await q;
+
+  let winner = null;
+  for (const zone of zones) {
+    const score = matchScore(zone, pin);
+    if (!score) continue;
+    if (
+      !winner ||
+      zone.priority > winner.zone.priority ||
+      (zone.priority === winner.zone.priority && score > winner.score)
+    ) {
+      winner = { zone, score };
+    }
+  }
+  return winner?.zone || null;
+}
+
+// product (bundleItems.product populated for bundles) -> grams per unit
+function unitWeightGrams(product) {
+  const own = Number(product?.weightGrams);
+  if (Number.isFinite(own) && own > 0) return own;
+
+  if (product?.type === "BUNDLE" && product.bundleItems?.length) {
+    return product.bundleItems.reduce(
+      (sum, b) => sum + unitWeightGrams(b.product) * Number(b.qty || 1),
+      0,
+    );
+  }
+  return getDefaultWeightGrams();
+}
+
+const slabFee = (slabs, value, key) =>
+  [...(slabs || [])]
+    .sort((a, b) => a[key] - b[key])
+    .find((s) => value <= s[key])?.fee;
+
+function weightFee(fees, weightGrams) {
+  const slabs = [...(fees.weightSlabs || [])].sort(
+    (a, b) => a.maxGrams - b.maxGrams,
+  );
+  if (!slabs.length) return 0;
+
+  const hit = slabs.find((s) => weightGrams <= s.maxGrams);
+  if (hit) return hit.fee;
+
+  // heavier than the last slab: last fee + extraPerKg per started kg
+  const last = slabs[slabs.length - 1];
+  const extraKg = Math.ceil((weightGrams - last.maxGrams) / 1000);
+  return last.fee + extraKg * Number(fees.extraPerKg || 0);
+}
+
+// -> { fee, codFee, amount, freeShipping }
+function quoteShipping(zone, { weightGrams, orderValue, paymentMethod }) {
+  const fees = zone.fees || {};
+  const freeShipping =
+    fees.freeAbove != null && orderValue >= Number(fees.freeAbove);
+
+  const fee = freeShipping
+    ? 0
+    : round2(
+        Number(fees.baseFee || 0) +
+          weightFee(fees, weightGrams) +
+          Number(slabFee(fees.valueSlabs, orderValue, "maxValue") || 0),
+      );
+  const codFee = paymentMethod === "COD" ? round2(zone.codFee || 0) : 0;
+
+  return { fee, codFee, amount: round2(fee + codFee), freeShipping };
+}
+
+// -> { available, reason? }
+function codEligibility(zone, orderValue) {
+  if (!zone.codAvailable) {
+    return { available: false, reason: "COD not available for this PIN code" };
+  }
+  if (zone.codMaxOrderValue != null && orderValue > zone.codMaxOrderValue) {
+    return {
+      available: false,
+      reason: `COD available only for orders up to ₹${zone.codMaxOrderValue}`,
+    };
+  }
+  return { available: true };
+}
+
+function getDeliveryEstimate(zone, from = new Date()) {
+  const minDays = Number(zone.slaDays?.min ?? 0);
+  const maxDays = Math.max(Number(zone.slaDays?.max ?? minDays), minDays);
+  const start = new Date(from).getTime();
+
+  return {
+    minDays,
+    maxDays,
+    from: new Date(start + minDays * DAY_MS),
+    to: new Date(start + maxDays * DAY_MS),
+  };
+}
+
+// checkout: validates serviceability + COD, returns Order.shipping
+async function buildShippingSnapshot(
+  { pincode, weightGrams, orderValue, paymentMethod },
+  session = null,
+) {
+  const zone = await findZoneForPincode(pincode, session);
+  if (!zone) {
+    throw new AppError(`We don't deliver to PIN code ${pincode} yet`, 400);
+  }
+
+  if (paymentMethod === "COD") {
+    const cod = codEligibility(zone, orderValue);
+    if (!cod.available) throw new AppError(cod.reason, 400);
+  }
+
+  const quote = quoteShipping(zone, { weightGrams, orderValue, paymentMethod });
+  const eta = getDeliveryEstimate(zone);
+
+  return {
+    zoneId: zone._id,
+    zoneName: zone.name,
+    pincode,
+    weightGrams,
+    fee: quote.fee,
+    codFee: quote.codFee,
+    amount: quote.amount,
+    estimatedMinDays: eta.minDays,
+    estimatedMaxDays: eta.maxDays,
+    estimatedDeliveryFrom: eta.from,
+    estimatedDeliveryTo: eta.to,
+  };
+}
+
+module.exports = {
+  findZoneForPincode,
+  unitWeightGrams,
+  quoteShipping,
+  codEligibility,
+  getDeliveryEstimate,
+  buildShippingSnapshot,
+};
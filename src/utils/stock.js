@@ -0,0 +1,311 @@
+// utils/stock.js
+// Bundle-safe stock reservation / release shared by order, payment and cart flows.
+// Every change appends StockMovement rows in the caller's session:
+//   movement = { reason: SALE | CANCEL | RETURN | ADJUSTMENT | RECEIPT,
+//                orderId?, purchaseOrderId?, actor?, note? }
+const AppError = require("./AppError");
+const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+const { emitAfterCommit } = require("./events");
+
+// rows: [{ product, delta, stockAfter, bundleId?, unitCost? }]
+async function recordStockMovements(rows, movement = {}, session = null) {
+  if (!rows.length) return;
+  await StockMovement.insertMany(
+    rows.map((r) => ({
+      product: r.product,
+      delta: r.delta,
+      stockAfter: r.stockAfter,
+      bundleId: r.bundleId || null,
+      unitCost: r.unitCost ?? null,
+      reason: movement.reason,
+      orderId: movement.orderId || null,
+      purchaseOrderId: movement.purchaseOrderId || null,
+      actor: movement.actor || null,
+      note: movement.note || "",
+    })),
+    { session },
+  );
+
+  // back-in-stock alerts (utils/stockAlerts.js) check availability on commit
+  const restocked = rows
+    .filter((r) => r.delta > 0)
+    .map((r) => String(r.product));
+  if (restocked.length) {
+    emitAfterCommit(session, "stock.replenished", {
+      productIds: [...new Set(restocked)],
+    });
+  }
+}
+
+async function loadProductForOrder(productId, session = null) {
+  let q = Product.findById(productId).select(
+    "_id title slug price discountPrice isActive type stock bundleItems images timedOffer cost category brand",
+  );
+
+  if (session) q = q.session(session);
+  return q.populate(
+    "bundleItems.product",
+    "_id title stock isActive type price discountPrice timedOffer cost",
+  );
+}
+
+// For SINGLE: use product.stock
+// For BUNDLE: compute from children stocks
+function getAvailableStock(product) {
+  if (!product) return 0;
+  if ((product.type || "SINGLE") !== "BUNDLE") {
+    return Math.max(0, Number(product.stock ?? 0));
+  }
+
+  // bundleStock = min( floor(child.stock / childQty) )
+  const items = Array.isArray(product.bundleItems) ? product.bundleItems : [];
+  if (items.length < 2) return 0;
+
+  let min = Infinity;
+
+  for (const bi of items) {
+    const child = bi?.product;
+    const q = Number(bi?.qty || 0);
+
+    if (!child) return 0;
+    if (child.isActive === false) return 0;
+    if ((child.type || "SINGLE") === "BUNDLE") return 0; // prevent nested bundle
+    if (!Number.isFinite(q) || q <= 0) return 0;
+
+    const childStock = Math.max(0, Number(child.stock ?? 0));
+    min = Math.min(min, Math.floor(childStock / q));
+  }
+
+  return Number.isFinite(min) ? Math.max(0, min) : 0;
+}
+
+async function consumeStockOrThrow(
+  product,
+  orderQty,
+  session = null,
+  movement = {},
+) {
+  const qty = Number(orderQty || 0);
+  if (qty <= 0) throw new AppError("Invalid quantity", 400);
+  movement = { reason: "SALE", ...movement };
+
+  if ((product.type || "SINGLE") !== "BUNDLE") {
+    const updated = await Product.findOneAndUpdate(
+      { _id: product._id, stock: { $gte: qty }, isActive: true },
+      { $inc: { stock: -qty } },
+      { new: true, session },
+    );
+
+    if (!updated)
+      throw new AppError(`Not enough stock for ${product.title}`, 400);
+
+    await recordStockMovements(
+      [{ product: updated._id, delta: -qty, stockAfter: updated.stock }],
+      movement,
+      session,
+    );
+    return;
+  }
+
+  const items = Array.isArray(product.bundleItems) ? product.bundleItems : [];
+  if (items.length < 2) throw new AppError("Invalid bundle configuration", 400);
+
+  const bundleStock = getAvailableStock(product);
+  if (bundleStock < qty) {
+    throw new AppError(`Not enough stock for bundle ${product.title}`, 400);
+  }
+
+  const decremented = [];
+
+  try {
+    for (const bi of items) {
+      const child = bi.product;
+      const perBundle = Number(bi.qty || 0);
+      const need = perBundle * qty;
+
+      const ok = await Product.findOneAndUpdate(
+        { _id: child._id, stock: { $gte: need }, isActive: true },
+        { $inc: { stock: -need } },
+        { new: true, session },
+      );
+
+      if (!ok) {
+        throw new AppError(
+          `Not enough stock for bundle item ${child.title}`,
+          400,
+        );
+      }
+
+      decremented.push({ childId: child._id, need, stockAfter: ok.stock });
+    }
+  } catch (err) {
+    if (decremented.length) {
+      const rollbackOps = decremented.map((x) => ({
+        updateOne: {
+          filter: { _id: x.childId },
+          update: { $inc: { stock: x.need } }, // add back what we deducted
+        },
+      }));
+
+      await Product.bulkWrite(rollbackOps, session ? { session } : undefined);
+    }
+    throw err;
+  }
+
+  // ledger rows only once every child was taken (no rows for rolled-back $inc)
+  await recordStockMovements(
+    decremented.map((x) => ({
+      product: x.childId,
+      delta: -x.need,
+      stockAfter: x.stockAfter,
+      bundleId: product._id,
+    })),
+    movement,
+    session,
+  );
+}
+
+async function restockForOrderLine(
+  productId,
+  qtyToRestock,
+  session = null,
+  movement = {},
+) {
+  const qty = Number(qtyToRestock || 0);
+  if (qty <= 0) return;
+  movement = { reason: "CANCEL", ...movement };
+
+  let q = Product.findById(productId).select("_id type bundleItems");
+  if (session) q = q.session(session);
+  const product = await q.populate("bundleItems.product", "_id");
+
+  if (!product) return;
+
+  if ((product.type || "SINGLE") !== "BUNDLE") {
+    const updated = await Product.findByIdAndUpdate(
+      productId,
+      { $inc: { stock: qty } },
+      { new: true, session },
+    );
+    await recordStockMovements(
+      [{ product: updated._id, delta: qty, stockAfter: updated.stock }],
+      movement,
+      session,
+    );
+    return;
+  }
+
+  const items = Array.isArray(product.bundleItems) ? product.bundleItems : [];
+  if (!items.length) return;
+
+  // one update per child (the ledger needs each resulting stock)
+  const rows = [];
+  for (const bi of items) {
+    const childId = bi?.product?._id;
+    const perBundle = Number(bi?.qty || 0);
+    if (!childId || perBundle <= 0) continue;
+
+    const child = await Product.findByIdAndUpdate(
+      childId,
+      { $inc: { stock: perBundle * qty } },
+      { new: true, session },
+    );
+    if (!child) continue;
+
+    rows.push({
+      product: child._id,
+      delta: perBundle * qty,
+      stockAfter: child.stock,
+      bundleId: product._id,
+    });
+  }
+
+  await recordStockMovements(rows, movement, session);
+}
+
+// Cancels every not-yet-cancelled unit of an order (sets cancelledQty + restocks).
+// Caller still recomputes totalAmount and saves the order.
+// -> [{ productId, campaignId, qty }] cancelled by this call
+async function restockRemainingLines(order, session = null, movement = {}) {
+  const lines = [];
+  for (const it of order.items || []) {
+    const remaining = Number(it.qty || 0) - Number(it.cancelledQty || 0);
+    if (remaining > 0) {
+      it.cancelledQty = Number(it.cancelledQty || 0) + remaining;
+      lines.push({
+        productId: it.productId,
+        campaignId: it.campaignId || null,
+        qty: remaining,
+      });
+      await restockForOrderLine(it.productId, remaining, session, {
+        orderId: order._id,
+        ...movement,
+      });
+    }
+  }
+  return lines;
+}
+
+// Manual correction of a SINGLE product: { delta } or { setTo } (stock-take).
+// setTo is compare-and-set, so a sale in between fails with 409 instead of
+// being silently overwritten. -> { product, delta }
+async function adjustStock(
+  productId,
+  { delta, setTo } = {},
+  movement = {},
+  session = null,
+) {
+  let q = Product.findById(productId).select("_id title type stock");
+  if (session) q = q.session(session);
+  const product = await q;
+
+  if (!product) throw new AppError("Product not found", 404);
+  if ((product.type || "SINGLE") === "BUNDLE") {
+    throw new AppError("Bundle stock comes from its items", 400);
+  }
+
+  const current = Number(product.stock || 0);
+  const absolute = setTo !== undefined && setTo !== null && setTo !== "";
+
+  if (absolute && !(Number.isInteger(Number(setTo)) && Number(setTo) >= 0)) {
+    throw new AppError("Stock must be a whole number (0 or more)", 400);
+  }
+  const change = absolute ? Number(setTo) - current : Number(delta);
+  if (!Number.isInteger(change)) {
+    throw new AppError("delta must be a whole number", 400);
+  }
+  if (change === 0) return { product, delta: 0 };
+
+  const updated = await Product.findOneAndUpdate(
+    {
+      _id: product._id,
+      stock: absolute ? current : { $gte: Math.max(0, -change) },
+    },
+    { $inc: { stock: change } },
+    { new: true, session },
+  );
+  if (!updated) {
+    throw absolute
+      ? new AppError("Stock changed meanwhile. Please retry.", 409)
+      : new AppError(`Only ${current} in stock for ${product.title}`, 400);
+  }
+
+  await recordStockMovements(
+    [{ product: updated._id, delta: change, stockAfter: updated.stock }],
+    { reason: "ADJUSTMENT", ...movement },
+    session,
+  );
+
+  return { product: updated, delta: change };
+}
+
+module.exports = {
+  loadProductForOrder,
+  getAvailableStock,
+  consumeStockOrThrow,
+  restockForOrderLine,
+  restockRemainingLines,
+  adjustStock,
+  recordStockMovements,
+};
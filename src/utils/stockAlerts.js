@@ -0,0 +1,225 @@
+// utils/stockAlerts.js
+// Back-in-stock subscriptions. Every stock increase (restock, goods receipt,
+// adjustment) emits "stock.replenished" after commit; pending alerts on those
+// products, or on bundles built from them, fire once the item is available.
+// Guest emails are only alerted after confirming the address, and every
+// guest alert email carries a one-click unsubscribe link.
+const mongoose = require("mongoose");
+const AppError = require("./AppError");
+const Product = require("../models/Product");
+const StockAlert = require("../models/StockAlert");
+const { getClientUrl } = require("../config/mail");
+const { onEvent } = require("./events");
+const { sendMailSafe, isValidEmail } = require("./mailer");
+const { notifyUser } = require("./notify");
+const {
+  renderNotification,
+  notificationEmail,
+  stockAlertConfirmEmail,
+} = require("./notificationTemplates");
+const { loadProductForOrder, getAvailableStock } = require("./stock");
+const {
+  createOneTimeToken,
+  hashToken,
+  randomToken,
+} = require("./oneTimeToken");
+
+const CONFIRM_TTL_HOURS = 48;
+const CONFIRM_RESEND_MS = 10 * 60_000;
+
+// alerts allowed to fire: account holders, or guests who confirmed the address
+const confirmedFilter = {
+  $or: [{ user: { $ne: null } }, { confirmedAt: { $ne: null } }],
+};
+
+const isAvailable = (product) =>
+  Boolean(product?.isActive) && getAvailableStock(product) > 0;
+
+// user (logged in) or guest email; only for items that are out of stock now
+// -> { alert, confirmationRequired } (guests: confirm link emailed first)
+async function subscribeStockAlert(productId, { user = null, email = "" }) {
+  const product = mongoose.Types.ObjectId.isValid(productId)
+    ? await loadProductForOrder(productId)
+    : null;
+  if (!product || !product.isActive) {
+    throw new AppError("Product not found", 404);
+  }
+  if (isAvailable(product)) {
+    throw new AppError("Product is in stock", 409);
+  }
+
+  const to = user
+    ? user.email
+    : String(email || "")
+        .trim()
+        .toLowerCase();
+  if (!isValidEmail(to)) {
+    throw new AppError("Valid email required", 400);
+  }
+
+  const key = { product: product._id, email: to };
+  const existing = user ? null : await StockAlert.findOne(key);
+
+  // re-subscribing after an alert fired arms it again
+  if (user || existing?.confirmedAt) {
+    const alert = await StockAlert.findOneAndUpdate(
+      key,
+      {
+        $set: {
+          notifiedAt: null,
+          ...(user ? { user: user._id, confirmedAt: new Date() } : {}),
+        },
+        $setOnInsert: key,
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true },
+    );
+    return { alert, confirmationRequired: false };
+  }
+
+  // unconfirmed guest: (re)send the confirm link, throttled per address
+  if (
+    existing?.confirmSentAt &&
+    Date.now() - existing.confirmSentAt.getTime() < CONFIRM_RESEND_MS
+  ) {
+    return { alert: existing, confirmationRequired: true };
+  }
+
+  const { token, tokenHash, expiresAt } = createOneTimeToken(
+    CONFIRM_TTL_HOURS * 60 * 60 * 1000,
+  );
+  const alert = await StockAlert.findOneAndUpdate(
+    key,
+    {
+      $set: {
+        notifiedAt: null,
+        confirmToken: { tokenHash, expiresAt },
+        confirmSentAt: new Date(),
+      },
+      $setOnInsert: key,
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true },
+  );
+
+  await sendMailSafe(
+    stockAlertConfirmEmail(to, product, token, CONFIRM_TTL_HOURS),
+  );
+  return { alert, confirmationRequired: true };
+}
+
+// guest clicked the emailed link; fires right away if it's already back
+async function confirmStockAlert(token) {
+  if (!token) throw new AppError("token required", 400);
+
+  const alert = await StockAlert.findOneAndUpdate(
+    {
+      "confirmToken.tokenHash": hashToken(token),
+      "confirmToken.expiresAt": { $gt: new Date() },
+    },
+    {
+      $set: { confirmedAt: new Date() },
+      $unset: { confirmToken: 1 },
+    },
+    { new: true },
+  );
+  if (!alert) throw new AppError("Invalid or expired confirmation link", 400);
+
+  await processStockAlerts([alert.product]);
+  return alert;
+}
+
+// unsubscribe link from a guest alert email
+async function unsubscribeStockAlert(token) {
+  if (!token) throw new AppError("token required", 400);
+
+  const alert = await StockAlert.findOneAndDelete({
+    unsubscribeTokenHash: hashToken(token),
+  });
+  if (!alert) throw new AppError("Invalid unsubscribe link", 400);
+
+  return alert;
+}
+
+// claim first so concurrent replenish events never double-send
+async function fireAlert(alert, product) {
+  // guests: fresh unsubscribe token per email (only its hash is kept)
+  const unsubscribeToken = alert.user ? null : randomToken();
+
+  const claimed = await StockAlert.findOneAndUpdate(
+    { _id: alert._id, notifiedAt: null },
+    {
+      $set: {
+        notifiedAt: new Date(),
+        ...(unsubscribeToken
+          ? { unsubscribeTokenHash: hashToken(unsubscribeToken) }
+          : {}),
+      },
+    },
+  );
+  if (!claimed) return;
+
+  if (alert.user) {
+    await notifyUser(alert.user, "stock.available", { product });
+    return;
+  }
+
+  const message = renderNotification("stock.available", { product });
+  await sendMailSafe(
+    notificationEmail({ name: "there", email: alert.email }, message, {
+      unsubscribeUrl: `${getClientUrl()}/stock-alerts/unsubscribe?token=${encodeURIComponent(unsubscribeToken)}`,
+    }),
+  );
+}
+
+// productIds: products whose stock went up (or that were re-enabled)
+async function processStockAlerts(productIds = []) {
+  const ids = productIds
+    .filter((id) => mongoose.Types.ObjectId.isValid(String(id)))
+    .map((id) => new mongoose.Types.ObjectId(String(id)));
+  if (!ids.length) return;
+
+  const bundleIds = await Product.distinct("_id", {
+    type: "BUNDLE",
+    "bundleItems.product": { $in: ids },
+  });
+
+  const pending = await StockAlert.distinct("product", {
+    product: { $in: [...ids, ...bundleIds] },
+    notifiedAt: null,
+    ...confirmedFilter,
+  });
+
+  for (const pid of pending) {
+    const product = await loadProductForOrder(pid);
+    if (!isAvailable(product)) continue;
+
+    const alerts = await StockAlert.find({
+      product: pid,
+      notifiedAt: null,
+      ...confirmedFilter,
+    })
+      .select("_id user email")
+      .lean();
+    for (const alert of alerts) {
+      await fireAlert(alert, product);
+    }
+  }
+}
+
+let registered = false;
+
+function registerStockAlertListeners() {
+  if (registered) return;
+  registered = true;
+
+  onEvent("stock.replenished", ({ productIds }) =>
+    processStockAlerts(productIds),
+  );
+}
+
+module.exports = {
+  subscribeStockAlert,
+  confirmStockAlert,
+  unsubscribeStockAlert,
+  processStockAlerts,
+  registerStockAlertListeners,
+};
@@ -0,0 +1,110 @@
+// utils/totp.js
+// RFC 6238 TOTP (HMAC-SHA1, 30s steps, 6 digits) — what Google Authenticator,
+// Authy, 1Password etc. expect. Secrets travel as RFC 4648 base32.
+const crypto = require("crypto");
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str || "")
+    .toUpperCase()
+    .replace(/[\s=-]/g, "");
+
+  let bits = 0;
+  let value = 0;
+  const out = [];
+
+  for (const ch of clean) {
+    const idx = ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// 160-bit secret (RFC 4226 recommendation), base32
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+// RFC 4226 HOTP for one counter value
+function hotp(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(msg)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(code).padStart(DIGITS, "0");
+}
+
+const timeStep = (at = Date.now()) => Math.floor(at / 1000 / STEP_SECONDS);
+
+const totp = (secret, at = Date.now()) => hotp(secret, timeStep(at));
+
+// -> matched time step (store it to block replays), or null
+// window = steps accepted either side of "now" (clock drift)
+function verifyTotp(secret, code, { window = 1, at = Date.now() } = {}) {
+  const token = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(token)) return null;
+
+  const now = timeStep(at);
+  for (let step = now - window; step <= now + window; step++) {
+    const expected = Buffer.from(hotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(token))) return step;
+  }
+  return null;
+}
+
+// otpauth://totp/Issuer:email?secret=...&issuer=... (authenticator QR payload)
+function buildOtpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  // %20 (not "+") for spaces: some authenticator apps show "+" literally
+  const params = Object.entries({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: DIGITS,
+    period: STEP_SECONDS,
+  })
+    .map(([k, v]) => `${k}=${encodeURIComponent(v)}`)
+    .join("&");
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  totp,
+  timeStep,
+  verifyTotp,
+  buildOtpauthUri,
+};
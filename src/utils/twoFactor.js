@@ -0,0 +1,113 @@
+// utils/twoFactor.js
+// User-level 2FA: encrypted TOTP secret, hashed single-use recovery codes,
+// replay protection (a code's time step can be used once).
+const crypto = require("crypto");
+const User = require("../models/User");
+const { hashToken } = require("./oneTimeToken");
+const { verifyTotp } = require("./totp");
+const { isStaff, hasPermission } = require("../config/permissions");
+const {
+  getTwoFactorKey,
+  isStaffTwoFactorRequired,
+} = require("../config/twoFactor");
+
+const RECOVERY_CODE_COUNT = 10;
+
+// AES-256-GCM -> "iv.tag.ciphertext" (base64url)
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getTwoFactorKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data]
+    .map((b) => b.toString("base64url"))
+    .join(".");
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, data] = String(stored || "")
+    .split(".")
+    .map((s) => Buffer.from(s, "base64url"));
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getTwoFactorKey(),
+    iv,
+  );
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString(
+    "utf8",
+  );
+}
+
+// "a1b2-c3d4" style, case / dash insensitive when entered
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+// -> { codes (show once), hashes (store) }
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return {
+    codes,
+    hashes: codes.map((c) => hashToken(normalizeRecoveryCode(c))),
+  };
+}
+
+// staff policy (config/twoFactor.js): enrolled or not allowed past requirePermission
+const isTwoFactorRequired = (user) =>
+  isStaffTwoFactorRequired() && isStaff(user);
+
+// inline permission checks (owner-or-staff): same 2FA policy as requirePermission
+const staffCan = (user, permission) =>
+  hasPermission(user, permission) &&
+  !(isTwoFactorRequired(user) && !user.twoFactor?.enabled);
+
+// { code } (authenticator) or { recoveryCode } -> "totp" | "recovery" | null
+// both paths are single atomic updates: a code cannot be used twice
+async function verifySecondFactor(userId, { code, recoveryCode } = {}) {
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const r = await User.updateOne(
+      {
+        _id: userId,
+        "twoFactor.enabled": true,
+        "twoFactor.recoveryCodes": hash,
+      },
+      { $pull: { "twoFactor.recoveryCodes": hash } },
+    );
+    return r.modifiedCount ? "recovery" : null;
+  }
+
+  const user = await User.findById(userId).select(
+    "+twoFactor.secret +twoFactor.lastUsedStep",
+  );
+  if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+  const step = verifyTotp(decryptSecret(user.twoFactor.secret), code);
+  if (step == null) return null;
+
+  const r = await User.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { "twoFactor.lastUsedStep": null },
+        { "twoFactor.lastUsedStep": { $lt: step } },
+      ],
+    },
+    { $set: { "twoFactor.lastUsedStep": step } },
+  );
+  return r.modifiedCount ? "totp" : null;
+}
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  staffCan,
+  verifySecondFactor,
+};